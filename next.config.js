@@ -4,8 +4,17 @@
  */
 import "./src/env.js";
 
+// One ID per build (or BUILD_ID from the environment), set here so the
+// build's worker processes inherit the same one. It versions the service
+// worker's offline caches: see src/components/service-worker.tsx.
+process.env.BUILD_ID ??= Date.now().toString(36);
+
 /** @type {import("next").NextConfig} */
 const config = {
+  generateBuildId: () => process.env.BUILD_ID ?? null,
+  env: {
+    BUILD_ID: process.env.BUILD_ID,
+  },
   eslint: {
     // Ignore ESLint errors during builds
     ignoreDuringBuilds: true,
@@ -0,0 +1,216 @@
+/**
+ * Service worker: keeps the site readable, and the practice deck usable,
+ * without a connection.
+ *
+ * On install it saves the main pages listed in /precache.json along with
+ * the scripts, styles and fonts they load (/_next/static/…, found by
+ * reading each page's HTML and CSS); the V. Ravi reader's chapters and the
+ * 1000 nāma pages follow in the background, resuming on each visit until
+ * all are saved. Commentaries are rendered into the pages at build time, so
+ * saving the pages saves every commentary with them.
+ *
+ * Pages are network-first with a short timeout: a deploy shows up as soon
+ * as there's a connection, and a dead one falls back to the saved copy.
+ * /_next/static files are content-hashed and served cache-first. The sync
+ * API and Next's client-side navigation fetches go straight to the
+ * network; when such a navigation fails offline, Next loads the page
+ * instead, which is served from here.
+ *
+ * Registered by src/components/service-worker.tsx in production builds,
+ * under a URL carrying the build ID, which versions the caches.
+ */
+
+/**
+ * The few worker types used here (tsconfig has the DOM lib, not WebWorker).
+ * @typedef {Event & { waitUntil(promise: Promise<unknown>): void }} ExtendableEvent
+ * @typedef {ExtendableEvent & { request: Request, respondWith(response: Promise<Response>): void }} FetchEvent
+ * @typedef {ExtendableEvent & { data: unknown }} MessageEvent
+ * @typedef {{
+ *   addEventListener: ((type: "install" | "activate", listener: (event: ExtendableEvent) => void) => void)
+ *     & ((type: "fetch", listener: (event: FetchEvent) => void) => void)
+ *     & ((type: "message", listener: (event: MessageEvent) => void) => void),
+ *   skipWaiting(): Promise<void>,
+ *   clients: { claim(): Promise<void> },
+ *   location: Location,
+ * }} WorkerScope
+ */
+
+const sw = /** @type {WorkerScope} */ (/** @type {unknown} */ (self));
+
+// The build that registered this worker (?v=, see next.config.js). Each
+// deploy registers a new URL, so a new worker installs into its own caches
+// and activate drops the last build's pages and static files.
+const VERSION = new URL(sw.location.href).searchParams.get("v") ?? "dev";
+const PAGES_CACHE = `pages-${VERSION}`;
+const STATIC_CACHE = `static-${VERSION}`;
+
+/** How long a page request may take before the saved copy is used. */
+const NETWORK_TIMEOUT_MS = 4000;
+
+/** @returns {Promise<{ pages: string[], later: string[] }>} */
+async function precacheList() {
+  const res = await fetch("/precache.json", { cache: "no-cache" });
+  if (!res.ok) throw new Error(`/precache.json: HTTP ${res.status}`);
+  return /** @type {Promise<{ pages: string[], later: string[] }>} */ (
+    res.json()
+  );
+}
+
+/**
+ * `/_next/static/…` URLs a page or stylesheet refers to.
+ * @param {string} text
+ * @returns {string[]}
+ */
+function staticUrls(text) {
+  return [...new Set(text.match(/\/_next\/static\/[^"'()\s\\]+/g) ?? [])];
+}
+
+/**
+ * Save static files not saved yet; stylesheets are read in turn for the
+ * fonts they load.
+ * @param {string[]} urls
+ */
+async function saveStatic(urls) {
+  const cache = await caches.open(STATIC_CACHE);
+  for (const url of urls) {
+    if (await cache.match(url)) continue;
+    const res = await fetch(url);
+    if (!res.ok) continue;
+    await cache.put(url, res.clone());
+    if (url.endsWith(".css")) await saveStatic(staticUrls(await res.text()));
+  }
+}
+
+/**
+ * Save a page and what it loads from /_next/static.
+ * @param {string} path
+ */
+async function savePage(path) {
+  const res = await fetch(path, { cache: "no-cache" });
+  if (!res.ok) throw new Error(`${path}: HTTP ${res.status}`);
+  const pages = await caches.open(PAGES_CACHE);
+  await pages.put(path, res.clone());
+  if (res.headers.get("Content-Type")?.includes("text/html")) {
+    await saveStatic(staticUrls(await res.text()));
+  }
+}
+
+/** @type {Promise<void> | null} */
+let warming = null;
+
+/** Save the background pages that aren't saved yet, one at a time. */
+function warm() {
+  warming ??= (async () => {
+    const { later } = await precacheList();
+    const pages = await caches.open(PAGES_CACHE);
+    for (const path of later) {
+      if (!navigator.onLine) break;
+      if (await pages.match(path)) continue;
+      await savePage(path).catch(() => undefined);
+    }
+  })()
+    .catch(() => undefined)
+    .finally(() => {
+      warming = null;
+    });
+  return warming;
+}
+
+function offlinePage() {
+  return new Response(
+    `<!doctype html><meta charset="utf-8"><meta name="viewport" content="width=device-width,initial-scale=1"><title>Offline — Lalita Sahasranama</title>
+<body style="font-family:system-ui,sans-serif;background:#faf2dc;color:#2b1700;padding:2rem;line-height:1.5">
+<h1 style="color:#c2410c">Offline</h1>
+<p>This page hasn't been saved for offline use yet. <a href="/practice">Practice</a>, the <a href="/">verses</a> and the other main pages work offline.</p>`,
+    { headers: { "Content-Type": "text/html; charset=utf-8" } },
+  );
+}
+
+/**
+ * The network's response, saved for next time, or the saved copy when the
+ * network fails or is slow.
+ * @param {Request} request
+ * @param {string} key Cache key: the path, so ?q= and the like share a page
+ */
+async function networkFirst(request, key) {
+  const cache = await caches.open(PAGES_CACHE);
+  const network = fetch(request)
+    .then(async (res) => {
+      if (res.ok) await cache.put(key, res.clone());
+      return res;
+    })
+    .catch(() => null);
+  /** @type {Promise<null>} */
+  const timeout = new Promise((resolve) =>
+    setTimeout(() => resolve(null), NETWORK_TIMEOUT_MS),
+  );
+
+  const first = await Promise.race([network, timeout]);
+  if (first) return first;
+  const saved = await cache.match(key);
+  if (saved) return saved;
+  // Nothing saved: wait the network out after all.
+  const late = await network;
+  if (late) return late;
+  return request.mode === "navigate" ? offlinePage() : Response.error();
+}
+
+/** @param {Request} request */
+async function cacheFirst(request) {
+  const cache = await caches.open(STATIC_CACHE);
+  const saved = await cache.match(request);
+  if (saved) return saved;
+  const res = await fetch(request);
+  if (res.ok) await cache.put(request, res.clone());
+  return res;
+}
+
+sw.addEventListener("install", (event) => {
+  event.waitUntil(
+    precacheList()
+      .then(({ pages }) => Promise.allSettled(pages.map(savePage)))
+      .then((results) => {
+        // A page that didn't save is saved when it's next visited; none
+        // saving means the site is down, so the old worker and its caches
+        // stay.
+        if (!results.some((r) => r.status === "fulfilled")) {
+          throw new Error("no pages saved");
+        }
+      })
+      .then(() => sw.skipWaiting()),
+  );
+});
+
+sw.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key !== PAGES_CACHE && key !== STATIC_CACHE)
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => sw.clients.claim()),
+  );
+});
+
+// Each page load asks for the background pages to carry on saving.
+sw.addEventListener("message", (event) => {
+  if (event.data === "warm") event.waitUntil(warm());
+});
+
+sw.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== sw.location.origin) return;
+  if (url.pathname.startsWith("/api/")) return;
+  if (request.headers.has("RSC") || url.searchParams.has("_rsc")) return;
+
+  if (url.pathname.startsWith("/_next/static/")) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request, url.pathname));
+  }
+});
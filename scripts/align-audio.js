@@ -0,0 +1,551 @@
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { toPhonemes } from '../src/lib/sandhi.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const NAMAS_PATH = path.resolve(projectRoot, 'src/constants/namas.json');
+const VERSES_PATH = path.resolve(projectRoot, 'src/constants/verses.json');
+const RECITATION_PATH = path.resolve(projectRoot, 'src/constants/recitation.json');
+/** Where review reports go unless --report names a file (gitignored). */
+const REPORTS_DIR = path.resolve(projectRoot, '.data/recitation-review');
+const PUBLIC_DIR = path.resolve(projectRoot, 'public');
+
+/** Samples per second the energy analysis runs at; plenty for a loudness envelope. */
+const ANALYSIS_RATE = 8000;
+/** Energy frame hop and window, in seconds. */
+const HOP = 0.01;
+const WINDOW = 0.02;
+/**
+ * Shortest quiet stretch that may be a word boundary, in seconds — a single
+ * quiet frame. Short ones count for little; see CLEAR_PAUSE.
+ */
+const MIN_PAUSE = HOP;
+/** A pause this long or longer is a certain word boundary. */
+const CLEAR_PAUSE = 0.2;
+/** How much a word's length straying from its syllable count costs, against pause strength. */
+const DURATION_WEIGHT = 4;
+/** Where the speech threshold sits between the noise floor and speech level. */
+const THRESHOLD_RATIO = 0.35;
+/** Nāmas below this confidence are listed for review. */
+const LOW_CONFIDENCE = 0.5;
+/** Confidence of a boundary inside a word, which has no pause to find. */
+const IN_WORD_BOUNDARY = 0.6;
+
+/**
+ * @typedef {object} Pause
+ * @property {number} start Seconds
+ * @property {number} end
+ * @property {number} strength 0–1, how clearly this is a pause
+ *
+ * @typedef {object} Unit A verse word, recited as one breath group
+ * @property {string} text
+ * @property {number[]} namas Nāma numbers the word carries
+ * @property {number} syllables
+ *
+ * @typedef {object} AlignedNama
+ * @property {number} number
+ * @property {string} name
+ * @property {number} start
+ * @property {number} end
+ * @property {number} confidence
+ * @property {string[]} reasons Why the confidence is low, if it is
+ */
+
+/**
+ * Syllables in Devanagari text: one per vowel.
+ * @param {string} text
+ * @returns {number}
+ */
+function countSyllables(text) {
+  return (toPhonemes(text).match(/[aAiIuUfFxeEoO]/g) ?? []).length;
+}
+
+/**
+ * Decode a PCM or float WAV file to mono samples at about ANALYSIS_RATE,
+ * averaging channels and neighbouring samples.
+ * @param {Buffer} buffer
+ * @returns {{ rate: number, samples: Float32Array }}
+ */
+function decodeWav(buffer) {
+  if (buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+  /** @type {{ format: number, channels: number, rate: number, bits: number } | null} */
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      let format = buffer.readUInt16LE(body);
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in its sub-format GUID.
+      if (format === 0xfffe) format = buffer.readUInt16LE(body + 24);
+      fmt = {
+        format,
+        channels: buffer.readUInt16LE(body + 2),
+        rate: buffer.readUInt32LE(body + 4),
+        bits: buffer.readUInt16LE(body + 14),
+      };
+    } else if (id === 'data') {
+      if (!fmt) throw new Error('WAV data chunk before fmt chunk');
+      const end = Math.min(buffer.length, body + size);
+      return mixDown(buffer, body, end, fmt);
+    }
+    offset = body + size + (size % 2);
+  }
+  throw new Error('WAV file has no data chunk');
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} start Byte offset of the first sample
+ * @param {number} end
+ * @param {{ format: number, channels: number, rate: number, bits: number }} fmt
+ * @returns {{ rate: number, samples: Float32Array }}
+ */
+function mixDown(buffer, start, end, { format, channels, rate, bits }) {
+  const bytes = bits / 8;
+  /** @type {(at: number) => number} */
+  let read;
+  if (format === 1 && bits === 8) read = (at) => (buffer.readUInt8(at) - 128) / 128;
+  else if (format === 1 && bits === 16) read = (at) => buffer.readInt16LE(at) / 32768;
+  else if (format === 1 && bits === 24) read = (at) => buffer.readIntLE(at, 3) / 8388608;
+  else if (format === 1 && bits === 32) read = (at) => buffer.readInt32LE(at) / 2147483648;
+  else if (format === 3 && bits === 32) read = (at) => buffer.readFloatLE(at);
+  else if (format === 3 && bits === 64) read = (at) => buffer.readDoubleLE(at);
+  else throw new Error(`Unsupported WAV encoding (format ${format}, ${bits}-bit)`);
+
+  const frameBytes = bytes * channels;
+  const step = Math.max(1, Math.floor(rate / ANALYSIS_RATE));
+  const frames = Math.floor((end - start) / frameBytes);
+  const samples = new Float32Array(Math.floor(frames / step));
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let s = 0; s < step; s++) {
+      const at = start + (i * step + s) * frameBytes;
+      for (let c = 0; c < channels; c++) sum += read(at + c * bytes);
+    }
+    samples[i] = sum / (step * channels);
+  }
+  return { rate: rate / step, samples };
+}
+
+/**
+ * Decode any other format (MP3, M4A, …) with ffmpeg, which must be on PATH.
+ * @param {string} file
+ * @returns {{ rate: number, samples: Float32Array }}
+ */
+function decodeWithFfmpeg(file) {
+  /** @type {Buffer} */
+  let raw;
+  try {
+    raw = execFileSync(
+      'ffmpeg',
+      ['-v', 'error', '-i', file, '-ac', '1', '-ar', String(ANALYSIS_RATE), '-f', 'f32le', '-'],
+      { maxBuffer: 1024 * 1024 * 1024 },
+    );
+  } catch (err) {
+    if (/** @type {NodeJS.ErrnoException} */ (err).code === 'ENOENT') {
+      throw new Error(`Reading ${path.extname(file) || 'non-WAV'} files needs ffmpeg on PATH — install it, or convert the recording to WAV`);
+    }
+    const reason = err instanceof Error ? err.message : String(err);
+    throw new Error(`Could not decode ${path.basename(file)} with ffmpeg (convert it to WAV instead): ${reason}`);
+  }
+  const samples = new Float32Array(raw.buffer, raw.byteOffset, Math.floor(raw.length / 4));
+  return { rate: ANALYSIS_RATE, samples };
+}
+
+/**
+ * Loudness envelope in dB, one value per HOP.
+ * @param {{ rate: number, samples: Float32Array }} audio
+ * @returns {Float64Array}
+ */
+function energyFrames({ rate, samples }) {
+  const hop = Math.round(rate * HOP);
+  const window = Math.round(rate * WINDOW);
+  const count = Math.max(0, Math.floor((samples.length - window) / hop) + 1);
+  const energy = new Float64Array(count);
+  for (let f = 0; f < count; f++) {
+    let sum = 0;
+    for (let i = f * hop; i < f * hop + window; i++) {
+      const s = samples[i] ?? 0;
+      sum += s * s;
+    }
+    energy[f] = 10 * Math.log10(sum / window + 1e-10);
+  }
+  return energy;
+}
+
+/**
+ * @param {Float64Array} values
+ * @param {number} p 0–100
+ */
+function percentile(values, p) {
+  const sorted = Float64Array.from(values).sort();
+  return sorted[Math.min(sorted.length - 1, Math.floor((sorted.length * p) / 100))] ?? 0;
+}
+
+/**
+ * Find the speech span and the pauses inside it between `from` and `to`
+ * seconds.
+ * @param {Float64Array} energy
+ * @param {number} from
+ * @param {number} to
+ * @returns {{ speechStart: number, speechEnd: number, pauses: Pause[] }}
+ */
+function findPauses(energy, from, to) {
+  const first = Math.max(0, Math.floor(from / HOP));
+  const last = Math.min(energy.length, Math.ceil(to / HOP));
+  const span = energy.subarray(first, last);
+  if (span.length === 0) throw new Error('No audio in the selected time range');
+
+  const floor = percentile(span, 10);
+  const level = percentile(span, 95);
+  const threshold = floor + THRESHOLD_RATIO * (level - floor);
+  const voiced = Array.from(span, (e) => e > threshold);
+
+  const speechFrom = voiced.indexOf(true);
+  const speechTo = voiced.lastIndexOf(true);
+  if (speechFrom < 0) throw new Error('No speech found — is the recording silent?');
+
+  /** @type {Pause[]} */
+  const pauses = [];
+  let runStart = -1;
+  for (let f = speechFrom; f <= speechTo + 1; f++) {
+    if (f <= speechTo && !voiced[f]) {
+      if (runStart < 0) runStart = f;
+    } else if (runStart >= 0) {
+      const start = (first + runStart) * HOP;
+      const end = (first + f) * HOP;
+      if (end - start >= MIN_PAUSE) {
+        pauses.push({ start, end, strength: Math.min(1, (end - start) / CLEAR_PAUSE) });
+      }
+      runStart = -1;
+    }
+  }
+  return {
+    speechStart: (first + speechFrom) * HOP,
+    speechEnd: (first + speechTo + 1) * HOP,
+    pauses,
+  };
+}
+
+/**
+ * Choose one pause after each word but the last, so that word lengths
+ * follow their syllable counts and clear pauses are preferred. Dynamic
+ * programming over (word, pause), limited to pauses near where the word is
+ * expected to end.
+ * @param {Unit[]} units
+ * @param {{ speechStart: number, speechEnd: number, pauses: Pause[] }} found
+ * @returns {Array<{ start: number, end: number, startStrength: number, endStrength: number, expected: number, actual: number }> | null}
+ */
+function alignUnits(units, { speechStart, speechEnd, pauses }) {
+  // Boundaries: speech start, every pause, speech end.
+  const edges = [
+    { start: speechStart, end: speechStart, strength: 1 },
+    ...pauses,
+    { start: speechEnd, end: speechEnd, strength: 1 },
+  ];
+  const mid = edges.map((e) => (e.start + e.end) / 2);
+  const total = speechEnd - speechStart;
+  const syllables = units.reduce((sum, u) => sum + u.syllables, 0);
+  const perSyllable = total / syllables;
+  const band = Math.max(20, total * 0.15);
+
+  const m = units.length;
+  const lastEdge = edges.length - 1;
+  if (lastEdge < m) return null;
+
+  /** @type {Array<{ lo: number, cost: Float64Array, back: Int32Array }>} */
+  const rows = [];
+  let expectedEnd = speechStart;
+  for (let i = 0; i < m; i++) {
+    const unit = units[i];
+    if (!unit) return null;
+    const expected = unit.syllables * perSyllable;
+    expectedEnd += expected;
+
+    let lo = i === m - 1 ? lastEdge : i + 1;
+    let hi = lastEdge - (m - 1 - i);
+    while (lo < hi && (mid[lo] ?? 0) < expectedEnd - band) lo++;
+    while (hi > lo && (mid[hi] ?? 0) > expectedEnd + band) hi--;
+
+    const cost = new Float64Array(hi - lo + 1).fill(Infinity);
+    const back = new Int32Array(hi - lo + 1).fill(-1);
+    const prev = rows[i - 1];
+    for (let j = lo; j <= hi; j++) {
+      const tj = mid[j] ?? 0;
+      const strength = edges[j]?.strength ?? 0;
+      const kFrom = prev ? prev.lo : 0;
+      const kTo = prev ? Math.min(j - 1, prev.lo + prev.cost.length - 1) : 0;
+      for (let k = kTo; k >= kFrom; k--) {
+        const duration = tj - (mid[k] ?? 0);
+        if (duration > expected * 4 + 1) break;
+        if (duration <= 0) continue;
+        const before = prev ? (prev.cost[k - prev.lo] ?? Infinity) : 0;
+        if (before === Infinity) continue;
+        const ratio = Math.log(duration / expected);
+        const c = before + DURATION_WEIGHT * ratio * ratio - strength;
+        const at = j - lo;
+        if (c < (cost[at] ?? Infinity)) {
+          cost[at] = c;
+          back[at] = k;
+        }
+      }
+    }
+    rows.push({ lo, cost, back });
+  }
+
+  // Walk back from the end of speech.
+  const ends = new Array(m).fill(0);
+  let j = lastEdge;
+  for (let i = m - 1; i >= 0; i--) {
+    const row = rows[i];
+    if (!row || (row.cost[j - row.lo] ?? Infinity) === Infinity) return null;
+    ends[i] = j;
+    j = row.back[j - row.lo] ?? -1;
+  }
+
+  return ends.map((endEdge, i) => {
+    const startEdge = i === 0 ? 0 : ends[i - 1];
+    const from = edges[startEdge];
+    const to = edges[endEdge];
+    return {
+      start: from?.end ?? speechStart,
+      end: to?.start ?? speechEnd,
+      startStrength: from?.strength ?? 0,
+      endStrength: to?.strength ?? 0,
+      expected: (units[i]?.syllables ?? 0) * perSyllable,
+      actual: (mid[endEdge] ?? 0) - (mid[startEdge] ?? 0),
+    };
+  });
+}
+
+/**
+ * Spread aligned words over their nāmas: a word carrying several nāmas is
+ * divided by syllables, and a nāma over two words spans both.
+ * @param {Unit[]} units
+ * @param {NonNullable<ReturnType<typeof alignUnits>>} aligned
+ * @param {Map<number, { name: string, syllables: number }>} namaInfo
+ * @returns {AlignedNama[]}
+ */
+function namaTimings(units, aligned, namaInfo) {
+  /** @type {Map<number, AlignedNama>} */
+  const byNumber = new Map();
+
+  units.forEach((unit, i) => {
+    const span = aligned[i];
+    if (!span || unit.namas.length === 0) return;
+    const ratio = span.actual / span.expected;
+    const fit = Math.exp(-(Math.log(ratio) ** 2) / 0.5);
+
+    const weights = unit.namas.map((n) => namaInfo.get(n)?.syllables ?? 1);
+    const sum = weights.reduce((a, b) => a + b, 0);
+    let cursor = span.start;
+    unit.namas.forEach((number, k) => {
+      const length = ((span.end - span.start) * (weights[k] ?? 1)) / sum;
+      const startStrength = k === 0 ? span.startStrength : IN_WORD_BOUNDARY;
+      const endStrength = k === unit.namas.length - 1 ? span.endStrength : IN_WORD_BOUNDARY;
+
+      /** @type {string[]} */
+      const reasons = [];
+      if (startStrength < LOW_CONFIDENCE) reasons.push('weak pause before');
+      if (endStrength < LOW_CONFIDENCE) reasons.push('weak pause after');
+      if (fit < LOW_CONFIDENCE) reasons.push(`${ratio.toFixed(1)}× the expected length`);
+      if (unit.namas.length > 1) reasons.push(`split from "${unit.text}" by syllables`);
+
+      const timing = {
+        number,
+        name: namaInfo.get(number)?.name ?? '',
+        start: cursor,
+        end: cursor + length,
+        confidence: Math.min(startStrength, endStrength, fit),
+        reasons,
+      };
+      cursor += length;
+
+      // A nāma over two words: keep the first start, extend to this end.
+      const earlier = byNumber.get(number);
+      if (earlier) {
+        earlier.end = timing.end;
+        earlier.confidence = Math.min(earlier.confidence, timing.confidence);
+        earlier.reasons = [...new Set([...earlier.reasons, ...reasons])];
+      } else {
+        byNumber.set(number, timing);
+      }
+    });
+  });
+
+  return [...byNumber.values()];
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  const args = {
+    file: /** @type {string | null} */ (null),
+    id: /** @type {string | null} */ (null),
+    src: /** @type {string | null} */ (null),
+    reciter: /** @type {string | null} */ (null),
+    verses: /** @type {[number, number] | null} */ (null),
+    start: 0,
+    end: Infinity,
+    report: /** @type {string | null} */ (null),
+    dryRun: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--id') args.id = argv[++i] ?? null;
+    else if (arg === '--src') args.src = argv[++i] ?? null;
+    else if (arg === '--reciter') args.reciter = argv[++i] ?? null;
+    else if (arg === '--start') args.start = Number(argv[++i]);
+    else if (arg === '--end') args.end = Number(argv[++i]);
+    else if (arg === '--report') args.report = argv[++i] ?? null;
+    else if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--verses') {
+      const range = /^(\d+)(?:\s*[-–]\s*(\d+))?$/.exec(argv[++i] ?? '');
+      if (!range) throw new Error('--verses takes a verse number or range, e.g. 1-10');
+      args.verses = [Number(range[1]), Number(range[2] ?? range[1])];
+    } else if (arg) args.file = path.resolve(process.cwd(), arg);
+  }
+  return args;
+}
+
+const USAGE = `Usage: node scripts/align-audio.js <recitation.wav|.mp3> [options]
+
+WAV is read directly; MP3 and other formats are decoded with ffmpeg, which
+must be installed and on PATH.
+
+  --verses <a-b>     Verses the recording covers (default: all)
+  --start <seconds>  Skip an introduction before the first name
+  --end <seconds>    Ignore anything after this point
+  --id <id>          Track id in recitation.json (default: file name)
+  --src <url>        URL the app plays it from (default: its path under public/)
+  --reciter <name>   Shown next to the player
+  --report <file>    Where to write the review report (default:
+                     .data/recitation-review/<id>.json)
+  --dry-run          Report only; leave recitation.json alone`;
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.file) {
+      console.log(USAGE);
+      process.exitCode = 1;
+      return;
+    }
+
+    const relativeToPublic = path.relative(PUBLIC_DIR, args.file);
+    const src =
+      args.src ??
+      (relativeToPublic.startsWith('..') ? null : '/' + relativeToPublic.split(path.sep).join('/'));
+    if (!src && !args.dryRun) {
+      throw new Error('The audio is outside public/ — move it under public/audio/ or pass --src');
+    }
+    const id = args.id ?? path.basename(args.file, path.extname(args.file));
+
+    /** @type {Array<{ number: number, name: string }>} */
+    const namas = JSON.parse(await fs.readFile(NAMAS_PATH, 'utf8'));
+    /** @type {{ verses: Array<{ number: number, tokens: Array<Array<{ text: string, isWord: boolean, namas?: number[] }>> }> }} */
+    const { verses } = JSON.parse(await fs.readFile(VERSES_PATH, 'utf8'));
+    const [fromVerse, toVerse] = args.verses ?? [1, verses.length];
+
+    /** @type {Unit[]} */
+    const units = verses
+      .filter((v) => v.number >= fromVerse && v.number <= toVerse)
+      .flatMap((v) =>
+        v.tokens
+          .flat()
+          .filter((t) => t.isWord)
+          .map((t) => ({
+            text: t.text,
+            namas: t.namas ?? [],
+            syllables: Math.max(1, countSyllables(t.text)),
+          })),
+      );
+    if (units.length === 0) throw new Error(`No verses in ${fromVerse}–${toVerse}`);
+
+    const namaInfo = new Map(
+      namas.map((n) => [
+        n.number,
+        { name: n.name, syllables: Math.max(1, countSyllables((n.name.split('/')[0] ?? '').trim())) },
+      ]),
+    );
+
+    const buffer = await fs.readFile(args.file);
+    const audio = /\.wav$/i.test(args.file) ? decodeWav(buffer) : decodeWithFfmpeg(args.file);
+    const duration = audio.samples.length / audio.rate;
+    const energy = energyFrames(audio);
+    const found = findPauses(energy, args.start, Math.min(args.end, duration));
+
+    console.log(`ℹ️  ${path.basename(args.file)}: ${duration.toFixed(1)}s, speech ${found.speechStart.toFixed(1)}–${found.speechEnd.toFixed(1)}s`);
+    console.log(`ℹ️  ${found.pauses.length} pauses for ${units.length} words (verses ${fromVerse}–${toVerse})`);
+
+    const aligned = alignUnits(units, found);
+    if (!aligned) {
+      throw new Error(
+        `Could not fit ${units.length} words to the pauses found — check --verses, --start and --end, or that the recording is of these verses`,
+      );
+    }
+    const timings = namaTimings(units, aligned, namaInfo);
+    const low = timings.filter((t) => t.confidence < LOW_CONFIDENCE);
+
+    for (const t of low) {
+      console.log(
+        `⚠️  ${t.number}. ${t.name} ${t.start.toFixed(2)}–${t.end.toFixed(2)}s (confidence ${t.confidence.toFixed(2)}: ${t.reasons.join(', ')})`,
+      );
+    }
+
+    const report = {
+      audio: path.relative(projectRoot, args.file),
+      track: id,
+      verses: [fromVerse, toVerse],
+      words: units.length,
+      pauses: found.pauses.length,
+      lowConfidence: low.length,
+      namas: timings,
+    };
+    const reportPath = args.report ? path.resolve(process.cwd(), args.report) : path.join(REPORTS_DIR, `${id}.json`);
+    await fs.mkdir(path.dirname(reportPath), { recursive: true });
+    await fs.writeFile(reportPath, JSON.stringify(report, null, 2) + '\n', 'utf8');
+
+    if (!args.dryRun && src) {
+      /** @type {{ tracks: Array<{ id: string, src: string, reciter?: string, namas: Array<{ number: number, start: number, end: number }> }> }} */
+      const recitation = JSON.parse(await fs.readFile(RECITATION_PATH, 'utf8'));
+      const track = {
+        id,
+        src,
+        ...(args.reciter ? { reciter: args.reciter } : {}),
+        namas: timings.map((t) => ({
+          number: t.number,
+          start: Math.round(t.start * 100) / 100,
+          end: Math.round(t.end * 100) / 100,
+        })),
+      };
+      const at = recitation.tracks.findIndex((t) => t.id === id);
+      if (at >= 0) recitation.tracks[at] = track;
+      else recitation.tracks.push(track);
+      await fs.writeFile(RECITATION_PATH, JSON.stringify(recitation, null, 2) + '\n', 'utf8');
+    }
+
+    console.log(`\n${timings.length} nāmas timed: ${low.length} low-confidence`);
+    console.log(`   Review report written to ${path.relative(process.cwd(), reportPath)}`);
+    if (!args.dryRun && src) {
+      console.log(`   Track "${id}" written to ${path.relative(projectRoot, RECITATION_PATH)}`);
+    }
+    if (low.length === 0) console.log('✅ Every nāma aligned with confidence');
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error('Error:', errorMessage);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,186 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { findNamaRefs } from '../src/lib/nama-refs.js';
+import { parseRootText, rootTextLeaves } from '../src/lib/root-text.js';
+import { splitSentences } from '../src/lib/sentences.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const MANIFEST_PATH = path.resolve(projectRoot, 'src/commentaries/manifest.json');
+const COMMENTARIES_DIR = path.resolve(projectRoot, 'src/commentaries-json');
+const NAMAS_PATH = path.resolve(projectRoot, 'src/constants/namas.json');
+const ROOTS_PATH = path.resolve(projectRoot, 'src/constants/roots.json');
+const CROSSREFS_OUTPUT_PATH = path.resolve(projectRoot, 'src/constants/crossrefs.json');
+
+/**
+ * A dhātu shared by more nāmas than this (रूप्, मह्, कृ …) says little about
+ * how they relate, so it isn't linked.
+ */
+const MAX_ROOT_SHARE = 8;
+
+/** Longer sentences are cut to this much either side of the reference. */
+const MAX_SENTENCE = 320;
+const CONTEXT = 140;
+
+// What the sentence says about the two nāmas; anything else is a pointer.
+const OPPOSITE = /\b(?:opposite|contrary|contrast(?:s|ed)?|converse|unlike)\b/i;
+const COMPARE = /\b(?:compare[ds]?|cf\.|similar(?:ly)?|same (?:meaning|as|idea)|conveys? the same|repeat(?:s|ed)?|repetition)\b/i;
+
+/** @typedef {'opposite' | 'compare' | 'see'} Relation */
+
+/**
+ * @typedef {object} CommentaryLink
+ * @property {number} from Nāma whose commentary makes the reference
+ * @property {number} to Nāma referred to
+ * @property {string} source Commentary id (manifest.json)
+ * @property {Relation} relation
+ * @property {string} sentence The sentence making the reference
+ */
+
+/**
+ * @typedef {object} SharedRoot
+ * @property {string} root Dhātu in Devanagari, without √
+ * @property {string} iast
+ * @property {Array<{ number: number, lines: string[] }>} namas Each nāma on
+ *   the dhātu with its root.txt lines naming it
+ */
+
+/**
+ * The sentence, cut down around the reference when it runs long.
+ * @param {string} sentence
+ * @param {number} start
+ * @param {number} end
+ * @returns {string}
+ */
+function excerpt(sentence, start, end) {
+  if (sentence.length <= MAX_SENTENCE) return sentence;
+  const from = Math.max(0, start - CONTEXT);
+  const to = Math.min(sentence.length, end + CONTEXT);
+  return `${from > 0 ? '…' : ''}${sentence.slice(from, to).trim()}${to < sentence.length ? '…' : ''}`;
+}
+
+/**
+ * @param {string} sentence
+ * @returns {Relation}
+ */
+function relationOf(sentence) {
+  if (OPPOSITE.test(sentence)) return 'opposite';
+  if (COMPARE.test(sentence)) return 'compare';
+  return 'see';
+}
+
+/**
+ * Every reference one nāma's commentary makes to another, once per
+ * sentence.
+ * @param {string[]} names Canonical names, index + 1 = nāma number
+ * @param {string} source
+ * @param {Record<string, string>} entries
+ * @returns {CommentaryLink[]}
+ */
+function commentaryLinks(names, source, entries) {
+  /** @type {CommentaryLink[]} */
+  const links = [];
+  names.forEach((name, index) => {
+    const from = index + 1;
+    const text = (entries[name] ?? '').replace(/\s+/g, ' ').trim();
+    for (const sentence of splitSentences(text)) {
+      /** @type {Set<number>} */
+      const seen = new Set();
+      for (const ref of findNamaRefs(sentence)) {
+        if (ref.nama === from || seen.has(ref.nama)) continue;
+        seen.add(ref.nama);
+        links.push({
+          from,
+          to: ref.nama,
+          source,
+          relation: relationOf(sentence),
+          sentence: excerpt(sentence, ref.start, ref.end),
+        });
+      }
+    }
+  });
+  return links;
+}
+
+/**
+ * The dhātus in roots.json that a handful of nāmas share, with the root.txt
+ * lines tying each nāma to it.
+ * @param {string[]} names
+ * @param {Record<string, string>} rootTexts root.json
+ * @param {Array<{ root: string, iast: string, namas: number[] }>} roots roots.json
+ * @returns {SharedRoot[]}
+ */
+function sharedRoots(names, rootTexts, roots) {
+  return roots
+    .filter((entry) => entry.namas.length > 1 && entry.namas.length <= MAX_ROOT_SHARE)
+    .map((entry) => ({
+      root: entry.root,
+      iast: entry.iast,
+      namas: entry.namas.map((number) => {
+        const text = rootTexts[names[number - 1] ?? ''] ?? '';
+        const lookup = parseRootText(text)?.lookup ?? new Map();
+        const lines = rootTextLeaves(text)
+          .filter((leaf) => leaf.roots.includes(entry.root))
+          .map((leaf) => `${leaf.part} -> ${lookup.get(leaf.part)}`);
+        return { number, lines };
+      }),
+    }));
+}
+
+async function main() {
+  try {
+    /** @type {Array<{ id: string, role: string }>} */
+    const manifest = JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf8'));
+    /** @type {Array<{ name: string }>} */
+    const namas = JSON.parse(await fs.readFile(NAMAS_PATH, 'utf8'));
+    /** @type {Array<{ root: string, iast: string, namas: number[] }>} */
+    const roots = JSON.parse(await fs.readFile(ROOTS_PATH, 'utf8'));
+    const names = namas.map((n) => n.name);
+
+    /** @type {CommentaryLink[]} */
+    const links = [];
+    /** @type {Record<string, string>} */
+    let rootTexts = {};
+    for (const { id, role } of manifest) {
+      /** @type {Record<string, string>} */
+      const entries = JSON.parse(await fs.readFile(path.join(COMMENTARIES_DIR, `${id}.json`), 'utf8'));
+      if (role === 'breakdown') {
+        rootTexts = entries;
+        continue;
+      }
+      const found = commentaryLinks(names, id, entries);
+      if (found.length > 0) console.log(`   ${id}: ${found.length} references`);
+      links.push(...found);
+    }
+    links.sort((a, b) => a.from - b.from || a.to - b.to);
+
+    const shared = sharedRoots(names, rootTexts, roots);
+    const unlinked = shared.flatMap((r) => r.namas).filter((n) => n.lines.length === 0);
+    for (const n of unlinked) console.log(`✗ Nāma ${n.number} is indexed under a dhātu its breakdown doesn't name`);
+
+    await fs.writeFile(CROSSREFS_OUTPUT_PATH, JSON.stringify({ links, roots: shared }, null, 2) + '\n', 'utf8');
+
+    const linked = new Set(links.flatMap((l) => [l.from, l.to]));
+    const byRelation = links.reduce(
+      (counts, l) => ({ ...counts, [l.relation]: (counts[l.relation] ?? 0) + 1 }),
+      /** @type {Record<string, number>} */ ({}),
+    );
+    const relations = Object.entries(byRelation)
+      .map(([relation, count]) => `${count} ${relation}`)
+      .join(', ');
+    console.log(`\n${links.length} commentary links (${relations}) across ${linked.size} nāmas`);
+    console.log(`${shared.length} dhātus shared by 2–${MAX_ROOT_SHARE} nāmas`);
+    console.log(`   Written to ${path.relative(projectRoot, CROSSREFS_OUTPUT_PATH)}`);
+    if (unlinked.length > 0) process.exitCode = 1;
+    else console.log('✅ Cross-references built');
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error('Error:', errorMessage);
+    process.exitCode = 1;
+  }
+}
+
+main();
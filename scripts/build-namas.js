@@ -0,0 +1,291 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseWordsFromLine, resolveNameKeys } from '../src/lib/name-matching.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const SANSKRIT_PATH = path.resolve(projectRoot, 'src/constants/sanskrit.txt');
+const SANSKRITDOCUMENTS_PATH = path.resolve(projectRoot, 'src/commentaries-json/sanskritdocuments.json');
+const NAMAS_OUTPUT_PATH = path.resolve(projectRoot, 'src/constants/namas.json');
+
+const CONCLUDING_LINE = /एवं\s+श्रीललिता\s+देव्या\s+नाम्नां\s+साहस्रकं\s+जगुः/;
+
+/**
+ * Spellings sanskrit.txt uses for a name that the matcher can't derive from
+ * the commentary key. Keyed by the commentary key.
+ * @type {Record<string, string[]>}
+ */
+const KNOWN_SPELLINGS = {
+  'वारुणी मदविव्हला': ['वारुणीमदविह्वला'],
+  'राज्यलक्ष्मी': ['राज्यलक्ष्मीः'],
+  'शिवशक्तैक्यरूपिणी': ['शिवशक्त्यैक्यरूपिणी'],
+  'सुधास्रुतिः / सृतिः': ['सुधास्रुतिः', 'सुधासृतिः'],
+  // Alternate traditional reading — the commentaries follow the other one.
+  'बर्बरालका': ['बन्धुरालका'],
+};
+
+/**
+ * Verse words that join two names with no sandhi marker to split on.
+ * @type {Record<string, string[]>}
+ */
+const FUSED_WORDS = {
+  'ब्रह्मजननी': ['ब्रह्म', 'जननी'],
+  'धराधरसुता': ['धरा', 'धरसुता'],
+  'त्रिगुणाम्बा': ['त्रिगुणा', 'अम्बा'],
+};
+
+/**
+ * A resolved match more than this many names past the next expected one is
+ * taken to be a repeated name (तत्त्वमयी, साध्वी, …) and ignored.
+ */
+const MAX_SKIP = 12;
+
+/**
+ * @typedef {object} NamaEntry
+ * @property {number} number
+ * @property {string} name Canonical Devanagari — the key every commentary JSON uses
+ * @property {string[]} variants Other known spellings of the name
+ * @property {number} verse Verse number in sanskrit.txt
+ * @property {number} position 1-based position among the nāmas of its verse
+ * @property {string} sandhiForm The verse word(s) carrying the name, as printed
+ */
+
+/**
+ * @typedef {object} VerseWord
+ * @property {string} word As printed, dashes kept
+ * @property {number} verse
+ * @property {number[]} candidates Nāma numbers the word resolves to, in order
+ * @property {string[]} spellings Spelling of each candidate in the verse, when known
+ */
+
+/**
+ * Words of sanskrit.txt in reading order. Verses are blank-line separated
+ * chunks, as in convert-sanskrit.js; the concluding line is skipped.
+ * @param {string} text
+ * @returns {Array<{ word: string, verse: number, components?: string[] }>}
+ */
+function readVerseWords(text) {
+  return text
+    .trim()
+    .split(/\n\s*\n/)
+    .flatMap((chunk, i) =>
+      chunk
+        .split('\n')
+        .filter((line) => line.trim() && !CONCLUDING_LINE.test(line))
+        .flatMap((line) => parseWordsFromLine(line.trim()))
+        .filter((item) => item.isWord)
+        .map((item) => ({ word: item.word, verse: i + 1, components: item.breakdownComponents })),
+    );
+}
+
+/**
+ * Spelling forms of a commentary key: the key itself, without dashes and
+ * spaces, each "/" alternative, and any KNOWN_SPELLINGS.
+ * @param {string} key
+ * @returns {string[]}
+ */
+function keySpellings(key) {
+  const forms = [key, key.replace(/[-\s]/g, ''), ...(KNOWN_SPELLINGS[key] ?? [])];
+  if (key.includes('/')) forms.push((key.split('/')[0] ?? '').trim());
+  return [...new Set(forms.filter(Boolean))];
+}
+
+/**
+ * Resolve each verse word to the nāma numbers it may carry: exact spelling
+ * first, then FUSED_WORDS, then the fuzzy/sandhi matcher.
+ * @param {Array<{ word: string, verse: number, components?: string[] }>} words
+ * @param {Record<string, string>} sanskritDocs
+ * @param {Map<string, number>} bySpelling
+ * @returns {VerseWord[]}
+ */
+function resolveWords(words, sanskritDocs, bySpelling) {
+  const names = Object.keys(sanskritDocs);
+  const numberOf = new Map(names.map((name, i) => [name, i + 1]));
+
+  return words.map(({ word, verse, components }) => {
+    const dashless = word.replace(/-/g, '');
+    /** @type {number[]} */
+    const candidates = [];
+    /** @type {string[]} */
+    const spellings = [];
+
+    const tokens = components ?? FUSED_WORDS[dashless] ?? [word];
+    for (const token of tokens) {
+      const plain = token.replace(/-/g, '');
+      const exact = bySpelling.get(plain);
+      if (exact !== undefined) {
+        candidates.push(exact);
+        spellings.push(plain);
+        continue;
+      }
+      const keys = resolveNameKeys(token, sanskritDocs) ?? [];
+      for (const key of keys) {
+        const n = numberOf.get(key);
+        if (n === undefined) continue;
+        candidates.push(n);
+        // A lone fuzzy match is a spelling variant; a sandhi split isn't.
+        spellings.push(keys.length === 1 ? plain : '');
+      }
+    }
+    return { word, verse, candidates, spellings };
+  });
+}
+
+/**
+ * Walk the verse words against the canonical order. A word whose match is
+ * the next name (or a little past it) anchors the alignment; names skipped
+ * between two anchors are handed to the unmatched words in that stretch, in
+ * order. Those hand-offs are reported as low-confidence.
+ * @param {VerseWord[]} words
+ * @param {number} total
+ * @returns {{ placements: Map<number, { words: VerseWord[], spelling: string }>, guessed: number[], extraWords: VerseWord[] }}
+ */
+function alignNamas(words, total) {
+  /** @type {Map<number, { words: VerseWord[], spelling: string }>} */
+  const placements = new Map();
+  /** @type {number[]} */
+  const guessed = [];
+  /** @type {VerseWord[]} */
+  const extraWords = [];
+  /** @type {VerseWord[]} */
+  let pending = [];
+  let next = 1;
+
+  /** @param {number} upTo First name number not in the gap */
+  const fillGap = (upTo) => {
+    const gap = [];
+    for (let n = next; n < upTo; n++) gap.push(n);
+    if (gap.length === 0) {
+      extraWords.push(...pending);
+    } else if (pending.length > 0) {
+      gap.forEach((n, i) => {
+        const last = i === gap.length - 1;
+        const from = Math.min(i, pending.length - 1);
+        const to = last ? pending.length : from + 1;
+        placements.set(n, { words: pending.slice(from, to), spelling: '' });
+        guessed.push(n);
+      });
+    }
+    pending = [];
+  };
+
+  for (const word of words) {
+    const first = word.candidates[0];
+    const ordered = word.candidates.every((n, i) => i === 0 || n === (word.candidates[i - 1] ?? 0) + 1);
+    if (first === undefined || !ordered || first < next || first > next + MAX_SKIP) {
+      pending.push(word);
+      continue;
+    }
+    fillGap(first);
+    word.candidates.forEach((n, i) => {
+      placements.set(n, { words: [word], spelling: word.spellings[i] ?? '' });
+    });
+    next = (word.candidates.at(-1) ?? next) + 1;
+  }
+  fillGap(total + 1);
+
+  return { placements, guessed, extraWords };
+}
+
+/**
+ * Assemble the table and check it: every name placed, verses in order and
+ * positions contiguous within each verse.
+ * @param {string[]} names
+ * @param {ReturnType<typeof alignNamas>['placements']} placements
+ * @returns {{ entries: NamaEntry[], errors: string[] }}
+ */
+function buildEntries(names, placements) {
+  /** @type {NamaEntry[]} */
+  const entries = [];
+  /** @type {string[]} */
+  const errors = [];
+  let verse = 1;
+  let position = 0;
+
+  names.forEach((name, i) => {
+    const number = i + 1;
+    const placement = placements.get(number);
+    if (!placement || placement.words.length === 0) {
+      errors.push(`${number}. ${name} — not found in sanskrit.txt`);
+      return;
+    }
+    const first = placement.words[0];
+    if (!first) return;
+    if (first.verse < verse) {
+      errors.push(`${number}. ${name} — placed in verse ${first.verse}, after verse ${verse}`);
+    }
+    position = first.verse === verse ? position + 1 : 1;
+    verse = first.verse;
+
+    const variants = keySpellings(name).filter((s) => s !== name);
+    if (placement.spelling && placement.spelling !== name && !variants.includes(placement.spelling)) {
+      variants.push(placement.spelling);
+    }
+
+    entries.push({
+      number,
+      name,
+      variants,
+      verse,
+      position,
+      sandhiForm: placement.words.map((w) => w.word).join(' '),
+    });
+  });
+
+  return { entries, errors };
+}
+
+async function main() {
+  try {
+    /** @type {Record<string, string>} */
+    const sanskritDocs = JSON.parse(await fs.readFile(SANSKRITDOCUMENTS_PATH, 'utf8'));
+    const sanskritText = await fs.readFile(SANSKRIT_PATH, 'utf8');
+    const names = Object.keys(sanskritDocs);
+
+    /** @type {Map<string, number>} */
+    const bySpelling = new Map();
+    /** @type {string[]} */
+    const warnings = [];
+    names.forEach((name, i) => {
+      for (const spelling of keySpellings(name)) {
+        const other = bySpelling.get(spelling);
+        if (other !== undefined && other !== i + 1) {
+          warnings.push(`"${spelling}" spells both ${other} and ${i + 1}`);
+        }
+        bySpelling.set(spelling, i + 1);
+      }
+    });
+
+    const words = resolveWords(readVerseWords(sanskritText), sanskritDocs, bySpelling);
+    const { placements, guessed, extraWords } = alignNamas(words, names.length);
+    const { entries, errors } = buildEntries(names, placements);
+
+    for (const n of guessed) {
+      const entry = entries[n - 1];
+      if (entry) warnings.push(`${n}. ${entry.name} — placed by order at "${entry.sandhiForm}" (verse ${entry.verse})`);
+    }
+
+    await fs.writeFile(NAMAS_OUTPUT_PATH, JSON.stringify(entries, null, 2) + '\n', 'utf8');
+
+    for (const word of extraWords) {
+      console.log(`ℹ️  Verse word with no nāma: ${word.word} (verse ${word.verse})`);
+    }
+    for (const warning of warnings) console.log(`⚠️  ${warning}`);
+    for (const error of errors) console.log(`✗ ${error}`);
+
+    const verses = new Set(entries.map((e) => e.verse)).size;
+    console.log(`\n${entries.length} nāmas across ${verses} verses: ${errors.length} errors, ${warnings.length} warnings`);
+    console.log(`   Written to ${path.relative(projectRoot, NAMAS_OUTPUT_PATH)}`);
+    if (errors.length === 0) console.log('✅ Every nāma is placed in verse order');
+    if (errors.length > 0) process.exitCode = 1;
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error('Error:', errorMessage);
+    process.exitCode = 1;
+  }
+}
+
+main();
@@ -0,0 +1,113 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { rootTextLeaves } from '../src/lib/root-text.js';
+import { toIAST } from '../src/lib/transliterate.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const NAMAS_PATH = path.resolve(projectRoot, 'src/constants/namas.json');
+const ROOT_JSON_PATH = path.resolve(projectRoot, 'src/commentaries-json/root.json');
+const ROOTS_OUTPUT_PATH = path.resolve(projectRoot, 'src/constants/roots.json');
+
+/** Glosses kept per dhātu on the summary line. */
+const MAX_GLOSSES = 8;
+
+/**
+ * @typedef {object} RootComponent
+ * @property {string} part Component as it appears in the breakdown (e.g. भानु)
+ * @property {string[]} meanings English glosses, union across nāmas
+ * @property {number[]} namas Nāma numbers using this component
+ */
+
+/**
+ * @typedef {object} RootEntry
+ * @property {string} root Dhātu in Devanagari, without √
+ * @property {string} iast
+ * @property {string[]} glosses Most frequent glosses across its components
+ * @property {number[]} namas Every nāma with a component on this root
+ * @property {RootComponent[]} components
+ */
+
+/**
+ * Build the dhātu → component → nāma graph from the root breakdowns.
+ * @param {string[]} names Canonical names, index + 1 = nāma number
+ * @param {Record<string, string>} rootTexts root.json
+ * @returns {RootEntry[]}
+ */
+function buildRootIndex(names, rootTexts) {
+  /** @type {Map<string, Map<string, { meanings: Set<string>, namas: Set<number> }>>} */
+  const byRoot = new Map();
+
+  names.forEach((name, index) => {
+    const text = rootTexts[name];
+    if (!text) return;
+    for (const leaf of rootTextLeaves(text)) {
+      for (const root of leaf.roots) {
+        const components = byRoot.get(root) ?? new Map();
+        byRoot.set(root, components);
+        const component = components.get(leaf.part) ?? { meanings: new Set(), namas: new Set() };
+        components.set(leaf.part, component);
+        leaf.meanings.forEach((m) => component.meanings.add(m));
+        component.namas.add(index + 1);
+      }
+    }
+  });
+
+  /** @type {RootEntry[]} */
+  const entries = [];
+  for (const [root, componentMap] of byRoot) {
+    const components = [...componentMap]
+      .map(([part, { meanings, namas }]) => ({
+        part,
+        meanings: [...meanings],
+        namas: [...namas].sort((a, b) => a - b),
+      }))
+      .sort((a, b) => b.namas.length - a.namas.length || a.part.localeCompare(b.part, 'sa'));
+
+    /** @type {Map<string, number>} */
+    const glossCounts = new Map();
+    for (const c of components) {
+      for (const m of c.meanings) glossCounts.set(m, (glossCounts.get(m) ?? 0) + c.namas.length);
+    }
+    const glosses = [...glossCounts]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_GLOSSES)
+      .map(([m]) => m);
+
+    const namas = [...new Set(components.flatMap((c) => c.namas))].sort((a, b) => a - b);
+    entries.push({ root, iast: toIAST(root), glosses, namas, components });
+  }
+
+  return entries.sort((a, b) => b.namas.length - a.namas.length || a.root.localeCompare(b.root, 'sa'));
+}
+
+async function main() {
+  try {
+    /** @type {Array<{ name: string }>} */
+    const namas = JSON.parse(await fs.readFile(NAMAS_PATH, 'utf8'));
+    /** @type {Record<string, string>} */
+    const rootTexts = JSON.parse(await fs.readFile(ROOT_JSON_PATH, 'utf8'));
+    const names = namas.map((n) => n.name);
+
+    const missing = names.filter((name) => !rootTexts[name]);
+    if (missing.length > 0) {
+      console.log(`ℹ️  Info: ${missing.length} names have no root breakdown yet`);
+    }
+
+    const entries = buildRootIndex(names, rootTexts);
+    await fs.writeFile(ROOTS_OUTPUT_PATH, JSON.stringify(entries, null, 2) + '\n', 'utf8');
+
+    const components = entries.reduce((sum, e) => sum + e.components.length, 0);
+    console.log(`✅ Indexed ${entries.length} dhātus across ${components} components`);
+    console.log(`   Written to ${path.relative(projectRoot, ROOTS_OUTPUT_PATH)}`);
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error('Error:', errorMessage);
+    process.exitCode = 1;
+  }
+}
+
+main();
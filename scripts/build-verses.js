@@ -0,0 +1,173 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { parseWordsFromLine } from '../src/lib/name-matching.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const SANSKRIT_PATH = path.resolve(projectRoot, 'src/constants/sanskrit.txt');
+const NAMAS_PATH = path.resolve(projectRoot, 'src/constants/namas.json');
+const VERSES_OUTPUT_PATH = path.resolve(projectRoot, 'src/constants/verses.json');
+
+const CONCLUDING_LINE = /एवं\s+श्रीललिता\s+देव्या\s+नाम्नां\s+साहस्रकं\s+जगुः/;
+
+/**
+ * @typedef {object} VerseToken
+ * @property {string} text As printed: a word, a space, punctuation or a "(N)"/"॥ N ॥" marker
+ * @property {boolean} isWord Whether the token is a verse word (alternate readings in parens are not)
+ * @property {number[]} [namas] Nāma numbers the word carries, in order
+ * @property {string[]} [components] The verse's own split of the word, from a "[a + b]" breakdown
+ *
+ * @typedef {object} Verse
+ * @property {number} number
+ * @property {string[]} lines As printed, breakdowns included
+ * @property {VerseToken[][]} tokens Per line
+ *
+ * @typedef {object} Nama
+ * @property {number} number
+ * @property {string} name
+ * @property {number} verse
+ * @property {string} sandhiForm
+ */
+
+/**
+ * sanskrit.txt as verses: blank-line separated chunks, numbered in order.
+ * The concluding "एवं श्रीललिता…" line belongs to no verse.
+ * @param {string} text
+ * @returns {{ verses: Array<{ number: number, lines: string[] }>, closingLine: string | null }}
+ */
+function readVerses(text) {
+  /** @type {string | null} */
+  let closingLine = null;
+  const verses = text
+    .trim()
+    .split(/\n\s*\n/)
+    .map((chunk) =>
+      chunk
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => {
+          if (!CONCLUDING_LINE.test(line)) return Boolean(line);
+          closingLine = line;
+          return false;
+        }),
+    )
+    .filter((lines) => lines.length > 0)
+    .map((lines, i) => ({ number: i + 1, lines }));
+  return { verses, closingLine };
+}
+
+/**
+ * The verse's nāmas as a queue of words to meet in reading order. Nāmas
+ * fused into one verse word share a token; a nāma spread over two words
+ * gets one per word.
+ * @param {Nama[]} namas Nāmas of one verse, in order
+ * @returns {Array<{ word: string, namas: number[] }>}
+ */
+function namaQueue(namas) {
+  /** @type {Array<{ word: string, namas: number[] }>} */
+  const queue = [];
+  /** @type {Nama | null} */
+  let previous = null;
+  for (const nama of namas) {
+    if (previous && previous.sandhiForm === nama.sandhiForm) {
+      queue.at(-1)?.namas.push(nama.number);
+    } else {
+      for (const word of nama.sandhiForm.split(' ')) {
+        queue.push({ word, namas: [nama.number] });
+      }
+    }
+    previous = nama;
+  }
+  return queue;
+}
+
+/**
+ * Tokenise one verse and hand each word the nāmas namas.json places on it.
+ * Words are matched to the queue in order by their printed form.
+ * @param {{ number: number, lines: string[] }} verse
+ * @param {Nama[]} namas Nāmas of this verse, in order
+ * @param {string[]} errors
+ * @param {string[]} notes
+ * @returns {Verse}
+ */
+function linkVerse(verse, namas, errors, notes) {
+  const queue = namaQueue(namas);
+  let cursor = 0;
+
+  const tokens = verse.lines.map((line) =>
+    parseWordsFromLine(line).map((item) => {
+      /** @type {VerseToken} */
+      const token = { text: item.word, isWord: item.isWord };
+      if (!item.isWord) return token;
+      if (item.breakdownComponents) token.components = item.breakdownComponents;
+
+      const next = queue[cursor];
+      if (next?.word === item.word) {
+        token.namas = next.namas;
+        cursor++;
+      } else {
+        notes.push(`Verse word with no nāma: ${item.word} (verse ${verse.number})`);
+      }
+      return token;
+    }),
+  );
+
+  for (const missed of queue.slice(cursor)) {
+    errors.push(`${missed.namas.join(', ')}. "${missed.word}" not met in verse ${verse.number}`);
+  }
+  return { number: verse.number, lines: verse.lines, tokens };
+}
+
+async function main() {
+  try {
+    const text = await fs.readFile(SANSKRIT_PATH, 'utf8');
+    /** @type {Nama[]} */
+    const namas = JSON.parse(await fs.readFile(NAMAS_PATH, 'utf8'));
+
+    /** @type {string[]} */
+    const errors = [];
+    /** @type {string[]} */
+    const notes = [];
+
+    const { verses, closingLine } = readVerses(text);
+    const linked = verses.map((verse) =>
+      linkVerse(
+        verse,
+        namas.filter((n) => n.verse === verse.number),
+        errors,
+        notes,
+      ),
+    );
+
+    const placed = new Set(
+      linked.flatMap((v) => v.tokens.flat().flatMap((t) => t.namas ?? [])),
+    );
+    for (const nama of namas) {
+      if (!placed.has(nama.number)) errors.push(`${nama.number}. ${nama.name} — on no verse word`);
+    }
+
+    await fs.writeFile(
+      VERSES_OUTPUT_PATH,
+      JSON.stringify({ verses: linked, closingLine }, null, 2) + '\n',
+      'utf8',
+    );
+
+    for (const note of notes) console.log(`ℹ️  ${note}`);
+    for (const error of errors) console.log(`✗ ${error}`);
+
+    const words = linked.flatMap((v) => v.tokens.flat()).filter((t) => t.isWord).length;
+    console.log(`\n${linked.length} verses, ${words} words, ${placed.size}/${namas.length} nāmas placed: ${errors.length} errors`);
+    console.log(`   Written to ${path.relative(projectRoot, VERSES_OUTPUT_PATH)}`);
+    if (errors.length === 0) console.log('✅ Every nāma is on its verse word');
+    if (errors.length > 0) process.exitCode = 1;
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error('Error:', errorMessage);
+    process.exitCode = 1;
+  }
+}
+
+main();
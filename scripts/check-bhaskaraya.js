@@ -0,0 +1,124 @@
+import { nameSkeleton, parseBhaskaraya } from '../src/lib/bhaskaraya.js';
+import { outcome, runChecks, tally } from './check-runner.js';
+
+/** Canonical names 1–10, as in namas.json. */
+const NAMES = [
+  'श्रीमाता',
+  'श्रीमहाराज्ञी',
+  'श्रीमत्सिंहासनेश्वरी',
+  'चिदग्निकुण्डसम्भूता',
+  'देवकार्यसमुद्यता',
+  'उद्यद्भानुसहस्राभा',
+  'चतुर्बाहुसमन्विता',
+  'रागस्वरूपपाशाढ्या',
+  'क्रोधाकाराङ्कुशोज्ज्वला',
+  'मनोरूपेक्षुकोदण्डा',
+];
+
+/**
+ * A source in the bhaskaraya.txt layout: a preamble, single and multi-nāma
+ * headings in Devanagari and Arabic numerals, a quoted numbered verse that
+ * isn't a heading, English on its own line and inline, a hyphenated and a
+ * short-vowel headword, and two headings that don't agree with the names.
+ */
+const SOURCE = `सौभाग्यभास्करः
+Preamble before the first heading is skipped.
+
+॥ १ ॥ श्रीमाता
+श्रीमातेति पदं प्रथमम् ।
+English:
+The auspicious Mother.
+
+॥ २ ॥ श्रीमहाराज्ञि
+महाराज्ञीति ।
+
+॥ ३ ॥ श्रीमत्-सिंहासनेश्वरी
+सिंहासनेश्वरीति ।
+॥ २ ॥ इति पूर्वमुक्तम् ।
+
+॥ ४-५ ॥ चिदग्निकुण्डसम्भूता देवकार्यसमुद्यता
+उभयोरेकं व्याख्यानम् ।
+English: Born of the fire-pit of consciousness, intent on the gods' work.
+
+॥ 6 ॥ उद्यद्भानुसहस्राभा
+सहस्राभेति ।
+
+॥ ७ ॥ चतुर्बाहुसमन्वितं
+समन्वितेति ।
+
+॥ ८ ॥ रागस्वरूप पाशाढ्या
+पाशाढ्येति ।
+`;
+
+/** Expected outcome of parsing SOURCE against NAMES. */
+const EXPECTED = {
+  commentaries: /** @type {Record<number, string>} */ ({
+    1: 'श्रीमातेति पदं प्रथमम् ।\n\nEnglish: The auspicious Mother.',
+    2: 'महाराज्ञीति ।',
+    3: 'सिंहासनेश्वरीति ।\n॥ २ ॥ इति पूर्वमुक्तम् ।',
+    4: "॥ ४-५ ॥ चिदग्निकुण्डसम्भूता देवकार्यसमुद्यता\nउभयोरेकं व्याख्यानम् ।\n\nEnglish: Born of the fire-pit of consciousness, intent on the gods' work.",
+    5: "॥ ४-५ ॥ चिदग्निकुण्डसम्भूता देवकार्यसमुद्यता\nउभयोरेकं व्याख्यानम् ।\n\nEnglish: Born of the fire-pit of consciousness, intent on the gods' work.",
+    6: 'सहस्राभेति ।',
+    7: 'समन्वितेति ।',
+    8: 'पाशाढ्येति ।',
+  }),
+  unmatched: [9, 10],
+  mismatches: ['॥ 7 ॥ चतुर्बाहुसमन्वितं ≠ 7. चतुर्बाहुसमन्विता', '॥ 8 ॥ names 2 nāmas for 1 numbers'],
+};
+
+/**
+ * Headword / canonical pairs and whether the heading check should accept
+ * them: vowel length and punctuation are spelling; anusvāra, visarga and
+ * virāma make a different word.
+ * @type {Array<[headword: string, canonical: string, same: boolean]>}
+ */
+const SKELETON_FIXTURES = [
+  ['श्रीमत्-सिंहासनेश्वरी', 'श्रीमत्सिंहासनेश्वरी', true],
+  ['श्रीमहाराज्ञि', 'श्रीमहाराज्ञी', true],
+  ['सर्वारुणाऽनवद्याङ्गी', 'सर्वारुणानवद्याङ्गी', true],
+  ['निरुपाधि', 'निरुपाधिः', false],
+  ['वशा', 'वंशा', false],
+  ['श्रीमत्', 'श्रीमाता', false],
+  ['चतुर्बाहुसमन्वितं', 'चतुर्बाहुसमन्विता', false],
+];
+
+/**
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkParse() {
+  /** @type {string[]} */
+  const failures = [];
+  const { commentaries, coverage } = parseBhaskaraya(SOURCE, NAMES);
+
+  NAMES.forEach((name, i) => {
+    const expected = EXPECTED.commentaries[i + 1];
+    const actual = commentaries[name];
+    if (actual !== expected) {
+      failures.push(`${i + 1}. ${name}: got ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+    }
+  });
+  if (coverage.unmatched.join(',') !== EXPECTED.unmatched.join(',')) {
+    failures.push(`unmatched: got ${coverage.unmatched.join(', ')}, expected ${EXPECTED.unmatched.join(', ')}`);
+  }
+  const extra = coverage.mismatches.filter((m) => !EXPECTED.mismatches.includes(m));
+  const missing = EXPECTED.mismatches.filter((m) => !coverage.mismatches.includes(m));
+  for (const m of extra) failures.push(`unexpected mismatch warning: ${m}`);
+  for (const m of missing) failures.push(`missing mismatch warning: ${m}`);
+  return { failures, summary: outcome(failures, 'sections, coverage and warnings as expected') };
+}
+
+/**
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkSkeletons() {
+  /** @type {string[]} */
+  const failures = [];
+  for (const [headword, canonical, same] of SKELETON_FIXTURES) {
+    if ((nameSkeleton(headword) === nameSkeleton(canonical)) !== same) {
+      failures.push(`${headword} and ${canonical} should ${same ? '' : 'not '}match`);
+    }
+  }
+  return { failures, summary: tally(SKELETON_FIXTURES.length, failures, 'name pairs compared correctly') };
+}
+
+runChecks('Bhāskararāya parser fixtures', { Parse: checkParse, Headings: checkSkeletons });
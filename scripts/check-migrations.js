@@ -0,0 +1,169 @@
+import { isDeepStrictEqual } from 'node:util';
+import { CURRENT_VERSION, MIGRATIONS, migrateProgress } from '../src/lib/srs-migrations';
+import { outcome, runChecks } from './check-runner.js';
+
+/**
+ * Decks as each version of the site saved them. Add one whenever
+ * CURRENT_VERSION goes up, saved by the version before.
+ */
+const FIXTURES = [
+  {
+    name: 'v1, first release (SM-2 only, no log)',
+    deck: {
+      version: 1,
+      cards: {
+        'numberToNama:1': { mode: 'numberToNama', nama: 1, ef: 2.5, interval: 6, reps: 2, lapses: 0, due: '2025-03-10', lastReview: '2025-03-04' },
+      },
+      settings: { modes: ['numberToNama', 'namaToMeaning'], dailyNew: 5, dailyMaxReviews: 40 },
+      stats: { totalReviews: 2, totalLapses: 0, streakDays: 2, lastSessionDate: '2025-03-04', reviewsToday: 1, reviewsTodayDate: '2025-03-04', newToday: 0, newTodayDate: '2025-03-04' },
+    },
+  },
+  {
+    name: 'v1, multiple choice and FSRS, no decks',
+    deck: {
+      version: 1,
+      cards: {},
+      settings: { modes: ['numberToNama'], dailyNew: 10, dailyMaxReviews: 80, multipleChoice: true, scheduler: 'fsrs', desiredRetention: 0.85 },
+      stats: { totalReviews: 0, totalLapses: 0, streakDays: 0, reviewsToday: 0, newToday: 0 },
+      log: [],
+    },
+  },
+  {
+    name: 'v1, last release (log, sync, decks)',
+    deck: {
+      version: 1,
+      cards: {
+        'verseCloze:3': { mode: 'verseCloze', nama: 3, ef: 2.36, interval: 1, reps: 1, lapses: 1, due: '2026-05-02', lastReview: '2026-05-01', stability: 0.4, difficulty: 7.1 },
+      },
+      settings: { modes: ['verseCloze'], dailyNew: 3, dailyMaxReviews: 60, multipleChoice: false, scheduler: 'sm2', desiredRetention: 0.9, syncDeck: 'b6a3f0e2-17c4-4d3b-9d9e-2f3a4c5d6e7f', activeDeck: 'ch1' },
+      stats: { totalReviews: 1, totalLapses: 1, streakDays: 1, lastSessionDate: '2026-05-01', reviewsToday: 1, reviewsTodayDate: '2026-05-01', newToday: 1, newTodayDate: '2026-05-01', deckReviewsToday: { ch1: 1 }, deckNewToday: { ch1: 1 } },
+      log: [{ card: 'verseCloze:3', quality: 0, at: '2026-05-01T06:30:00.000Z', elapsedDays: 0, durationMs: 5400, intervalBefore: 0, intervalAfter: 1 }],
+      decks: [{ id: 'ch1', name: 'Chapter 1', scope: { kind: 'chapter', chapter: 1 }, dailyNew: 3, dailyMaxReviews: 60 }],
+    },
+  },
+];
+
+/** What every deck at the current version has. */
+const SETTINGS_KEYS = ['modes', 'dailyNew', 'dailyMaxReviews', 'multipleChoice', 'scheduler', 'desiredRetention', 'syncDeck', 'activeDeck'];
+const STATS_KEYS = ['totalReviews', 'totalLapses', 'streakDays', 'reviewsToday', 'reviewsTodayDate', 'newToday', 'newTodayDate', 'deckReviewsToday', 'deckNewToday'];
+
+/** @param {unknown} value */
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * @param {unknown} value
+ * @returns {Record<string, unknown>}
+ */
+const fields = (value) => (value && typeof value === 'object' ? /** @type {Record<string, unknown>} */ (value) : {});
+
+/**
+ * Each step moves exactly one version on, and there's a step from every
+ * version below the current one.
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkChain() {
+  /** @type {string[]} */
+  const failures = [];
+  if (MIGRATIONS.length !== CURRENT_VERSION - 1) {
+    failures.push(`${MIGRATIONS.length} migrations for versions 1..${CURRENT_VERSION}`);
+  }
+  MIGRATIONS.forEach((step, i) => {
+    const version = fields(step({ version: i + 1 })).version;
+    if (version !== i + 2) failures.push(`step ${i + 1} → ${i + 2} produced version ${version}`);
+  });
+  return { failures, summary: `v1 → v${CURRENT_VERSION}, ${outcome(failures)}` };
+}
+
+/**
+ * A fixture migrates to a complete current deck, keeps everything it
+ * recorded, migrates no further the second time, and isn't changed itself.
+ * @param {{ name: string, deck: Record<string, unknown> }} fixture
+ * @returns {string[]} Failures
+ */
+function checkFixture({ name, deck }) {
+  /** @type {string[]} */
+  const failures = [];
+  const before = copy(deck);
+  const { deck: migrated, from } = migrateProgress(deck);
+
+  if (!isDeepStrictEqual(deck, before)) failures.push(`${name}: input was modified`);
+  if (from !== deck.version) failures.push(`${name}: reported from ${from}, saved at ${deck.version}`);
+  if (migrated.version !== CURRENT_VERSION) failures.push(`${name}: ended at version ${migrated.version}`);
+
+  const settings = fields(migrated.settings);
+  const stats = fields(migrated.stats);
+  for (const key of SETTINGS_KEYS) if (!(key in settings)) failures.push(`${name}: settings.${key} missing`);
+  for (const key of STATS_KEYS) if (!(key in stats)) failures.push(`${name}: stats.${key} missing`);
+  for (const date of ['reviewsTodayDate', 'newTodayDate']) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(stats[date]))) failures.push(`${name}: stats.${date} is ${stats[date]}`);
+  }
+  if (!Array.isArray(migrated.log)) failures.push(`${name}: log missing`);
+  if (!Array.isArray(migrated.decks)) failures.push(`${name}: decks missing`);
+
+  if (!isDeepStrictEqual(migrated.cards, deck.cards)) failures.push(`${name}: cards changed`);
+  for (const [part, saved] of [['settings', deck.settings], ['stats', deck.stats]]) {
+    for (const [key, value] of Object.entries(fields(saved))) {
+      if (!isDeepStrictEqual(fields(migrated[/** @type {string} */ (part)])[key], value)) {
+        failures.push(`${name}: ${part}.${key} changed`);
+      }
+    }
+  }
+  for (const key of ['log', 'decks']) {
+    if (key in deck && !isDeepStrictEqual(migrated[key], deck[key])) failures.push(`${name}: ${key} changed`);
+  }
+
+  const again = migrateProgress(copy(migrated));
+  if (again.from !== CURRENT_VERSION || !isDeepStrictEqual(again.deck, migrated)) {
+    failures.push(`${name}: migrating the result again changed it`);
+  }
+  return failures;
+}
+
+/**
+ * Anything that isn't a deck, or is from a newer version of the site, is
+ * refused rather than migrated.
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkRefusals() {
+  /** @type {string[]} */
+  const failures = [];
+  const refused = [
+    ['nothing', null],
+    ['an array', []],
+    ['no version', { cards: {} }],
+    ['a string version', { version: '1' }],
+    ['version 0', { version: 0 }],
+    ['a newer version', { version: CURRENT_VERSION + 1, cards: {} }],
+  ];
+  for (const [label, data] of refused) {
+    try {
+      migrateProgress(data);
+      failures.push(`${label}: migrated instead of refused`);
+    } catch {
+      // Expected.
+    }
+  }
+  return { failures, summary: outcome(failures) };
+}
+
+/**
+ * Every saved deck in FIXTURES migrates cleanly.
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkFixtures() {
+  /** @type {string[]} */
+  const failures = [];
+  let clean = 0;
+  for (const fixture of FIXTURES) {
+    const fixtureFailures = checkFixture(fixture);
+    if (fixtureFailures.length === 0) clean++;
+    failures.push(...fixtureFailures);
+  }
+  return { failures, summary: `${clean}/${FIXTURES.length} migrate cleanly` };
+}
+
+runChecks('Migration checks', {
+  Migrations: checkChain,
+  Refusals: checkRefusals,
+  'Saved decks': checkFixtures,
+});
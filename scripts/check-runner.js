@@ -0,0 +1,66 @@
+/**
+ * The harness the scripts/check-*.js fixture checks share. A check is a
+ * function returning its failures and a one-line summary; `runChecks` runs
+ * them in order, prints every failure (✗), then each summary, and exits
+ * non-zero when anything failed or threw.
+ */
+
+/**
+ * @typedef {object} CheckResult
+ * @property {string[]} failures One line each
+ * @property {string} summary What passed, e.g. "56/56 spellings match"
+ */
+
+/** @typedef {() => CheckResult | Promise<CheckResult>} Check */
+
+/**
+ * "passed/total …" for a summary line.
+ * @param {number} total
+ * @param {string[]} failures One per failed case
+ * @param {string} what
+ * @returns {string}
+ */
+export function tally(total, failures, what) {
+  return `${total - failures.length}/${total} ${what}`;
+}
+
+/**
+ * `ok`, or how many failures, for a summary line.
+ * @param {string[]} failures
+ * @param {string} [ok]
+ * @returns {string}
+ */
+export function outcome(failures, ok = 'ok') {
+  return failures.length === 0 ? ok : `${failures.length} failures`;
+}
+
+/**
+ * Run `checks` (label → check) and report; ends with "✅ <title> pass"
+ * when nothing failed.
+ * @param {string} title
+ * @param {Record<string, Check>} checks
+ */
+export async function runChecks(title, checks) {
+  try {
+    /** @type {Array<CheckResult & { label: string }>} */
+    const results = [];
+    for (const [label, check] of Object.entries(checks)) {
+      results.push({ label, ...(await check()) });
+    }
+    const failures = results.flatMap((r) => r.failures);
+
+    for (const failure of failures) console.log(`✗ ${failure}`);
+    console.log('');
+    for (const { label, summary } of results) console.log(`${label}: ${summary}`);
+
+    if (failures.length > 0) {
+      process.exitCode = 1;
+    } else {
+      console.log(`✅ ${title} pass`);
+    }
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error('Error:', errorMessage);
+    process.exitCode = 1;
+  }
+}
@@ -0,0 +1,143 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { resolveNameKeys } from '../src/lib/name-matching.js';
+import { joinPadas, splitCandidates } from '../src/lib/sandhi.js';
+import { runChecks, tally } from './check-runner.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const NAMAS_PATH = path.resolve(projectRoot, 'src/constants/namas.json');
+const SANSKRITDOCUMENTS_PATH = path.resolve(projectRoot, 'src/commentaries-json/sanskritdocuments.json');
+
+/**
+ * One fixture per rule: left + right join to surface, and surface splits
+ * back into left + right.
+ * @type {Array<[rule: string, left: string, right: string, surface: string]>}
+ */
+const RULE_FIXTURES = [
+  ['savarṇa', 'सुधा', 'अर्णव', 'सुधार्णव'],
+  ['savarṇa, avagraha', 'सर्वारुणा', 'अनवद्याङ्गी', 'सर्वारुणाऽनवद्याङ्गी'],
+  ['savarṇa, double avagraha', 'सुवासिन्यर्चनप्रीता', 'आशोभना', 'सुवासिन्यर्चनप्रीताऽऽशोभना'],
+  ['guṇa', 'महा', 'ईश्वरी', 'महेश्वरी'],
+  ['guṇa', 'महा', 'उदय', 'महोदय'],
+  ['guṇa', 'महा', 'ऋषि', 'महर्षि'],
+  ['vṛddhi', 'महा', 'ऐश्वर्य', 'महैश्वर्य'],
+  ['yaṇ', 'सु', 'आगत', 'स्वागत'],
+  ['yaṇ', 'सुवासिनी', 'अर्चनप्रीता', 'सुवासिन्यर्चनप्रीता'],
+  ['ayādi', 'ने', 'अनम्', 'नयनम्'],
+  ['ayādi', 'भो', 'अनम्', 'भवनम्'],
+  ['visarga → r', 'निरुपाधिः', 'निरीश्वरा', 'निरुपाधिर्निरीश्वरा'],
+  ['visarga → r', 'अष्टमूर्तिः', 'अजाजेत्री', 'अष्टमूर्तिरजाजेत्री'],
+  ['visarga → r, lengthening', 'निः', 'रस', 'नीरस'],
+  ['visarga → s', 'त्रिमूर्तिः', 'त्रिदशेश्वरी', 'त्रिमूर्तिस्त्रिदशेश्वरी'],
+  ['visarga → ś', 'हरिः', 'चन्द्र', 'हरिश्चन्द्र'],
+  ['aḥ → o', 'मनः', 'रमा', 'मनोरमा'],
+  ['aḥ → o, avagraha', 'शिवः', 'अहम्', 'शिवोऽहम्'],
+  ['t + c', 'सत्', 'चित्', 'सच्चित्'],
+  ['t + nasal', 'जगत्', 'नाथ', 'जगन्नाथ'],
+  ['t + l', 'तत्', 'लीन', 'तल्लीन'],
+  ['t + h', 'उत्', 'हार', 'उद्धार'],
+  ['voicing', 'वाक्', 'ईशी', 'वागीशी'],
+  ['ṭ + nasal', 'षट्', 'मुख', 'षण्मुख'],
+  ['anusvāra', 'सम्', 'कल्प', 'संकल्प'],
+];
+
+/**
+ * Verse words that don't resolve to their nāmas on sandhi alone, keyed by
+ * the first nāma number. build-namas.js places these from KNOWN_SPELLINGS
+ * or by verse order.
+ * @type {Record<number, string>}
+ */
+const KNOWN_EXCEPTIONS = {
+  333: 'verse spells वारुणी-मद-विह्वला (KNOWN_SPELLINGS)',
+  425: 'तत्त्वमयी read as तत् + त्वं + अयी; also a name of its own',
+  547: 'alternate reading बन्धुरालका (KNOWN_SPELLINGS)',
+  689: 'verse keeps the visarga the key drops (KNOWN_SPELLINGS)',
+  711: 'साध्वी read as साधु + ई; also a name of its own',
+  879: 'key lists both readings, सुधास्रुतिः / सृतिः (KNOWN_SPELLINGS)',
+  999: 'verse spells शिव-शक्त्यैक्य-रूपिणी (KNOWN_SPELLINGS)',
+};
+
+/**
+ * @typedef {object} NamaGroup
+ * @property {string} word The verse word, as printed
+ * @property {number} verse
+ * @property {Array<{ number: number, name: string }>} namas In order
+ */
+
+/**
+ * Group consecutive nāmas carried by the same verse word.
+ * @param {Array<{ number: number, name: string, verse: number, sandhiForm: string }>} namas
+ * @returns {NamaGroup[]}
+ */
+function groupByWord(namas) {
+  /** @type {NamaGroup[]} */
+  const groups = [];
+  for (const { number, name, verse, sandhiForm } of namas) {
+    const last = groups.at(-1);
+    if (last && last.word === sandhiForm && last.verse === verse) {
+      last.namas.push({ number, name });
+    } else {
+      groups.push({ word: sandhiForm, verse, namas: [{ number, name }] });
+    }
+  }
+  return groups;
+}
+
+/**
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkRules() {
+  /** @type {string[]} */
+  const failures = [];
+  for (const [rule, left, right, surface] of RULE_FIXTURES) {
+    const joined = joinPadas(left, right);
+    if (!joined.includes(surface)) {
+      failures.push(`${rule}: ${left} + ${right} → ${joined.join(' / ')}, expected ${surface}`);
+    }
+    const splits = splitCandidates(surface);
+    if (!splits.some(([l, r]) => l === left && r === right)) {
+      failures.push(`${rule}: ${surface} doesn't split into ${left} + ${right}`);
+    }
+  }
+  return { failures, summary: tally(RULE_FIXTURES.length, failures, 'join and split back') };
+}
+
+/**
+ * Every verse word resolves to the nāmas it carries, bar KNOWN_EXCEPTIONS.
+ * @returns {Promise<import('./check-runner.js').CheckResult>}
+ */
+async function checkNames() {
+  const groups = groupByWord(JSON.parse(await fs.readFile(NAMAS_PATH, 'utf8')));
+  /** @type {Record<string, string>} */
+  const sanskritDocs = JSON.parse(await fs.readFile(SANSKRITDOCUMENTS_PATH, 'utf8'));
+
+  /** @type {string[]} */
+  const failures = [];
+  let excepted = 0;
+  for (const { word, verse, namas } of groups) {
+    const expected = namas.map((n) => n.name);
+    const actual = resolveNameKeys(word, sanskritDocs) ?? [];
+    if (actual.join('|') === expected.join('|')) continue;
+
+    const first = namas[0]?.number ?? 0;
+    if (KNOWN_EXCEPTIONS[first]) {
+      excepted++;
+      continue;
+    }
+    const numbers = namas.map((n) => n.number).join(', ');
+    failures.push(
+      `${numbers}. ${word} (verse ${verse}) → ${actual.join(' + ') || 'no match'}, expected ${expected.join(' + ')}`,
+    );
+  }
+  const resolved = groups.length - failures.length - excepted;
+  return {
+    failures,
+    summary: `${resolved}/${groups.length} verse words resolve to their nāmas (${excepted} known exceptions)`,
+  };
+}
+
+runChecks('Sandhi fixtures', { Rules: checkRules, Names: checkNames });
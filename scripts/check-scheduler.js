@@ -0,0 +1,248 @@
+import {
+  DEFAULT_RETENTION,
+  initialState,
+  intervalFor,
+  nextState,
+  retrievability,
+  stateFromSm2,
+} from '../src/lib/fsrs';
+import { createCard, createFsrs } from '../src/lib/srs';
+import { outcome, runChecks, tally } from './check-runner.js';
+
+/** SM-2 states to migrate: the ease floor to well-known cards, new to mature. */
+const EASE_FACTORS = [1.3, 1.7, 2.1, 2.5, 2.9, 3.3];
+const INTERVALS = [1, 3, 6, 15, 40, 120, 400, 1500];
+
+const RATINGS = /** @type {const} */ ([1, 2, 3, 4]);
+const RATING_NAMES = ['', 'Again', 'Hard', 'Good', 'Easy'];
+
+/** Close enough for day-level scheduling. */
+const EPSILON = 1e-6;
+
+/** When the reviews through `createFsrs` happen (local time, as todayIso reads it). */
+const NOW = new Date(2026, 4, 1, 9);
+
+/** @typedef {import('../src/lib/srs').Quality} Quality */
+
+/**
+ * Each answer quality and the FSRS rating it should be scheduled as.
+ * @type {Array<[quality: Quality, rating: 1 | 2 | 3 | 4]>}
+ */
+const QUALITY_RATINGS = [
+  [0, 1],
+  [3, 2],
+  [4, 3],
+  [5, 4],
+];
+
+/**
+ * A new card's first review, with the unrounded interval in the comment:
+ * it's rounded to whole days, and at least one.
+ * @type {Array<[quality: Quality, retention: number, interval: number, due: string]>}
+ */
+const FIRST_REVIEWS = [
+  [0, 0.9, 1, '2026-05-02'], // 0.40 days
+  [3, 0.9, 1, '2026-05-02'], // 1.18
+  [4, 0.9, 3, '2026-05-04'], // 3.17
+  [5, 0.9, 16, '2026-05-17'], // 15.69
+  [4, 0.8, 8, '2026-05-09'], // 7.61
+  [5, 0.8, 38, '2026-06-08'], // 37.63
+];
+
+/** A card SM-2 scheduled 15 days ago, due today, with no FSRS memory yet. */
+const SM2_CARD = {
+  ...createCard('numberToNama', 1, NOW),
+  ef: 2.5,
+  interval: 15,
+  reps: 4,
+  lapses: 1,
+  due: '2026-05-01',
+  lastReview: '2026-04-16',
+};
+
+/**
+ * The forgetting curve: stability is the 90% point by definition.
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkCurve() {
+  /** @type {string[]} */
+  const failures = [];
+  for (const s of [0.5, 1, 10, 100, 1000]) {
+    const r = retrievability(s, s);
+    if (Math.abs(r - 0.9) > EPSILON) failures.push(`R(${s}, S=${s}) = ${r}, expected 0.9`);
+    const interval = intervalFor(s, 0.9);
+    if (Math.abs(interval - s) > EPSILON) failures.push(`interval(S=${s}, 0.9) = ${interval}, expected ${s}`);
+    if (!(intervalFor(s, 0.95) < interval && interval < intervalFor(s, 0.8))) {
+      failures.push(`interval(S=${s}) doesn't shrink as desired retention rises`);
+    }
+  }
+  return { failures, summary: outcome(failures) };
+}
+
+/**
+ * Ratings order the outcomes: better ratings never give less stability or
+ * more difficulty, first review and later.
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkRatings() {
+  /** @type {string[]} */
+  const failures = [];
+  const starts = RATINGS.map((g) => initialState(g));
+  for (let i = 1; i < starts.length; i++) {
+    const [a, b] = [starts[i - 1], starts[i]];
+    if (!a || !b) continue;
+    if (!(b.stability > a.stability)) failures.push(`first ${RATING_NAMES[i + 1]} isn't more stable than ${RATING_NAMES[i]}`);
+    if (!(b.difficulty <= a.difficulty)) failures.push(`first ${RATING_NAMES[i + 1]} is harder than ${RATING_NAMES[i]}`);
+  }
+
+  for (const state of [
+    { stability: 2, difficulty: 8 },
+    { stability: 10, difficulty: 5 },
+    { stability: 90, difficulty: 2 },
+  ]) {
+    const label = `S=${state.stability} D=${state.difficulty}`;
+    const after = RATINGS.map((g) => nextState(state, g, state.stability));
+    const [again, hard, good, easy] = after;
+    if (!again || !hard || !good || !easy) continue;
+    if (!(again.stability <= state.stability)) failures.push(`${label}: Again raised stability`);
+    if (!(state.stability < hard.stability && hard.stability < good.stability && good.stability < easy.stability)) {
+      failures.push(`${label}: Hard < Good < Easy stability doesn't hold`);
+    }
+    if (!(again.difficulty > state.difficulty && easy.difficulty < state.difficulty)) {
+      failures.push(`${label}: Again / Easy don't move difficulty up / down`);
+    }
+    for (const next of after) {
+      if (next.difficulty < 1 || next.difficulty > 10) failures.push(`${label}: difficulty ${next.difficulty} out of 1..10`);
+    }
+  }
+  return { failures, summary: outcome(failures) };
+}
+
+/**
+ * Switching from SM-2 keeps progress: a migrated card is due when SM-2 had
+ * it due, reads harder the lower its ease, and a "Good" at that due date
+ * moves it on rather than back.
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkMigration() {
+  /** @type {string[]} */
+  const failures = [];
+  let cases = 0;
+  let kept = 0;
+  for (const interval of INTERVALS) {
+    let previousDifficulty = Infinity;
+    for (const ef of EASE_FACTORS) {
+      cases++;
+      const before = failures.length;
+      const label = `ef ${ef}, interval ${interval}d`;
+      const state = stateFromSm2(ef, interval);
+
+      const due = intervalFor(state.stability, DEFAULT_RETENTION);
+      if (Math.abs(due - interval) > EPSILON) {
+        failures.push(`${label}: migrated interval ${due.toFixed(2)}d`);
+      }
+      if (state.difficulty < 1 || state.difficulty > 10) {
+        failures.push(`${label}: difficulty ${state.difficulty} out of 1..10`);
+      }
+      if (state.difficulty > previousDifficulty + EPSILON) {
+        failures.push(`${label}: harder than the same interval at a lower ease`);
+      }
+      previousDifficulty = state.difficulty;
+
+      const good = nextState(state, 3, interval);
+      const next = intervalFor(good.stability, DEFAULT_RETENTION);
+      if (!(next > interval)) {
+        failures.push(`${label}: Good at due → ${next.toFixed(1)}d, no further than before`);
+      }
+      if (failures.length === before) kept++;
+    }
+  }
+  return { failures, summary: `${kept}/${cases} cards keep their progress` };
+}
+
+/**
+ * @param {{ stability?: number, difficulty?: number }} card
+ * @param {import('../src/lib/fsrs').MemoryState} expected
+ */
+const sameMemory = (card, expected) =>
+  Math.abs((card.stability ?? NaN) - expected.stability) < EPSILON &&
+  Math.abs((card.difficulty ?? NaN) - expected.difficulty) < EPSILON;
+
+/**
+ * `createFsrs().review()`: each quality is scheduled as its rating, and the
+ * interval is rounded to whole days between one day and the cap.
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkReviews() {
+  /** @type {string[]} */
+  const failures = [];
+  let cases = 0;
+  const fresh = createCard('numberToNama', 1, NOW);
+  const learned = { ...SM2_CARD, stability: 10, difficulty: 5, lastReview: '2026-04-21' };
+
+  for (const [quality, rating] of QUALITY_RATINGS) {
+    cases += 2;
+    const first = createFsrs().review(fresh, quality, NOW);
+    if (!sameMemory(first, initialState(rating))) {
+      failures.push(`first review at quality ${quality} isn't scheduled as ${RATING_NAMES[rating]}`);
+    }
+    const later = createFsrs().review(learned, quality, NOW);
+    if (!sameMemory(later, nextState({ stability: 10, difficulty: 5 }, rating, 10))) {
+      failures.push(`review at quality ${quality} isn't scheduled as ${RATING_NAMES[rating]}`);
+    }
+  }
+
+  for (const [quality, retention, interval, due] of FIRST_REVIEWS) {
+    cases++;
+    const card = createFsrs(retention).review(fresh, quality, NOW);
+    if (card.interval !== interval || card.due !== due || card.lastReview !== '2026-05-01') {
+      failures.push(
+        `quality ${quality} at retention ${retention} → ${card.interval}d, due ${card.due}; expected ${interval}d, due ${due}`,
+      );
+    }
+  }
+
+  cases++;
+  const settled = createFsrs().review({ ...learned, stability: 1e6 }, 4, NOW);
+  if (settled.interval !== 36500) failures.push(`a very stable card → ${settled.interval}d, expected the 36500d cap`);
+
+  return { failures, summary: tally(cases, failures, 'reviews scheduled as expected') };
+}
+
+/**
+ * A card SM-2 scheduled, reviewed under FSRS: its memory is migrated from
+ * ease and interval first, and the SM-2 fields keep their meaning.
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkSm2Cards() {
+  /** @type {string[]} */
+  const failures = [];
+  let kept = 0;
+  const migrated = stateFromSm2(SM2_CARD.ef, SM2_CARD.interval);
+  for (const [quality, rating] of QUALITY_RATINGS) {
+    const before = failures.length;
+    const label = `SM-2 card, ${RATING_NAMES[rating]}`;
+    const card = createFsrs().review(SM2_CARD, quality, NOW);
+    if (!sameMemory(card, nextState(migrated, rating, 15))) {
+      failures.push(`${label}: memory not migrated from ef ${SM2_CARD.ef}, interval ${SM2_CARD.interval}d`);
+    }
+    if (card.ef !== SM2_CARD.ef) failures.push(`${label}: ease changed to ${card.ef}`);
+    const [reps, lapses] = quality < 3 ? [0, SM2_CARD.lapses + 1] : [SM2_CARD.reps + 1, SM2_CARD.lapses];
+    if (card.reps !== reps || card.lapses !== lapses) {
+      failures.push(`${label}: reps ${card.reps}, lapses ${card.lapses}; expected ${reps}, ${lapses}`);
+    }
+    if (quality >= 3 && !(card.interval > SM2_CARD.interval)) {
+      failures.push(`${label}: ${card.interval}d, no further than SM-2's ${SM2_CARD.interval}d`);
+    }
+    if (failures.length === before) kept++;
+  }
+  return { failures, summary: `${kept}/${QUALITY_RATINGS.length} reviews carry the card over` };
+}
+
+runChecks('Scheduler checks', {
+  'Forgetting curve': checkCurve,
+  Ratings: checkRatings,
+  'SM-2 migration': checkMigration,
+  'FSRS reviews': checkReviews,
+  'SM-2 cards under FSRS': checkSm2Cards,
+});
@@ -0,0 +1,132 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { fromIAST, toHarvardKyoto, toIAST, toITRANS } from '../src/lib/transliterate.js';
+import { runChecks, tally } from './check-runner.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const NAMAS_PATH = path.resolve(projectRoot, 'src/constants/namas.json');
+
+/**
+ * One fixture per feature: Devanagari and its IAST, Harvard-Kyoto and
+ * ITRANS spellings.
+ * @type {Array<[feature: string, devanagari: string, iast: string, hk: string, itrans: string]>}
+ */
+const SCHEME_FIXTURES = [
+  ['inherent vowel', 'नमन', 'namana', 'namana', 'namana'],
+  ['virāma', 'वाक्', 'vāk', 'vAk', 'vAk'],
+  ['anusvāra', 'संकल्प', 'saṃkalpa', 'saMkalpa', 'saMkalpa'],
+  ['candrabindu', 'हँस', 'ham̐sa', 'ha~sa', 'ha.Nsa'],
+  ['visarga', 'निरुपाधिः', 'nirupādhiḥ', 'nirupAdhiH', 'nirupAdhiH'],
+  ['avagraha', 'शिवोऽहम्', "śivo'ham", "zivo'ham", 'shivo.aham'],
+  ['क्ष', 'क्षेत्र', 'kṣetra', 'kSetra', 'kShetra'],
+  ['ज्ञ', 'ज्ञान', 'jñāna', 'jJAna', 'j~nAna'],
+  ['vocalic ṛ', 'कृष्ण', 'kṛṣṇa', 'kRSNa', 'kRRiShNa'],
+  ['diphthongs', 'कैलासौ', 'kailāsau', 'kailAsau', 'kailAsau'],
+  ['nukta, precomposed', 'क़लम', 'qalama', 'qalama', 'qalama'],
+  ['nukta, base + ़', 'फ़न', 'fana', 'fana', 'fana'],
+  ['nukta ख़', 'ख़बर', 'k͟habara', 'Kabara', 'Kabara'],
+  ['zero-width joiner', 'श\u200dृङ्ग', 'śṛṅga', 'zRGga', 'shRRi~Nga'],
+  ['praṇava', 'ॐ', 'oṃ', 'OM', 'OM'],
+  ['digits, daṇḍa', 'श्लोक १२ ॥', 'śloka 12 ||', 'zloka 12 ||', 'shloka 12 ||'],
+];
+
+/**
+ * Vedic svara marks: dropped by default, kept on request (HK has no
+ * notation for them).
+ * @type {Array<[devanagari: string, stripped: string, iast: string, itrans: string]>}
+ */
+const ACCENT_FIXTURES = [
+  ['अ॒ग्निमी॑ळे', 'agnimīḷe', 'a̱gnimī́ḷe', "a\\_gnimI\\'Le"],
+  ['दे॒वम्', 'devam', 'de̱vam', 'de\\_vam'],
+];
+
+/**
+ * IAST that reads back into Devanagari, including the nukta letters.
+ * @type {Array<[iast: string, devanagari: string]>}
+ */
+const FROM_IAST_FIXTURES = [
+  ['śrīmātā', 'श्रीमाता'],
+  ['Kṣetra', 'क्षेत्र'],
+  ["śivo'ham", 'शिवोऽहम्'],
+  ['saṃkalpa', 'संकल्प'],
+  ['r̥ṣi', 'ऋषि'],
+  ['qalama', 'क़लम'],
+  ['zamīn', 'ज़मीन्'],
+  ['k͟habar', 'ख़बर्'],
+];
+
+/** Compare Devanagari whatever its normalisation, ignoring ZWJ / ZWNJ. */
+const same = (/** @type {string} */ a, /** @type {string} */ b) =>
+  a.replace(/[\u200c\u200d]/g, '').normalize('NFC') === b.replace(/[\u200c\u200d]/g, '').normalize('NFC');
+
+/**
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkSchemes() {
+  /** @type {string[]} */
+  const failures = [];
+  for (const [feature, deva, iast, hk, itrans] of SCHEME_FIXTURES) {
+    const actual = [toIAST(deva), toHarvardKyoto(deva), toITRANS(deva)];
+    [iast, hk, itrans].forEach((expected, i) => {
+      if (actual[i] !== expected) {
+        failures.push(`${feature}: ${deva} → ${actual[i]} (${['IAST', 'HK', 'ITRANS'][i]}), expected ${expected}`);
+      }
+    });
+  }
+  for (const [deva, stripped, iast, itrans] of ACCENT_FIXTURES) {
+    if (toIAST(deva) !== stripped) failures.push(`accents stripped: ${deva} → ${toIAST(deva)}, expected ${stripped}`);
+    const kept = toIAST(deva, { accents: 'keep' });
+    if (kept !== iast) failures.push(`accents kept (IAST): ${deva} → ${kept}, expected ${iast}`);
+    const keptItrans = toITRANS(deva, { accents: 'keep' });
+    if (keptItrans !== itrans) failures.push(`accents kept (ITRANS): ${deva} → ${keptItrans}, expected ${itrans}`);
+    if (toHarvardKyoto(deva, { accents: 'keep' }) !== toHarvardKyoto(deva)) {
+      failures.push(`accents kept (HK): ${deva} should drop its svara marks`);
+    }
+  }
+  const total = SCHEME_FIXTURES.length * 3 + ACCENT_FIXTURES.length * 4;
+  return { failures, summary: tally(total, failures, 'spellings match') };
+}
+
+/**
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkFromIAST() {
+  /** @type {string[]} */
+  const failures = [];
+  for (const [iast, deva] of FROM_IAST_FIXTURES) {
+    const actual = fromIAST(iast);
+    if (!same(actual, deva)) failures.push(`fromIAST: ${iast} → ${actual}, expected ${deva}`);
+  }
+  return { failures, summary: tally(FROM_IAST_FIXTURES.length, failures, 'read back') };
+}
+
+/**
+ * Devanagari → IAST → Devanagari gives back the same letters, for the
+ * fixtures and every nāma.
+ * @returns {Promise<import('./check-runner.js').CheckResult>}
+ */
+async function checkRoundTrip() {
+  /** @type {Array<{ name: string }>} */
+  const namas = JSON.parse(await fs.readFile(NAMAS_PATH, 'utf8'));
+  const fixtureWords = SCHEME_FIXTURES.map(([, deva]) => deva).filter((deva) => !/[ँॐ०-९।॥]/.test(deva));
+  const words = [...fixtureWords, ...namas.map((n) => n.name)];
+
+  /** @type {string[]} */
+  const failures = [];
+  for (const word of words) {
+    const iast = toIAST(word);
+    const back = fromIAST(iast);
+    if (!same(back, word)) failures.push(`round trip: ${word} → ${iast} → ${back}`);
+  }
+  return { failures, summary: tally(words.length, failures, 'words (fixtures and every nāma) come back unchanged') };
+}
+
+runChecks('Transliteration fixtures', {
+  Schemes: checkSchemes,
+  fromIAST: checkFromIAST,
+  'Round trip': checkRoundTrip,
+});
@@ -0,0 +1,56 @@
+import { gradeRecall } from '../src/lib/typed-recall';
+import { runChecks, tally } from './check-runner.js';
+
+const QUALITY_NAMES = /** @type {Record<number, string>} */ ({ 0: 'Again', 3: 'Hard', 4: 'Good', 5: 'Easy' });
+
+/**
+ * What the learner typed, the nāma, and the grade it should get. Short names
+ * allow no real mistake; a syllable left out is a lapse however long the
+ * name.
+ * @type {Array<[label: string, typed: string, nama: string, quality: 0 | 3 | 4 | 5]>}
+ */
+const CASES = [
+  ['exact, IAST', 'śrīmātā', 'श्रीमाता', 5],
+  ['exact, Devanagari', 'श्रीमाता', 'श्रीमाता', 5],
+  ['ASCII, sh for ś', 'shrimata', 'श्रीमाता', 4],
+  ['ASCII, doubled long vowels', 'shriimaataa', 'श्रीमाता', 5],
+  ['ASCII, doubled long vowels, one short', 'shrimaata', 'श्रीमाता', 4],
+  ['anusvāra for the class nasal', 'cidagnikuṇḍasaṃbhūtā', 'चिदग्निकुण्डसम्भूता', 5],
+  ['sandhi ending from the verse', 'nirupādhir', 'निरुपाधिः', 5],
+  ['long vowel typed short', 'śrīmāta', 'श्रीमाता', 4],
+  ['diacritics left off throughout', 'cidagnikundasambhuta', 'चिदग्निकुण्डसम्भूता', 4],
+  ['one wrong syllable, short name', 'śrīmakā', 'श्रीमाता', 0],
+  ['one wrong syllable, long name', 'cidagnikuṇḍasambhatā', 'चिदग्निकुण्डसम्भूता', 3],
+  ['missing syllable, short name', 'matā', 'श्रीमाता', 0],
+  ['missing letter, long name', 'cidagnikuṇḍasabhūtā', 'चिदग्निकुण्डसम्भूता', 3],
+  ['missing syllable, long name', 'cidagnikuṇḍambhūtā', 'चिदग्निकुण्डसम्भूता', 0],
+  ['missing syllable, long name', 'cignikuṇḍasambhūtā', 'चिदग्निकुण्डसम्भूता', 0],
+  ['Latin after Devanagari', 'श्रीमाताxyz', 'श्रीमाता', 0],
+  ['digit after the name', 'śrīmātā1', 'श्रीमाता', 0],
+  ['digit inside the name', 'śrī1mātā', 'श्रीमाता', 0],
+  ['punctuation after the name', 'śrīmātā!!', 'श्रीमाता', 0],
+  ['stray character, long name', 'cidagnikuṇḍasambhūtā.', 'चिदग्निकुण्डसम्भूता', 3],
+  ['space and hyphen are separators', 'śrī-mā tā', 'श्रीमाता', 5],
+  ['wrong name', 'śrīmahārājñī', 'श्रीमाता', 0],
+  ['wrong name', 'devakāryasamudyatā', 'चिदग्निकुण्डसम्भूता', 0],
+];
+
+/**
+ * @returns {import('./check-runner.js').CheckResult}
+ */
+function checkGrades() {
+  /** @type {string[]} */
+  const failures = [];
+  for (const [label, typed, nama, expected] of CASES) {
+    const grade = gradeRecall(typed, [nama]);
+    if (grade.quality !== expected) {
+      const marks = grade.syllables.map((s) => `${s.text}:${s.status}`).join(' ');
+      failures.push(
+        `${label}: ${typed} for ${nama} → ${QUALITY_NAMES[grade.quality]}, expected ${QUALITY_NAMES[expected]} (${marks})`,
+      );
+    }
+  }
+  return { failures, summary: tally(CASES.length, failures, 'typed answers graded as expected') };
+}
+
+runChecks('Typed-recall grading checks', { Grades: checkGrades });
@@ -1,6 +1,7 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { parseBhaskaraya } from '../src/lib/bhaskaraya.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -8,6 +9,7 @@ const projectRoot = path.resolve(__dirname, '..');
 
 const COMMENTARIES_DIR = path.resolve(projectRoot, 'src/commentaries');
 const COMMENTARIES_JSON_DIR = path.resolve(projectRoot, 'src/commentaries-json');
+const MANIFEST_PATH = path.resolve(COMMENTARIES_DIR, 'manifest.json');
 
 /**
  * Devanagari numerals to Arabic conversion
@@ -155,30 +157,88 @@ function parseCommentaries(commentaryText) {
   return commentaries;
 }
 
+/**
+ * Collapse sorted numbers into "1–3, 7, 9–12".
+ * @param {number[]} numbers
+ * @returns {string}
+ */
+function formatRanges(numbers) {
+  /** @type {string[]} */
+  const ranges = [];
+  let start = numbers[0];
+  let prev = start;
+  for (const n of [...numbers.slice(1), Infinity]) {
+    if (prev !== undefined && n === prev + 1) {
+      prev = n;
+      continue;
+    }
+    if (start !== undefined && prev !== undefined) {
+      ranges.push(start === prev ? `${start}` : `${start}–${prev}`);
+    }
+    start = n;
+    prev = n;
+  }
+  return ranges.join(', ');
+}
+
+/**
+ * Parsers a manifest entry can name in its `parser` field. Each gets the
+ * source text and the canonical names (index + 1 = nāma number).
+ * @type {Record<string, (text: string, names: string[]) => Record<string, string>>}
+ */
+const PARSERS = {
+  numbered: parseCommentaries,
+  bhaskaraya: (text, names) => {
+    const { commentaries, coverage } = parseBhaskaraya(text, names);
+    const matched = names.length - coverage.unmatched.length;
+    console.log(`    ℹ️  Bhāskararāya coverage: ${matched}/${names.length} nāmas`);
+    if (coverage.unmatched.length > 0) {
+      console.log(`    Unmatched: ${formatRanges(coverage.unmatched)}`);
+    }
+    for (const mismatch of coverage.mismatches) {
+      console.log(`    ⚠️  ${mismatch}`);
+    }
+    return commentaries;
+  },
+};
+
 async function main() {
   try {
     // Ensure commentaries-json directory exists
     await fs.mkdir(COMMENTARIES_JSON_DIR, { recursive: true });
 
-    // List all .txt files in commentaries directory
-    const files = await fs.readdir(COMMENTARIES_DIR);
-    const txtFiles = files.filter(f => f.endsWith('.txt'));
+    // Sources come from the manifest; each names its text file and parser.
+    /** @type {Array<{ id: string, file: string, parser: string, role: string }>} */
+    const sources = JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf8'));
+
+    // The gloss source fixes the canonical nāma order; parsers that split
+    // by number resolve names against it.
+    /** @type {string[]} */
+    let names = [];
+    const gloss = sources.find((s) => s.role === 'gloss');
+    const parseGloss = gloss && PARSERS[gloss.parser];
+    if (gloss && parseGloss) {
+      const glossText = await fs.readFile(path.resolve(COMMENTARIES_DIR, gloss.file), 'utf8');
+      names = Object.keys(parseGloss(glossText, []));
+    }
 
-    console.log(`Found ${txtFiles.length} commentary files to process:`);
+    console.log(`Found ${sources.length} commentary sources to process:`);
     
     let totalCommentaries = 0;
 
-    for (const txtFile of txtFiles) {
+    for (const { id, file: txtFile, parser } of sources) {
       const txtPath = path.resolve(COMMENTARIES_DIR, txtFile);
-      const baseName = path.basename(txtFile, '.txt');
-      const jsonPath = path.resolve(COMMENTARIES_JSON_DIR, `${baseName}.json`);
+      const jsonPath = path.resolve(COMMENTARIES_JSON_DIR, `${id}.json`);
 
       try {
+        const parse = PARSERS[parser];
+        if (!parse) throw new Error(`unknown parser "${parser}"`);
+
         // Read the commentary file
         const commentaryText = await fs.readFile(txtPath, 'utf8');
         
         // Parse commentaries
-        const commentaries = parseCommentaries(commentaryText);
+        const commentaries = parse(commentaryText, names);
         
         const count = Object.keys(commentaries).length;
         totalCommentaries += count;
@@ -190,7 +250,7 @@ async function main() {
           'utf8'
         );
 
-        console.log(`  ✓ ${txtFile} → ${baseName}.json (${count} commentaries)`);
+        console.log(`  ✓ ${txtFile} → ${id}.json (${count} commentaries)`);
       } catch (err) {
         const errorMessage = err instanceof Error ? err.message : String(err);
         console.error(`  ✗ Error processing ${txtFile}: ${errorMessage}`);
@@ -1,44 +1,39 @@
 import fs from 'node:fs/promises';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
+import { toIAST } from '../src/lib/transliterate.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const projectRoot = path.resolve(__dirname, '..');
 
-const SANSKRITDOCUMENTS_PATH = path.resolve(projectRoot, 'src/commentaries-json/sanskritdocuments.json');
+const NAMAS_PATH = path.resolve(projectRoot, 'src/constants/namas.json');
 const COMMENTARIES_MD_PATH = path.resolve(projectRoot, 'src/constants/commentaries.md');
 const COMMENTARIES_JSON_DIR = path.resolve(projectRoot, 'src/commentaries-json');
+const MANIFEST_PATH = path.resolve(projectRoot, 'src/commentaries/manifest.json');
 
 /**
- * Extract all individual names from sanskritdocuments.json
- * @param {Object} sanskritdocumentsData
- * @returns {Array<{ number: number, devanagari: string }>}
+ * Read the canonical names from namas.json
+ * @param {Array<{ number: number, name: string, variants: string[] }>} namas
+ * @returns {Array<{ number: number, devanagari: string, variants: string[] }>}
  */
-function extractNamesFromSanskritDocuments(sanskritdocumentsData) {
-  /** @type {Array<{ number: number, devanagari: string }>} */
-  const names = [];
-  const keys = Object.keys(sanskritdocumentsData);
-  
-  keys.forEach((devanagari, index) => {
-    names.push({
-      number: index + 1,
-      devanagari: devanagari,
-    });
-  });
-
-  return names;
+function extractNamesFromNamaTable(namas) {
+  return namas.map(({ number, name, variants }) => ({
+    number,
+    devanagari: name,
+    variants,
+  }));
 }
 
 
 /**
- * Get IAST transliteration for a name (placeholder - would need actual converter)
+ * Get IAST transliteration for a name. Hyphens used to mark compound
+ * boundaries in some sources are dropped so the IAST reads as one word.
  * @param {string} devanagari
  * @returns {string}
  */
 function getIAST(devanagari) {
-  // For now, return placeholder - this would need proper transliteration
-  return devanagari; // Placeholder
+  return toIAST(devanagari.replace(/-/g, ''));
 }
 
 /**
@@ -51,21 +46,18 @@ function filenameToSectionTitle(filename) {
 }
 
 /**
- * Find commentary for a Sanskrit name, trying with and without dashes
+ * Find commentary for a Sanskrit name under its canonical spelling or any
+ * known variant
  * @param {Record<string, string>} commentaries
  * @param {string} devanagari
+ * @param {string[]} variants
  * @returns {string}
  */
-function findCommentary(commentaries, devanagari) {
-  // First try exact match
-  if (commentaries[devanagari]) {
-    return commentaries[devanagari];
-  }
-  
-  // If not found, try without dashes
-  const withoutDashes = devanagari.replace(/-/g, '');
-  if (withoutDashes !== devanagari && commentaries[withoutDashes]) {
-    return commentaries[withoutDashes];
+function findCommentary(commentaries, devanagari, variants) {
+  for (const spelling of [devanagari, ...variants]) {
+    if (commentaries[spelling]) {
+      return commentaries[spelling];
+    }
   }
   
   return '';
@@ -75,11 +67,12 @@ function findCommentary(commentaries, devanagari) {
  * Generate a NAME entry template
  * @param {number} nameNumber
  * @param {string} devanagari
+ * @param {string[]} variants
  * @param {string} iast
  * @param {Record<string, Record<string, string>>} commentariesByFile - Object mapping filename to commentaries object
  * @returns {string}
  */
-function generateNameEntry(nameNumber, devanagari, iast, commentariesByFile) {
+function generateNameEntry(nameNumber, devanagari, variants, iast, commentariesByFile) {
   let commentariesSections = '';
   
   // Generate COMMENTARIES section for each JSON file
@@ -90,7 +83,7 @@ function generateNameEntry(nameNumber, devanagari, iast, commentariesByFile) {
       const commentaries = commentariesByFile[jsonFile];
       if (!commentaries) continue;
       const sectionTitle = filenameToSectionTitle(jsonFile);
-      const commentary = findCommentary(commentaries, devanagari);
+      const commentary = findCommentary(commentaries, devanagari, variants);
       
       commentariesSections += `\n\n## COMMENTARIES (${sectionTitle})\n\n`;
       
@@ -128,11 +121,11 @@ function generateNameEntry(nameNumber, devanagari, iast, commentariesByFile) {
 
 async function main() {
   try {
-    // Read sanskritdocuments.json
-    const sanskritdocumentsData = JSON.parse(await fs.readFile(SANSKRITDOCUMENTS_PATH, 'utf8'));
-    const names = extractNamesFromSanskritDocuments(sanskritdocumentsData);
+    // Read namas.json
+    const namas = JSON.parse(await fs.readFile(NAMAS_PATH, 'utf8'));
+    const names = extractNamesFromNamaTable(namas);
 
-    console.log(`Extracted ${names.length} names from sanskritdocuments.json`);
+    console.log(`Extracted ${names.length} names from namas.json`);
     
     // Note: The file may contain fewer than 1000 names if it's incomplete
     // This is informational, not an error
@@ -142,17 +135,18 @@ async function main() {
       console.log(`ℹ️  Info: Extracted ${names.length} names (expected 1000 if file is complete)`);
     }
 
-    // Read all JSON files from commentaries-json directory
+    // Read the JSON generated for each source in the manifest
     /** @type {Record<string, Record<string, string>>} */
     const commentariesByFile = {};
     
     try {
-      const files = await fs.readdir(COMMENTARIES_JSON_DIR);
-      const jsonFiles = files.filter(f => f.endsWith('.json'));
+      /** @type {Array<{ id: string }>} */
+      const sources = JSON.parse(await fs.readFile(MANIFEST_PATH, 'utf8'));
       
-      console.log(`Found ${jsonFiles.length} commentary JSON files`);
+      console.log(`Found ${sources.length} commentary sources in the manifest`);
       
-      for (const jsonFile of jsonFiles) {
+      for (const { id } of sources) {
+        const jsonFile = `${id}.json`;
         const jsonPath = path.resolve(COMMENTARIES_JSON_DIR, jsonFile);
         try {
           const jsonContent = await fs.readFile(jsonPath, 'utf8');
@@ -169,7 +163,7 @@ async function main() {
       }
     } catch (err) {
       const errorMessage = err instanceof Error ? err.message : String(err);
-      console.warn(`Could not read commentaries directory: ${errorMessage}`);
+      console.warn(`Could not read commentary manifest: ${errorMessage}`);
     }
 
     // Generate markdown entries
@@ -177,6 +171,7 @@ async function main() {
       return generateNameEntry(
         name.number,
         name.devanagari,
+        name.variants,
         getIAST(name.devanagari),
         commentariesByFile
       );
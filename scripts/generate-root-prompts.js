@@ -51,6 +51,7 @@ This name is from the **Lalita Sahasranama** (ललिता सहस्रन
 **You must return your response as plain text in ROW FORMAT using arrow notation:**
 
 - **CRITICAL: Format each answer as a separate row/line**
+- **First row:** the name split into its top-level parts joined with underscores (e.g. श्री_माता), with no arrow
 - One word breakdown per row
 - Each row should follow the format: [sanskrit_name] -> [meaning in english] + [meaning in english] + ...
 - Use arrows (->) to separate word from meanings
@@ -13,6 +13,14 @@ const scripts = [
     name: 'Convert Commentaries to JSON',
     script: 'convert-commentaries-to-json.js',
   },
+  {
+    name: 'Build Nāma Table',
+    script: 'build-namas.js',
+  },
+  {
+    name: 'Build Verses',
+    script: 'build-verses.js',
+  },
   {
     name: 'Convert Sanskrit',
     script: 'convert-sanskrit.js',
@@ -25,6 +33,14 @@ const scripts = [
     name: 'Parse Verses',
     script: 'parse-verses.js',
   },
+  {
+    name: 'Build Root Index',
+    script: 'build-root-index.js',
+  },
+  {
+    name: 'Build Cross-References',
+    script: 'build-crossrefs.js',
+  },
 ];
 
 try {
@@ -4,6 +4,7 @@ import fs from "node:fs/promises";
 import path from "path";
 import { fileURLToPath } from "node:url";
 import { execSync } from "node:child_process";
+import { validateBody } from "./validate-roots.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,6 +16,10 @@ const SANSKRITDOCUMENTS_PATH = path.resolve(
 );
 const ROOT_TXT_PATH = path.resolve(projectRoot, "src/commentaries/root.txt");
 const PROMPTS_DIR = path.resolve(projectRoot, "prompts");
+const CONVERT_SCRIPT_PATH = path.resolve(
+  __dirname,
+  "convert-commentaries-to-json.js",
+);
 
 /**
  * Extract all individual names from sanskritdocuments.json
@@ -58,6 +63,7 @@ This name is from the **Lalita Sahasranama** (ललिता सहस्रन
 **You must return your response as plain text in ROW FORMAT using arrow notation:**
 
 - **CRITICAL: Format each answer as a separate row/line**
+- **First row:** the name split into its top-level parts joined with underscores (e.g. श्री_माता), with no arrow
 - One word breakdown per row
 - Each row should follow the format: [sanskrit_name] -> [meaning in english] + [meaning in english] + ...
 - Use arrows (->) to separate word from meanings
@@ -174,6 +180,249 @@ function findNextMissingRoot(names, existingNumbers) {
   return null;
 }
 
+/**
+ * Turn a pasted LLM response into root.txt body lines. Code fences, markdown
+ * bold, list markers, "N. name" / "॥ N ॥" headers and blank lines are dropped,
+ * and "→" or unspaced arrows are normalised to " -> ". When the response
+ * starts straight with arrow rows, the headword's own "name -> a_b" row
+ * becomes the split line.
+ * @param {string} response
+ * @param {{ number: number, devanagari: string }} name
+ * @returns {string[]}
+ */
+function normalizeResponse(response, name) {
+  const lines = response
+    .split("\n")
+    .map((l) => l.trim())
+    .filter((l) => l && !l.startsWith("```") && l !== "---")
+    .map((l) => l.replace(/\*\*/g, "").trim())
+    // The "N. name" header and "॥ N ॥" marker; root.txt adds its own header.
+    .filter(
+      (l) =>
+        !/^॥\s*[\d०-९]+\s*॥$/.test(l) &&
+        !new RegExp(`^[\\d०-९]+\\.\\s*${name.devanagari}$`).test(l),
+    )
+    .map((l) =>
+      l
+        .replace(/^(?:[-*]|[\d०-९]+\.)\s+/, "")
+        .replace(/\s*(?:->|→)\s*/, " -> ")
+        .trim(),
+    )
+    .filter(Boolean);
+
+  if (lines[0]?.includes(" -> ")) {
+    const selfIdx = lines.findIndex((l) =>
+      l.startsWith(`${name.devanagari} -> `),
+    );
+    const split = lines[selfIdx]?.slice(name.devanagari.length + 4).trim();
+    if (split?.includes("_")) {
+      lines.splice(selfIdx, 1);
+      lines.unshift(split);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Check a response against the root.txt arrow format.
+ * @param {string[]} lines
+ * @param {{ number: number, devanagari: string }} name
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function checkResponse(lines, name) {
+  /** @type {import("./validate-roots.js").Issue[]} */
+  const issues = [];
+  validateBody(
+    {
+      number: name.number,
+      name: name.devanagari,
+      line: 0,
+      body: lines.map((text, i) => ({ text, line: i + 1 })),
+    },
+    issues,
+  );
+  /** @param {import("./validate-roots.js").Issue} i */
+  const format = (i) => `line ${i.line}: [${i.code}] ${i.message}`;
+  return {
+    errors: issues.filter((i) => i.severity === "error").map(format),
+    warnings: issues.filter((i) => i.severity === "warning").map(format),
+  };
+}
+
+/**
+ * Split root.txt into its blank-line separated entry blocks.
+ * @param {string} content
+ * @returns {Array<{ number: number | null, text: string }>}
+ */
+function splitRootBlocks(content) {
+  return content
+    .split(/\n\s*\n/)
+    .map((text) => text.trim())
+    .filter(Boolean)
+    .map((text) => {
+      const match = /^(\d+)\./.exec(text);
+      return { number: match ? parseInt(match[1] ?? "", 10) : null, text };
+    });
+}
+
+/**
+ * Put an entry block into root.txt in numeric order.
+ * @param {Array<{ number: number | null, text: string }>} blocks
+ * @param {number} number
+ * @param {string} text
+ * @param {boolean} replace
+ * @returns {"inserted" | "replaced" | "duplicate"}
+ */
+function placeBlock(blocks, number, text, replace) {
+  const existing = blocks.findIndex((b) => b.number === number);
+  if (existing !== -1) {
+    if (!replace) return "duplicate";
+    blocks[existing] = { number, text };
+    return "replaced";
+  }
+  const after = blocks.findIndex((b) => b.number !== null && b.number > number);
+  blocks.splice(after === -1 ? blocks.length : after, 0, { number, text });
+  return "inserted";
+}
+
+/**
+ * @returns {Promise<string>}
+ */
+async function readStdin() {
+  if (process.stdin.isTTY) {
+    console.log("Paste the response, then press Ctrl-D:\n");
+  }
+  /** @type {Buffer[]} */
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * `ingest` subcommand: validate LLM responses and write them into root.txt,
+ * then regenerate root.json.
+ *
+ *   ingest <N|name> [file|-] [--replace]   one response (stdin if no file)
+ *   ingest --dir <dir> [--replace]          every name-NNN.* file in <dir>,
+ *                                           named like the prompts from
+ *                                           generate-root-prompts.js
+ * @param {Array<{ number: number, devanagari: string }>} names
+ * @param {string[]} args
+ */
+async function ingest(names, args) {
+  const replace = args.includes("--replace");
+  const positional = args.filter((a) => a !== "--replace");
+
+  /** @type {Array<{ name: { number: number, devanagari: string }, response: string, source: string }>} */
+  const responses = [];
+
+  if (positional[0] === "--dir") {
+    const dir = positional[1];
+    if (!dir) {
+      console.error("❌ Usage: ingest --dir <directory> [--replace]");
+      process.exitCode = 1;
+      return;
+    }
+    const dirPath = path.resolve(process.cwd(), dir);
+    const files = (await fs.readdir(dirPath))
+      .filter((f) => /^name-\d+\.(md|txt)$/.test(f))
+      .sort();
+    for (const file of files) {
+      const number = parseInt(/\d+/.exec(file)?.[0] ?? "", 10);
+      const name = names.find((n) => n.number === number);
+      if (!name) {
+        console.warn(`  ✗ ${file}: no nāma ${number}`);
+        process.exitCode = 1;
+        continue;
+      }
+      const response = await fs.readFile(path.resolve(dirPath, file), "utf8");
+      responses.push({ name, response, source: file });
+    }
+  } else {
+    const query = positional[0];
+    const name = query ? findName(names, query) : null;
+    if (!name) {
+      console.error(
+        "❌ Usage: ingest <number|name> [response-file|-] [--replace]",
+      );
+      process.exitCode = 1;
+      return;
+    }
+    const file = positional[1];
+    const response =
+      file && file !== "-"
+        ? await fs.readFile(path.resolve(process.cwd(), file), "utf8")
+        : await readStdin();
+    responses.push({
+      name,
+      response,
+      source: file && file !== "-" ? file : "stdin",
+    });
+  }
+
+  if (responses.length === 0) {
+    console.log("ℹ️  No responses to ingest");
+    return;
+  }
+
+  /** @type {string} */
+  let rootTxt = "";
+  try {
+    rootTxt = await fs.readFile(ROOT_TXT_PATH, "utf8");
+  } catch {
+    // root.txt doesn't exist yet — the first entry creates it
+  }
+  const blocks = splitRootBlocks(rootTxt);
+  let written = 0;
+
+  for (const { name, response, source } of responses) {
+    const label = `#${name.number} ${name.devanagari} (${source})`;
+    const lines = normalizeResponse(response, name);
+    const { errors, warnings } = checkResponse(lines, name);
+
+    if (errors.length > 0) {
+      console.error(`  ✗ ${label}: not ingested`);
+      errors.forEach((e) => console.error(`      ${e}`));
+      process.exitCode = 1;
+      continue;
+    }
+
+    const text = [`${name.number}. ${name.devanagari}`, ...lines].join("\n");
+    const result = placeBlock(blocks, name.number, text, replace);
+    if (result === "duplicate") {
+      console.error(
+        `  ✗ ${label}: already in root.txt (pass --replace to overwrite)`,
+      );
+      process.exitCode = 1;
+      continue;
+    }
+
+    written++;
+    console.log(`  ✓ ${label}: ${result}`);
+    warnings.forEach((w) => console.log(`      ⚠️  ${w}`));
+  }
+
+  if (written === 0) return;
+
+  await fs.writeFile(
+    ROOT_TXT_PATH,
+    blocks.map((b) => b.text).join("\n\n") + "\n",
+    "utf8",
+  );
+  console.log(
+    `\n✅ Wrote ${written} ${written === 1 ? "entry" : "entries"} to ${path.relative(projectRoot, ROOT_TXT_PATH)}`,
+  );
+
+  console.log("Regenerating commentary JSON...");
+  execSync(`node ${CONVERT_SCRIPT_PATH}`, {
+    stdio: "inherit",
+    cwd: projectRoot,
+  });
+}
+
 async function main() {
   const args = process.argv.slice(2);
 
@@ -268,6 +517,11 @@ async function main() {
       process.exit(0);
     }
 
+    if (args[0] === "ingest") {
+      await ingest(names, args.slice(1));
+      return;
+    }
+
     // Find the requested name
     const query = args[0];
     if (!query) {
@@ -0,0 +1,412 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { isCompound, parseGloss } from '../src/lib/root-text.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const projectRoot = path.resolve(__dirname, '..');
+
+const ROOT_TXT_PATH = path.resolve(projectRoot, 'src/commentaries/root.txt');
+const SANSKRITDOCUMENTS_PATH = path.resolve(projectRoot, 'src/commentaries-json/sanskritdocuments.json');
+
+const EXPECTED_NAMES = 1000;
+
+/** Consonant-skeleton edits tolerated at each "_" boundary; see skeleton(). */
+const SANDHI_EDITS_PER_BOUNDARY = 2;
+
+const DEVANAGARI = /[\u0900-\u097f]/;
+/** A dhātu: Devanagari letters and signs only, no spaces or punctuation. */
+const WELL_FORMED_ROOT = /^[\u0900-\u0963\u0971-\u097f]+$/;
+
+/**
+ * @typedef {'error' | 'warning'} Severity
+ *
+ * @typedef {object} Issue
+ * @property {Severity} severity
+ * @property {string} code Stable identifier, e.g. "missing-part"
+ * @property {number | null} number Nāma number, when known
+ * @property {string | null} name Headword, when known
+ * @property {number} line 1-indexed line in root.txt
+ * @property {string} message
+ *
+ * @typedef {object} RootEntry
+ * @property {number} number
+ * @property {string} name
+ * @property {number} line Line of the "N. name" header
+ * @property {Array<{ text: string, line: number }>} body
+ */
+
+/**
+ * Split root.txt into numbered entries. Anything before the first header or
+ * a header that doesn't parse is reported rather than dropped.
+ * @param {string} text
+ * @param {Issue[]} issues
+ * @returns {RootEntry[]}
+ */
+export function parseEntries(text, issues) {
+  /** @type {RootEntry[]} */
+  const entries = [];
+  /** @type {RootEntry | null} */
+  let current = null;
+
+  text.split('\n').forEach((raw, i) => {
+    const line = i + 1;
+    const trimmed = raw.trim();
+    if (!trimmed) return;
+
+    const header = /^(\d+)\.\s*(.+)$/.exec(trimmed);
+    if (header) {
+      current = { number: Number(header[1]), name: (header[2] ?? '').trim(), line, body: [] };
+      entries.push(current);
+      return;
+    }
+    if (!current) {
+      issues.push({
+        severity: 'error',
+        code: 'orphan-line',
+        number: null,
+        name: null,
+        line,
+        message: `Line outside any "N. name" entry: ${trimmed}`,
+      });
+      return;
+    }
+    current.body.push({ text: trimmed, line });
+  });
+
+  return entries;
+}
+
+/**
+ * Consonant skeleton used to compare a joined split with its headword.
+ * Vowels, virāma, visarga and hyphens are dropped, nasals collapse to one
+ * class, each stop collapses to its varga's first letter, retroflex stops and
+ * sibilants fold into the dental ones — which absorbs the vowel, voicing,
+ * nasal and retroflexion changes sandhi makes at a boundary (नि + स्था →
+ * निष्ठा). Assimilation across a boundary (चित् + शक्ति → चिच्छक्ति) and
+ * stem-vs-inflected forms can still cost a couple of edits, hence
+ * SANDHI_EDITS_PER_BOUNDARY.
+ * @param {string} text
+ * @returns {string}
+ */
+function skeleton(text) {
+  const VARGAS = ['कखगघ', 'चछजझ', 'तथदधटठडढ', 'पफबभ', 'सशष'];
+  const NASALS = 'ङञणनमं';
+  let out = '';
+  for (const ch of text.normalize('NFC')) {
+    if (NASALS.includes(ch)) {
+      out += 'ं';
+      continue;
+    }
+    const varga = VARGAS.find((v) => v.includes(ch));
+    if (varga) {
+      out += varga[0];
+      continue;
+    }
+    // Remaining consonants (ळ and the nukta forms included) survive; everything else goes.
+    if (/[\u0915-\u0939\u0958-\u095f]/.test(ch)) out += ch;
+  }
+  return out;
+}
+
+/**
+ * Whether `parts` joined reconstructs `word`. Headwords that list an
+ * alternate reading ("सुधास्रुतिः / सृतिः") match on either.
+ * @param {string[]} parts
+ * @param {string} word
+ * @returns {{ ok: boolean, distance: number }}
+ */
+function reconstructs(parts, word) {
+  const joined = skeleton(parts.join(''));
+  const budget = (parts.length - 1) * SANDHI_EDITS_PER_BOUNDARY;
+  const distance = Math.min(
+    ...word.split('/').map((alt) => editDistance(joined, skeleton(alt.trim()))),
+  );
+  return { ok: distance <= budget, distance };
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  const A = [...a];
+  const B = [...b];
+  let prev = Array.from({ length: B.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= A.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= B.length; j++) {
+      const cost = A[i - 1] === B[j - 1] ? 0 : 1;
+      row[j] = Math.min((prev[j] ?? 0) + 1, (row[j - 1] ?? 0) + 1, (prev[j - 1] ?? 0) + cost);
+    }
+    prev = row;
+  }
+  return prev[B.length] ?? 0;
+}
+
+/**
+ * Validate one entry's body lines.
+ * @param {RootEntry} entry
+ * @param {Issue[]} issues
+ */
+export function validateBody(entry, issues) {
+  /**
+   * @param {Severity} severity
+   * @param {string} code
+   * @param {number} line
+   * @param {string} message
+   */
+  const report = (severity, code, line, message) =>
+    issues.push({ severity, code, number: entry.number, name: entry.name, line, message });
+
+  const [splitLine, ...rest] = entry.body;
+  if (!splitLine) {
+    report('error', 'empty-entry', entry.line, 'Entry has no breakdown lines');
+    return;
+  }
+  if (splitLine.text.includes('->')) {
+    report('error', 'missing-split', splitLine.line, 'First line must be the "_"-separated split, not an arrow line');
+    return;
+  }
+
+  /** @type {Map<string, { value: string, line: number }>} */
+  const lookup = new Map();
+  for (const { text, line } of rest) {
+    const arrow = /^(.+?)\s+->\s+(.+)$/.exec(text);
+    if (!arrow) {
+      report('error', 'malformed-line', line, `Expected "<part> -> <meanings>", got: ${text}`);
+      continue;
+    }
+    const key = (arrow[1] ?? '').trim();
+    const value = (arrow[2] ?? '').trim();
+    const existing = lookup.get(key);
+    if (existing && existing.value !== value) {
+      report('warning', 'duplicate-part', line, `"${key}" is defined again (first on line ${existing.line}) with a different breakdown`);
+      continue;
+    }
+    lookup.set(key, { value, line });
+  }
+
+  const topParts = splitLine.text.split('_').map((p) => p.trim());
+  if (topParts.some((p) => !p)) {
+    report('error', 'empty-part', splitLine.line, `Split has an empty part: ${splitLine.text}`);
+  }
+
+  // Joined split vs headword, modulo sandhi.
+  const top = reconstructs(topParts, entry.name);
+  if (!top.ok) {
+    report(
+      'error',
+      'split-mismatch',
+      splitLine.line,
+      `Split "${splitLine.text}" does not reconstruct "${entry.name}" (${top.distance} consonant edits)`,
+    );
+  }
+
+  // Walk the split tree: every part needs its own arrow line.
+  /** @type {Set<string>} */
+  const referenced = new Set();
+  /**
+   * @param {string} part
+   * @param {number} line
+   */
+  const visit = (part, line) => {
+    if (!part || referenced.has(part)) return;
+    referenced.add(part);
+    const def = lookup.get(part);
+    if (!def) {
+      report('error', 'missing-part', line, `Part "${part}" has no "${part} -> …" line`);
+      return;
+    }
+    if (isCompound(def.value)) {
+      const children = def.value.split('_').map((p) => p.trim());
+      if (children.some((p) => !p)) {
+        report('error', 'empty-part', def.line, `Split has an empty part: ${def.value}`);
+      }
+      if (!reconstructs(children, part).ok) {
+        report('error', 'split-mismatch', def.line, `Split "${def.value}" does not reconstruct "${part}"`);
+      }
+      children.forEach((child) => visit(child, def.line));
+      return;
+    }
+    validateGloss(part, def.value, def.line);
+  };
+
+  /**
+   * @param {string} part
+   * @param {string} value
+   * @param {number} line
+   */
+  const validateGloss = (part, value, line) => {
+    const { meanings } = parseGloss(value);
+    const bracket = /\[([^\]]*)\]\s*$/.exec(value);
+    const meaningText = bracket ? value.slice(0, bracket.index) : value;
+
+    if (meanings.length === 0) {
+      report('error', 'no-meaning', line, `"${part}" has no English meaning`);
+    }
+    for (const m of meanings) {
+      if (DEVANAGARI.test(m)) {
+        report('error', 'non-english-meaning', line, `Meaning "${m}" of "${part}" is not English`);
+      } else if (!/[A-Za-z]/.test(m)) {
+        report('error', 'non-english-meaning', line, `Meaning "${m}" of "${part}" has no Latin letters`);
+      }
+    }
+    if (/[,;]/.test(meaningText)) {
+      report('warning', 'meaning-separator', line, `Meanings of "${part}" should be separated with "+", not commas`);
+    }
+    if (/\[/.test(meaningText) || (value.includes('[') && !bracket)) {
+      report('error', 'malformed-roots', line, `Root tag for "${part}" must be a single trailing [√…] group`);
+    }
+
+    if (bracket) {
+      const tags = (bracket[1] ?? '').split('+').map((t) => t.trim());
+      for (const tag of tags) {
+        const root = tag.startsWith('√') ? tag.slice(1) : null;
+        if (!root || !WELL_FORMED_ROOT.test(root)) {
+          report('error', 'malformed-roots', line, `Root "${tag}" for "${part}" must be √ followed by a Devanagari dhātu`);
+        }
+      }
+    }
+  };
+
+  topParts.forEach((part) => visit(part, splitLine.line));
+
+  for (const [key, { line }] of lookup) {
+    if (!referenced.has(key)) {
+      report('warning', 'unused-part', line, `"${key}" is defined but not reachable from the split`);
+    }
+  }
+}
+
+/**
+ * @param {RootEntry[]} entries
+ * @param {string[]} canonicalNames
+ * @param {Issue[]} issues
+ */
+function validateNumbering(entries, canonicalNames, issues) {
+  /** @type {Map<number, RootEntry>} */
+  const seen = new Map();
+  let previous = 0;
+
+  for (const entry of entries) {
+    const { number, name, line } = entry;
+    /**
+     * @param {string} code
+     * @param {string} message
+     */
+    const error = (code, message) => issues.push({ severity: 'error', code, number, name, line, message });
+
+    if (number < 1 || number > EXPECTED_NAMES) {
+      error('number-out-of-range', `Nāma number ${number} is outside 1..${EXPECTED_NAMES}`);
+    }
+    const duplicate = seen.get(number);
+    if (duplicate) {
+      error('duplicate-number', `Nāma ${number} already appears on line ${duplicate.line}`);
+    } else {
+      seen.set(number, entry);
+    }
+    if (number <= previous) {
+      error('out-of-order', `Nāma ${number} follows ${previous}; entries must be in ascending order`);
+    }
+    previous = Math.max(previous, number);
+
+    const expected = canonicalNames[number - 1];
+    if (expected !== undefined && expected !== name) {
+      error('headword-mismatch', `Headword "${name}" does not match sanskritdocuments.json nāma ${number} "${expected}"`);
+    }
+  }
+
+  // Entries are appended one at a time, so only gaps below the highest
+  // number written so far are errors; the untouched tail is one warning.
+  const highest = previous;
+  for (let n = 1; n < highest; n++) {
+    if (seen.has(n)) continue;
+    issues.push({
+      severity: 'error',
+      code: 'missing-number',
+      number: n,
+      name: canonicalNames[n - 1] ?? null,
+      line: 0,
+      message: `Nāma ${n} has no entry`,
+    });
+  }
+  if (highest < EXPECTED_NAMES) {
+    issues.push({
+      severity: 'warning',
+      code: 'incomplete',
+      number: highest + 1,
+      name: canonicalNames[highest] ?? null,
+      line: 0,
+      message: `Nāmas ${highest + 1}–${EXPECTED_NAMES} have no entries yet`,
+    });
+  }
+}
+
+/**
+ * @param {string[]} argv
+ */
+function parseArgs(argv) {
+  const args = { json: false, report: /** @type {string | null} */ (null), file: ROOT_TXT_PATH };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') args.json = true;
+    else if (arg === '--report') args.report = argv[++i] ?? null;
+    else if (arg) args.file = path.resolve(process.cwd(), arg);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  try {
+    const text = await fs.readFile(args.file, 'utf8');
+    /** @type {Record<string, string>} */
+    const sanskritDocs = JSON.parse(await fs.readFile(SANSKRITDOCUMENTS_PATH, 'utf8'));
+    const canonicalNames = Object.keys(sanskritDocs);
+
+    /** @type {Issue[]} */
+    const issues = [];
+    const entries = parseEntries(text, issues);
+    validateNumbering(entries, canonicalNames, issues);
+    entries.forEach((entry) => validateBody(entry, issues));
+    issues.sort((a, b) => (a.number ?? 0) - (b.number ?? 0) || a.line - b.line);
+
+    const errors = issues.filter((i) => i.severity === 'error').length;
+    const warnings = issues.length - errors;
+    const report = {
+      file: path.relative(projectRoot, args.file),
+      entries: entries.length,
+      errors,
+      warnings,
+      issues,
+    };
+
+    if (args.report) {
+      await fs.writeFile(path.resolve(process.cwd(), args.report), JSON.stringify(report, null, 2) + '\n', 'utf8');
+    }
+
+    if (args.json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      for (const issue of issues) {
+        const where = issue.line ? `${report.file}:${issue.line}` : report.file;
+        const mark = issue.severity === 'error' ? '✗' : '⚠';
+        console.log(`${mark} ${where} [${issue.code}] ${issue.message}`);
+      }
+      console.log(`\n${entries.length} entries checked: ${errors} errors, ${warnings} warnings`);
+      if (errors === 0) console.log('✅ root.txt is valid');
+    }
+
+    if (errors > 0) process.exitCode = 1;
+  } catch (err) {
+    const errorMessage = err instanceof Error ? err.message : String(err);
+    console.error('Error:', errorMessage);
+    process.exitCode = 1;
+  }
+}
+
+// prompt-for-name.js imports the checks above; only run the CLI when invoked directly.
+if (process.argv[1] && path.resolve(process.argv[1]) === __filename) main();
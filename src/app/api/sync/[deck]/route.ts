@@ -0,0 +1,52 @@
+import { NextResponse } from "next/server";
+import { SYNC_DECK_PATTERN, parseProgress } from "@/lib/srs-sync";
+import { mergeDeck, readDeck } from "@/lib/sync-store";
+
+type Params = { params: Promise<{ deck: string }> };
+
+function badDeck() {
+  return NextResponse.json({ error: "invalid sync code" }, { status: 400 });
+}
+
+/** The store failed (disk full, permissions): JSON the client can show. */
+function storeError(err: unknown) {
+  const message = err instanceof Error ? err.message : String(err);
+  return NextResponse.json(
+    { error: `sync store unavailable — ${message}` },
+    { status: 500 },
+  );
+}
+
+/** The stored copy of a deck. */
+export async function GET(_request: Request, { params }: Params) {
+  const { deck } = await params;
+  if (!SYNC_DECK_PATTERN.test(deck)) return badDeck();
+  let stored;
+  try {
+    stored = await readDeck(deck);
+  } catch (err) {
+    return storeError(err);
+  }
+  if (!stored) {
+    return NextResponse.json({ error: "nothing synced yet" }, { status: 404 });
+  }
+  return NextResponse.json(stored);
+}
+
+/** Merge a device's copy into the deck; responds with the merged deck. */
+export async function PUT(request: Request, { params }: Params) {
+  const { deck } = await params;
+  if (!SYNC_DECK_PATTERN.test(deck)) return badDeck();
+  let incoming;
+  try {
+    incoming = parseProgress(await request.json());
+  } catch (err) {
+    const message = err instanceof Error ? err.message : String(err);
+    return NextResponse.json({ error: message }, { status: 400 });
+  }
+  try {
+    return NextResponse.json(await mergeDeck(deck, incoming));
+  } catch (err) {
+    return storeError(err);
+  }
+}
@@ -1,13 +1,24 @@
 import "@/styles/globals.css";
 
-import { type Metadata } from "next";
+import { type Metadata, type Viewport } from "next";
 import { Geist, Tiro_Devanagari_Sanskrit } from "next/font/google";
+import { ScriptProvider } from "@/components/script-provider";
+import { ServiceWorker } from "@/components/service-worker";
 
 export const metadata: Metadata = {
   title: "Lalita Sahasranama",
   description:
     "The 1000 names of the Goddess Lalita Tripurasundari — with root breakdowns and commentaries.",
-  icons: [{ rel: "icon", url: "/favicon.ico" }],
+  icons: [
+    { rel: "icon", url: "/favicon.ico" },
+    { rel: "apple-touch-icon", url: "/pwa-icon/192" },
+  ],
+  // Installable, and usable offline once installed (public/sw.js).
+  appleWebApp: { capable: true, title: "Lalita" },
+};
+
+export const viewport: Viewport = {
+  themeColor: "#c2410c",
 };
 
 const geist = Geist({
@@ -26,7 +37,10 @@ export default function RootLayout({
 }: Readonly<{ children: React.ReactNode }>) {
   return (
     <html lang="en" className={`${geist.variable} ${sanskrit.variable}`}>
-      <body className="paper-bg min-h-screen">{children}</body>
+      <body className="paper-bg min-h-screen">
+        <ScriptProvider>{children}</ScriptProvider>
+        <ServiceWorker />
+      </body>
     </html>
   );
 }
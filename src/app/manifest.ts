@@ -0,0 +1,30 @@
+import type { MetadataRoute } from "next";
+
+// Web app manifest, so the site can be installed and opened offline (see
+// public/sw.js). Icons are drawn by pwa-icon/[size].
+export default function manifest(): MetadataRoute.Manifest {
+  return {
+    name: "Lalita Sahasranama",
+    short_name: "Lalita",
+    description:
+      "The 1000 names of the Goddess Lalita Tripurasundari — with root breakdowns, commentaries and memorisation practice.",
+    start_url: "/",
+    display: "standalone",
+    background_color: "#faf2dc",
+    theme_color: "#c2410c",
+    icons: [192, 512].flatMap((size) => [
+      {
+        src: `/pwa-icon/${size}`,
+        sizes: `${size}x${size}`,
+        type: "image/png",
+        purpose: "any" as const,
+      },
+      {
+        src: `/pwa-icon/${size}`,
+        sizes: `${size}x${size}`,
+        type: "image/png",
+        purpose: "maskable" as const,
+      },
+    ]),
+  };
+}
@@ -0,0 +1,227 @@
+"use client";
+
+import Link from "next/link";
+import React from "react";
+import { RelatedNamas, hasRelated } from "@/components/related-namas";
+import { RootBreakdown } from "@/components/root-breakdown";
+import { useScript } from "@/components/script-provider";
+import type { ThemeGroup } from "@/constants/themes";
+import type { CommentaryRole } from "@/lib/commentary-sources";
+import type { Related } from "@/lib/crossrefs";
+import { extractLede, splitIntoParagraphs } from "@/lib/format-commentary";
+import { toIAST } from "@/lib/transliterate";
+
+export type VerseWord = { word: string; highlight: boolean };
+
+export type NamaSource = {
+  id: string;
+  label: string;
+  role: CommentaryRole;
+  text: string;
+};
+
+type NamaRef = { number: number; name: string };
+
+interface NamaViewProps {
+  number: number;
+  name: string;
+  verse: {
+    number: number;
+    lines: VerseWord[][];
+    /** The verse word split into padas, when it isn't just this name. */
+    sandhi: { word: string; padas: string[] } | null;
+  };
+  sources: NamaSource[];
+  related: Related;
+  chapter: {
+    index: number;
+    title: string;
+    range: [number, number];
+    group: ThemeGroup | null;
+  } | null;
+  prev: NamaRef | null;
+  next: NamaRef | null;
+}
+
+export default function NamaView({
+  number,
+  name,
+  verse,
+  sources,
+  related,
+  chapter,
+  prev,
+  next,
+}: NamaViewProps) {
+  const { script, display } = useScript();
+  const root = sources.find((s) => s.role === "breakdown");
+  const commentaries = sources.filter((s) => s.role !== "breakdown");
+
+  return (
+    <>
+      <header className="mb-10 text-center">
+        <span className="number-pill">N° {number}</span>
+        <h1 className="font-sanskrit mt-4 text-5xl leading-tight font-extrabold text-[#7c1d1d]">
+          {display(name)}
+        </h1>
+        <p className="font-sanskrit mt-1 text-lg text-[#8a6a3c] italic">
+          {script === "iast" ? name : toIAST(name)}
+        </p>
+        <hr className="paper-rule mx-auto mt-4 w-48" />
+      </header>
+
+      <div className="space-y-6">
+        <article id="verse" className="sticker-card scroll-mt-8 p-5 sm:p-6">
+          <p className="mb-3 text-xs font-bold tracking-widest text-[#8a6a3c] uppercase">
+            Verse {verse.number}
+          </p>
+          <div className="font-sanskrit space-y-1 text-xl leading-relaxed text-[#2b1700]">
+            {verse.lines.map((line, li) => (
+              <p key={li}>
+                {line.map((w, wi) =>
+                  w.highlight ? (
+                    <mark
+                      key={wi}
+                      className="rounded bg-[#fde68a]/70 px-1 font-bold text-[#7c1d1d]"
+                    >
+                      {display(w.word)}
+                    </mark>
+                  ) : (
+                    <span key={wi}>{display(w.word)}</span>
+                  ),
+                )}
+              </p>
+            ))}
+          </div>
+          {verse.sandhi && (
+            <p className="font-sanskrit mt-3 border-t border-[#2b1700]/10 pt-3 text-base text-[#5a3a18]">
+              {display(verse.sandhi.word)} ={" "}
+              {verse.sandhi.padas.map((pada, i) => (
+                <React.Fragment key={i}>
+                  {i > 0 && " + "}
+                  <span
+                    className={
+                      pada === name ? "font-bold text-[#7c1d1d]" : undefined
+                    }
+                  >
+                    {display(pada)}
+                  </span>
+                </React.Fragment>
+              ))}
+            </p>
+          )}
+        </article>
+
+        {chapter && (
+          <article className="sticker-card p-5 sm:p-6">
+            <div className="flex items-start gap-4">
+              <span className="number-pill mt-1 shrink-0">
+                {String(chapter.index + 1).padStart(2, "0")}
+              </span>
+              <div className="flex-1">
+                <Link
+                  href={`/themes#chapter-${chapter.index + 1}`}
+                  className="text-lg leading-tight font-extrabold text-[#2b1700] hover:text-[#c2410c]"
+                >
+                  {chapter.title}
+                </Link>
+                <p className="mt-1 text-xs font-bold tracking-widest text-[#8a6a3c] uppercase">
+                  Nāmas {chapter.range[0]}—{chapter.range[1]}
+                </p>
+                {chapter.group && (
+                  <div className="mt-3 rounded-lg border border-[#2b1700]/15 bg-[#faf2dc]/60 p-3">
+                    <p className="text-sm font-bold text-[#2b1700]">
+                      <span className="mr-2 font-mono text-xs tracking-wider text-[#8a6a3c]">
+                        {chapter.group.range[0]}—{chapter.group.range[1]}
+                      </span>
+                      {chapter.group.title}
+                    </p>
+                    <p className="mt-0.5 text-sm text-[#5a3a18] italic">
+                      {chapter.group.summary}
+                    </p>
+                  </div>
+                )}
+              </div>
+            </div>
+          </article>
+        )}
+
+        {root && (
+          <article
+            id="root"
+            className="sticker-card scroll-mt-8 p-5 text-sm leading-relaxed sm:p-6"
+          >
+            <h2 className="mb-3 text-xs font-bold tracking-widest text-[#8a6a3c] uppercase">
+              Root breakdown
+            </h2>
+            <RootBreakdown text={root.text} />
+          </article>
+        )}
+
+        {commentaries.map((source) => (
+          <article
+            key={source.id}
+            id={source.id}
+            className="sticker-card scroll-mt-8 p-5 sm:p-6"
+          >
+            <h2 className="mb-3 text-xs font-bold tracking-widest text-[#8a6a3c] uppercase">
+              {source.label}
+            </h2>
+            <CommentaryText text={source.text} />
+          </article>
+        ))}
+
+        {hasRelated(related) && (
+          <article id="related" className="sticker-card scroll-mt-8 p-5 sm:p-6">
+            <h2 className="mb-3 text-xs font-bold tracking-widest text-[#8a6a3c] uppercase">
+              Related nāmas
+            </h2>
+            <RelatedNamas related={related} />
+          </article>
+        )}
+      </div>
+
+      <nav className="mt-10 flex items-center justify-between gap-4 border-t border-[#2b1700]/15 pt-6 text-sm font-semibold">
+        {prev ? (
+          <Link
+            href={`/nama/${prev.number}`}
+            className="text-[#c2410c] hover:text-[#7c1d1d]"
+          >
+            ← {prev.number}.{" "}
+            <span className="font-sanskrit">{display(prev.name)}</span>
+          </Link>
+        ) : (
+          <span />
+        )}
+        {next ? (
+          <Link
+            href={`/nama/${next.number}`}
+            className="text-right text-[#c2410c] hover:text-[#7c1d1d]"
+          >
+            {next.number}.{" "}
+            <span className="font-sanskrit">{display(next.name)}</span> →
+          </Link>
+        ) : (
+          <span />
+        )}
+      </nav>
+    </>
+  );
+}
+
+function CommentaryText({ text }: { text: string }) {
+  const flatText = text.replace(/\s+/g, " ").trim();
+  const { lede, body } = extractLede(flatText);
+  const paragraphs = splitIntoParagraphs(body || flatText);
+
+  return (
+    <div className="leading-relaxed">
+      {lede && <p className="commentary-lede">{lede}</p>}
+      <div className="commentary-body space-y-4 text-base text-[#2b1700]/85">
+        {paragraphs.map((p, i) => (
+          <p key={i}>{p}</p>
+        ))}
+      </div>
+    </div>
+  );
+}
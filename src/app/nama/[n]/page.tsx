@@ -0,0 +1,162 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import React from "react";
+import { ScriptSelector } from "@/components/script-provider";
+import { CHAPTERS } from "@/constants/themes";
+import { loadCommentarySources } from "@/lib/commentary-sources";
+import { relatedNamas } from "@/lib/crossrefs";
+import { resolveNameKeys } from "@/lib/name-matching";
+import { loadNamas } from "@/lib/namas";
+import { toIAST } from "@/lib/transliterate";
+import { loadVerses } from "@/lib/verses";
+import NamaView, { type NamaSource, type VerseWord } from "./nama-view";
+
+// Every manifest source, in manifest order.
+const sources = loadCommentarySources();
+
+const sanskritDocs =
+  sources.find((s) => s.id === "sanskritdocuments")?.entries ?? {};
+// Canonical 1000 nāmas in order, with their verse placement.
+const namas = loadNamas();
+const names = namas.map((n) => n.name);
+
+const verses = loadVerses();
+
+type Params = Promise<{ n: string }>;
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return names.map((_, i) => ({ n: String(i + 1) }));
+}
+
+export async function generateMetadata({
+  params,
+}: {
+  params: Params;
+}): Promise<Metadata> {
+  const { n } = await params;
+  const name = names[Number(n) - 1];
+  if (!name) return {};
+  return {
+    title: `${n}. ${name} (${toIAST(name)}) — Lalita Sahasranama`,
+    description: sanskritDocs[name] ?? undefined,
+  };
+}
+
+export default async function NamaPage({ params }: { params: Params }) {
+  const { n } = await params;
+  const number = Number(n);
+  const name = names[number - 1]!;
+
+  const verseNumber = namas[number - 1]!.verse;
+  const verse = verses[verseNumber - 1]!;
+
+  // How the verse word carrying the name splits into padas, when it isn't
+  // just the name itself. The table's own grouping covers the words the
+  // sandhi rules can't split.
+  const { sandhiForm } = namas[number - 1]!;
+  const resolved = resolveNameKeys(sandhiForm, sanskritDocs) ?? [];
+  const padas = resolved.includes(name)
+    ? resolved
+    : namas
+        .filter((n) => n.verse === verseNumber && n.sandhiForm === sandhiForm)
+        .map((n) => n.name);
+  const sandhi =
+    padas.length > 1 || sandhiForm.replace(/-/g, "") !== name
+      ? { word: sandhiForm, padas }
+      : null;
+  const verseLines: VerseWord[][] = verse.tokens.map((line) =>
+    line.map((token) => ({
+      word: token.text,
+      highlight: !!token.namas?.includes(number),
+    })),
+  );
+
+  const available: NamaSource[] = sources
+    .map(({ id, name: label, role, entries }) => ({
+      id,
+      label,
+      role,
+      text: entries[name] ?? "",
+    }))
+    .filter((s) => s.text.trim().length > 0);
+
+  const chapterIdx = CHAPTERS.findIndex(
+    (c) => number >= c.range[0] && number <= c.range[1],
+  );
+  const chapter = CHAPTERS[chapterIdx];
+  const group = chapter?.groups.find(
+    (g) => number >= g.range[0] && number <= g.range[1],
+  );
+
+  const prevName = names[number - 2];
+  const nextName = names[number];
+
+  return (
+    <>
+      <div className="border-b border-[#2b1700]/15">
+        <div className="container mx-auto flex items-center justify-between px-4 py-4">
+          <Link href="/" className="flex items-center gap-2">
+            <span className="grid h-9 w-9 place-items-center rounded-md bg-[#c2410c] font-extrabold text-[#fff8e1] shadow-sm">
+              ॐ
+            </span>
+            <span className="text-lg font-extrabold tracking-tight text-[#2b1700]">
+              Lalita<span className="text-[#c2410c]">.</span>
+            </span>
+          </Link>
+          <nav className="flex items-center gap-6 text-sm font-semibold text-[#2b1700]">
+            <Link href="/" className="hover:text-[#c2410c]">
+              Verses
+            </Link>
+            <Link href="/themes" className="hover:text-[#c2410c]">
+              Themes
+            </Link>
+            <Link href="/roots" className="hover:text-[#c2410c]">
+              Roots
+            </Link>
+            <Link href="/practice" className="hover:text-[#c2410c]">
+              Practice
+            </Link>
+            <Link href="/vravi" className="hover:text-[#c2410c]">
+              V. Ravi
+            </Link>
+            <Link href="/search" className="hover:text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
+          </nav>
+        </div>
+      </div>
+
+      <section className="container mx-auto max-w-3xl px-4 py-10 sm:py-14">
+        <NamaView
+          number={number}
+          name={name}
+          verse={{ number: verseNumber, lines: verseLines, sandhi }}
+          sources={available}
+          related={relatedNamas(number)}
+          chapter={
+            chapter
+              ? {
+                  index: chapterIdx,
+                  title: chapter.title,
+                  range: chapter.range,
+                  group: group ?? null,
+                }
+              : null
+          }
+          prev={prevName ? { number: number - 1, name: prevName } : null}
+          next={nextName ? { number: number + 1, name: nextName } : null}
+        />
+      </section>
+
+      <footer className="border-t border-[#2b1700]/15">
+        <div className="container mx-auto px-4 py-8 text-center text-xs text-[#5a3a18]">
+          Lalita Sahasranama — for personal study. Commentaries by their
+          respective authors.
+        </div>
+      </footer>
+    </>
+  );
+}
@@ -1,64 +1,31 @@
-import fs from "node:fs";
-import path from "node:path";
 import Link from "next/link";
 import React from "react";
+import { ScriptSelector } from "@/components/script-provider";
+import { loadCommentarySources } from "@/lib/commentary-sources";
+import { loadRelated } from "@/lib/crossrefs";
+import { loadNamaNames } from "@/lib/namas";
+import { loadRecitation } from "@/lib/recitation";
+import { loadClosingLine, loadVerses } from "@/lib/verses";
 import VersesDisplay from "./verses-display";
 
-const sanskritFilePath = path.join(process.cwd(), "src/constants/sanskrit.txt");
-const sanskritText = fs.readFileSync(sanskritFilePath, "utf-8");
+// Verse words with their nāma numbers, precomputed by the pipeline.
+const verses = loadVerses();
+const closingLine = loadClosingLine();
+const names = loadNamaNames();
+// Recitation tracks whose audio is present under public/.
+const recitation = loadRecitation();
 
-/**
- * Aliases for verse-form spellings that don't match the keys generated from
- * the commentary text. Each alias maps an alternate form (as it appears in
- * sanskrit.txt) to either a single canonical key in the JSON, or a list of
- * keys whose commentaries should be concatenated.
- */
-const COMMENTARY_ALIASES: Record<string, string | string[]> = {
-  // Spelling variants between sanskrit.txt and the JSON keys
-  "वारुणीमदविह्वला": "वारुणी मदविव्हला",
-  "राज्यलक्ष्मीः": "राज्यलक्ष्मी",
-  "शिवशक्त्यैक्यरूपिणी": "शिवशक्तैक्यरूपिणी",
-  "सुधासृतिः": "सुधास्रुतिः / सृतिः",
-  // Alternate traditional name spellings — sanskrit.txt uses one variant, the
-  // commentaries use another. Map sanskrit.txt → commentary key.
-  "बन्धुरालका": "बर्बरालका",
-  // Two adjacent nāmas concatenated in the verse text with no separating
-  // visarga/sandhi marker — the parser sees one word but the commentary keys
-  // are split. Map the concatenated form to the pair of canonical names.
-  "ब्रह्मजननी": ["ब्रह्म", "जननी"],
-  "धराधरसुता": ["धरा", "धरसुता"],
-  "त्रिगुणाम्बा": ["त्रिगुणा", "अम्बा"],
-};
+// Tabs are keyed by display name; the breakdown source is always "root",
+// which the popover renders with RootBreakdown.
+const commentaries = Object.fromEntries(
+  loadCommentarySources().map((source) => [
+    source.role === "breakdown" ? "root" : source.name,
+    source.entries,
+  ]),
+);
 
-const loadCommentary = (filename: string): Record<string, string> => {
-  const filePath = path.join(process.cwd(), `src/commentaries-json/${filename}`);
-  const text = fs.readFileSync(filePath, "utf-8");
-  const data = JSON.parse(text) as Record<string, string>;
-  // Augment with aliases so verse words resolve to commentary keys.
-  for (const [alias, target] of Object.entries(COMMENTARY_ALIASES)) {
-    if (data[alias]) continue;
-    if (typeof target === "string") {
-      const value = data[target];
-      if (value) data[alias] = value;
-    } else {
-      const parts = target
-        .map((key) => {
-          const t = data[key];
-          return t ? `${key}\n${t}` : null;
-        })
-        .filter((p): p is string => p !== null);
-      if (parts.length > 0) data[alias] = parts.join("\n\n");
-    }
-  }
-  return data;
-};
-
-const commentaries = {
-  root: loadCommentary("root.json"),
-  Bhaskaraya: loadCommentary("bhaskaraya.json"),
-  "V. Ravi": loadCommentary("vravi.json"),
-  "Sanskrit Documents": loadCommentary("sanskritdocuments.json"),
-};
+// Related nāmas by number, for the popover's Related tab.
+const related = Object.fromEntries(loadRelated());
 
 export default function Home() {
   return (
@@ -80,20 +47,31 @@ export default function Home() {
             <Link href="/themes" className="hover:text-[#c2410c]">
               Themes
             </Link>
+            <Link href="/roots" className="hover:text-[#c2410c]">
+              Roots
+            </Link>
             <Link href="/practice" className="hover:text-[#c2410c]">
               Practice
             </Link>
             <Link href="/vravi" className="hover:text-[#c2410c]">
               V. Ravi
             </Link>
+            <Link href="/search" className="hover:text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
           </nav>
         </div>
       </div>
 
       <section className="container mx-auto max-w-3xl px-4 py-12 sm:py-16">
         <VersesDisplay
-          sanskritText={sanskritText}
+          verses={verses}
+          closingLine={closingLine}
+          names={names}
           commentaries={commentaries}
+          related={related}
+          recitation={recitation}
         />
       </section>
 
@@ -1,41 +1,54 @@
-import fs from "node:fs";
-import path from "node:path";
 import Link from "next/link";
 import React from "react";
-import PracticeView from "./practice-view";
+import { ScriptSelector } from "@/components/script-provider";
+import { loadCommentarySources } from "@/lib/commentary-sources";
+import { loadNamaNames, loadNamas } from "@/lib/namas";
+import { loadRootsOf } from "@/lib/roots";
+import { loadVerses } from "@/lib/verses";
+import PracticeView, { type PracticeCommentary } from "./practice-view";
 
-const loadJson = (filename: string): Record<string, string> => {
-  const filePath = path.join(
-    process.cwd(),
-    `src/commentaries-json/${filename}`,
+const sources = loadCommentarySources();
+
+// Canonical 1000 nāmas in order.
+const names = loadNamaNames();
+
+// Dhātus behind each nāma, so multiple-choice distractors can share a root.
+const rootsOf = loadRootsOf();
+
+// Verses, for the verse-completion and cloze drills.
+const verses = loadVerses();
+
+// Spellings a typed answer is graded against: the name, then its variants
+// ("a / b" readings are only accepted as their separate forms).
+const spellings: Record<number, string[]> = {};
+for (const nama of loadNamas()) {
+  spellings[nama.number] = [nama.name, ...nama.variants].filter(
+    (form) => !form.includes("/"),
   );
-  const text = fs.readFileSync(filePath, "utf-8");
-  return JSON.parse(text) as Record<string, string>;
-};
+}
 
-const sanskritDocs = loadJson("sanskritdocuments.json");
-const vravi = loadJson("vravi.json");
-const root = loadJson("root.json");
+// Only nāmas with a commentary; the view says when one has none.
+const byNumber = (entries: Record<string, string>) => {
+  const text: Record<number, string> = {};
+  names.forEach((name, i) => {
+    const entry = entries[name];
+    if (entry) text[i + 1] = entry;
+  });
+  return text;
+};
 
-// Canonical 1000 nāmas in order, from the Sanskrit Documents JSON.
-const names = Object.keys(sanskritDocs);
+// Short one-line meanings (the gloss source) — shown on flip.
+const gloss = sources.find((s) => s.role === "gloss");
+const shortMeanings = byNumber(gloss?.entries ?? {});
 
-// Short one-line meanings (sanskritdocuments) — the gloss shown on flip.
-const shortMeanings: Record<number, string> = {};
-names.forEach((name, i) => {
-  shortMeanings[i + 1] = sanskritDocs[name] ?? "";
-});
-// V. Ravi commentary (longer; rendered on "show more")
-const vraviText: Record<number, string> = {};
-names.forEach((name, i) => {
-  vraviText[i + 1] = vravi[name] ?? "";
-});
+// Prose commentaries (longer; rendered on "show more").
+const commentaries: PracticeCommentary[] = sources
+  .filter((s) => s.role === "commentary")
+  .map((s) => ({ id: s.id, name: s.name, text: byNumber(s.entries) }));
 
 // Root breakdown text (for the "show root" affordance)
-const rootText: Record<number, string> = {};
-names.forEach((name, i) => {
-  rootText[i + 1] = root[name] ?? "";
-});
+const breakdown = sources.find((s) => s.role === "breakdown");
+const rootText = byNumber(breakdown?.entries ?? {});
 
 export const metadata = {
   title: "Practice — Lalita Sahasranama",
@@ -63,12 +76,19 @@ export default function PracticePage() {
             <Link href="/themes" className="hover:text-[#c2410c]">
               Themes
             </Link>
+            <Link href="/roots" className="hover:text-[#c2410c]">
+              Roots
+            </Link>
             <Link href="/practice" className="text-[#c2410c]">
               Practice
             </Link>
             <Link href="/vravi" className="hover:text-[#c2410c]">
               V. Ravi
             </Link>
+            <Link href="/search" className="hover:text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
           </nav>
         </div>
       </div>
@@ -81,18 +101,29 @@ export default function PracticePage() {
           <hr className="paper-rule my-3 w-32" />
           <p className="text-sm leading-relaxed text-[#5a3a18]">
             Spaced repetition + active recall — the only two memorisation
-            techniques rated "high utility" by Dunlosky et al. (2013). Three
-            drills are available: <b>number → nāma</b>, <b>nāma → meaning</b>,
-            and <b>previous → next</b>. Progress is saved in your browser; one
-            card per nāma, scheduled by SM-2.
+            techniques rated "high utility" by Dunlosky et al. (2013). Nāma
+            drills: <b>number → nāma</b>, <b>nāma → meaning</b>,{" "}
+            <b>meaning → nāma</b>, <b>previous → next</b>, and{" "}
+            <b>type the nāma</b>, which grades what you type (Devanagari or
+            IAST) syllable by syllable. Verse drills: <b>recite a verse</b> from
+            its number, <b>complete the second half</b> from the first, and{" "}
+            <b>cloze</b> with one nāma blanked out. Any drill but typing can be
+            asked as multiple choice instead. One card per nāma or verse,
+            scheduled by SM-2 or FSRS. Study the whole stotra, or a deck of one
+            chapter, a range, the nāmas of a dhātu or your own list. Progress is
+            saved in your browser, and can be exported, imported or synced
+            between your devices.
           </p>
         </header>
 
         <PracticeView
           names={names}
+          spellings={spellings}
           shortMeanings={shortMeanings}
-          vraviText={vraviText}
+          commentaries={commentaries}
           rootText={rootText}
+          verses={verses}
+          rootsOf={rootsOf}
         />
       </section>
     </>
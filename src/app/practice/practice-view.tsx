@@ -1,75 +1,271 @@
 "use client";
 
-import React, { useCallback, useEffect, useMemo, useState } from "react";
+import Link from "next/link";
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
 import { RootBreakdown } from "@/components/root-breakdown";
+import { useScript } from "@/components/script-provider";
+import { type Script, toIAST } from "@/lib/transliterate";
 import {
   type Card,
   type Mode,
   type Quality,
+  type Scheduler,
+  type SchedulerId,
   ALL_MODES,
   MODE_LABELS,
+  SCHEDULER_LABELS,
+  cardKey,
+  choiceQuality,
+  hasChoiceVariant,
+  isAutoGraded,
+  isVerseMode,
 } from "@/lib/srs";
+import { CHAPTERS } from "@/constants/themes";
+import {
+  type Deck,
+  type DeckScope,
+  type StotraIndex,
+  deckMembers,
+  parseNamaList,
+  scopeLabel,
+  scopeNamas,
+} from "@/lib/decks";
 import {
   type Progress,
   type Settings,
+  activeDeck,
   applyReview,
   buildQueue,
   counts,
-  emptyProgress,
   loadProgress,
+  resetProgress,
   saveProgress,
+  schedulerFor,
 } from "@/lib/srs-storage";
+import { type Backup, listBackups } from "@/lib/srs-db";
+import {
+  SYNC_DECK_PATTERN,
+  mergeProgress,
+  newSyncDeck,
+  parseProgress,
+  syncProgress,
+} from "@/lib/srs-sync";
+import {
+  namaDistractors,
+  seedOf,
+  shuffled,
+  verseDistractors,
+} from "@/lib/distractors";
+import { type RecallGrade, gradeRecall } from "@/lib/typed-recall";
+import type { Verse, VerseToken } from "@/lib/verses";
 
 interface PracticeViewProps {
   names: string[]; // 1000 nāmas in order
+  spellings: Record<number, string[]>; // accepted spellings for typed recall
   shortMeanings: Record<number, string>;
-  vraviText: Record<number, string>;
+  commentaries: PracticeCommentary[]; // prose sources, rendered on "show more"
   rootText: Record<number, string>;
+  verses: Verse[]; // for the verse drills
+  rootsOf: Record<number, string[]>; // dhātus per nāma, for distractors
 }
 
+export type PracticeCommentary = {
+  id: string;
+  name: string;
+  text: Record<number, string>;
+};
+
+/** "none", "root", or the id of the commentary being shown. */
+type Extra = string;
+
 export default function PracticeView(props: PracticeViewProps) {
   const [progress, setProgress] = useState<Progress | null>(null); // null until hydrated
   const [showAnswer, setShowAnswer] = useState(false);
-  const [showExtra, setShowExtra] = useState<"none" | "root" | "vravi">("none");
+  const [showExtra, setShowExtra] = useState<Extra>("none");
+  const [grade, setGrade] = useState<RecallGrade | null>(null);
+  const [choice, setChoice] = useState<number | null>(null);
   const [sessionReviews, setSessionReviews] = useState(0);
   const [sessionStartedAt] = useState(() => Date.now());
+  const [syncStatus, setSyncStatus] = useState<string | null>(null);
+  const [loadWarning, setLoadWarning] = useState<string | null>(null);
+  const [saveError, setSaveError] = useState<string | null>(null);
 
-  // Hydrate progress from localStorage on mount.
-  useEffect(() => {
-    setProgress(loadProgress());
+  // Push this device's reviews to the sync server and take in the other
+  // devices'. Reviews made while the request is out are kept by the merge.
+  const syncNow = useCallback(async (p: Progress, deck: string) => {
+    setSyncStatus("Syncing…");
+    try {
+      const remote = await syncProgress(p, deck);
+      setProgress((current) =>
+        current ? mergeProgress(current, remote) : current,
+      );
+      setSyncStatus(`Synced at ${new Date().toLocaleTimeString()}`);
+    } catch (err) {
+      const message = err instanceof Error ? err.message : String(err);
+      setSyncStatus(
+        navigator.onLine
+          ? message
+          : "Offline — reviews are saved here and sync when you're back online.",
+      );
+    }
   }, []);
 
-  // Save whenever progress changes.
+  // Hydrate progress from browser storage on mount, then sync if set up.
+  useEffect(() => {
+    void loadProgress().then(({ progress: loaded, warning }) => {
+      setProgress(loaded);
+      setLoadWarning(warning);
+      if (loaded.settings.syncDeck)
+        void syncNow(loaded, loaded.settings.syncDeck);
+    });
+  }, [syncNow]);
+
+  // Save whenever progress changes, and say so when saving fails.
   useEffect(() => {
-    if (progress) saveProgress(progress);
+    if (!progress) return;
+    saveProgress(progress).then(
+      () => setSaveError(null),
+      (err: unknown) =>
+        setSaveError(err instanceof Error ? err.message : String(err)),
+    );
   }, [progress]);
 
+  // Reviews done offline reach the other devices once the connection is
+  // back.
+  const latest = useRef(progress);
+  useEffect(() => {
+    latest.current = progress;
+  }, [progress]);
+  useEffect(() => {
+    const onOnline = () => {
+      const p = latest.current;
+      if (p?.settings.syncDeck) void syncNow(p, p.settings.syncDeck);
+    };
+    window.addEventListener("online", onOnline);
+    return () => window.removeEventListener("online", onOnline);
+  }, [syncNow]);
+
+  const verseShapes = useMemo(
+    () =>
+      props.verses.map((v) => ({
+        lines: v.lines.length,
+        namas: new Set(v.tokens.flat().flatMap((t) => t.namas ?? [])).size,
+      })),
+    [props.verses],
+  );
+
+  // What decks are drawn from: the dhātus and the nāmas of each verse.
+  const stotraIndex: StotraIndex = useMemo(
+    () => ({
+      rootsOf: props.rootsOf,
+      verseNamas: props.verses.map((v) =>
+        v.tokens.flat().flatMap((t) => t.namas ?? []),
+      ),
+    }),
+    [props.rootsOf, props.verses],
+  );
+
+  // The cards the active deck studies; null for the whole stotra.
+  const deck = progress ? activeDeck(progress) : null;
+  const members = useMemo(
+    () => (deck ? deckMembers(deck, stotraIndex) : null),
+    [deck, stotraIndex],
+  );
+
   // Build today's queue lazily.
   const queue = useMemo(() => {
     if (!progress) return [];
-    return buildQueue(progress);
-  }, [progress]);
+    return buildQueue(progress, verseShapes, new Date(), members);
+  }, [progress, verseShapes, members]);
 
   const currentCard: Card | undefined = queue[0];
 
+  // When the current card was put up, for the review log's answer time.
+  const shownAt = useRef(Date.now());
+  const currentKey = currentCard
+    ? cardKey(currentCard.mode, currentCard.nama)
+    : null;
+  useEffect(() => {
+    shownAt.current = Date.now();
+  }, [currentKey]);
+
+  // The options, when the card is asked as multiple choice.
+  const quiz = useMemo(() => {
+    if (!currentCard || !progress?.settings.multipleChoice) return null;
+    if (!hasChoiceVariant(currentCard.mode)) return null;
+    return buildQuiz(
+      currentCard,
+      props.shortMeanings,
+      props.verses,
+      props.rootsOf,
+    );
+  }, [
+    currentCard,
+    progress?.settings.multipleChoice,
+    props.shortMeanings,
+    props.verses,
+    props.rootsOf,
+  ]);
+
+  // Typed and multiple-choice answers grade themselves.
+  const autoQuality: Quality | null = grade
+    ? grade.quality
+    : quiz && choice !== null
+      ? choiceQuality(choice === quiz.answer)
+      : null;
+
   // Counts shown in the dashboard
   const summary = useMemo(
-    () => (progress ? counts(progress) : { due: 0, learning: 0, mature: 0 }),
-    [progress],
+    () =>
+      progress
+        ? counts(progress, new Date(), members)
+        : { due: 0, learning: 0, mature: 0 },
+    [progress, members],
   );
 
   const handleReveal = useCallback(() => {
     setShowAnswer(true);
   }, []);
 
+  const handleTyped = useCallback(
+    (typed: string) => {
+      if (!currentCard) return;
+      const n = currentCard.nama;
+      const accepted = props.spellings[n] ?? [props.names[n - 1] ?? ""];
+      setGrade(gradeRecall(typed, accepted));
+      setShowAnswer(true);
+    },
+    [currentCard, props.spellings, props.names],
+  );
+
+  const handleChoose = useCallback((n: number) => {
+    setChoice(n);
+    setShowAnswer(true);
+  }, []);
+
   const handleRate = useCallback(
     (q: Quality) => {
       if (!progress || !currentCard) return;
-      const next = applyReview(progress, currentCard, q);
+      const now = new Date();
+      const next = applyReview(
+        progress,
+        currentCard,
+        q,
+        now,
+        now.getTime() - shownAt.current,
+      );
       setProgress(next);
       setSessionReviews((n) => n + 1);
       setShowAnswer(false);
       setShowExtra("none");
+      setGrade(null);
+      setChoice(null);
     },
     [progress, currentCard],
   );
@@ -86,10 +282,22 @@ export default function PracticeView(props: PracticeViewProps) {
     // We choose to NOT include skip — keep flow simple.
   }, []);
 
-  // Keyboard shortcuts: space to reveal; 1-4 to rate.
+  // Keyboard shortcuts: space to reveal; 1-4 to rate. Typed cards are
+  // answered in their input, multiple choice with 1-4, and both moved on
+  // from with enter.
   useEffect(() => {
     const handler = (e: KeyboardEvent) => {
       if (e.target instanceof HTMLInputElement) return;
+      if (currentCard && (isAutoGraded(currentCard.mode) || quiz)) {
+        const picked = quiz?.options[parseInt(e.key, 10) - 1];
+        if (!showAnswer && picked !== undefined) {
+          handleChoose(picked);
+        } else if (autoQuality !== null && showAnswer && e.code === "Enter") {
+          e.preventDefault();
+          handleRate(autoQuality);
+        }
+        return;
+      }
       if (!showAnswer && (e.code === "Space" || e.code === "Enter")) {
         e.preventDefault();
         handleReveal();
@@ -102,7 +310,15 @@ export default function PracticeView(props: PracticeViewProps) {
     };
     window.addEventListener("keydown", handler);
     return () => window.removeEventListener("keydown", handler);
-  }, [showAnswer, handleReveal, handleRate]);
+  }, [
+    showAnswer,
+    handleReveal,
+    handleRate,
+    handleChoose,
+    currentCard,
+    quiz,
+    autoQuality,
+  ]);
 
   if (!progress) {
     return (
@@ -112,6 +328,13 @@ export default function PracticeView(props: PracticeViewProps) {
 
   return (
     <>
+      {(loadWarning ?? saveError) && (
+        <StorageWarning
+          loadWarning={loadWarning}
+          saveError={saveError}
+          onDismiss={() => setLoadWarning(null)}
+        />
+      )}
       <Dashboard
         summary={summary}
         sessionReviews={sessionReviews}
@@ -120,6 +343,39 @@ export default function PracticeView(props: PracticeViewProps) {
         onChangeSettings={(s) =>
           setProgress({ ...progress, settings: s })
         }
+        stotraIndex={stotraIndex}
+        onChangeDecks={(decks) => {
+          // Deleting the active deck goes back to the whole stotra.
+          const active = decks.some(
+            (d) => d.id === progress.settings.activeDeck,
+          )
+            ? progress.settings.activeDeck
+            : null;
+          setProgress({
+            ...progress,
+            decks,
+            settings: { ...progress.settings, activeDeck: active },
+          });
+        }}
+        onImport={(incoming) =>
+          setProgress((current) =>
+            current ? mergeProgress(current, incoming) : current,
+          )
+        }
+        syncStatus={syncStatus}
+        onSetSyncDeck={(deck) => {
+          const next = {
+            ...progress,
+            settings: { ...progress.settings, syncDeck: deck },
+          };
+          setProgress(next);
+          setSyncStatus(null);
+          if (deck) void syncNow(next, deck);
+        }}
+        onSync={() => {
+          const code = progress.settings.syncDeck;
+          if (code) void syncNow(progress, code);
+        }}
       />
 
       {!currentCard ? (
@@ -130,18 +386,65 @@ export default function PracticeView(props: PracticeViewProps) {
           showAnswer={showAnswer}
           showExtra={showExtra}
           onReveal={handleReveal}
+          onTyped={handleTyped}
+          grade={grade}
+          quiz={quiz}
+          choice={choice}
+          onChoose={handleChoose}
+          autoQuality={autoQuality}
+          scheduler={schedulerFor(progress.settings)}
           onRate={handleRate}
           onShowExtra={setShowExtra}
           names={props.names}
           shortMeanings={props.shortMeanings}
-          vraviText={props.vraviText}
+          commentaries={props.commentaries}
           rootText={props.rootText}
+          verses={props.verses}
         />
       )}
     </>
   );
 }
 
+/** Problems loading or saving the deck, shown until they're resolved. */
+function StorageWarning({
+  loadWarning,
+  saveError,
+  onDismiss,
+}: {
+  loadWarning: string | null;
+  saveError: string | null;
+  onDismiss: () => void;
+}) {
+  return (
+    <div
+      role="alert"
+      className="mb-6 rounded-lg border-2 border-[#7c1d1d] bg-[#fde68a] p-4 text-sm text-[#2b1700]"
+    >
+      {saveError && (
+        <p>
+          <strong className="text-[#7c1d1d]">
+            Your progress isn&apos;t being saved
+          </strong>{" "}
+          — {saveError}. Export it from Settings to keep today&apos;s reviews;
+          saving is tried again after each review.
+        </p>
+      )}
+      {loadWarning && (
+        <p className={saveError ? "mt-2" : undefined}>
+          {loadWarning}{" "}
+          <button
+            onClick={onDismiss}
+            className="font-semibold text-[#c2410c] underline"
+          >
+            Dismiss
+          </button>
+        </p>
+      )}
+    </div>
+  );
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Dashboard
 // ─────────────────────────────────────────────────────────────────────────────
@@ -152,12 +455,24 @@ function Dashboard({
   sessionStartedAt,
   progress,
   onChangeSettings,
+  stotraIndex,
+  onChangeDecks,
+  onImport,
+  syncStatus,
+  onSetSyncDeck,
+  onSync,
 }: {
   summary: { due: number; learning: number; mature: number };
   sessionReviews: number;
   sessionStartedAt: number;
   progress: Progress;
   onChangeSettings: (s: Settings) => void;
+  stotraIndex: StotraIndex;
+  onChangeDecks: (decks: Deck[]) => void;
+  onImport: (incoming: Progress) => void;
+  syncStatus: string | null;
+  onSetSyncDeck: (deck: string | null) => void;
+  onSync: () => void;
 }) {
   const [showSettings, setShowSettings] = useState(false);
 
@@ -175,8 +490,45 @@ function Dashboard({
     });
   };
 
+  // Daily limits are the active deck's, or the whole stotra's.
+  const deck = activeDeck(progress);
+  const limits = deck ?? progress.settings;
+  const setLimits = (
+    patch: Partial<Pick<Deck, "dailyNew" | "dailyMaxReviews">>,
+  ) =>
+    deck
+      ? onChangeDecks(
+          progress.decks.map((d) =>
+            d.id === deck.id ? { ...d, ...patch } : d,
+          ),
+        )
+      : onChangeSettings({ ...progress.settings, ...patch });
+
   return (
     <div className="mb-6 sticker-card p-4 sm:p-5">
+      {progress.decks.length > 0 && (
+        <div className="mb-3 flex flex-wrap items-center gap-1.5 border-b border-dashed border-[#2b1700]/15 pb-3">
+          <span className="mr-1 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+            Studying
+          </span>
+          {[null, ...progress.decks].map((d) => (
+            <button
+              key={d?.id ?? "all"}
+              onClick={() =>
+                onChangeSettings({
+                  ...progress.settings,
+                  activeDeck: d?.id ?? null,
+                })
+              }
+              className={`pill-tab ${
+                (deck?.id ?? null) === (d?.id ?? null) ? "pill-tab--active" : ""
+              }`}
+            >
+              {d ? d.name : "Whole stotra"}
+            </button>
+          ))}
+        </div>
+      )}
       <div className="grid grid-cols-2 gap-3 sm:grid-cols-4">
         <Stat label="Due now" value={summary.due} accent="saffron" />
         <Stat label="Learning" value={summary.learning} />
@@ -192,13 +544,18 @@ function Dashboard({
           Session: <b>{sessionReviews}</b> reviewed
           {sessionMin > 0 ? ` · ${sessionMin} min` : ""}
         </span>
-        <button
-          type="button"
-          onClick={() => setShowSettings((s) => !s)}
-          className="pill-tab"
-        >
-          {showSettings ? "Hide settings" : "Settings"}
-        </button>
+        <div className="flex gap-1.5">
+          <Link href="/practice/stats" className="pill-tab">
+            Stats
+          </Link>
+          <button
+            type="button"
+            onClick={() => setShowSettings((s) => !s)}
+            className="pill-tab"
+          >
+            {showSettings ? "Hide settings" : "Settings"}
+          </button>
+        </div>
       </div>
 
       {showSettings && (
@@ -221,31 +578,106 @@ function Dashboard({
               ))}
             </div>
           </div>
+          <div>
+            <p className="mb-2 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+              Answer by
+            </p>
+            <div className="flex flex-wrap gap-1.5">
+              {[false, true].map((on) => (
+                <button
+                  key={String(on)}
+                  onClick={() =>
+                    onChangeSettings({
+                      ...progress.settings,
+                      multipleChoice: on,
+                    })
+                  }
+                  className={`pill-tab ${
+                    progress.settings.multipleChoice === on
+                      ? "pill-tab--active"
+                      : ""
+                  }`}
+                >
+                  {on ? "Multiple choice" : "Recall"}
+                </button>
+              ))}
+            </div>
+          </div>
+          <div>
+            <p className="mb-2 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+              Scheduler
+            </p>
+            <div className="flex flex-wrap items-center gap-1.5">
+              {(Object.keys(SCHEDULER_LABELS) as SchedulerId[]).map((id) => (
+                <button
+                  key={id}
+                  onClick={() =>
+                    onChangeSettings({ ...progress.settings, scheduler: id })
+                  }
+                  className={`pill-tab ${
+                    progress.settings.scheduler === id ? "pill-tab--active" : ""
+                  }`}
+                >
+                  {SCHEDULER_LABELS[id]}
+                </button>
+              ))}
+            </div>
+            {progress.settings.scheduler === "fsrs" && (
+              <div className="mt-2 grid grid-cols-2 gap-3">
+                <NumberSetting
+                  label="Desired retention %"
+                  value={Math.round(progress.settings.desiredRetention * 100)}
+                  min={70}
+                  max={97}
+                  onChange={(v) =>
+                    onChangeSettings({
+                      ...progress.settings,
+                      desiredRetention: v / 100,
+                    })
+                  }
+                />
+                <p className="self-end text-[11px] leading-snug text-[#5a3a18]">
+                  Higher means more reviews and fewer forgotten cards. Cards
+                  keep their progress when you switch.
+                </p>
+              </div>
+            )}
+          </div>
           <div className="grid grid-cols-2 gap-3">
             <NumberSetting
-              label="New per day"
-              value={progress.settings.dailyNew}
+              label={deck ? `New per day · ${deck.name}` : "New per day"}
+              value={limits.dailyNew}
               min={0}
               max={50}
-              onChange={(v) =>
-                onChangeSettings({ ...progress.settings, dailyNew: v })
-              }
+              onChange={(v) => setLimits({ dailyNew: v })}
             />
             <NumberSetting
-              label="Max reviews / session"
-              value={progress.settings.dailyMaxReviews}
+              label={
+                deck
+                  ? `Max reviews / session · ${deck.name}`
+                  : "Max reviews / session"
+              }
+              value={limits.dailyMaxReviews}
               min={10}
               max={500}
               step={10}
-              onChange={(v) =>
-                onChangeSettings({
-                  ...progress.settings,
-                  dailyMaxReviews: v,
-                })
-              }
+              onChange={(v) => setLimits({ dailyMaxReviews: v })}
             />
           </div>
-          <ExportImport progress={progress} />
+          <DeckSettings
+            decks={progress.decks}
+            settings={progress.settings}
+            stotraIndex={stotraIndex}
+            onChange={onChangeDecks}
+          />
+          <ExportImport progress={progress} onImport={onImport} />
+          <Backups />
+          <SyncSettings
+            deck={progress.settings.syncDeck}
+            status={syncStatus}
+            onSetDeck={onSetSyncDeck}
+            onSync={onSync}
+          />
         </div>
       )}
     </div>
@@ -317,34 +749,387 @@ function NumberSetting({
   );
 }
 
-function ExportImport({ progress }: { progress: Progress }) {
-  const download = () => {
-    const blob = new Blob([JSON.stringify(progress, null, 2)], {
-      type: "application/json",
-    });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `lsn-srs-${new Date().toISOString().slice(0, 10)}.json`;
-    a.click();
-    URL.revokeObjectURL(url);
+function ExportImport({
+  progress,
+  onImport,
+}: {
+  progress: Progress;
+  onImport: (incoming: Progress) => void;
+}) {
+  const [message, setMessage] = useState<string | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  const download = () =>
+    downloadJson(
+      JSON.stringify(progress, null, 2),
+      `lsn-srs-${new Date().toISOString().slice(0, 10)}.json`,
+    );
+  // An import is merged in, not swapped in: cards reviewed more recently
+  // here keep their state, and both review logs are kept.
+  const upload = async (file: File) => {
+    try {
+      const incoming = parseProgress(JSON.parse(await file.text()));
+      onImport(incoming);
+      const cards = Object.keys(incoming.cards).length;
+      setMessage(
+        `Merged ${cards} card${cards === 1 ? "" : "s"} and ${incoming.log.length} logged reviews from ${file.name}.`,
+      );
+    } catch (err) {
+      const reason = err instanceof SyntaxError ? "not a JSON file" : err;
+      setMessage(
+        `Couldn't import ${file.name}: ${reason instanceof Error ? reason.message : String(reason)}`,
+      );
+    }
   };
   const reset = () => {
-    if (
-      confirm("Reset ALL progress? This cannot be undone unless you exported.")
-    ) {
-      saveProgress(emptyProgress());
-      window.location.reload();
+    if (confirm("Reset ALL progress? A copy is kept under Backups.")) {
+      resetProgress(progress).then(
+        () => window.location.reload(),
+        (err: unknown) =>
+          setMessage(
+            `Couldn't reset: ${err instanceof Error ? err.message : String(err)}`,
+          ),
+      );
+    }
+  };
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2 text-xs">
+        <button onClick={download} className="pill-tab">
+          Export progress
+        </button>
+        <button onClick={() => fileInput.current?.click()} className="pill-tab">
+          Import progress
+        </button>
+        <button onClick={reset} className="pill-tab">
+          Reset deck
+        </button>
+        <input
+          ref={fileInput}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) void upload(file);
+          }}
+        />
+      </div>
+      {message && <p className="mt-2 text-xs text-[#5a3a18]">{message}</p>}
+    </div>
+  );
+}
+
+function downloadJson(json: string, filename: string) {
+  const blob = new Blob([json], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/** Snapshots taken before upgrades and resets, to download. */
+function Backups() {
+  const [backups, setBackups] = useState<Backup[] | null>(null);
+
+  useEffect(() => {
+    listBackups().then(setBackups, () => setBackups([]));
+  }, []);
+
+  if (!backups?.length) return null;
+  return (
+    <div>
+      <p className="mb-2 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+        Backups
+      </p>
+      <ul className="space-y-1 text-xs text-[#5a3a18]">
+        {backups.map((b) => (
+          <li key={b.id} className="flex flex-wrap items-center gap-2">
+            <span>
+              {new Date(b.takenAt).toLocaleString()} · {b.reason}
+            </span>
+            <button
+              onClick={() =>
+                downloadJson(
+                  b.data,
+                  `lsn-srs-backup-${b.takenAt.slice(0, 10)}.json`,
+                )
+              }
+              className="pill-tab"
+            >
+              Download
+            </button>
+          </li>
+        ))}
+      </ul>
+      <p className="mt-1 text-[11px] text-[#8a6a3c]">
+        Copies of your deck from before it was upgraded or reset. Import one to
+        merge it back in.
+      </p>
+    </div>
+  );
+}
+
+function SyncSettings({
+  deck,
+  status,
+  onSetDeck,
+  onSync,
+}: {
+  deck: string | null;
+  status: string | null;
+  onSetDeck: (deck: string | null) => void;
+  onSync: () => void;
+}) {
+  const [code, setCode] = useState("");
+  const valid = SYNC_DECK_PATTERN.test(code.trim());
+
+  return (
+    <div>
+      <p className="mb-2 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+        Sync across devices
+      </p>
+      {deck ? (
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <code className="rounded bg-[#faf2dc] px-1.5 py-0.5 text-[#2b1700] select-all">
+            {deck}
+          </code>
+          <button onClick={onSync} className="pill-tab">
+            Sync now
+          </button>
+          <button onClick={() => onSetDeck(null)} className="pill-tab">
+            Stop syncing
+          </button>
+        </div>
+      ) : (
+        <div className="flex flex-wrap items-center gap-2 text-xs">
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder="Sync code from your other device"
+            className="min-w-0 flex-1 rounded-md border border-[#2b1700]/30 bg-[#faf2dc] px-2 py-1 text-sm text-[#2b1700]"
+          />
+          <button
+            onClick={() => onSetDeck(code.trim())}
+            disabled={!valid}
+            className="pill-tab disabled:opacity-50"
+          >
+            Use code
+          </button>
+          <button onClick={() => onSetDeck(newSyncDeck())} className="pill-tab">
+            New code
+          </button>
+        </div>
+      )}
+      {status && <p className="mt-2 text-xs text-[#5a3a18]">{status}</p>}
+      <p className="mt-1 text-[11px] text-[#8a6a3c]">
+        Enter the same code on each device to share one deck through this
+        site&apos;s sync server; it syncs when the page opens. Anyone with the
+        code can read and change the deck.
+      </p>
+    </div>
+  );
+}
+
+type ScopeKind = DeckScope["kind"];
+
+const SCOPE_KINDS: Record<ScopeKind, string> = {
+  chapter: "Chapter",
+  range: "Range",
+  root: "Dhātu",
+  list: "Hand-picked",
+};
+
+/** The study decks, and a form for making new ones. */
+function DeckSettings({
+  decks,
+  settings,
+  stotraIndex,
+  onChange,
+}: {
+  decks: Deck[];
+  settings: Settings;
+  stotraIndex: StotraIndex;
+  onChange: (decks: Deck[]) => void;
+}) {
+  const [kind, setKind] = useState<ScopeKind>("chapter");
+  const [chapter, setChapter] = useState(0);
+  const [from, setFrom] = useState(1);
+  const [to, setTo] = useState(100);
+  const [root, setRoot] = useState("");
+  const [list, setList] = useState("");
+  const [name, setName] = useState("");
+
+  // Dhātus to pick from, the most productive first.
+  const roots = useMemo(() => {
+    const freq = new Map<string, number>();
+    for (const rs of Object.values(stotraIndex.rootsOf)) {
+      for (const r of rs) freq.set(r, (freq.get(r) ?? 0) + 1);
+    }
+    return [...freq.entries()].sort((a, b) => b[1] - a[1]).map(([r]) => r);
+  }, [stotraIndex.rootsOf]);
+
+  const scope: DeckScope | null = (() => {
+    switch (kind) {
+      case "chapter":
+        return { kind, chapter };
+      case "range":
+        return from <= to ? { kind, from, to } : null;
+      case "root":
+        return roots.includes(root.trim()) ? { kind, root: root.trim() } : null;
+      case "list": {
+        const namas = parseNamaList(list);
+        return namas && namas.length > 0 ? { kind, namas } : null;
+      }
     }
+  })();
+  const size = scope ? scopeNamas(scope, stotraIndex).length : 0;
+
+  const add = () => {
+    if (!scope || size === 0) return;
+    onChange([
+      ...decks,
+      {
+        id: crypto.randomUUID(),
+        name: name.trim() || scopeLabel(scope),
+        scope,
+        dailyNew: settings.dailyNew,
+        dailyMaxReviews: settings.dailyMaxReviews,
+      },
+    ]);
+    setName("");
   };
+
+  const input =
+    "rounded-md border border-[#2b1700]/30 bg-[#faf2dc] px-2 py-1 text-sm text-[#2b1700]";
+
   return (
-    <div className="flex flex-wrap gap-2 text-xs">
-      <button onClick={download} className="pill-tab">
-        Export progress
-      </button>
-      <button onClick={reset} className="pill-tab">
-        Reset deck
-      </button>
+    <div>
+      <p className="mb-2 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+        Decks
+      </p>
+      {decks.length > 0 && (
+        <ul className="mb-2 space-y-1 text-xs text-[#2b1700]">
+          {decks.map((d) => (
+            <li key={d.id} className="flex items-center justify-between gap-2">
+              <span>
+                <b>{d.name}</b>
+                {d.name !== scopeLabel(d.scope) && (
+                  <span className="text-[#8a6a3c]">
+                    {" "}
+                    · {scopeLabel(d.scope)}
+                  </span>
+                )}
+              </span>
+              <button
+                onClick={() => {
+                  if (
+                    confirm(
+                      `Delete the deck "${d.name}"? Its cards keep their progress.`,
+                    )
+                  ) {
+                    onChange(decks.filter((x) => x.id !== d.id));
+                  }
+                }}
+                className="pill-tab"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap gap-1.5">
+        {(Object.keys(SCOPE_KINDS) as ScopeKind[]).map((k) => (
+          <button
+            key={k}
+            onClick={() => setKind(k)}
+            className={`pill-tab ${kind === k ? "pill-tab--active" : ""}`}
+          >
+            {SCOPE_KINDS[k]}
+          </button>
+        ))}
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+        {kind === "chapter" && (
+          <select
+            value={chapter}
+            onChange={(e) => setChapter(Number(e.target.value))}
+            className={`${input} min-w-0 flex-1`}
+          >
+            {CHAPTERS.map((c, i) => (
+              <option key={i} value={i}>
+                {i + 1}. {c.title} ({c.range[0]}–{c.range[1]})
+              </option>
+            ))}
+          </select>
+        )}
+        {kind === "range" && (
+          <>
+            <input
+              type="number"
+              min={1}
+              max={1000}
+              value={from}
+              onChange={(e) => setFrom(Number(e.target.value))}
+              className={`${input} w-20`}
+            />
+            –
+            <input
+              type="number"
+              min={1}
+              max={1000}
+              value={to}
+              onChange={(e) => setTo(Number(e.target.value))}
+              className={`${input} w-20`}
+            />
+          </>
+        )}
+        {kind === "root" && (
+          <>
+            <input
+              list="deck-roots"
+              value={root}
+              onChange={(e) => setRoot(e.target.value)}
+              placeholder="e.g. भा"
+              className={`${input} w-32`}
+            />
+            <datalist id="deck-roots">
+              {roots.map((r) => (
+                <option key={r} value={r}>
+                  {toIAST(r)}
+                </option>
+              ))}
+            </datalist>
+          </>
+        )}
+        {kind === "list" && (
+          <input
+            value={list}
+            onChange={(e) => setList(e.target.value)}
+            placeholder="e.g. 12, 40–45, 108"
+            className={`${input} min-w-0 flex-1`}
+          />
+        )}
+      </div>
+      <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+        <input
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder={scope ? scopeLabel(scope) : "Deck name"}
+          className={`${input} min-w-0 flex-1`}
+        />
+        <button
+          onClick={add}
+          disabled={!scope || size === 0}
+          className="pill-tab disabled:opacity-50"
+        >
+          Add deck{size > 0 ? ` · ${size} nāmas` : ""}
+        </button>
+      </div>
     </div>
   );
 }
@@ -358,26 +1143,59 @@ function Flashcard({
   showAnswer,
   showExtra,
   onReveal,
+  onTyped,
+  grade,
+  quiz,
+  choice,
+  onChoose,
+  autoQuality,
+  scheduler,
   onRate,
   onShowExtra,
   names,
   shortMeanings,
-  vraviText,
+  commentaries,
   rootText,
+  verses,
 }: {
   card: Card;
   showAnswer: boolean;
-  showExtra: "none" | "root" | "vravi";
+  showExtra: Extra;
   onReveal: () => void;
+  onTyped: (typed: string) => void;
+  grade: RecallGrade | null;
+  quiz: Quiz | null;
+  choice: number | null;
+  onChoose: (n: number) => void;
+  autoQuality: Quality | null;
+  scheduler: Scheduler;
   onRate: (q: Quality) => void;
-  onShowExtra: (e: "none" | "root" | "vravi") => void;
+  onShowExtra: (e: Extra) => void;
   names: string[];
   shortMeanings: Record<number, string>;
-  vraviText: Record<number, string>;
+  commentaries: PracticeCommentary[];
   rootText: Record<number, string>;
+  verses: Verse[];
 }) {
-  const prompt = renderPrompt(card, names, shortMeanings);
-  const answer = renderAnswer(card, names, shortMeanings);
+  const { script, display } = useScript();
+  const prompt = renderPrompt(card, names, shortMeanings, verses, display);
+  const answer = renderAnswer(
+    card,
+    names,
+    shortMeanings,
+    verses,
+    display,
+    script,
+  );
+  // The nāma the commentary / root buttons open: the card's, or the one
+  // blanked in a cloze. Whole-verse cards have none.
+  const verse = isVerseMode(card.mode) ? verses[card.nama - 1] : undefined;
+  const extraNama = !isVerseMode(card.mode)
+    ? card.nama
+    : card.mode === "verseCloze" && verse
+      ? clozeNama(card, verse)
+      : undefined;
+  const shownCommentary = commentaries.find((c) => c.id === showExtra);
 
   return (
     <div className="sticker-card p-6 sm:p-8">
@@ -402,7 +1220,18 @@ function Flashcard({
       </div>
 
       {/* Answer */}
-      {!showAnswer ? (
+      {!showAnswer && isAutoGraded(card.mode) ? (
+        <TypedAnswer key={card.nama} onSubmit={onTyped} />
+      ) : !showAnswer && quiz ? (
+        <ChoiceOptions
+          quiz={quiz}
+          choice={null}
+          onChoose={onChoose}
+          names={names}
+          shortMeanings={shortMeanings}
+          verses={verses}
+        />
+      ) : !showAnswer ? (
         <div className="mt-6 flex flex-col items-center gap-2">
           <button
             type="button"
@@ -417,6 +1246,18 @@ function Flashcard({
         </div>
       ) : (
         <>
+          {grade && <SyllableDiff grade={grade} />}
+          {quiz && choice !== null && (
+            <ChoiceOptions
+              quiz={quiz}
+              choice={choice}
+              onChoose={onChoose}
+              names={names}
+              shortMeanings={shortMeanings}
+              verses={verses}
+            />
+          )}
+
           <div className="mt-5">
             <p className="text-[11px] font-bold tracking-widest text-[#7c1d1d] uppercase">
               {answer.label}
@@ -425,41 +1266,46 @@ function Flashcard({
           </div>
 
           {/* Optional deeper detail */}
-          <div className="mt-4 flex flex-wrap gap-2 text-[11px]">
-            <button
-              type="button"
-              onClick={() =>
-                onShowExtra(showExtra === "vravi" ? "none" : "vravi")
-              }
-              className="pill-tab"
-            >
-              {showExtra === "vravi" ? "Hide V. Ravi" : "Show V. Ravi"}
-            </button>
-            <button
-              type="button"
-              onClick={() =>
-                onShowExtra(showExtra === "root" ? "none" : "root")
-              }
-              className="pill-tab"
-            >
-              {showExtra === "root" ? "Hide root" : "Show root"}
-            </button>
-          </div>
+          {extraNama !== undefined && (
+            <div className="mt-4 flex flex-wrap gap-2 text-[11px]">
+              {commentaries.map((c) => (
+                <button
+                  key={c.id}
+                  type="button"
+                  onClick={() =>
+                    onShowExtra(showExtra === c.id ? "none" : c.id)
+                  }
+                  className="pill-tab"
+                >
+                  {showExtra === c.id ? `Hide ${c.name}` : `Show ${c.name}`}
+                </button>
+              ))}
+              <button
+                type="button"
+                onClick={() =>
+                  onShowExtra(showExtra === "root" ? "none" : "root")
+                }
+                className="pill-tab"
+              >
+                {showExtra === "root" ? "Hide root" : "Show root"}
+              </button>
+            </div>
+          )}
 
-          {showExtra === "vravi" && (
+          {shownCommentary && extraNama !== undefined && (
             <div className="mt-4 max-h-56 overflow-y-auto rounded-md border border-[#2b1700]/15 bg-[#faf2dc] p-3 text-sm leading-relaxed text-[#2b1700]/85">
-              {vraviText[card.nama] || (
+              {shownCommentary.text[extraNama] ?? (
                 <span className="italic text-[#8a6a3c]">
-                  No V. Ravi commentary recorded for this nāma.
+                  No {shownCommentary.name} commentary recorded for this nāma.
                 </span>
               )}
             </div>
           )}
 
-          {showExtra === "root" && (
+          {showExtra === "root" && extraNama !== undefined && (
             <div className="mt-4 rounded-md border border-[#2b1700]/15 bg-[#faf2dc] p-3">
-              {rootText[card.nama] ? (
-                <RootBreakdown text={rootText[card.nama]!} />
+              {rootText[extraNama] ? (
+                <RootBreakdown text={rootText[extraNama]} />
               ) : (
                 <p className="text-sm italic text-[#8a6a3c]">
                   No root breakdown recorded yet for this nāma.
@@ -468,34 +1314,317 @@ function Flashcard({
             </div>
           )}
 
-          <RatingButtons onRate={onRate} card={card} />
+          {autoQuality !== null ? (
+            <div className="mt-6 flex flex-col items-center gap-2">
+              <button
+                type="button"
+                onClick={() => onRate(autoQuality)}
+                className="btn-saffron"
+              >
+                Next · graded {QUALITY_LABELS[autoQuality]}
+              </button>
+              <p className="text-[10px] tracking-widest text-[#8a6a3c] uppercase">
+                press enter
+              </p>
+            </div>
+          ) : (
+            <RatingButtons
+              onRate={onRate}
+              card={card}
+              scheduler={scheduler}
+            />
+          )}
         </>
       )}
     </div>
   );
 }
 
+const QUALITY_LABELS: Record<Quality, string> = {
+  0: "Again",
+  3: "Hard",
+  4: "Good",
+  5: "Easy",
+};
+
+function TypedAnswer({ onSubmit }: { onSubmit: (typed: string) => void }) {
+  const [typed, setTyped] = useState("");
+  return (
+    <form
+      className="mt-6 flex flex-col items-center gap-2"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSubmit(typed);
+      }}
+    >
+      <input
+        type="text"
+        value={typed}
+        onChange={(e) => setTyped(e.target.value)}
+        autoFocus
+        autoComplete="off"
+        autoCapitalize="off"
+        autoCorrect="off"
+        spellCheck={false}
+        lang="sa"
+        placeholder="श्रीमाता or śrīmātā"
+        aria-label="Type the nāma"
+        className="font-sanskrit w-full rounded-md border border-[#2b1700]/30 bg-[#faf2dc] px-3 py-2 text-center text-2xl text-[#2b1700]"
+      />
+      <div className="flex gap-2">
+        <button type="submit" className="btn-saffron">
+          Check
+        </button>
+        <button
+          type="button"
+          onClick={() => onSubmit("")}
+          className="btn-outline"
+        >
+          I don&apos;t know
+        </button>
+      </div>
+      <p className="text-[10px] tracking-widest text-[#8a6a3c] uppercase">
+        Devanagari or IAST (plain ASCII: sh, aa, ii, uu) · press enter to check
+      </p>
+    </form>
+  );
+}
+
+/** The nāma syllable by syllable, marking what the typed answer got wrong. */
+function SyllableDiff({ grade }: { grade: RecallGrade }) {
+  const { display } = useScript();
+  return (
+    <div className="mt-5">
+      <p className="text-[11px] font-bold tracking-widest text-[#7c1d1d] uppercase">
+        Your answer · {QUALITY_LABELS[grade.quality]}
+      </p>
+      <div className="mt-2 flex flex-wrap gap-1">
+        {grade.syllables.map((s, i) => (
+          <span
+            key={i}
+            title={
+              s.status === "ok"
+                ? undefined
+                : `typed ${s.typed ? display(s.typed) : "nothing"}`
+            }
+            className={`inline-flex flex-col items-center rounded-md px-1.5 py-0.5 ${
+              s.status === "wrong"
+                ? "bg-[#7c1d1d] text-[#fff8e1]"
+                : s.status === "slip"
+                  ? "bg-[#fde68a] text-[#2b1700]"
+                  : "text-[#2b1700]"
+            }`}
+          >
+            <span className="font-sanskrit text-2xl font-bold">
+              {display(s.text)}
+            </span>
+            {s.status !== "ok" && (
+              <span className="font-sanskrit text-xs line-through opacity-80">
+                {s.typed ? display(s.typed) : "—"}
+              </span>
+            )}
+          </span>
+        ))}
+      </div>
+      <p className="mt-1 text-xs text-[#5a3a18]">
+        {grade.wrong === 0 && grade.slips === 0
+          ? "Every syllable right."
+          : [
+              grade.wrong > 0 &&
+                `${grade.wrong} syllable${grade.wrong === 1 ? "" : "s"} wrong`,
+              grade.slips > 0 && `${grade.slips} off by a diacritic`,
+            ]
+              .filter(Boolean)
+              .join(" · ")}
+      </p>
+    </div>
+  );
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Multiple choice
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** A card asked as multiple choice: what the options are, in shown order. */
+type Quiz = {
+  kind: "name" | "meaning" | "verse" | "secondHalf";
+  /** Nāma or verse number of the right option. */
+  answer: number;
+  options: number[];
+};
+
+const CHOICES = 4;
+
+function buildQuiz(
+  card: Card,
+  shortMeanings: Record<number, string>,
+  verses: Verse[],
+  rootsOf: Record<number, string[]>,
+): Quiz | null {
+  const seed = seedOf(
+    `${cardKey(card.mode, card.nama)}:${card.reps + card.lapses}`,
+  );
+  const count = CHOICES - 1;
+  const gloss = (n: number) => shortMeanings[n] ?? "";
+  const quiz = (kind: Quiz["kind"], answer: number, distractors: number[]) => ({
+    kind,
+    answer,
+    options: shuffled([answer, ...distractors], seed),
+  });
+
+  switch (card.mode) {
+    case "numberToNama":
+      return quiz(
+        "name",
+        card.nama,
+        namaDistractors(card.nama, rootsOf, { count, seed }),
+      );
+    case "namaToMeaning":
+    case "meaningToNama":
+      // Glosses must differ, or two options would both be right.
+      return quiz(
+        card.mode === "namaToMeaning" ? "meaning" : "name",
+        card.nama,
+        namaDistractors(card.nama, rootsOf, { count, seed, label: gloss }),
+      );
+    case "previousToNext":
+      return quiz(
+        "name",
+        card.nama + 1,
+        namaDistractors(card.nama + 1, rootsOf, {
+          count,
+          seed,
+          exclude: [card.nama],
+        }),
+      );
+    case "verseCloze": {
+      const verse = verses[card.nama - 1];
+      const answer = verse ? clozeNama(card, verse) : undefined;
+      if (!verse || answer === undefined) return null;
+      // The verse's other nāmas are on screen, so they can't be offered.
+      const shown = verse.tokens.flat().flatMap((t) => t.namas ?? []);
+      return quiz(
+        "name",
+        answer,
+        namaDistractors(answer, rootsOf, { count, seed, exclude: shown }),
+      );
+    }
+    case "verseRecite":
+    case "halfVerse": {
+      const oneLine = verses
+        .filter((v) => v.lines.length < 2)
+        .map((v) => v.number);
+      return quiz(
+        card.mode === "verseRecite" ? "verse" : "secondHalf",
+        card.nama,
+        verseDistractors(card.nama, verses.length, {
+          count,
+          seed,
+          exclude: card.mode === "halfVerse" ? oneLine : [],
+        }),
+      );
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * The options of a multiple-choice card. Once `choice` is made, the right
+ * option is marked and a wrong pick struck through.
+ */
+function ChoiceOptions({
+  quiz,
+  choice,
+  onChoose,
+  names,
+  shortMeanings,
+  verses,
+}: {
+  quiz: Quiz;
+  choice: number | null;
+  onChoose: (n: number) => void;
+  names: string[];
+  shortMeanings: Record<number, string>;
+  verses: Verse[];
+}) {
+  const { display } = useScript();
+  const answered = choice !== null;
+
+  const label = (n: number): React.ReactNode => {
+    if (quiz.kind === "meaning") {
+      return <span className="text-sm">{shortMeanings[n] ?? ""}</span>;
+    }
+    if (quiz.kind === "name") {
+      return (
+        <span className="font-sanskrit text-xl font-bold">
+          {display(names[n - 1] ?? "?")}
+        </span>
+      );
+    }
+    const verse = verses[n - 1];
+    const lines = verse ? verseWords(verse) : [];
+    const shown = quiz.kind === "secondHalf" ? lines.slice(1) : lines;
+    return (
+      <span className="font-sanskrit text-base font-bold">
+        {shown.map((line, i) => (
+          <span key={i} className="block">
+            {line.map((t) => display(t.text)).join(" ")}
+          </span>
+        ))}
+      </span>
+    );
+  };
+
+  return (
+    <div className={answered ? "mt-5" : "mt-6"}>
+      <div className="grid gap-2">
+        {quiz.options.map((n, i) => {
+          const right = answered && n === quiz.answer;
+          const wrong = answered && n === choice && n !== quiz.answer;
+          return (
+            <button
+              key={n}
+              type="button"
+              disabled={answered}
+              onClick={() => onChoose(n)}
+              className={`flex items-start gap-3 rounded-lg border-2 px-3 py-2 text-left transition-colors ${
+                right
+                  ? "border-[#c2410c] bg-[#fde68a] text-[#2b1700]"
+                  : wrong
+                    ? "border-[#7c1d1d] bg-[#7c1d1d] text-[#fff8e1] line-through"
+                    : answered
+                      ? "border-[#2b1700]/15 text-[#2b1700]/50"
+                      : "border-[#2b1700]/30 bg-[#faf2dc] text-[#2b1700] hover:border-[#c2410c]"
+              }`}
+            >
+              <span className="font-mono text-xs opacity-70">{i + 1}</span>
+              {label(n)}
+            </button>
+          );
+        })}
+      </div>
+      {!answered && (
+        <p className="mt-2 text-center text-[10px] tracking-widest text-[#8a6a3c] uppercase">
+          press 1–{quiz.options.length}
+        </p>
+      )}
+    </div>
+  );
+}
+
 function RatingButtons({
   onRate,
   card,
+  scheduler,
 }: {
   onRate: (q: Quality) => void;
   card: Card;
+  scheduler: Scheduler;
 }) {
-  // Preview the next-due interval for each quality (informative; not exact)
+  // Preview the next-due interval for each quality, from the scheduler in use.
   const nextLabel = (q: Quality): string => {
-    if (q === 0) return "<1d";
-    const reps = card.reps + 1;
-    let interval: number;
-    if (reps === 1) interval = 1;
-    else if (reps === 2) interval = 6;
-    else {
-      const ef = Math.max(
-        1.3,
-        card.ef + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02)),
-      );
-      interval = Math.max(1, Math.ceil(card.interval * ef));
-    }
+    const { interval } = scheduler.review(card, q, new Date());
     return interval < 30
       ? `${interval}d`
       : interval < 365
@@ -580,7 +1709,27 @@ function renderPrompt(
   card: Card,
   names: string[],
   shortMeanings: Record<number, string>,
+  verses: Verse[],
+  display: (devanagari: string) => string,
 ): { label: string; body: React.ReactNode } {
+  if (isVerseMode(card.mode)) {
+    return renderVersePrompt(card, verses[card.nama - 1], display);
+  }
+  if (card.mode === "typedRecall") {
+    return {
+      label: `Type nāma ${card.nama}`,
+      body: (
+        <div>
+          <div className="font-mono text-5xl font-extrabold tracking-tight text-[#2b1700]">
+            {card.nama}
+          </div>
+          <p className="mt-1 text-xs italic text-[#5a3a18]">
+            {shortMeanings[card.nama] ?? ""}
+          </p>
+        </div>
+      ),
+    };
+  }
   if (card.mode === "numberToNama") {
     return {
       label: `Nāma number`,
@@ -591,12 +1740,22 @@ function renderPrompt(
       ),
     };
   }
+  if (card.mode === "meaningToNama") {
+    return {
+      label: "Which nāma means…",
+      body: (
+        <p className="text-lg text-[#2b1700]">
+          {shortMeanings[card.nama] ?? "(no gloss)"}
+        </p>
+      ),
+    };
+  }
   if (card.mode === "namaToMeaning") {
     return {
       label: "Recall the meaning of",
       body: (
         <div className="font-sanskrit text-3xl font-bold text-[#7c1d1d] sm:text-4xl">
-          {names[card.nama - 1] ?? "?"}
+          {display(names[card.nama - 1] ?? "?")}
         </div>
       ),
     };
@@ -609,7 +1768,7 @@ function renderPrompt(
     body: (
       <div>
         <p className="font-sanskrit text-2xl font-bold text-[#7c1d1d]">
-          {prevName}
+          {display(prevName)}
         </p>
         <p className="mt-1 text-xs italic text-[#5a3a18]">{prevMeaning}</p>
       </div>
@@ -617,20 +1776,44 @@ function renderPrompt(
   };
 }
 
+/**
+ * The answer side. `script` is the reader's display script: the IAST line
+ * under a nāma is left out when the nāma is already shown in IAST.
+ */
 function renderAnswer(
   card: Card,
   names: string[],
   shortMeanings: Record<number, string>,
+  verses: Verse[],
+  display: (devanagari: string) => string,
+  script: Script,
 ): { label: string; body: React.ReactNode } {
-  if (card.mode === "numberToNama") {
+  if (isVerseMode(card.mode)) {
+    return renderVerseAnswer(
+      card,
+      verses[card.nama - 1],
+      names,
+      shortMeanings,
+      display,
+      script,
+    );
+  }
+  if (
+    card.mode === "numberToNama" ||
+    card.mode === "typedRecall" ||
+    card.mode === "meaningToNama"
+  ) {
     const name = names[card.nama - 1] ?? "?";
     return {
-      label: "Answer",
+      label: card.mode === "meaningToNama" ? `Nāma ${card.nama}` : "Answer",
       body: (
         <div>
           <p className="font-sanskrit text-4xl font-extrabold text-[#7c1d1d]">
-            {name}
+            {display(name)}
           </p>
+          {script !== "iast" && (
+            <p className="mt-1 text-sm italic text-[#8a6a3c]">{toIAST(name)}</p>
+          )}
           <p className="mt-2 text-sm text-[#5a3a18]">
             {shortMeanings[card.nama] ?? ""}
           </p>
@@ -657,14 +1840,170 @@ function renderAnswer(
     body: (
       <div>
         <p className="font-sanskrit text-3xl font-extrabold text-[#7c1d1d]">
-          {nextName}
+          {display(nextName)}
         </p>
+        {script !== "iast" && (
+          <p className="mt-1 text-sm italic text-[#8a6a3c]">
+            {toIAST(nextName)}
+          </p>
+        )}
         <p className="mt-2 text-sm text-[#5a3a18]">{nextMeaning}</p>
       </div>
     ),
   };
 }
 
+// ─────────────────────────────────────────────────────────────────────────────
+// Verse drills — one card per verse
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** A verse's words line by line; markers and alternate readings dropped. */
+function verseWords(verse: Verse): VerseToken[][] {
+  return verse.tokens.map((line) => line.filter((t) => t.isWord));
+}
+
+/**
+ * The nāma a cloze card blanks out. It moves on each time the card is
+ * reviewed, so every nāma of the verse gets its turn.
+ */
+function clozeNama(card: Card, verse: Verse): number | undefined {
+  const namas = [...new Set(verse.tokens.flat().flatMap((t) => t.namas ?? []))];
+  return namas[(card.reps + card.lapses) % namas.length];
+}
+
+/** Lines of a verse, with the words carrying `blank` hidden or marked. */
+function VerseText({
+  lines,
+  blank,
+  reveal = false,
+  display,
+}: {
+  lines: VerseToken[][];
+  blank?: number;
+  reveal?: boolean;
+  display: (devanagari: string) => string;
+}) {
+  return (
+    <div className="font-sanskrit space-y-1 text-xl leading-relaxed font-bold text-[#7c1d1d] sm:text-2xl">
+      {lines.map((line, i) => (
+        <p key={i}>
+          {line.map((token, j) => {
+            const hidden = blank !== undefined && token.namas?.includes(blank);
+            return (
+              <React.Fragment key={j}>
+                {j > 0 && " "}
+                {!hidden ? (
+                  display(token.text)
+                ) : reveal ? (
+                  <mark className="rounded bg-[#fde68a] px-1 text-[#2b1700]">
+                    {display(token.text)}
+                  </mark>
+                ) : (
+                  <span className="inline-block min-w-20 border-b-2 border-dashed border-[#c2410c] text-center text-[#c2410c]">
+                    ?
+                  </span>
+                )}
+              </React.Fragment>
+            );
+          })}
+        </p>
+      ))}
+    </div>
+  );
+}
+
+function renderVersePrompt(
+  card: Card,
+  verse: Verse | undefined,
+  display: (devanagari: string) => string,
+): { label: string; body: React.ReactNode } {
+  if (!verse) return { label: `Verse ${card.nama}`, body: "?" };
+  const lines = verseWords(verse);
+  if (card.mode === "halfVerse") {
+    return {
+      label: `Verse ${card.nama} · complete the second half`,
+      body: <VerseText lines={lines.slice(0, 1)} display={display} />,
+    };
+  }
+  if (card.mode === "verseCloze") {
+    return {
+      label: `Verse ${card.nama} · fill in the missing nāma`,
+      body: (
+        <VerseText
+          lines={lines}
+          blank={clozeNama(card, verse)}
+          display={display}
+        />
+      ),
+    };
+  }
+  // verseRecite
+  const namas = verse.tokens.flat().flatMap((t) => t.namas ?? []);
+  return {
+    label: "Recite verse",
+    body: (
+      <div>
+        <div className="font-mono text-5xl font-extrabold tracking-tight text-[#2b1700]">
+          {card.nama}
+        </div>
+        {namas.length > 0 && (
+          <p className="mt-1 text-xs italic text-[#5a3a18]">
+            nāmas {namas[0]}–{namas.at(-1)}
+          </p>
+        )}
+      </div>
+    ),
+  };
+}
+
+function renderVerseAnswer(
+  card: Card,
+  verse: Verse | undefined,
+  names: string[],
+  shortMeanings: Record<number, string>,
+  display: (devanagari: string) => string,
+  script: Script,
+): { label: string; body: React.ReactNode } {
+  if (!verse) return { label: `Verse ${card.nama}`, body: "?" };
+  const lines = verseWords(verse);
+  if (card.mode === "halfVerse") {
+    return {
+      label: "Second half",
+      body: <VerseText lines={lines.slice(1)} display={display} />,
+    };
+  }
+  if (card.mode === "verseCloze") {
+    const nama = clozeNama(card, verse);
+    if (nama === undefined) {
+      return {
+        label: `Verse ${card.nama}`,
+        body: <VerseText lines={lines} display={display} />,
+      };
+    }
+    return {
+      label: `Nāma ${nama}`,
+      body: (
+        <div>
+          <VerseText lines={lines} blank={nama} reveal display={display} />
+          {script !== "iast" && (
+            <p className="mt-2 text-sm italic text-[#8a6a3c]">
+              {toIAST(names[nama - 1] ?? "")}
+            </p>
+          )}
+          <p className="mt-1 text-sm text-[#5a3a18]">
+            {shortMeanings[nama] ?? ""}
+          </p>
+        </div>
+      ),
+    };
+  }
+  // verseRecite
+  return {
+    label: `Verse ${card.nama}`,
+    body: <VerseText lines={lines} display={display} />,
+  };
+}
+
 // ─────────────────────────────────────────────────────────────────────────────
 // Empty state — no due cards and daily new cap reached / modes disabled
 // ─────────────────────────────────────────────────────────────────────────────
@@ -0,0 +1,83 @@
+import Link from "next/link";
+import React from "react";
+import { ScriptSelector } from "@/components/script-provider";
+import { loadNamaNames } from "@/lib/namas";
+import { loadVerses } from "@/lib/verses";
+import StatsView from "./stats-view";
+
+// Canonical 1000 nāmas in order.
+const names = loadNamaNames();
+
+// First nāma of each verse, so verse-drill lapses can be put in a chapter.
+const verseFirstNama: Record<number, number> = {};
+for (const verse of loadVerses()) {
+  const first = verse.tokens.flat().find((t) => t.namas?.length)?.namas?.[0];
+  if (first !== undefined) verseFirstNama[verse.number] = first;
+}
+
+export const metadata = {
+  title: "Practice stats — Lalita Sahasranama",
+  description:
+    "Review history, retention and upcoming reviews for your practice deck.",
+};
+
+export default function PracticeStatsPage() {
+  return (
+    <>
+      <div className="border-b border-[#2b1700]/15">
+        <div className="container mx-auto flex items-center justify-between px-4 py-4">
+          <Link href="/" className="flex items-center gap-2">
+            <span className="grid h-9 w-9 place-items-center rounded-md bg-[#c2410c] font-extrabold text-[#fff8e1] shadow-sm">
+              ॐ
+            </span>
+            <span className="text-lg font-extrabold tracking-tight text-[#2b1700]">
+              Lalita<span className="text-[#c2410c]">.</span>
+            </span>
+          </Link>
+          <nav className="flex items-center gap-6 text-sm font-semibold text-[#2b1700]">
+            <Link href="/" className="hover:text-[#c2410c]">
+              Verses
+            </Link>
+            <Link href="/themes" className="hover:text-[#c2410c]">
+              Themes
+            </Link>
+            <Link href="/roots" className="hover:text-[#c2410c]">
+              Roots
+            </Link>
+            <Link href="/practice" className="text-[#c2410c]">
+              Practice
+            </Link>
+            <Link href="/vravi" className="hover:text-[#c2410c]">
+              V. Ravi
+            </Link>
+            <Link href="/search" className="hover:text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
+          </nav>
+        </div>
+      </div>
+
+      <section className="container mx-auto max-w-3xl px-4 py-8 sm:py-12">
+        <header className="mb-8">
+          <h1 className="text-3xl font-extrabold tracking-tight text-[#2b1700] sm:text-4xl">
+            Practice stats
+          </h1>
+          <hr className="paper-rule my-3 w-32" />
+          <p className="text-sm leading-relaxed text-[#5a3a18]">
+            How your reviews have gone over time, from the review log kept in
+            your browser alongside your deck.{" "}
+            <Link
+              href="/practice"
+              className="font-semibold text-[#c2410c] hover:underline"
+            >
+              Back to practice →
+            </Link>
+          </p>
+        </header>
+
+        <StatsView names={names} verseFirstNama={verseFirstNama} />
+      </section>
+    </>
+  );
+}
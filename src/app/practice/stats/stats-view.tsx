@@ -0,0 +1,333 @@
+"use client";
+
+import Link from "next/link";
+import React, { useEffect, useMemo, useState } from "react";
+import { useScript } from "@/components/script-provider";
+import { type Mode, ALL_MODES, MODE_LABELS } from "@/lib/srs";
+import {
+  type ChapterLapses,
+  type HardNama,
+  type HeatmapDay,
+  type Retention,
+  dueForecast,
+  hardestNamas,
+  lapsesByChapter,
+  overallRetention,
+  retentionByMode,
+  reviewHeatmap,
+} from "@/lib/review-stats";
+import { type Progress, loadProgress } from "@/lib/srs-storage";
+
+interface StatsViewProps {
+  names: string[]; // 1000 nāmas in order
+  verseFirstNama: Record<number, number>; // verse number → its first nāma
+}
+
+export default function StatsView({ names, verseFirstNama }: StatsViewProps) {
+  const [progress, setProgress] = useState<Progress | null>(null); // null until hydrated
+
+  useEffect(() => {
+    void loadProgress().then(({ progress }) => setProgress(progress));
+  }, []);
+
+  const stats = useMemo(() => {
+    if (!progress) return null;
+    const now = new Date();
+    return {
+      heatmap: reviewHeatmap(progress.log, now),
+      overall: overallRetention(progress.log),
+      byMode: retentionByMode(progress.log),
+      forecast: dueForecast(progress, now),
+      hardest: hardestNamas(progress),
+      chapters: lapsesByChapter(progress.log, verseFirstNama),
+    };
+  }, [progress, verseFirstNama]);
+
+  if (!progress || !stats) {
+    return (
+      <p className="text-center text-sm text-[#8a6a3c]">Loading your deck…</p>
+    );
+  }
+
+  if (progress.log.length === 0) {
+    return (
+      <div className="sticker-card p-6 text-center">
+        <p className="text-[#2b1700]">
+          No reviews logged yet. Stats fill in as you{" "}
+          <Link href="/practice" className="font-semibold text-[#c2410c]">
+            practice
+          </Link>
+          .
+        </p>
+      </div>
+    );
+  }
+
+  const studied = Object.values(progress.cards).filter(
+    (c) => c && c.reps + c.lapses > 0,
+  ).length;
+
+  return (
+    <div className="space-y-6">
+      <div className="sticker-card grid grid-cols-2 gap-3 p-4 sm:grid-cols-4 sm:p-5">
+        <Stat label="Reviews" value={String(progress.log.length)} />
+        <Stat
+          label="Retention"
+          value={percent(stats.overall)}
+          accent="saffron"
+        />
+        <Stat label="Cards studied" value={String(studied)} />
+        <Stat
+          label="Streak (days)"
+          value={String(progress.stats.streakDays)}
+          accent="ink"
+        />
+      </div>
+
+      <Panel title="Reviews per day">
+        <Heatmap weeks={stats.heatmap} />
+      </Panel>
+
+      <Panel title="Due in the next 30 days">
+        <Forecast days={stats.forecast} />
+      </Panel>
+
+      <Panel title="Retention by drill">
+        <RetentionTable byMode={stats.byMode} />
+      </Panel>
+
+      <div className="grid gap-6 sm:grid-cols-2">
+        <Panel title="Hardest nāmas">
+          <HardestList hardest={stats.hardest} names={names} />
+        </Panel>
+        <Panel title="Lapses by chapter">
+          <ChapterList chapters={stats.chapters} />
+        </Panel>
+      </div>
+    </div>
+  );
+}
+
+/** Share recalled, or a dash with nothing to go on. */
+function percent({ reviews, recalled }: Retention): string {
+  return reviews > 0 ? `${Math.round((recalled / reviews) * 100)}%` : "—";
+}
+
+function Panel({
+  title,
+  children,
+}: {
+  title: string;
+  children: React.ReactNode;
+}) {
+  return (
+    <section className="sticker-card p-4 sm:p-5">
+      <h2 className="mb-3 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+        {title}
+      </h2>
+      {children}
+    </section>
+  );
+}
+
+function Stat({
+  label,
+  value,
+  accent,
+}: {
+  label: string;
+  value: string;
+  accent?: "saffron" | "ink";
+}) {
+  return (
+    <div>
+      <div
+        className={`text-2xl font-extrabold tracking-tight ${
+          accent === "saffron"
+            ? "text-[#c2410c]"
+            : accent === "ink"
+              ? "text-[#7c1d1d]"
+              : "text-[#2b1700]"
+        }`}
+      >
+        {value}
+      </div>
+      <div className="text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+        {label}
+      </div>
+    </div>
+  );
+}
+
+/** Heatmap shades, from no reviews to the busiest days. */
+const SHADES = [
+  "bg-[#2b1700]/5",
+  "bg-[#fde68a]",
+  "bg-[#fbbf24]",
+  "bg-[#ea580c]",
+  "bg-[#c2410c]",
+];
+
+function shadeFor(reviews: number, max: number): string {
+  const level = reviews === 0 ? 0 : Math.ceil((reviews / max) * 4);
+  return SHADES[Math.min(4, level)]!;
+}
+
+function Heatmap({ weeks }: { weeks: HeatmapDay[][] }) {
+  const max = Math.max(1, ...weeks.flat().map((d) => d.reviews));
+  const total = weeks.flat().reduce((sum, d) => sum + d.reviews, 0);
+  const active = weeks.flat().filter((d) => d.reviews > 0).length;
+  return (
+    <>
+      <div className="flex gap-[3px] overflow-x-auto pb-1">
+        {weeks.map((week, w) => (
+          <div key={w} className="flex flex-col gap-[3px]">
+            {week.map((day) => (
+              <div
+                key={day.date}
+                title={`${day.date}: ${day.reviews} review${day.reviews === 1 ? "" : "s"}`}
+                className={`h-3 w-3 rounded-[2px] ${shadeFor(day.reviews, max)}`}
+              />
+            ))}
+          </div>
+        ))}
+      </div>
+      <p className="mt-2 text-xs text-[#5a3a18]">
+        <b>{total}</b> reviews on <b>{active}</b> days in the last{" "}
+        {weeks.length} weeks
+      </p>
+    </>
+  );
+}
+
+function Forecast({ days }: { days: { date: string; due: number }[] }) {
+  const peak = Math.max(0, ...days.map((d) => d.due));
+  const max = Math.max(1, peak);
+  const week = days.slice(0, 7).reduce((sum, d) => sum + d.due, 0);
+  return (
+    <>
+      <div className="flex h-24 items-end gap-[2px]">
+        {days.map((day, i) => (
+          <div
+            key={day.date}
+            title={`${day.date}: ${day.due} due`}
+            className={`flex-1 rounded-t-[2px] ${
+              i === 0 ? "bg-[#c2410c]" : "bg-[#c2410c]/45"
+            }`}
+            style={{ height: `${(day.due / max) * 100}%` }}
+          />
+        ))}
+      </div>
+      <div className="mt-1 flex justify-between text-[10px] text-[#8a6a3c]">
+        <span>Today</span>
+        <span>+30 days</span>
+      </div>
+      <p className="mt-2 text-xs text-[#5a3a18]">
+        <b>{days[0]?.due ?? 0}</b> due today · <b>{week}</b> this week · peak{" "}
+        <b>{peak}</b> in a day
+      </p>
+    </>
+  );
+}
+
+function RetentionTable({
+  byMode,
+}: {
+  byMode: Partial<Record<Mode, Retention>>;
+}) {
+  const rows = ALL_MODES.filter((m) => byMode[m]);
+  if (rows.length === 0) {
+    return (
+      <p className="text-sm text-[#5a3a18]">
+        Retention shows once learned cards come back for review.
+      </p>
+    );
+  }
+  return (
+    <table className="w-full text-sm">
+      <tbody>
+        {rows.map((m) => {
+          const r = byMode[m]!;
+          return (
+            <tr
+              key={m}
+              className="border-b border-dashed border-[#2b1700]/10 last:border-0"
+            >
+              <td className="py-1.5 text-[#2b1700]">{MODE_LABELS[m]}</td>
+              <td className="py-1.5 text-right text-xs text-[#8a6a3c]">
+                {r.recalled}/{r.reviews}
+              </td>
+              <td className="w-16 py-1.5 text-right font-bold text-[#c2410c]">
+                {percent(r)}
+              </td>
+            </tr>
+          );
+        })}
+      </tbody>
+    </table>
+  );
+}
+
+function HardestList({
+  hardest,
+  names,
+}: {
+  hardest: HardNama[];
+  names: string[];
+}) {
+  const { display } = useScript();
+  if (hardest.length === 0) {
+    return <p className="text-sm text-[#5a3a18]">No lapses yet.</p>;
+  }
+  return (
+    <ol className="space-y-1.5 text-sm">
+      {hardest.map(({ nama, lapses }) => (
+        <li key={nama} className="flex items-baseline justify-between gap-2">
+          <Link
+            href={`/nama/${nama}`}
+            className="text-[#2b1700] hover:text-[#c2410c]"
+          >
+            <span className="mr-1.5 text-xs text-[#8a6a3c]">{nama}.</span>
+            {display(names[nama - 1] ?? "")}
+          </Link>
+          <span className="text-xs whitespace-nowrap text-[#7c1d1d]">
+            {lapses} lapse{lapses === 1 ? "" : "s"}
+          </span>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+function ChapterList({ chapters }: { chapters: ChapterLapses[] }) {
+  const reviewed = chapters.filter((c) => c.reviews > 0);
+  if (reviewed.length === 0) {
+    return <p className="text-sm text-[#5a3a18]">No reviews yet.</p>;
+  }
+  const max = Math.max(1, ...reviewed.map((c) => c.lapses));
+  return (
+    <ul className="space-y-2 text-sm">
+      {reviewed.map((c) => (
+        <li key={c.range[0]}>
+          <div className="flex items-baseline justify-between gap-2">
+            <span className="text-[#2b1700]">
+              <span className="mr-1.5 text-xs text-[#8a6a3c]">
+                {c.range[0]}–{c.range[1]}
+              </span>
+              {c.title}
+            </span>
+            <span className="text-xs whitespace-nowrap text-[#7c1d1d]">
+              {c.lapses}/{c.reviews}
+            </span>
+          </div>
+          <div className="mt-1 h-1.5 rounded-full bg-[#2b1700]/5">
+            <div
+              className="h-full rounded-full bg-[#7c1d1d]/70"
+              style={{ width: `${(c.lapses / max) * 100}%` }}
+            />
+          </div>
+        </li>
+      ))}
+    </ul>
+  );
+}
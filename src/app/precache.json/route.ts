@@ -0,0 +1,24 @@
+import { CHAPTERS } from "@/constants/themes";
+import { loadNamaNames } from "@/lib/namas";
+
+// Rendered once at build time and served as a static JSON file: the pages
+// the service worker (public/sw.js) saves for offline use. `pages` are
+// saved when it installs, `later` in the background after.
+export const dynamic = "force-static";
+
+const PAGES = [
+  "/",
+  "/themes",
+  "/roots",
+  "/practice",
+  "/practice/stats",
+  "/vravi",
+  "/search",
+  "/search-index.json",
+];
+
+export function GET() {
+  const readerPages = CHAPTERS.map((_, i) => `/vravi/${i + 1}`);
+  const namaPages = loadNamaNames().map((_, i) => `/nama/${i + 1}`);
+  return Response.json({ pages: PAGES, later: [...readerPages, ...namaPages] });
+}
@@ -0,0 +1,46 @@
+import { ImageResponse } from "next/og";
+
+// App icons for the web manifest, drawn once at build time: a yantra's
+// interlaced triangles and bindu on saffron. Full-bleed, with the mark
+// inside the central circle so it survives a maskable crop.
+export const dynamic = "force-static";
+export const dynamicParams = false;
+
+const SIZES = [192, 512];
+
+export function generateStaticParams() {
+  return SIZES.map((size) => ({ size: String(size) }));
+}
+
+export async function GET(
+  _request: Request,
+  { params }: { params: Promise<{ size: string }> },
+) {
+  const size = Number((await params).size);
+  return new ImageResponse(
+    (
+      <div
+        style={{
+          width: "100%",
+          height: "100%",
+          display: "flex",
+          background: "#c2410c",
+        }}
+      >
+        <svg width={size} height={size} viewBox="0 0 100 100">
+          <circle cx="50" cy="50" r="31" fill="#fff8e1" />
+          <polygon points="50,75 28,37 72,37" fill="#c2410c" />
+          <polygon
+            points="50,25 30,60 70,60"
+            fill="none"
+            stroke="#7c1d1d"
+            strokeWidth="3"
+            strokeLinejoin="round"
+          />
+          <circle cx="50" cy="49" r="3.5" fill="#fff8e1" />
+        </svg>
+      </div>
+    ),
+    { width: size, height: size },
+  );
+}
@@ -0,0 +1,373 @@
+"use client";
+
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useScript } from "@/components/script-provider";
+import type { NamaTiming, Recitation, RecitationTrack } from "@/lib/recitation";
+
+export const SPEEDS = [0.5, 0.75, 1, 1.25] as const;
+
+/** Shortest hold after a name when pausing for repetition, in ms. */
+const MIN_REPEAT_PAUSE = 1500;
+
+type VerseSpan = { track: RecitationTrack; start: number; end: number };
+
+export type RecitationControls = {
+  /** Verses that have audio, in order. */
+  verses: number[];
+  hasVerse: (verse: number) => boolean;
+  /** Verse and nāma at the playhead. */
+  verse: number | null;
+  nama: number | null;
+  playing: boolean;
+  /** Holding after a name for the reader to repeat it. */
+  holding: boolean;
+  rate: number;
+  loopVerse: boolean;
+  pauseAfterName: boolean;
+  playVerse: (verse: number) => void;
+  toggle: () => void;
+  setRate: (rate: number) => void;
+  setLoopVerse: (on: boolean) => void;
+  setPauseAfterName: (on: boolean) => void;
+};
+
+/** The timing whose start is at or before `time`, if any. */
+function timingAt(namas: NamaTiming[], time: number): NamaTiming | null {
+  let found: NamaTiming | null = null;
+  for (const timing of namas) {
+    if (timing.start > time) break;
+    found = timing;
+  }
+  return found;
+}
+
+/**
+ * Start playback. `play()` rejects with AbortError when a pause or a new
+ * source cuts it short, which is expected; any other failure (autoplay
+ * blocked, a file that won't load) calls `onFail`.
+ */
+function startPlayback(audio: HTMLAudioElement, onFail: () => void) {
+  audio.play().catch((err: unknown) => {
+    if (err instanceof DOMException && err.name === "AbortError") return;
+    onFail();
+  });
+}
+
+/**
+ * Playback state for recitation tracks: which nāma is sounding, looping a
+ * verse and holding after each name. Verse boundaries come from
+ * `namaVerses` (nāma number → verse number).
+ */
+export function useRecitation(
+  recitation: Recitation,
+  namaVerses: Map<number, number>,
+): RecitationControls {
+  const audioRef = useRef<HTMLAudioElement | null>(null);
+  const frameRef = useRef<number | null>(null);
+  const holdRef = useRef<ReturnType<typeof setTimeout> | null>(null);
+  const heldForRef = useRef<number | null>(null);
+
+  const [track, setTrack] = useState<RecitationTrack | null>(null);
+  const [verse, setVerse] = useState<number | null>(null);
+  const [nama, setNama] = useState<number | null>(null);
+  const [playing, setPlaying] = useState(false);
+  const [holding, setHolding] = useState(false);
+  const [rate, setRateState] = useState(1);
+  const [loopVerse, setLoopVerse] = useState(false);
+  const [pauseAfterName, setPauseAfterName] = useState(false);
+
+  // Where each verse sounds: its track and the span of its nāmas.
+  const spans = useMemo(() => {
+    const map = new Map<number, VerseSpan>();
+    for (const t of recitation.tracks) {
+      for (const timing of t.namas) {
+        const v = namaVerses.get(timing.number);
+        if (v === undefined) continue;
+        const span = map.get(v);
+        if (!span) {
+          map.set(v, { track: t, start: timing.start, end: timing.end });
+        } else if (span.track === t) {
+          span.start = Math.min(span.start, timing.start);
+          span.end = Math.max(span.end, timing.end);
+        }
+      }
+    }
+    return map;
+  }, [recitation, namaVerses]);
+
+  const verses = useMemo(
+    () => [...spans.keys()].sort((a, b) => a - b),
+    [spans],
+  );
+
+  const clearHold = () => {
+    if (holdRef.current) clearTimeout(holdRef.current);
+    holdRef.current = null;
+    setHolding(false);
+  };
+
+  const getAudio = () => {
+    audioRef.current ??= new Audio();
+    return audioRef.current;
+  };
+
+  // Follow the playhead while playing.
+  useEffect(() => {
+    if (!playing || !track) return;
+    const audio = getAudio();
+
+    const tick = () => {
+      frameRef.current = requestAnimationFrame(tick);
+      if (audio.paused) return;
+      const time = audio.currentTime;
+      const timing = timingAt(track.namas, time);
+      const current = timing && time < timing.end ? timing.number : null;
+      setNama(current);
+      const v = timing ? (namaVerses.get(timing.number) ?? null) : null;
+
+      if (
+        pauseAfterName &&
+        timing &&
+        time >= timing.end &&
+        heldForRef.current !== timing.number
+      ) {
+        heldForRef.current = timing.number;
+        audio.pause();
+        setHolding(true);
+        // Time to say the name back at the speed it was recited.
+        const hold = Math.max(
+          MIN_REPEAT_PAUSE,
+          ((timing.end - timing.start) / audio.playbackRate) * 1000 + 500,
+        );
+        holdRef.current = setTimeout(() => {
+          holdRef.current = null;
+          setHolding(false);
+          startPlayback(audio, () => setPlaying(false));
+        }, hold);
+        return;
+      }
+
+      const span = verse !== null ? spans.get(verse) : undefined;
+      if (loopVerse && span && time >= span.end) {
+        audio.currentTime = span.start;
+        heldForRef.current = null;
+        return;
+      }
+      if (v !== null && v !== verse) setVerse(v);
+    };
+    frameRef.current = requestAnimationFrame(tick);
+    return () => {
+      if (frameRef.current !== null) cancelAnimationFrame(frameRef.current);
+    };
+  }, [playing, track, verse, spans, namaVerses, loopVerse, pauseAfterName]);
+
+  // Stop everything when the page goes away.
+  useEffect(() => {
+    const audio = audioRef;
+    const hold = holdRef;
+    return () => {
+      if (hold.current) clearTimeout(hold.current);
+      audio.current?.pause();
+    };
+  }, []);
+
+  // At the end of a file: loop the verse, or carry on into the next
+  // verse's file when verses come one file each.
+  const endedRef = useRef<() => void>(() => undefined);
+
+  const playVerse = useCallback(
+    (v: number) => {
+      const span = spans.get(v);
+      if (!span) return;
+      const audio = getAudio();
+      clearHold();
+      heldForRef.current = null;
+      if (!audio.src.endsWith(span.track.src)) {
+        audio.src = span.track.src;
+        audio.onended = () => endedRef.current();
+      }
+      audio.playbackRate = rate;
+      audio.currentTime = span.start;
+      setTrack(span.track);
+      setVerse(v);
+      setPlaying(true);
+      startPlayback(audio, () => setPlaying(false));
+    },
+    [spans, rate],
+  );
+
+  endedRef.current = () => {
+    const next = verse !== null ? verses[verses.indexOf(verse) + 1] : undefined;
+    if (verse !== null && loopVerse) {
+      playVerse(verse);
+    } else if (next !== undefined && spans.get(next)?.track !== track) {
+      playVerse(next);
+    } else {
+      setPlaying(false);
+      setNama(null);
+    }
+  };
+
+  const toggle = () => {
+    const audio = audioRef.current;
+    if (!audio || !track) {
+      const first = verses[0];
+      if (first !== undefined) playVerse(first);
+      return;
+    }
+    if (playing) {
+      clearHold();
+      audio.pause();
+      setPlaying(false);
+    } else {
+      setPlaying(true);
+      startPlayback(audio, () => setPlaying(false));
+    }
+  };
+
+  const setRate = (r: number) => {
+    setRateState(r);
+    if (audioRef.current) audioRef.current.playbackRate = r;
+  };
+
+  return {
+    verses,
+    hasVerse: (v) => spans.has(v),
+    verse,
+    nama,
+    playing,
+    holding,
+    rate,
+    loopVerse,
+    pauseAfterName,
+    playVerse,
+    toggle,
+    setRate,
+    setLoopVerse,
+    setPauseAfterName,
+  };
+}
+
+/**
+ * Player bar for the verses page: play/pause, verse stepping, speed and the
+ * loop / repeat-after-me switches.
+ */
+export function RecitationBar({
+  controls,
+  names,
+}: {
+  controls: RecitationControls;
+  names: string[];
+}) {
+  const { display } = useScript();
+  const {
+    verses,
+    verse,
+    nama,
+    playing,
+    holding,
+    rate,
+    loopVerse,
+    pauseAfterName,
+  } = controls;
+
+  const at = verse !== null ? verses.indexOf(verse) : -1;
+  const prevVerse = at > 0 ? verses[at - 1] : undefined;
+  const nextVerse = at >= 0 ? verses[at + 1] : verses[0];
+  const name = nama !== null ? names[nama - 1] : undefined;
+
+  return (
+    <div className="sticker-card sticky top-2 z-40 mb-10 flex flex-wrap items-center gap-3 p-3 font-sans text-sm">
+      <div className="flex items-center gap-2">
+        <button
+          type="button"
+          onClick={() =>
+            prevVerse !== undefined && controls.playVerse(prevVerse)
+          }
+          disabled={prevVerse === undefined}
+          aria-label="Previous verse"
+          className="pill-tab disabled:opacity-40"
+        >
+          ‹
+        </button>
+        <button
+          type="button"
+          onClick={controls.toggle}
+          aria-label={playing ? "Pause" : "Play"}
+          className="btn-saffron min-w-20 py-1.5"
+        >
+          {playing ? "❚❚ Pause" : "▶ Play"}
+        </button>
+        <button
+          type="button"
+          onClick={() =>
+            nextVerse !== undefined && controls.playVerse(nextVerse)
+          }
+          disabled={nextVerse === undefined}
+          aria-label="Next verse"
+          className="pill-tab disabled:opacity-40"
+        >
+          ›
+        </button>
+      </div>
+
+      <p className="min-w-32 flex-1 text-[#5a3a18]">
+        {verse !== null ? (
+          <>
+            <span className="font-bold text-[#2b1700]">Verse {verse}</span>
+            {name && (
+              <>
+                {" · "}
+                <span className="font-sanskrit text-[#7c1d1d]">
+                  {display(name)}
+                </span>
+              </>
+            )}
+            {holding && (
+              <span className="ml-2 text-xs text-[#8a6a3c] italic">
+                your turn…
+              </span>
+            )}
+          </>
+        ) : (
+          `${verses.length} verses recited`
+        )}
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {SPEEDS.map((speed) => (
+          <button
+            key={speed}
+            type="button"
+            onClick={() => controls.setRate(speed)}
+            className={`pill-tab ${rate === speed ? "pill-tab--active" : ""}`}
+          >
+            {speed}×
+          </button>
+        ))}
+        <button
+          type="button"
+          aria-pressed={loopVerse}
+          onClick={() => controls.setLoopVerse(!loopVerse)}
+          className={`pill-tab ${loopVerse ? "pill-tab--saffron" : ""}`}
+        >
+          ↻ Loop verse
+        </button>
+        <button
+          type="button"
+          aria-pressed={pauseAfterName}
+          onClick={() => controls.setPauseAfterName(!pauseAfterName)}
+          className={`pill-tab ${pauseAfterName ? "pill-tab--saffron" : ""}`}
+        >
+          Pause after each name
+        </button>
+      </div>
+    </div>
+  );
+}
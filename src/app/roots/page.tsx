@@ -0,0 +1,73 @@
+import Link from "next/link";
+import React from "react";
+import { ScriptSelector } from "@/components/script-provider";
+import { loadNamaNames } from "@/lib/namas";
+import { loadRoots } from "@/lib/roots";
+import RootsView from "./roots-view";
+
+const roots = loadRoots();
+
+// Canonical 1000 nāmas in order.
+const names = loadNamaNames();
+
+export const metadata = {
+  title: "Roots — Lalita Sahasranama",
+  description:
+    "Every dhātu (verbal root) behind the 1000 nāmas, with its glosses and the names built on it.",
+};
+
+export default function RootsPage() {
+  return (
+    <>
+      <div className="border-b border-[#2b1700]/15">
+        <div className="container mx-auto flex items-center justify-between px-4 py-4">
+          <Link href="/" className="flex items-center gap-2">
+            <span className="grid h-9 w-9 place-items-center rounded-md bg-[#c2410c] font-extrabold text-[#fff8e1] shadow-sm">
+              ॐ
+            </span>
+            <span className="text-lg font-extrabold tracking-tight text-[#2b1700]">
+              Lalita<span className="text-[#c2410c]">.</span>
+            </span>
+          </Link>
+          <nav className="flex items-center gap-6 text-sm font-semibold text-[#2b1700]">
+            <Link href="/" className="hover:text-[#c2410c]">
+              Verses
+            </Link>
+            <Link href="/themes" className="hover:text-[#c2410c]">
+              Themes
+            </Link>
+            <Link href="/roots" className="text-[#c2410c]">
+              Roots
+            </Link>
+            <Link href="/practice" className="hover:text-[#c2410c]">
+              Practice
+            </Link>
+            <Link href="/vravi" className="hover:text-[#c2410c]">
+              V. Ravi
+            </Link>
+            <Link href="/search" className="hover:text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
+          </nav>
+        </div>
+      </div>
+
+      <section className="container mx-auto max-w-3xl px-4 py-10 sm:py-14">
+        <header className="mb-10 text-center">
+          <h1 className="mb-3 text-4xl font-extrabold tracking-tight text-[#2b1700] sm:text-5xl">
+            Roots
+          </h1>
+          <hr className="paper-rule mx-auto w-48" />
+          <p className="mt-4 text-base leading-relaxed text-[#5a3a18]">
+            The {roots.length} dhātus tagged in the root breakdowns, most used
+            first. Open a dhātu to see the words formed from it and every nāma
+            that uses them.
+          </p>
+        </header>
+
+        <RootsView roots={roots} names={names} />
+      </section>
+    </>
+  );
+}
@@ -0,0 +1,170 @@
+"use client";
+
+import Link from "next/link";
+import React, { useEffect, useMemo, useState } from "react";
+import { useScript } from "@/components/script-provider";
+import type { RootEntry } from "@/lib/roots";
+
+type SortOrder = "frequency" | "alphabetical";
+
+interface RootsViewProps {
+  roots: RootEntry[];
+  names: string[];
+}
+
+const foldLatin = (s: string) =>
+  s.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+
+export default function RootsView({ roots, names }: RootsViewProps) {
+  const [filter, setFilter] = useState("");
+  const [sort, setSort] = useState<SortOrder>("frequency");
+  const [open, setOpen] = useState<Set<string>>(new Set());
+
+  // Deep links land on #root-<dhātu> — open that card.
+  useEffect(() => {
+    const hash = decodeURIComponent(window.location.hash);
+    if (!hash.startsWith("#root-")) return;
+    setOpen(new Set([hash.slice("#root-".length)]));
+    document.getElementById(hash.slice(1))?.scrollIntoView();
+  }, []);
+
+  const toggle = (root: string) =>
+    setOpen((prev) => {
+      const next = new Set(prev);
+      if (next.has(root)) next.delete(root);
+      else next.add(root);
+      return next;
+    });
+
+  const visible = useMemo(() => {
+    const q = foldLatin(filter.trim().replace(/^√/, ""));
+    const matches = q
+      ? roots.filter(
+          (r) =>
+            r.root.includes(q) ||
+            foldLatin(r.iast).startsWith(q) ||
+            r.glosses.some((g) => foldLatin(g).includes(q)),
+        )
+      : roots;
+    return sort === "alphabetical"
+      ? [...matches].sort((a, b) => a.iast.localeCompare(b.iast))
+      : matches;
+  }, [roots, filter, sort]);
+
+  return (
+    <>
+      <div className="mb-6 flex flex-wrap items-center gap-3 border-b border-[#2b1700]/15 pb-3">
+        <input
+          type="search"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+          placeholder="Filter: √भा, bha, shine…"
+          className="font-sanskrit min-w-0 flex-1 rounded-md border border-[#2b1700]/30 bg-[#faf2dc] px-3 py-1.5 text-sm text-[#2b1700]"
+        />
+        <div className="flex gap-1.5">
+          {(["frequency", "alphabetical"] as const).map((s) => (
+            <button
+              key={s}
+              type="button"
+              onClick={() => setSort(s)}
+              className={`pill-tab ${sort === s ? "pill-tab--active" : ""}`}
+            >
+              {s === "frequency" ? "Most used" : "A–Z"}
+            </button>
+          ))}
+        </div>
+        <span className="w-full text-xs font-bold tracking-widest text-[#8a6a3c] uppercase">
+          {visible.length} of {roots.length} dhātus
+        </span>
+      </div>
+
+      <div className="space-y-3">
+        {visible.map((entry) => (
+          <RootCard
+            key={entry.root}
+            entry={entry}
+            names={names}
+            open={open.has(entry.root)}
+            onToggle={() => toggle(entry.root)}
+          />
+        ))}
+      </div>
+    </>
+  );
+}
+
+function RootCard({
+  entry,
+  names,
+  open,
+  onToggle,
+}: {
+  entry: RootEntry;
+  names: string[];
+  open: boolean;
+  onToggle: () => void;
+}) {
+  const { display } = useScript();
+
+  return (
+    <article
+      id={`root-${entry.root}`}
+      className="sticker-card scroll-mt-8 p-4 sm:p-5"
+    >
+      <button
+        type="button"
+        onClick={onToggle}
+        className="flex w-full items-start gap-4 text-left"
+        aria-expanded={open}
+      >
+        <span className="font-sanskrit shrink-0 text-2xl font-extrabold text-[#7c1d1d]">
+          √{display(entry.root)}
+        </span>
+        <div className="flex-1">
+          <p className="text-sm text-[#8a6a3c] italic">√{entry.iast}</p>
+          <p className="mt-1 text-sm leading-relaxed text-[#5a3a18]">
+            {entry.glosses.join(" · ")}
+          </p>
+        </div>
+        <span className="number-pill shrink-0">{entry.namas.length}</span>
+      </button>
+
+      {open && (
+        <div className="mt-4 space-y-4 border-t border-dashed border-[#2b1700]/20 pt-4">
+          {entry.components.map((component) => (
+            <div key={component.part}>
+              <p className="flex flex-wrap items-baseline gap-x-2 text-sm">
+                <span className="font-sanskrit font-semibold text-[#c2410c]">
+                  {display(component.part)}
+                </span>
+                <span className="text-[#5a3a18]">
+                  {component.meanings.join(" + ")}
+                </span>
+              </p>
+              <div className="mt-2 flex flex-wrap gap-2 pl-3">
+                {component.namas.map((n) => (
+                  <Link
+                    key={n}
+                    href={`/nama/${n}`}
+                    className="font-sanskrit sticker-chip text-sm"
+                  >
+                    <span className="font-mono text-[10px] font-bold tracking-wider text-[#8a6a3c]">
+                      {n}
+                    </span>
+                    <span>{display(names[n - 1] ?? "")}</span>
+                  </Link>
+                ))}
+              </div>
+            </div>
+          ))}
+          <Link
+            href={`/search?q=${encodeURIComponent(`√${entry.root}`)}`}
+            className="inline-block text-xs font-semibold text-[#c2410c] hover:text-[#7c1d1d]"
+          >
+            Open in search →
+          </Link>
+        </div>
+      )}
+    </article>
+  );
+}
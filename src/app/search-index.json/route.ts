@@ -0,0 +1,9 @@
+import { buildSearchIndex } from "@/lib/search-index";
+
+// Rendered once at build time and served as a static JSON file; the search
+// page fetches it and runs queries in the browser.
+export const dynamic = "force-static";
+
+export function GET() {
+  return Response.json(buildSearchIndex());
+}
@@ -0,0 +1,69 @@
+import Link from "next/link";
+import React, { Suspense } from "react";
+import { ScriptSelector } from "@/components/script-provider";
+import SearchView from "./search-view";
+
+export const metadata = {
+  title: "Search — Lalita Sahasranama",
+  description:
+    "Search the 1000 nāmas by name, meaning, dhātu, theme and commentary text.",
+};
+
+export default function SearchPage() {
+  return (
+    <>
+      <div className="border-b border-[#2b1700]/15">
+        <div className="container mx-auto flex items-center justify-between px-4 py-4">
+          <Link href="/" className="flex items-center gap-2">
+            <span className="grid h-9 w-9 place-items-center rounded-md bg-[#c2410c] font-extrabold text-[#fff8e1] shadow-sm">
+              ॐ
+            </span>
+            <span className="text-lg font-extrabold tracking-tight text-[#2b1700]">
+              Lalita<span className="text-[#c2410c]">.</span>
+            </span>
+          </Link>
+          <nav className="flex items-center gap-6 text-sm font-semibold text-[#2b1700]">
+            <Link href="/" className="hover:text-[#c2410c]">
+              Verses
+            </Link>
+            <Link href="/themes" className="hover:text-[#c2410c]">
+              Themes
+            </Link>
+            <Link href="/roots" className="hover:text-[#c2410c]">
+              Roots
+            </Link>
+            <Link href="/practice" className="hover:text-[#c2410c]">
+              Practice
+            </Link>
+            <Link href="/vravi" className="hover:text-[#c2410c]">
+              V. Ravi
+            </Link>
+            <Link href="/search" className="text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
+          </nav>
+        </div>
+      </div>
+
+      <section className="container mx-auto max-w-3xl px-4 py-10 sm:py-14">
+        <header className="mb-8 text-center">
+          <h1 className="mb-3 text-4xl font-extrabold tracking-tight text-[#2b1700] sm:text-5xl">
+            Search
+          </h1>
+          <hr className="paper-rule mx-auto w-48" />
+          <p className="mt-4 text-base leading-relaxed text-[#5a3a18]">
+            Type in Devanagari, IAST or plain English — diacritics are optional.
+            Add <span className="font-sanskrit">√भा</span> to keep only names
+            built on that dhātu, or <span className="font-mono">1-100</span> to
+            limit the range.
+          </p>
+        </header>
+
+        <Suspense fallback={null}>
+          <SearchView />
+        </Suspense>
+      </section>
+    </>
+  );
+}
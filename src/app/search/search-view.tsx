@@ -0,0 +1,189 @@
+"use client";
+
+import Link from "next/link";
+import { useSearchParams } from "next/navigation";
+import React, { useDeferredValue, useEffect, useMemo, useState } from "react";
+import { useScript } from "@/components/script-provider";
+import {
+  type PreparedIndex,
+  type SearchDoc,
+  type SearchResult,
+  prepareIndex,
+  search,
+} from "@/lib/search";
+import { toIAST } from "@/lib/transliterate";
+
+const PAGE_SIZE = 50;
+
+const EXAMPLES = ["कामेश्वर", "kamesvara", "√भा", "lotus 1-100", "√कम् √ईश्"];
+
+export default function SearchView() {
+  const searchParams = useSearchParams();
+  const [query, setQuery] = useState(() => searchParams.get("q") ?? "");
+  const [index, setIndex] = useState<PreparedIndex | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [shown, setShown] = useState(PAGE_SIZE);
+  const deferredQuery = useDeferredValue(query);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetch("/search-index.json")
+      .then((res) => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json() as Promise<SearchDoc[]>;
+      })
+      .then((docs) => {
+        if (!cancelled) setIndex(prepareIndex(docs));
+      })
+      .catch((err: unknown) => {
+        if (!cancelled)
+          setError(err instanceof Error ? err.message : String(err));
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Keep ?q= in sync so a search can be shared as a link.
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (query.trim()) url.searchParams.set("q", query.trim());
+    else url.searchParams.delete("q");
+    window.history.replaceState(null, "", url);
+    setShown(PAGE_SIZE);
+  }, [query]);
+
+  const results = useMemo(
+    () => (index ? search(index, deferredQuery) : []),
+    [index, deferredQuery],
+  );
+
+  return (
+    <>
+      <div className="mb-6">
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search names, meanings, roots, commentaries…"
+          autoFocus
+          className="font-sanskrit w-full rounded-lg border-2 border-[#2b1700]/25 bg-[#faf2dc] px-4 py-3 text-lg text-[#2b1700] placeholder:text-[#8a6a3c]/70 focus:border-[#c2410c] focus:outline-none"
+        />
+        <div className="mt-3 flex flex-wrap items-center gap-1.5 text-xs text-[#5a3a18]">
+          <span className="mr-1 font-bold tracking-widest text-[#8a6a3c] uppercase">
+            Try
+          </span>
+          {EXAMPLES.map((ex) => (
+            <button
+              key={ex}
+              type="button"
+              onClick={() => setQuery(ex)}
+              className="pill-tab font-sanskrit"
+            >
+              {ex}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error ? (
+        <p className="text-sm text-[#7c1d1d]">
+          Couldn&rsquo;t load the search index ({error}).
+        </p>
+      ) : !index ? (
+        <p className="text-sm text-[#8a6a3c] italic">Loading index…</p>
+      ) : deferredQuery.trim() ? (
+        <>
+          <p className="mb-4 border-b border-[#2b1700]/15 pb-3 text-xs font-bold tracking-widest text-[#8a6a3c] uppercase">
+            {results.length} {results.length === 1 ? "result" : "results"}
+          </p>
+          <div className="space-y-4">
+            {results.slice(0, shown).map((result) => (
+              <ResultCard
+                key={`${result.doc.href}:${result.doc.title}`}
+                result={result}
+              />
+            ))}
+          </div>
+          {results.length > shown && (
+            <div className="mt-6 text-center">
+              <button
+                type="button"
+                onClick={() => setShown((s) => s + PAGE_SIZE)}
+                className="pill-tab"
+              >
+                Show more
+              </button>
+            </div>
+          )}
+        </>
+      ) : null}
+    </>
+  );
+}
+
+function ResultCard({ result }: { result: SearchResult }) {
+  const { script, display } = useScript();
+  const { doc, snippets } = result;
+  const fragment = (id: string) =>
+    doc.kind === "nama" && id !== "name" ? `${doc.href}#${id}` : doc.href;
+
+  return (
+    <article className="sticker-card p-4 sm:p-5">
+      <Link href={doc.href} className="flex items-baseline gap-3">
+        {doc.kind === "nama" ? (
+          <>
+            <span className="number-pill shrink-0">N° {doc.range[0]}</span>
+            <span className="font-sanskrit text-xl font-bold text-[#7c1d1d] hover:text-[#c2410c]">
+              {display(doc.title)}
+            </span>
+            {script !== "iast" && (
+              <span className="font-sanskrit text-sm text-[#8a6a3c] italic">
+                {toIAST(doc.title)}
+              </span>
+            )}
+          </>
+        ) : (
+          <>
+            <span className="shrink-0 font-mono text-xs font-bold tracking-wider text-[#8a6a3c]">
+              {doc.range[0]}—{doc.range[1]}
+            </span>
+            <span className="text-base font-bold text-[#2b1700] hover:text-[#c2410c]">
+              {doc.title}
+            </span>
+          </>
+        )}
+      </Link>
+
+      {snippets.length > 0 && (
+        <div className="mt-3 space-y-2">
+          {snippets.map(({ field, parts }) => (
+            <Link
+              key={field.id}
+              href={fragment(field.id)}
+              className="block rounded-md px-2 py-1 text-sm leading-relaxed text-[#2b1700]/85 hover:bg-[#fde68a]/30"
+            >
+              <span className="mr-2 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+                {field.label}
+              </span>
+              <span className="font-sanskrit whitespace-pre-line">
+                {parts.map((part, i) =>
+                  part.hit ? (
+                    <mark
+                      key={i}
+                      className="rounded bg-[#fde68a]/70 px-0.5 text-[#7c1d1d]"
+                    >
+                      {part.text}
+                    </mark>
+                  ) : (
+                    <span key={i}>{part.text}</span>
+                  ),
+                )}
+              </span>
+            </Link>
+          ))}
+        </div>
+      )}
+    </article>
+  );
+}
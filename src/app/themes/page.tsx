@@ -1,27 +1,23 @@
-import fs from "node:fs";
-import path from "node:path";
 import Link from "next/link";
 import React from "react";
+import { ScriptSelector } from "@/components/script-provider";
 import { CHAPTERS } from "@/constants/themes";
+import { loadCommentarySources } from "@/lib/commentary-sources";
+import { loadNamaNames } from "@/lib/namas";
 import ThemesView from "./themes-view";
 
-const loadCommentary = (filename: string): Record<string, string> => {
-  const filePath = path.join(
-    process.cwd(),
-    `src/commentaries-json/${filename}`,
-  );
-  const text = fs.readFileSync(filePath, "utf-8");
-  return JSON.parse(text) as Record<string, string>;
-};
+const sources = loadCommentarySources();
 
-const commentaries = {
-  root: loadCommentary("root.json"),
-  "V. Ravi": loadCommentary("vravi.json"),
-  "Sanskrit Documents": loadCommentary("sanskritdocuments.json"),
-};
+// Popover tabs keyed by display name, with the breakdown source as "root".
+const commentaries = Object.fromEntries(
+  sources.map((source) => [
+    source.role === "breakdown" ? "root" : source.name,
+    source.entries,
+  ]),
+);
 
-// Canonical name list from the Sanskrit Documents JSON (1..1000 in order)
-const names = Object.keys(commentaries["Sanskrit Documents"]);
+// Canonical name list (1..1000 in order)
+const names = loadNamaNames();
 
 export const metadata = {
   title: "Themes — Lalita Sahasranama",
@@ -49,12 +45,19 @@ export default function ThemesPage() {
             <Link href="/themes" className="text-[#c2410c]">
               Themes
             </Link>
+            <Link href="/roots" className="hover:text-[#c2410c]">
+              Roots
+            </Link>
             <Link href="/practice" className="hover:text-[#c2410c]">
               Practice
             </Link>
             <Link href="/vravi" className="hover:text-[#c2410c]">
               V. Ravi
             </Link>
+            <Link href="/search" className="hover:text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
           </nav>
         </div>
       </div>
@@ -1,12 +1,15 @@
 "use client";
 
-import React, { useState } from "react";
+import Link from "next/link";
+import React, { useEffect, useState } from "react";
 import {
   Popover,
   PopoverContent,
   PopoverTrigger,
 } from "@/components/ui/popover";
 import { RootBreakdown } from "@/components/root-breakdown";
+import { useScript } from "@/components/script-provider";
+import { toIAST } from "@/lib/transliterate";
 import type { Chapter, ThemeGroup } from "@/constants/themes";
 
 type Commentaries = Record<string, Record<string, string>>;
@@ -42,6 +45,15 @@ export default function ThemesView({
       return next;
     });
 
+  // Deep links (e.g. from search) land on #chapter-N — open that chapter.
+  useEffect(() => {
+    const match = /^#chapter-(\d+)$/.exec(window.location.hash);
+    if (!match) return;
+    const idx = Number(match[1]) - 1;
+    setOpenChapters((prev) => new Set(prev).add(idx));
+    document.getElementById(`chapter-${idx + 1}`)?.scrollIntoView();
+  }, []);
+
   const collapseAll = () => {
     setOpenChapters(new Set());
     setOpenGroups(new Set());
@@ -61,7 +73,11 @@ export default function ThemesView({
           const [cStart, cEnd] = chapter.range;
           const isOpen = openChapters.has(ci);
           return (
-            <article key={ci} className="sticker-card p-5 sm:p-6">
+            <article
+              key={ci}
+              id={`chapter-${ci + 1}`}
+              className="sticker-card scroll-mt-8 p-5 sm:p-6"
+            >
               <button
                 type="button"
                 onClick={() => toggleChapter(ci)}
@@ -195,6 +211,7 @@ function NamaChip({
   commentaries: Commentaries;
 }) {
   const [open, setOpen] = useState(false);
+  const { display } = useScript();
 
   const available = Object.entries(commentaries)
     .map(([source, dict]) => ({ source, text: dict[name] }))
@@ -219,7 +236,7 @@ function NamaChip({
           <span className="font-mono text-[10px] font-bold tracking-wider text-[#8a6a3c]">
             {number}
           </span>
-          <span>{name}</span>
+          <span>{display(name)}</span>
         </button>
       </PopoverTrigger>
       <PopoverContent
@@ -250,6 +267,7 @@ function NamaPopoverContent({
   onClose: () => void;
 }) {
   const [activeIdx, setActiveIdx] = useState(0);
+  const { script, display } = useScript();
   const active = available[activeIdx] ?? null;
 
   const tabLabel = (source: string) =>
@@ -260,6 +278,12 @@ function NamaPopoverContent({
       <div className="flex-shrink-0 space-y-3 px-5 pt-4">
         <div className="flex items-start justify-between gap-3">
           <span className="number-pill mt-1.5">N° {number}</span>
+          <Link
+            href={`/nama/${number}`}
+            className="mt-1.5 ml-auto text-xs font-semibold text-[#c2410c] hover:text-[#7c1d1d]"
+          >
+            Study page →
+          </Link>
           <button
             type="button"
             onClick={onClose}
@@ -273,8 +297,11 @@ function NamaPopoverContent({
         </div>
 
         <h3 className="font-sanskrit text-2xl font-extrabold leading-tight text-[#2b1700]">
-          {name}
+          {display(name)}
         </h3>
+        <p className="font-sanskrit -mt-2 text-sm italic text-[#8a6a3c]">
+          {script === "iast" ? name : toIAST(name)}
+        </p>
 
         {available.length > 0 && (
           <div className="flex flex-wrap gap-1.5 pt-1">
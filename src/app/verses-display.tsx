@@ -7,454 +7,35 @@ import {
   PopoverContent,
   PopoverTrigger,
 } from "@/components/ui/popover";
+import { RelatedNamas, hasRelated } from "@/components/related-namas";
+import { useScript } from "@/components/script-provider";
+import type { Related } from "@/lib/crossrefs";
+import type { Recitation } from "@/lib/recitation";
+import { toIAST } from "@/lib/transliterate";
+import type { Verse } from "@/lib/verses";
+import { RecitationBar, useRecitation } from "./recitation-player";
 
 interface VersesDisplayProps {
-  sanskritText: string;
-  commentaries: Record<string, Record<string, string>>; // commentary name -> word -> commentary text
+  verses: Verse[];
+  closingLine: string | null;
+  names: string[]; // canonical nāmas in order; index + 1 = nāma number
+  commentaries: Record<string, Record<string, string>>; // commentary name -> nāma -> commentary text
+  related: Record<number, Related>; // nāma number -> related nāmas
+  recitation: Recitation;
 }
 
+// ॐ opens the first verse but isn't one of the thousand names.
+const OM_GLOSS = "The primordial Sound";
+
+// The popover's last tab, after the commentaries.
+const RELATED_TAB = "related";
+
 interface WordWithCommentary {
   id: string;
   word: string;
-  lineIndex: number;
-  wordIndex: number;
   commentariesBySource: Record<string, string>;
-  breakdownComponents?: string[];
-}
-
-/**
- * Parse a verse line into words, preserving dashes within compound words
- * Also handles square bracket breakdowns: word [component1 + component2 + component3](number)
- */
-function parseWordsFromLine(
-  line: string,
-): Array<{ word: string; isWord: boolean; breakdownComponents?: string[] }> {
-  const result: Array<{
-    word: string;
-    isWord: boolean;
-    breakdownComponents?: string[];
-  }> = [];
-
-  // First, extract and remove square bracket breakdowns: word [component1 + component2](number) or word [component1 + component2]
-  // Only process if brackets come AFTER a word (not before it on the line)
-  // Pattern: word (with possible hyphen) followed by space, then brackets
-  const breakdownPattern = /(\S+)\s+\[([^\]]+)\](?:\s*\(\d+\))?/g;
-  const breakdowns = new Map<string, string[]>(); // Map from word to components
-
-  let processedLine = line;
-  const matches = Array.from(line.matchAll(breakdownPattern));
-
-  for (const match of matches) {
-    const fullMatch = match[0]; // e.g., "महाबुद्धिर्महासिद्धिर्महायोगेश्वरेश्वरी [महाबुद्धिः + महासिद्धिः + महायोगेश्वरेश्वरी](55)"
-    const wordBeforeBrackets = match[1]; // e.g., "महाबुद्धिर्महासिद्धिर्महायोगेश्वरेश्वरी" or "चितिस्तत्पद-लक्ष्यार्था"
-    const componentsStr = match[2]; // e.g., "महाबुद्धिः + महासिद्धिः + महायोगेश्वरेश्वरी"
-
-    if (!fullMatch || !wordBeforeBrackets || !componentsStr) continue;
-
-    // Clean the word (remove trailing punctuation like ।)
-    const word = wordBeforeBrackets.replace(/[।॥]*$/, "");
-    if (word) {
-      const components = componentsStr
-        .split(/\s*\+\s*/)
-        .map((c) => c.trim())
-        .filter(Boolean);
-      breakdowns.set(word, components);
-    }
-
-    // Remove the breakdown pattern from the line (keep the word, remove brackets and number)
-    processedLine = processedLine.replace(fullMatch, wordBeforeBrackets);
-  }
-
-  // Split by verse numbers (॥ १॥ etc) to preserve them
-  const parts = processedLine.split(/(॥\s*[०-९\d]+\s*॥)/);
-
-  for (let i = 0; i < parts.length; i++) {
-    const part = parts[i];
-    if (!part || !part.trim()) continue;
-
-    // If it's a verse number, add as non-clickable
-    if (/॥\s*[०-९\d]+\s*॥/.test(part)) {
-      result.push({ word: part, isWord: false });
-      continue;
-    }
-
-    // Split by spaces to get words (dashes within words are preserved)
-    const words = part.split(/\s+/).filter((w) => w && w.trim());
-
-    // Track whether we are inside parens — words inside (...) are alternate readings,
-    // not actual verse words, so they should render as non-clickable text.
-    let parenDepth = 0;
-
-    for (let j = 0; j < words.length; j++) {
-      const word = words[j];
-      if (!word) continue;
-
-      const opens = (word.match(/\(/g) ?? []).length;
-      const closes = (word.match(/\)/g) ?? []).length;
-      const wasInsideParens = parenDepth > 0;
-      parenDepth += opens - closes;
-      if (parenDepth < 0) parenDepth = 0;
-      const insideParens =
-        wasInsideParens || opens > 0 || word.includes(")");
-
-      if (insideParens) {
-        result.push({ word, isWord: false });
-        if (j < words.length - 1) {
-          result.push({ word: " ", isWord: false });
-        }
-        continue;
-      }
-
-      // Remove trailing punctuation like । but keep it separate
-      const match = word.match(/^(.+?)([।]*)$/);
-      if (match) {
-        const mainWord = match[1];
-        const punctuation = match[2];
-
-        if (mainWord && mainWord.length >= 1) {
-          // Check if this word has breakdown components
-          const components = breakdowns.get(mainWord);
-          if (components) {
-            result.push({
-              word: mainWord,
-              isWord: true,
-              breakdownComponents: components,
-            });
-          } else {
-            result.push({ word: mainWord, isWord: true });
-          }
-        }
-
-        if (punctuation) {
-          result.push({ word: punctuation, isWord: false });
-        }
-      }
-
-      // Add space between words (except after last word in part)
-      if (j < words.length - 1) {
-        result.push({ word: " ", isWord: false });
-      }
-    }
-  }
-
-  return result;
-}
-
-/**
- * Normalize Devanagari for fuzzy matching across commentary sources.
- * Folds away spelling variations that don't change the underlying name:
- *   - long/short u (रू ↔ रु)
- *   - long/short i (ी ↔ ि) at end
- *   - anusvāra forms (ंक ↔ ङ्क, ंग ↔ ङ्ग, ंच ↔ ञ्च, ंत ↔ न्त, ंप ↔ म्प, ंब ↔ म्ब)
- *   - dashes, whitespace, avagraha
- */
-function normalizeName(name: string): string {
-  return name
-    .replace(/-/g, "")
-    .replace(/\s+/g, "")
-    .replace(/ऽ/g, "")
-    // Fold long↔short vowel pairs to absorb common spelling variations
-    .replace(/ा/g, "")
-    .replace(/ू/g, "ु")
-    .replace(/ी/g, "ि")
-    .replace(/ै/g, "े")
-    .replace(/ौ/g, "ो")
-    .replace(/आ/g, "अ")
-    .replace(/ऊ/g, "उ")
-    .replace(/ई/g, "इ")
-    .replace(/ऐ/g, "ए")
-    .replace(/औ/g, "ओ")
-    .replace(/ङ्क/g, "ंक")
-    .replace(/ङ्ख/g, "ंख")
-    .replace(/ङ्ग/g, "ंग")
-    .replace(/ङ्घ/g, "ंघ")
-    .replace(/ञ्च/g, "ंच")
-    .replace(/ञ्ज/g, "ंज")
-    .replace(/ण्ट/g, "ंट")
-    .replace(/ण्ठ/g, "ंठ")
-    .replace(/ण्ड/g, "ंड")
-    .replace(/ण्ढ/g, "ंढ")
-    .replace(/न्त/g, "ंत")
-    .replace(/न्द/g, "ंद")
-    .replace(/न्ध/g, "ंध")
-    .replace(/म्प/g, "ंप")
-    .replace(/म्फ/g, "ंफ")
-    .replace(/म्ब/g, "ंब")
-    .replace(/म्भ/g, "ंभ");
-}
-
-// Build a normalized-key cache lazily per commentary source so we only compute
-// the index once per source per render rather than re-walking every lookup.
-const normalizedSourceCache = new WeakMap<
-  Record<string, string>,
-  Map<string, string>
->();
-
-function getNormalizedIndex(
-  source: Record<string, string>,
-): Map<string, string> {
-  let index = normalizedSourceCache.get(source);
-  if (!index) {
-    index = new Map();
-    for (const key of Object.keys(source)) {
-      index.set(normalizeName(key), key);
-    }
-    normalizedSourceCache.set(source, index);
-  }
-  return index;
-}
-
-/**
- * Find commentary for a name from a specific commentary source, trying with and without dashes, and handling avagraha
- */
-function findCommentary(
-  name: string,
-  commentarySource: Record<string, string>,
-): string | null {
-  // Special case for ॐ (om)
-  if (name === "ॐ" || name === "ओं") {
-    return "The primordial Sound";
-  }
-
-  // Try exact match first
-  const exact = commentarySource[name];
-  if (exact) {
-    return exact;
-  }
-
-  // Most commentary keys are stored without dashes, so use the dash-stripped form
-  // for the remaining heuristics (avagraha split, sandhi split, fuzzy match, etc).
-  const dashless = name.replace(/-/g, "");
-  if (dashless !== name) {
-    const dashlessHit = commentarySource[dashless];
-    if (dashlessHit) return dashlessHit;
-  }
-  name = dashless;
-
-  // Try replacing avagraha (ऽ) with 'अ' - handles cases like "सर्वारुणाऽनवद्याङ्गी"
-  if (name.includes("ऽ")) {
-    const nameWithA = name.replace(/ऽ+/g, "अ");
-    if (commentarySource[nameWithA]) {
-      return commentarySource[nameWithA];
-    }
-
-    // Split on avagraha sequences and try to assemble matching component commentaries.
-    // In Sanskrit transcription, a single avagraha (ऽ) marks an elided "अ" and a
-    // double avagraha (ऽऽ) marks an elided "आ" on the following piece.
-    const splitParts: Array<{ text: string; elided: string }> = [];
-    let cursor = 0;
-    let pendingElided = "";
-    while (cursor < name.length) {
-      const nextAvagraha = name.indexOf("ऽ", cursor);
-      if (nextAvagraha === -1) {
-        const tail = name.slice(cursor);
-        if (tail) splitParts.push({ text: tail, elided: pendingElided });
-        break;
-      }
-      const chunk = name.slice(cursor, nextAvagraha);
-      if (chunk || pendingElided) {
-        splitParts.push({ text: chunk, elided: pendingElided });
-      }
-      let count = 0;
-      cursor = nextAvagraha;
-      while (name[cursor] === "ऽ") {
-        count++;
-        cursor++;
-      }
-      pendingElided = count >= 2 ? "आ" : "अ";
-    }
-    if (splitParts.length >= 2) {
-      const entries: Array<{ key: string; text: string }> = [];
-      let succeeded = true;
-      for (let p = 0; p < splitParts.length; p++) {
-        const { text, elided } = splitParts[p]!;
-        const candidates = elided ? [elided + text, text] : [text];
-        let matched: Array<{ key: string; text: string }> | null = null;
-        for (const c of candidates) {
-          const resolved = resolveCandidate(c, commentarySource);
-          if (resolved) {
-            matched = "single" in resolved ? [resolved.single] : resolved.multi;
-            break;
-          }
-        }
-        if (!matched) {
-          succeeded = false;
-          break;
-        }
-        entries.push(...matched);
-      }
-      if (succeeded && entries.length > 0) {
-        return entries
-          .map(({ key, text }) => `${key}\n${text}`)
-          .join("\n\n");
-      }
-    }
-  }
-
-  // Try matching by removing dashes from existing keys (since name is already dashless)
-  for (const key in commentarySource) {
-    if (key.replace(/-/g, "") === name) {
-      return commentarySource[key] ?? null;
-    }
-  }
-
-  // Fuzzy match via Devanagari normalization (anusvāra forms, long/short vowels, avagraha)
-  const normalizedIndex = getNormalizedIndex(commentarySource);
-  const normalized = normalizeName(name);
-  const fuzzyKey = normalizedIndex.get(normalized);
-  if (fuzzyKey) {
-    return commentarySource[fuzzyKey] ?? null;
-  }
-
-  // Sandhi split: names joined by र् (e.g., निरुपाधिर्निरीश्वरा = निरुपाधिः + निरीश्वरा,
-  // महाशक्तिर्महारतिः = महाशक्तिः + महारतिः). Split at र्, replace र् with ः on the
-  // left half, and combine matching commentaries.
-  const sandhiParts = trySandhiSplit(name, commentarySource);
-  if (sandhiParts) {
-    return sandhiParts
-      .map(({ key, text }) => `${key}\n${text}`)
-      .join("\n\n");
-  }
-
-  return null;
-}
-
-/**
- * Attempt to split a sandhi-joined name into known component names.
- * Splits on र् (re-adding ः to the left half) and recursively splits the right half.
- * Returns null unless every resulting component is found in the commentary source.
- */
-/**
- * Resolve a single name candidate against a commentary source. Returns the
- * matched key and its text — using exact match, fuzzy-normalized match, and
- * (recursively) sandhi splits. Used inside avagraha + sandhi heuristics so they
- * can compose with one another.
- */
-function resolveCandidate(
-  candidate: string,
-  src: Record<string, string>,
-):
-  | { single: { key: string; text: string } }
-  | { multi: Array<{ key: string; text: string }> }
-  | null {
-  if (src[candidate]) return { single: { key: candidate, text: src[candidate]! } };
-  const idx = getNormalizedIndex(src);
-  const fuzzy = idx.get(normalizeName(candidate));
-  if (fuzzy) return { single: { key: fuzzy, text: src[fuzzy]! } };
-  const sandhi = trySandhiSplit(candidate, src);
-  if (sandhi) return { multi: sandhi };
-  return null;
-}
-
-function trySandhiSplit(
-  name: string,
-  commentarySource: Record<string, string>,
-): Array<{ key: string; text: string }> | null {
-  const tryWithLeftAndRest = (
-    left: string,
-    rest: string,
-  ): Array<{ key: string; text: string }> | null => {
-    // Left must resolve to a single known name (not itself a sandhi composite),
-    // to avoid runaway recursion across the whole word.
-    const leftKey = commentarySource[left]
-      ? left
-      : (getNormalizedIndex(commentarySource).get(normalizeName(left)) ?? null);
-    if (!leftKey) return null;
-    const leftText = commentarySource[leftKey]!;
-
-    const restResolved = resolveCandidate(rest, commentarySource);
-    if (!restResolved) return null;
-    if ("single" in restResolved) {
-      return [{ key: leftKey, text: leftText }, restResolved.single];
-    }
-    return [{ key: leftKey, text: leftText }, ...restResolved.multi];
-  };
-
-  const independentVowels = "अआइईउऊऋॠएऐओऔ";
-  const consonants = "कखगघङचछजझञटठडढणतथदधनपफबभमयरलवशषसहळक्षज्ञ";
-  // Vowel signs (matras) → corresponding independent vowel for restoring the
-  // right-hand component after sandhi (e.g. कीर्तिः + उद्दाम → कीर्तिरुद्दाम,
-  // where the independent उ became the matra ु on र).
-  const matraToIndependent: Record<string, string> = {
-    "ा": "आ", "ि": "इ", "ी": "ई", "ु": "उ", "ू": "ऊ",
-    "ृ": "ऋ", "ॄ": "ॠ", "े": "ए", "ै": "ऐ", "ो": "ओ", "ौ": "औ",
-  };
-
-  for (let i = 1; i < name.length - 1; i++) {
-    // Case 1: ः + consonant-cluster → र् + consonant
-    //   (e.g. निरुपाधिः + निरीश्वरा → निरुपाधिर्निरीश्वरा)
-    if (name[i] === "्" && name[i - 1] === "र") {
-      const split = tryWithLeftAndRest(
-        name.slice(0, i - 1) + "ः",
-        name.slice(i + 1),
-      );
-      if (split) return split;
-    }
-    // Case 2: ः + independent vowel → र + vowel
-    //   (e.g. आदिशक्तिः + अमेया → आदिशक्तिरमेया [vowel kept on right])
-    if (name[i] === "र" && independentVowels.includes(name[i + 1] ?? "")) {
-      const split = tryWithLeftAndRest(
-        name.slice(0, i) + "ः",
-        name.slice(i + 1),
-      );
-      if (split) return split;
-    }
-    // Case 3: ः + अ (inherent vowel) → र + consonant
-    //   The right word starts with अ that was absorbed into the consonant's
-    //   inherent vowel after sandhi. e.g. स्मृतिः + अनुत्तमा → स्मृतिरनुत्तमा.
-    //   Detect: a bare र (not followed by virama and not part of a cluster)
-    //   followed by a consonant — try prepending अ to the right half.
-    if (
-      name[i] === "र" &&
-      name[i + 1] !== "्" &&
-      consonants.includes(name[i + 1] ?? "") &&
-      name[i - 1] !== "्"
-    ) {
-      const split = tryWithLeftAndRest(
-        name.slice(0, i) + "ः",
-        "अ" + name.slice(i + 1),
-      );
-      if (split) return split;
-    }
-    // Case 4: ः + vowel (other than अ) → र + matra
-    //   e.g. कीर्तिः + उद्दामवैभवा → कीर्तिरुद्दामवैभवा (उ became the matra ु on र).
-    //   Detect: a bare र followed by a vowel sign — restore that matra as an
-    //   independent vowel on the right half.
-    {
-      const matra = name[i + 1];
-      if (
-        name[i] === "र" &&
-        matra &&
-        matra in matraToIndependent &&
-        name[i - 1] !== "्"
-      ) {
-        const split = tryWithLeftAndRest(
-          name.slice(0, i) + "ः",
-          matraToIndependent[matra]! + name.slice(i + 2),
-        );
-        if (split) return split;
-      }
-    }
-    // Case 5: ः + voiceless stop → sibilant + same stop
-    //   e.g. त्रिमूर्तिः + त्रिदशेश्वरी → त्रिमूर्तिस्त्रिदशेश्वरी (ः + त → स्त).
-    //   Detect a sibilant (स/श/ष) followed by virama followed by a stop,
-    //   sitting between vowel-bearing context on the left.
-    if (
-      (name[i] === "स" || name[i] === "श" || name[i] === "ष") &&
-      name[i + 1] === "्" &&
-      name[i + 2] &&
-      consonants.includes(name[i + 2]!) &&
-      i > 0 &&
-      name[i - 1] !== "्"
-    ) {
-      const split = tryWithLeftAndRest(
-        name.slice(0, i) + "ः",
-        name.slice(i + 2),
-      );
-      if (split) return split;
-    }
-  }
-  return null;
+  // Related nāmas of each nāma the word carries, where it has any.
+  related: Array<{ sanskrit: string; related: Related }>;
 }
 
 /**
@@ -714,6 +295,7 @@ function WordPopover({
   word,
   wordId,
   commentariesBySource,
+  related,
   isOpen,
   onOpenChange,
   onNext,
@@ -724,6 +306,7 @@ function WordPopover({
   word: string;
   wordId: string;
   commentariesBySource: Record<string, string>; // commentary name -> commentary text
+  related: Array<{ sanskrit: string; related: Related }>;
   isOpen: boolean;
   onOpenChange: (open: boolean) => void;
   onNext: () => void;
@@ -731,9 +314,12 @@ function WordPopover({
   preferredTab: string | null;
   onTabChange: (tabName: string) => void;
 }) {
+  const { script, display } = useScript();
+
   // Format tab name for display (capitalize first letter, handle special cases)
   const formatTabName = (tabName: string): string => {
     if (tabName === "root") return "*";
+    if (tabName === RELATED_TAB) return "Related";
     return tabName;
   };
 
@@ -760,6 +346,7 @@ function WordPopover({
           if (b === "root") return 1;
           return 0; // Keep original order for others
         });
+      if (related.length > 0) availableTabs.push(RELATED_TAB);
 
       if (availableTabs.length > 0) {
         // Use preferred tab if it exists for this word, otherwise use first available
@@ -773,7 +360,7 @@ function WordPopover({
         }
       }
     }
-  }, [isOpen, commentariesBySource, preferredTab]);
+  }, [isOpen, commentariesBySource, related.length, preferredTab]);
 
   // Get available tabs, ensuring "root" appears first
   const availableTabs = Object.keys(commentariesBySource)
@@ -788,6 +375,7 @@ function WordPopover({
       if (b === "root") return 1;
       return 0; // Keep original order for others
     });
+  if (related.length > 0) availableTabs.push(RELATED_TAB);
 
   // Reinitialize carousel when popover opens or tabs change
   useEffect(() => {
@@ -856,7 +444,7 @@ function WordPopover({
           id={wordId}
           className="cursor-pointer underline decoration-[#c2410c]/50 decoration-dotted underline-offset-2 transition-colors hover:text-[#c2410c]"
         >
-          {word}
+          {display(word)}
         </span>
       </PopoverTrigger>
       <PopoverContent
@@ -894,8 +482,12 @@ function WordPopover({
                 : undefined
             }
           >
-            {word}
+            {display(word)}
           </h3>
+          {/* Second line: IAST, or the Devanagari source when reading in IAST */}
+          <p className="font-sanskrit -mt-2 text-sm italic text-[#8a6a3c]">
+            {script === "iast" ? word : toIAST(word.replace(/-/g, ""))}
+          </p>
 
           {/* Tabs as pills */}
           <div className="flex flex-wrap gap-1.5 pt-1">
@@ -963,7 +555,7 @@ function WordPopover({
                               }
                             >
                               <p className="font-sanskrit mb-1 text-base font-bold text-[#7c1d1d]">
-                                {sanskritName}
+                                {sanskritName ? display(sanskritName) : null}
                               </p>
                               <p className="text-[#2b1700]">{meaning}</p>
                             </div>
@@ -985,6 +577,41 @@ function WordPopover({
                 </div>
               );
             })}
+            {related.length > 0 && (
+              <div
+                key={RELATED_TAB}
+                className="h-full min-w-0 flex-[0_0_100%]"
+                style={{ minHeight: 0 }}
+              >
+                <div
+                  className="scrollbar-hide h-full overflow-y-auto px-1"
+                  style={{
+                    scrollbarWidth: "none",
+                    msOverflowStyle: "none",
+                  }}
+                >
+                  <div className="space-y-4 pb-2">
+                    {related.map((entry, idx) => (
+                      <div
+                        key={idx}
+                        className={
+                          idx > 0
+                            ? "border-t border-dashed border-[#2b1700]/15 pt-3"
+                            : ""
+                        }
+                      >
+                        {related.length > 1 && (
+                          <p className="font-sanskrit mb-2 text-base font-bold text-[#7c1d1d]">
+                            {display(entry.sanskrit)}
+                          </p>
+                        )}
+                        <RelatedNamas related={entry.related} />
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
           </div>
         </div>
 
@@ -1009,123 +636,112 @@ function WordPopover({
 }
 
 export default function VersesDisplay({
-  sanskritText,
+  verses,
+  closingLine,
+  names,
   commentaries,
+  related,
+  recitation,
 }: VersesDisplayProps) {
-  const lines = sanskritText.split("\n");
+  const { display } = useScript();
   const [openWordId, setOpenWordId] = useState<string | null>(null);
   const [shouldScroll, setShouldScroll] = useState(false);
   const [preferredCommentaryTab, setPreferredCommentaryTab] = useState<
     string | null
   >(null);
 
-  // Create a map of wordId -> commentaries by matching words to commentary names
-  const wordToCommentaryMap = new Map<
-    string,
-    {
-      word: string;
-      commentariesBySource: Record<string, string>;
-      breakdownComponents?: string[];
-    }
-  >();
-
-  // Pattern to detect concluding line (should not be processed for word matching)
-  const concludingLinePattern =
-    /एवं\s+श्रीललिता\s+देव्या\s+नाम्नां\s+साहस्रकं\s+जगुः/;
-
-  lines.forEach((line, lineIndex) => {
-    if (!line.trim()) return;
-    // Skip the concluding line for word matching
-    if (concludingLinePattern.test(line)) return;
-
-    const parsed = parseWordsFromLine(line);
-    parsed.forEach((item, wordIndex) => {
-      if (item.isWord) {
-        const wordId = `word-${lineIndex}-${wordIndex}`;
-
-        // Collect commentaries from all sources for this word
-        const commentariesBySource: Record<string, string> = {};
-        let hasAnyCommentary = false;
-
-        // If word has breakdown components, combine their commentaries with Sanskrit names
-        if (item.breakdownComponents && item.breakdownComponents.length > 0) {
-          // Process each commentary source
+  // Commentaries of every verse word that carries a nāma, in reading order.
+  // The words and their nāmas come precomputed in verses.json.
+  const wordsWithCommentaries = useMemo(() => {
+    const words: WordWithCommentary[] = [];
+    for (const verse of verses) {
+      verse.tokens.forEach((line, lineIndex) => {
+        line.forEach((token, wordIndex) => {
+          if (!token.isWord) return;
+          const keys = (token.namas ?? []).map((n) => names[n - 1] ?? "");
+
+          // Collect commentaries from all sources for this word
+          const commentariesBySource: Record<string, string> = {};
           for (const [sourceName, sourceCommentaries] of Object.entries(
             commentaries,
           )) {
-            const componentEntries: Array<{
-              sanskrit: string;
-              meaning: string;
-            }> = [];
-            for (const component of item.breakdownComponents) {
-              const compCommentary = findCommentary(
-                component,
-                sourceCommentaries,
-              );
-              if (compCommentary) {
-                componentEntries.push({
-                  sanskrit: component,
-                  meaning: compCommentary,
-                });
-              }
-            }
-
-            if (componentEntries.length > 0) {
-              // Format: Sanskrit name on one line, meaning below, with blank line between components
-              const combinedCommentary = componentEntries
-                .map((entry) => `${entry.sanskrit}\n${entry.meaning}`)
-                .join("\n\n");
-              commentariesBySource[sourceName] = combinedCommentary;
-              hasAnyCommentary = true;
-            }
-          }
-
-          if (hasAnyCommentary) {
-            wordToCommentaryMap.set(wordId, {
-              word: item.word,
-              commentariesBySource,
-              breakdownComponents: item.breakdownComponents,
-            });
-          }
-        } else {
-          // Regular word lookup - check all commentary sources
-          for (const [sourceName, sourceCommentaries] of Object.entries(
-            commentaries,
-          )) {
-            const commentary = findCommentary(item.word, sourceCommentaries);
-            if (commentary) {
-              commentariesBySource[sourceName] = commentary;
-              hasAnyCommentary = true;
+            if (token.text === "ॐ") {
+              commentariesBySource[sourceName] = OM_GLOSS;
+              continue;
             }
+            // A word carrying several nāmas lists each one: its name (as
+            // split in the verse, when the verse gives the split) with its
+            // text below.
+            const entries = keys
+              .map((key, i) => ({
+                sanskrit:
+                  token.components?.length === keys.length
+                    ? token.components[i]!
+                    : key,
+                meaning: sourceCommentaries[key],
+              }))
+              .filter((e): e is { sanskrit: string; meaning: string } =>
+                Boolean(e.meaning),
+              );
+            if (entries.length === 0) continue;
+            commentariesBySource[sourceName] =
+              keys.length === 1
+                ? entries[0]!.meaning
+                : entries
+                    .map((entry) => `${entry.sanskrit}\n${entry.meaning}`)
+                    .join("\n\n");
           }
 
-          if (hasAnyCommentary) {
-            wordToCommentaryMap.set(wordId, {
-              word: item.word,
+          if (Object.keys(commentariesBySource).length > 0) {
+            words.push({
+              id: `word-${verse.number}-${lineIndex}-${wordIndex}`,
+              word: token.text,
               commentariesBySource,
+              related: (token.namas ?? []).flatMap((n, i) => {
+                const found = related[n];
+                return hasRelated(found)
+                  ? [
+                      {
+                        sanskrit:
+                          token.components?.length === keys.length
+                            ? token.components[i]!
+                            : keys[i]!,
+                        related: found,
+                      },
+                    ]
+                  : [];
+              }),
             });
           }
-        }
+        });
+      });
+    }
+    return words;
+  }, [verses, names, commentaries, related]);
+
+  const namaVerses = useMemo(() => {
+    const map = new Map<number, number>();
+    for (const verse of verses) {
+      for (const token of verse.tokens.flat()) {
+        for (const n of token.namas ?? []) map.set(n, verse.number);
       }
-    });
-  });
+    }
+    return map;
+  }, [verses]);
+  const player = useRecitation(recitation, namaVerses);
 
-  // Collect all words with commentaries for cycling functionality
-  const wordsWithCommentaries: WordWithCommentary[] = [];
-  wordToCommentaryMap.forEach((value, wordId) => {
-    const [lineIndex, wordIndex] = wordId
-      .replace("word-", "")
-      .split("-")
-      .map(Number);
-    wordsWithCommentaries.push({
-      id: wordId,
-      word: value.word,
-      lineIndex: lineIndex ?? 0,
-      wordIndex: wordIndex ?? 0,
-      commentariesBySource: value.commentariesBySource,
-      breakdownComponents: value.breakdownComponents,
-    });
-  });
+  // Keep the nāma being recited in view.
+  useEffect(() => {
+    if (player.nama === null) return;
+    document
+      .querySelector(`[data-namas~="${player.nama}"]`)
+      ?.scrollIntoView({ behavior: "smooth", block: "center" });
+  }, [player.nama]);
+
+  const wordsById = useMemo(
+    () => new Map(wordsWithCommentaries.map((w) => [w.id, w])),
+    [wordsWithCommentaries],
+  );
 
   const currentWordIndex = wordsWithCommentaries.findIndex(
     (w) => w.id === openWordId,
@@ -1157,78 +773,84 @@ export default function VersesDisplay({
     setOpenWordId(open ? wordId : null);
   };
 
-  // Separate regular lines from concluding line
-  const regularLines: string[] = [];
-  let concludingLine: string | null = null;
-
-  lines.forEach((line) => {
-    if (concludingLinePattern.test(line)) {
-      concludingLine = line;
-    } else {
-      regularLines.push(line);
-    }
-  });
-
   return (
     <div className="font-sanskrit mx-auto max-w-3xl text-left text-lg leading-relaxed">
-      {/* Render regular verses */}
-      {regularLines.map((line: string, lineIndex: number) => {
-        // Handle empty lines - add more spacing between verses
-        if (!line.trim()) {
-          return <p key={lineIndex} className="mb-6" />;
-        }
-
-        // Parse the line into words and punctuation
-        const parsed = parseWordsFromLine(line);
-
-        // Check if this line contains a verse number (॥)
-        const hasVerseNumber = /॥\s*[०-९\d]+\s*॥/.test(line);
-
-        // Add more margin after verse numbers to create space between verses
-        const marginClass = hasVerseNumber ? "mb-8" : "mb-2";
+      {player.verses.length > 0 && (
+        <RecitationBar controls={player} names={names} />
+      )}
 
-        return (
-          <p key={lineIndex} className={marginClass}>
-            {parsed.map((item, wordIndex) => {
-              if (item.isWord) {
-                const wordId = `word-${lineIndex}-${wordIndex}`;
-                // Find commentary by name matching using the map
-                const wordEntry = wordToCommentaryMap.get(wordId);
+      {verses.map((verse) => (
+        // Space between verses
+        <div key={verse.number} className="mb-14">
+          {verse.tokens.map((line, lineIndex) => (
+            <p
+              key={lineIndex}
+              className={lineIndex < verse.tokens.length - 1 ? "mb-2" : ""}
+            >
+              {line.map((token, wordIndex) => {
+                const wordId = `word-${verse.number}-${lineIndex}-${wordIndex}`;
+                const wordEntry = token.isWord
+                  ? wordsById.get(wordId)
+                  : undefined;
+                const reciting =
+                  player.nama !== null && !!token.namas?.includes(player.nama);
 
                 if (wordEntry) {
                   return (
-                    <WordPopover
-                      key={`${lineIndex}-${wordIndex}`}
-                      word={wordEntry.word}
-                      wordId={wordId}
-                      commentariesBySource={wordEntry.commentariesBySource}
-                      isOpen={openWordId === wordId}
-                      onOpenChange={(open) => {
-                        handleWordOpenChange(wordId, open);
-                      }}
-                      onNext={handleNextWord}
-                      shouldScroll={shouldScroll && openWordId === wordId}
-                      preferredTab={preferredCommentaryTab}
-                      onTabChange={setPreferredCommentaryTab}
-                    />
+                    <mark
+                      key={wordIndex}
+                      data-namas={token.namas?.join(" ")}
+                      className={`rounded transition-colors ${
+                        reciting
+                          ? "bg-[#fde68a]/70 px-1 text-[#7c1d1d]"
+                          : "bg-transparent text-inherit"
+                      }`}
+                    >
+                      <WordPopover
+                        word={wordEntry.word}
+                        wordId={wordId}
+                        commentariesBySource={wordEntry.commentariesBySource}
+                        related={wordEntry.related}
+                        isOpen={openWordId === wordId}
+                        onOpenChange={(open) => {
+                          handleWordOpenChange(wordId, open);
+                        }}
+                        onNext={handleNextWord}
+                        shouldScroll={shouldScroll && openWordId === wordId}
+                        preferredTab={preferredCommentaryTab}
+                        onTabChange={setPreferredCommentaryTab}
+                      />
+                    </mark>
                   );
                 }
                 // No commentary, render as normal text
-                return (
-                  <span key={`${lineIndex}-${wordIndex}`}>{item.word}</span>
-                );
-              }
-              return <span key={`${lineIndex}-${wordIndex}`}>{item.word}</span>;
-            })}
-          </p>
-        );
-      })}
+                return <span key={wordIndex}>{display(token.text)}</span>;
+              })}
+              {lineIndex === verse.tokens.length - 1 &&
+                player.hasVerse(verse.number) && (
+                  <button
+                    type="button"
+                    onClick={() => player.playVerse(verse.number)}
+                    aria-label={`Play verse ${verse.number}`}
+                    className={`ml-2 align-middle font-sans text-xs hover:text-[#c2410c] ${
+                      player.verse === verse.number && player.playing
+                        ? "text-[#c2410c]"
+                        : "text-[#8a6a3c]"
+                    }`}
+                  >
+                    ▶
+                  </button>
+                )}
+            </p>
+          ))}
+        </div>
+      ))}
 
       {/* Render concluding line at the end with special styling */}
-      {concludingLine && (
+      {closingLine && (
         <div className="mt-12 border-t border-yellow-600/30 pt-8">
           <p className="text-center text-xl font-semibold text-yellow-200">
-            {concludingLine}
+            {display(closingLine)}
           </p>
         </div>
       )}
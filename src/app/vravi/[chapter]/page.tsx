@@ -0,0 +1,280 @@
+import type { Metadata } from "next";
+import Link from "next/link";
+import React from "react";
+import { ScriptSelector } from "@/components/script-provider";
+import { CHAPTERS } from "@/constants/themes";
+import { COMMENTARY_SOURCES, loadCommentary } from "@/lib/commentary-sources";
+import {
+  type CommentarySpan,
+  annotateCommentary,
+  extractLede,
+  splitIntoParagraphs,
+} from "@/lib/format-commentary";
+import {
+  type VraviEntry,
+  citationIndex,
+  loadVraviEntries,
+  readerHref,
+} from "@/lib/vravi";
+import {
+  type CitationTarget,
+  type NamaTarget,
+  CitationRef,
+  NamaRef,
+} from "../commentary-refs";
+
+const entries = loadVraviEntries();
+
+// Short one-line meanings (the gloss source), for the nāma cards.
+const gloss = COMMENTARY_SOURCES.find((s) => s.role === "gloss");
+const meanings = gloss ? loadCommentary(gloss.id) : {};
+
+/** Citing entries listed on a card before "and N more". */
+const MAX_ELSEWHERE = 12;
+
+type Params = Promise<{ chapter: string }>;
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return CHAPTERS.map((_, i) => ({ chapter: String(i + 1) }));
+}
+
+export async function generateMetadata({
+  params,
+}: {
+  params: Params;
+}): Promise<Metadata> {
+  const chapter = CHAPTERS[Number((await params).chapter) - 1];
+  if (!chapter) return {};
+  return {
+    title: `${chapter.title} — V. Ravi Commentaries — Lalita Sahasranama`,
+    description: chapter.summary,
+  };
+}
+
+function namaTarget(number: number): NamaTarget {
+  const name = entries[number - 1]?.name ?? "";
+  return {
+    number,
+    name,
+    meaning: meanings[name] ?? "",
+    href: readerHref(number),
+  };
+}
+
+function citationTarget(
+  span: Extract<CommentarySpan, { kind: "citation" }>,
+  from: number,
+): CitationTarget {
+  const citing = citationIndex().get(span.work.id) ?? [];
+  const elsewhere = citing
+    .filter((c) => c.number !== from)
+    .sort(
+      (a, b) =>
+        Number(b.locator === span.locator && span.locator !== null) -
+          Number(a.locator === span.locator && span.locator !== null) ||
+        a.number - b.number,
+    )
+    .map((c) => ({ ...c, href: readerHref(c.number) }));
+  return {
+    title: span.work.title,
+    about: span.work.about,
+    locatorHelp: span.work.locator,
+    locator: span.locator,
+    elsewhere: elsewhere.slice(0, MAX_ELSEWHERE),
+    more: Math.max(0, elsewhere.length - MAX_ELSEWHERE),
+  };
+}
+
+/** Commentary text with its references made into cards. */
+function Annotated({ text, from }: { text: string; from: number }) {
+  return annotateCommentary(text).map((span, i) => {
+    switch (span.kind) {
+      case "nama":
+        // A nāma's mention of itself stays as text.
+        return span.nama === from ? (
+          span.text
+        ) : (
+          <NamaRef key={i} text={span.text} target={namaTarget(span.nama)} />
+        );
+      case "citation":
+        return (
+          <CitationRef
+            key={i}
+            text={span.text}
+            target={citationTarget(span, from)}
+          />
+        );
+      case "sanskrit":
+        return (
+          <i key={i} lang="sa-Latn" className="text-[#7c1d1d]">
+            {span.text}
+          </i>
+        );
+      default:
+        return span.text;
+    }
+  });
+}
+
+function Entry({ entry }: { entry: VraviEntry }) {
+  const { lede, body } = extractLede(entry.text);
+  const paragraphs = splitIntoParagraphs(body || entry.text);
+
+  return (
+    <article
+      id={`name-${entry.number}`}
+      className="scroll-mt-8 border-b border-[#2b1700]/10 pb-10 last:border-b-0"
+    >
+      <h3 className="mb-4 flex items-baseline gap-3">
+        <span className="font-mono text-sm text-[#8a6a3c]">
+          {String(entry.number).padStart(3, "0")}.
+        </span>
+        <Link
+          href={`/nama/${entry.number}`}
+          className="font-sanskrit text-3xl font-bold text-[#7c1d1d] hover:text-[#c2410c]"
+        >
+          {entry.name}
+        </Link>
+      </h3>
+
+      {lede && (
+        <p className="commentary-lede">
+          <Annotated text={lede} from={entry.number} />
+        </p>
+      )}
+
+      <div className="commentary-body space-y-4 text-base text-[#2b1700]/85">
+        {paragraphs.map((p, i) => (
+          <p key={i}>
+            <Annotated text={p} from={entry.number} />
+          </p>
+        ))}
+      </div>
+    </article>
+  );
+}
+
+export default async function VRaviChapterPage({ params }: { params: Params }) {
+  const number = Number((await params).chapter);
+  const chapter = CHAPTERS[number - 1]!;
+  const prev = CHAPTERS[number - 2];
+  const next = CHAPTERS[number];
+
+  return (
+    <>
+      <div className="border-b border-[#2b1700]/15">
+        <div className="container mx-auto flex items-center justify-between px-4 py-4">
+          <Link href="/" className="flex items-center gap-2">
+            <span className="grid h-9 w-9 place-items-center rounded-md bg-[#c2410c] font-extrabold text-[#fff8e1] shadow-sm">
+              ॐ
+            </span>
+            <span className="text-lg font-extrabold tracking-tight text-[#2b1700]">
+              Lalita<span className="text-[#c2410c]">.</span>
+            </span>
+          </Link>
+          <nav className="flex items-center gap-6 text-sm font-semibold text-[#2b1700]">
+            <Link href="/" className="hover:text-[#c2410c]">
+              Verses
+            </Link>
+            <Link href="/themes" className="hover:text-[#c2410c]">
+              Themes
+            </Link>
+            <Link href="/roots" className="hover:text-[#c2410c]">
+              Roots
+            </Link>
+            <Link href="/practice" className="hover:text-[#c2410c]">
+              Practice
+            </Link>
+            <Link href="/vravi" className="text-[#c2410c]">
+              V. Ravi
+            </Link>
+            <Link href="/search" className="hover:text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
+          </nav>
+        </div>
+      </div>
+
+      <div className="container mx-auto max-w-3xl px-4 py-10">
+        <header className="mb-10 text-center">
+          <p className="mb-3">
+            <Link
+              href="/vravi"
+              className="text-sm font-semibold text-[#c2410c] hover:text-[#7c1d1d]"
+            >
+              ← contents
+            </Link>
+          </p>
+          <p className="text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+            Chapter {number} of {CHAPTERS.length} · nāmas {chapter.range[0]}–
+            {chapter.range[1]}
+          </p>
+          <h1 className="mt-2 mb-2 text-4xl font-extrabold tracking-tight text-[#2b1700]">
+            {chapter.title}
+          </h1>
+          <hr className="paper-rule mx-auto w-48" />
+          <p className="mt-3 text-sm leading-relaxed text-[#5a3a18]">
+            {chapter.summary}
+          </p>
+          {chapter.anchor && (
+            <p className="mt-3 text-sm text-[#8a6a3c] italic">
+              {chapter.anchor}
+            </p>
+          )}
+        </header>
+
+        <div className="space-y-14 text-left leading-relaxed">
+          {chapter.groups.map((group) => (
+            <section key={group.range[0]}>
+              {chapter.groups.length > 1 && (
+                <header className="mb-8 border-l-4 border-[#c2410c] pl-4">
+                  <p className="font-mono text-xs text-[#8a6a3c]">
+                    {group.range[0]}–{group.range[1]}
+                  </p>
+                  <h2 className="text-xl font-extrabold text-[#2b1700]">
+                    {group.title}
+                  </h2>
+                  <p className="mt-1 text-sm text-[#5a3a18]">{group.summary}</p>
+                </header>
+              )}
+              <div className="space-y-12">
+                {entries
+                  .slice(group.range[0] - 1, group.range[1])
+                  .filter((entry) => entry.text)
+                  .map((entry) => (
+                    <Entry key={entry.number} entry={entry} />
+                  ))}
+              </div>
+            </section>
+          ))}
+        </div>
+
+        <nav className="mt-12 flex items-center justify-between gap-4 border-t border-[#2b1700]/15 pt-6 text-sm font-semibold">
+          {prev ? (
+            <Link
+              href={`/vravi/${number - 1}`}
+              className="text-[#c2410c] hover:text-[#7c1d1d]"
+            >
+              ← {prev.title}
+            </Link>
+          ) : (
+            <span />
+          )}
+          {next ? (
+            <Link
+              href={`/vravi/${number + 1}`}
+              className="text-right text-[#c2410c] hover:text-[#7c1d1d]"
+            >
+              {next.title} →
+            </Link>
+          ) : (
+            <span />
+          )}
+        </nav>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,166 @@
+"use client";
+
+import Link from "next/link";
+import React, { useState } from "react";
+import {
+  Popover,
+  PopoverContent,
+  PopoverTrigger,
+} from "@/components/ui/popover";
+import { useScript } from "@/components/script-provider";
+import { toIAST } from "@/lib/transliterate";
+
+/** A nāma the commentary refers to, and where the reader can go from it. */
+export type NamaTarget = {
+  number: number;
+  name: string;
+  meaning: string;
+  /** Its entry in the reader. */
+  href: string;
+};
+
+/** What a citation card says about the cited work. */
+export type CitationTarget = {
+  title: string;
+  about: string;
+  /** How the work's references read, e.g. "chapter (roman), verse". */
+  locatorHelp: string;
+  locator: string | null;
+  /** Some other entries citing the same work, the same passage first. */
+  elsewhere: Array<{ number: number; locator: string | null; href: string }>;
+  /** How many more entries cite it. */
+  more: number;
+};
+
+const TRIGGER =
+  "font-semibold text-[#c2410c] underline decoration-dotted underline-offset-2 hover:text-[#7c1d1d]";
+
+/** "nāma 256" in the commentary, opening a card for nāma 256. */
+export function NamaRef({
+  text,
+  target,
+}: {
+  text: string;
+  target: NamaTarget;
+}) {
+  const [open, setOpen] = useState(false);
+  const { script, display } = useScript();
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <button type="button" className={TRIGGER}>
+          {text}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent
+        side="bottom"
+        align="start"
+        className="paper-popover z-50 w-[22rem] max-w-[92vw] space-y-2 p-4"
+      >
+        <span className="number-pill">N° {target.number}</span>
+        <h3 className="font-sanskrit text-2xl leading-tight font-extrabold text-[#2b1700]">
+          {display(target.name)}
+        </h3>
+        <p className="font-sanskrit -mt-2 text-sm text-[#8a6a3c] italic">
+          {script === "iast" ? target.name : toIAST(target.name)}
+        </p>
+        {target.meaning && (
+          <p className="text-sm leading-relaxed text-[#2b1700]/85">
+            {target.meaning}
+          </p>
+        )}
+        <div className="flex flex-wrap gap-x-4 gap-y-1 pt-1 text-xs font-semibold">
+          <Link
+            href={target.href}
+            onClick={() => setOpen(false)}
+            className="text-[#c2410c] hover:text-[#7c1d1d]"
+          >
+            V. Ravi on nāma {target.number} →
+          </Link>
+          <Link
+            href={`/nama/${target.number}`}
+            className="text-[#c2410c] hover:text-[#7c1d1d]"
+          >
+            Study page →
+          </Link>
+        </div>
+      </PopoverContent>
+    </Popover>
+  );
+}
+
+/** "Kena Upaniṣad (IV.8)" in the commentary, opening a card on the work. */
+export function CitationRef({
+  text,
+  target,
+}: {
+  text: string;
+  target: CitationTarget;
+}) {
+  const [open, setOpen] = useState(false);
+
+  return (
+    <Popover open={open} onOpenChange={setOpen}>
+      <PopoverTrigger asChild>
+        <button type="button" className={TRIGGER}>
+          {text}
+        </button>
+      </PopoverTrigger>
+      <PopoverContent
+        side="bottom"
+        align="start"
+        className="paper-popover z-50 w-[22rem] max-w-[92vw] space-y-2 p-4"
+      >
+        <p className="text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+          Cited work
+        </p>
+        <h3 className="text-lg leading-tight font-extrabold text-[#2b1700]">
+          {target.title}
+          {target.locator && (
+            <span className="ml-2 font-mono text-sm text-[#8a6a3c]">
+              {target.locator}
+            </span>
+          )}
+        </h3>
+        {target.locator && (
+          <p className="-mt-1 text-[11px] text-[#8a6a3c]">
+            Read as {target.locatorHelp}
+          </p>
+        )}
+        <p className="text-sm leading-relaxed text-[#2b1700]/85">
+          {target.about}
+        </p>
+        {target.elsewhere.length > 0 && (
+          <div className="pt-1">
+            <p className="mb-1 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+              Also cited at
+            </p>
+            <div className="flex flex-wrap gap-1.5 text-xs">
+              {target.elsewhere.map((e) => (
+                <Link
+                  key={`${e.number}-${e.locator}`}
+                  href={e.href}
+                  onClick={() => setOpen(false)}
+                  className={`pill-tab ${
+                    e.locator && e.locator === target.locator
+                      ? "pill-tab--active"
+                      : ""
+                  }`}
+                >
+                  {e.number}
+                  {e.locator && ` · ${e.locator}`}
+                </Link>
+              ))}
+              {target.more > 0 && (
+                <span className="self-center text-[#8a6a3c]">
+                  and {target.more} more
+                </span>
+              )}
+            </div>
+          </div>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+}
@@ -1,80 +1,109 @@
-import fs from "node:fs";
-import path from "node:path";
 import Link from "next/link";
 import React from "react";
-import { extractLede, splitIntoParagraphs } from "@/lib/format-commentary";
+import { ScriptSelector } from "@/components/script-provider";
+import { CHAPTERS } from "@/constants/themes";
+import { loadVraviEntries } from "@/lib/vravi";
 
-const vraviJsonPath = path.join(
-  process.cwd(),
-  "src/commentaries-json/vravi.json",
-);
-
-const vraviCommentaries = JSON.parse(
-  fs.readFileSync(vraviJsonPath, "utf-8"),
-) as Record<string, string>;
-
-const entries = Object.entries(vraviCommentaries);
+const commented = loadVraviEntries().filter((e) => e.text).length;
 
 export const metadata = {
   title: "V. Ravi Commentaries — Lalita Sahasranama",
   description:
-    "All 1000 names of the Lalita Sahasranama with V. Ravi's commentary.",
+    "All 1000 names of the Lalita Sahasranama with V. Ravi's commentary, chapter by chapter.",
 };
 
 export default function VRaviPage() {
   return (
-    <div className="container mx-auto max-w-3xl px-4 py-10">
-      <header className="mb-10 text-center">
-        <p className="mb-3">
-          <Link
-            href="/"
-            className="text-sm font-semibold text-[#c2410c] hover:text-[#7c1d1d]"
-          >
-            ← back to verses
+    <>
+      <div className="border-b border-[#2b1700]/15">
+        <div className="container mx-auto flex items-center justify-between px-4 py-4">
+          <Link href="/" className="flex items-center gap-2">
+            <span className="grid h-9 w-9 place-items-center rounded-md bg-[#c2410c] font-extrabold text-[#fff8e1] shadow-sm">
+              ॐ
+            </span>
+            <span className="text-lg font-extrabold tracking-tight text-[#2b1700]">
+              Lalita<span className="text-[#c2410c]">.</span>
+            </span>
           </Link>
-        </p>
-        <h1 className="mb-2 text-4xl font-extrabold tracking-tight text-[#2b1700]">
-          V. Ravi Commentaries
-        </h1>
-        <hr className="paper-rule mx-auto w-48" />
-        <p className="mt-3 text-sm text-[#5a3a18]">
-          All {entries.length} names of the Lalita Sahasranama with V. Ravi&rsquo;s
-          commentary.
-        </p>
-      </header>
-
-      <div className="space-y-12 text-left leading-relaxed">
-        {entries.map(([name, commentary], idx) => {
-          const flatText = commentary.replace(/\s+/g, " ").trim();
-          const { lede, body } = extractLede(flatText);
-          const paragraphs = splitIntoParagraphs(body || flatText);
+          <nav className="flex items-center gap-6 text-sm font-semibold text-[#2b1700]">
+            <Link href="/" className="hover:text-[#c2410c]">
+              Verses
+            </Link>
+            <Link href="/themes" className="hover:text-[#c2410c]">
+              Themes
+            </Link>
+            <Link href="/roots" className="hover:text-[#c2410c]">
+              Roots
+            </Link>
+            <Link href="/practice" className="hover:text-[#c2410c]">
+              Practice
+            </Link>
+            <Link href="/vravi" className="text-[#c2410c]">
+              V. Ravi
+            </Link>
+            <Link href="/search" className="hover:text-[#c2410c]">
+              Search
+            </Link>
+            <ScriptSelector />
+          </nav>
+        </div>
+      </div>
 
-          return (
-            <article
-              key={`${idx}-${name}`}
-              id={`name-${idx + 1}`}
-              className="scroll-mt-8 border-b border-[#2b1700]/10 pb-10 last:border-b-0"
+      <div className="container mx-auto max-w-3xl px-4 py-10">
+        <header className="mb-10 text-center">
+          <h1 className="mb-2 text-4xl font-extrabold tracking-tight text-[#2b1700]">
+            V. Ravi Commentaries
+          </h1>
+          <hr className="paper-rule mx-auto w-48" />
+          <p className="mt-3 text-sm leading-relaxed text-[#5a3a18]">
+            {commented} names of the Lalita Sahasranama with V. Ravi&rsquo;s
+            commentary, in the {CHAPTERS.length} chapters of the{" "}
+            <Link
+              href="/themes"
+              className="font-semibold text-[#c2410c] hover:text-[#7c1d1d]"
             >
-              <h2 className="mb-4 flex items-baseline gap-3">
-                <span className="font-mono text-sm text-[#8a6a3c]">
-                  {String(idx + 1).padStart(3, "0")}.
-                </span>
-                <span className="font-sanskrit text-3xl font-bold text-[#7c1d1d]">
-                  {name}
-                </span>
-              </h2>
-
-              {lede && <p className="commentary-lede">{lede}</p>}
+              themes
+            </Link>
+            . Where he points to another nāma or cites a scripture, tap the
+            reference for a card on it.
+          </p>
+        </header>
 
-              <div className="commentary-body space-y-4 text-base text-[#2b1700]/85">
-                {paragraphs.map((p, i) => (
-                  <p key={i}>{p}</p>
-                ))}
-              </div>
-            </article>
-          );
-        })}
+        <ol className="space-y-4">
+          {CHAPTERS.map((chapter, i) => (
+            <li key={chapter.range[0]} className="sticker-card p-4 sm:p-5">
+              <p className="text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+                Chapter {i + 1} · nāmas {chapter.range[0]}–{chapter.range[1]}
+              </p>
+              <h2 className="mt-1 text-xl font-extrabold text-[#2b1700]">
+                <Link href={`/vravi/${i + 1}`} className="hover:text-[#c2410c]">
+                  {chapter.title}
+                </Link>
+              </h2>
+              <p className="mt-1 text-sm leading-relaxed text-[#5a3a18]">
+                {chapter.summary}
+              </p>
+              {chapter.groups.length > 1 && (
+                <ul className="mt-3 space-y-1 border-t border-dashed border-[#2b1700]/15 pt-3 text-sm">
+                  {chapter.groups.map((group) => (
+                    <li key={group.range[0]} className="flex gap-3">
+                      <span className="w-20 shrink-0 font-mono text-xs leading-5 text-[#8a6a3c]">
+                        {group.range[0]}–{group.range[1]}
+                      </span>
+                      <Link
+                        href={`/vravi/${i + 1}#name-${group.range[0]}`}
+                        className="font-semibold text-[#2b1700] hover:text-[#c2410c]"
+                      >
+                        {group.title}
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </li>
+          ))}
+        </ol>
       </div>
-    </div>
+    </>
   );
 }
@@ -0,0 +1,125 @@
+"use client";
+
+import Link from "next/link";
+import React from "react";
+import { useScript } from "@/components/script-provider";
+import type { CommentaryLink, Related, Relation } from "@/lib/crossrefs";
+
+const RELATION_LABEL: Record<Relation, string | null> = {
+  compare: "parallel",
+  opposite: "contrast",
+  see: null,
+};
+
+/** True when there is anything to show. */
+export function hasRelated(related: Related | undefined): related is Related {
+  return (
+    !!related &&
+    related.outgoing.length + related.incoming.length + related.roots.length > 0
+  );
+}
+
+function NamaLink({ number, name }: { number: number; name: string }) {
+  const { display } = useScript();
+  return (
+    <Link
+      href={`/nama/${number}`}
+      className="font-semibold text-[#2b1700] hover:text-[#c2410c]"
+    >
+      <span className="mr-1.5 font-mono text-xs text-[#8a6a3c]">{number}</span>
+      <span className="font-sanskrit">{display(name)}</span>
+    </Link>
+  );
+}
+
+function Links({ title, links }: { title: string; links: CommentaryLink[] }) {
+  if (links.length === 0) return null;
+  return (
+    <div>
+      <p className="mb-2 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+        {title}
+      </p>
+      <ul className="space-y-3">
+        {links.map((link, i) => {
+          const label = RELATION_LABEL[link.relation];
+          return (
+            <li key={i}>
+              <p className="flex flex-wrap items-baseline gap-2">
+                <NamaLink number={link.number} name={link.name} />
+                {label && (
+                  <span className="pill-tab pill-tab--active text-[10px]">
+                    {label}
+                  </span>
+                )}
+              </p>
+              <p className="mt-0.5 text-sm leading-relaxed text-[#5a3a18]">
+                &ldquo;{link.sentence}&rdquo;{" "}
+                <span className="text-xs text-[#8a6a3c]">— {link.source}</span>
+              </p>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
+
+/**
+ * Nāmas related to one nāma: the ones its commentaries refer to, the ones
+ * whose commentaries refer to it — each with the sentence making the
+ * reference — and the ones sharing an uncommon dhātu.
+ */
+export function RelatedNamas({ related }: { related: Related }) {
+  const { display } = useScript();
+
+  return (
+    <div className="space-y-5">
+      <Links title="Refers to" links={related.outgoing} />
+      <Links title="Referred to from" links={related.incoming} />
+      {related.roots.length > 0 && (
+        <div>
+          <p className="mb-2 text-[10px] font-bold tracking-widest text-[#8a6a3c] uppercase">
+            Shares a dhātu with
+          </p>
+          <ul className="space-y-3">
+            {related.roots.map((root) => (
+              <li key={root.root}>
+                <p className="text-sm">
+                  <Link
+                    href={`/roots#root-${root.root}`}
+                    className="font-sanskrit font-bold text-[#7c1d1d] hover:text-[#c2410c]"
+                  >
+                    √{display(root.root)}
+                  </Link>
+                  {root.lines.map((line) => (
+                    <span
+                      key={line}
+                      className="font-sanskrit ml-2 text-[#5a3a18]"
+                    >
+                      {display(line)}
+                    </span>
+                  ))}
+                </p>
+                <ul className="mt-1 space-y-0.5 border-l-2 border-dashed border-[#2b1700]/15 pl-3">
+                  {root.namas.map((n) => (
+                    <li key={n.number} className="text-sm">
+                      <NamaLink number={n.number} name={n.name} />
+                      {n.lines.map((line) => (
+                        <span
+                          key={line}
+                          className="font-sanskrit ml-2 text-xs text-[#8a6a3c]"
+                        >
+                          {display(line)}
+                        </span>
+                      ))}
+                    </li>
+                  ))}
+                </ul>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,31 +1,9 @@
 "use client";
 
 import React, { useEffect, useMemo, useState } from "react";
+import { parseRootText } from "@/lib/root-text";
 
-/**
- * Parse the root.txt entry text into a drillable tree:
- *   Line 1: top-level split with underscores ("श्री_माता")
- *   Lines 2+: "<word> -> <meanings> [√<root>]" or "<word> -> <sub_split>"
- */
-export function parseRootText(text: string) {
-  const lines = text.split("\n").filter((l) => l.trim());
-  if (lines.length === 0) return null;
-
-  const topLevel = lines[0]!.trim();
-  const lookup = new Map<string, string>();
-
-  for (let i = 1; i < lines.length; i++) {
-    const line = lines[i]!;
-    const arrowIdx = line.indexOf(" -> ");
-    if (arrowIdx !== -1) {
-      const key = line.substring(0, arrowIdx).trim();
-      const value = line.substring(arrowIdx + 4).trim();
-      lookup.set(key, value);
-    }
-  }
-
-  return { topLevel, lookup };
-}
+export { parseRootText };
 
 export function RootBreakdown({ text }: { text: string }) {
   const [drillPath, setDrillPath] = useState<string[]>([]);
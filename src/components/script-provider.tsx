@@ -0,0 +1,93 @@
+"use client";
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import { type Script, SCRIPTS, isScript, toScript } from "@/lib/transliterate";
+
+const STORAGE_KEY = "lsn-script-v1";
+
+type ScriptContextValue = {
+  script: Script;
+  setScript: (s: Script) => void;
+  /** Render Devanagari source text in the selected script. */
+  display: (devanagari: string) => string;
+};
+
+const ScriptContext = createContext<ScriptContextValue>({
+  script: "devanagari",
+  setScript: () => undefined,
+  display: (text) => text,
+});
+
+/**
+ * Holds the reader's chosen display script and persists it in localStorage.
+ * Server renders always use Devanagari; the stored choice is applied after
+ * hydration, same as the practice deck.
+ */
+export function ScriptProvider({ children }: { children: React.ReactNode }) {
+  const [script, setScriptState] = useState<Script>("devanagari");
+
+  useEffect(() => {
+    try {
+      const stored = window.localStorage.getItem(STORAGE_KEY);
+      if (isScript(stored)) setScriptState(stored);
+    } catch {
+      // private mode — keep the default
+    }
+  }, []);
+
+  const setScript = useCallback((s: Script) => {
+    setScriptState(s);
+    try {
+      window.localStorage.setItem(STORAGE_KEY, s);
+    } catch {
+      // quota or private mode — the choice still applies for this visit
+    }
+  }, []);
+
+  const value = useMemo<ScriptContextValue>(
+    () => ({
+      script,
+      setScript,
+      display: (text) => toScript(text, script),
+    }),
+    [script, setScript],
+  );
+
+  return (
+    <ScriptContext.Provider value={value}>{children}</ScriptContext.Provider>
+  );
+}
+
+export function useScript(): ScriptContextValue {
+  return useContext(ScriptContext);
+}
+
+/** Compact dropdown for the page header. */
+export function ScriptSelector() {
+  const { script, setScript } = useScript();
+  return (
+    <label className="flex items-center gap-2 text-xs font-semibold">
+      <span className="sr-only">Script</span>
+      <select
+        value={script}
+        onChange={(e) => {
+          if (isScript(e.target.value)) setScript(e.target.value);
+        }}
+        className="rounded-md border border-[#2b1700]/30 bg-[#faf2dc] px-2 py-1 text-[#2b1700]"
+      >
+        {SCRIPTS.map((s) => (
+          <option key={s.id} value={s.id}>
+            {s.label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
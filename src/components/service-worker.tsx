@@ -0,0 +1,25 @@
+"use client";
+
+import { useEffect } from "react";
+
+/**
+ * Registers public/sw.js, which saves the site for offline use, and asks it
+ * to carry on saving the nāma pages in the background. The build ID in its
+ * URL makes each deploy install a fresh worker. Production only — in
+ * development it would serve stale pages over hot reloads.
+ */
+export function ServiceWorker() {
+  useEffect(() => {
+    if (process.env.NODE_ENV !== "production") return;
+    if (!("serviceWorker" in navigator)) return;
+    navigator.serviceWorker
+      .register(`/sw.js?v=${process.env.BUILD_ID}`)
+      .then(() => navigator.serviceWorker.ready)
+      .then((registration) => registration.active?.postMessage("warm"))
+      .catch(() => {
+        // No offline support (private mode, unsupported browser) — the site
+        // works as before.
+      });
+  }, []);
+  return null;
+}
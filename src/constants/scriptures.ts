@@ -0,0 +1,186 @@
+/**
+ * The works V. Ravi cites most, for the commentary reader's citation cards
+ * (see annotateCommentary in src/lib/format-commentary.ts).
+ *
+ * `pattern` matches the title as it's spelled in the commentary — the
+ * source text spells most titles several ways (Gīta / Gītā / Gita,
+ * Bṛhadāraṇyaka / Bṛhadāraṇayaka), so each pattern covers the spellings
+ * that occur.
+ */
+export type Scripture = {
+  id: string;
+  title: string;
+  pattern: RegExp;
+  /** One line on what the work is. */
+  about: string;
+  /** How a reference like (IV.iii.19) reads for this work. */
+  locator: string;
+};
+
+const UPANISAD = String.raw`Upani(?:ṣ|sh|ṣh)a?h?ad`;
+
+/** One of the Upaniṣads, with the Veda it belongs to. */
+function upanisad(id: string, title: string, spelling: string, veda: string) {
+  return {
+    id,
+    title: `${title} Upaniṣad`,
+    pattern: new RegExp(`${spelling}\\s+${UPANISAD}`, "u"),
+    about: `${veda} Upaniṣad — one of the philosophical texts that close the Vedas, and a source for Advaita's teaching on the Brahman.`,
+    locator: "part (roman), section, verse",
+  };
+}
+
+export const SCRIPTURES: Scripture[] = [
+  {
+    id: "saundarya-lahari",
+    title: "Saundarya Laharī",
+    pattern: /S[ao]undarya\s+Laharī/u,
+    about:
+      "A hundred verses to the Goddess attributed to Ādi Śaṅkara: the first forty-one on Śrīvidyā worship and the kuṇḍalinī, the rest on Her form.",
+    locator: "verse",
+  },
+  {
+    id: "bhagavad-gita",
+    title: "Bhagavad Gītā",
+    pattern: /Bhagavad\s+G[īi]t[āa]/u,
+    about:
+      "Kṛṣṇa's teaching to Arjuna on the battlefield of Kurukṣetra, in eighteen chapters of the Mahābhārata's Bhīṣma Parva.",
+    locator: "chapter (roman), verse",
+  },
+  {
+    id: "uddhava-gita",
+    title: "Uddhava Gītā",
+    pattern: /Uddhava\s+G[īi]t[āa]/u,
+    about:
+      "Kṛṣṇa's last teaching, to Uddhava, in the eleventh book of the Śrīmad Bhāgavatam.",
+    locator: "chapter (roman), verse",
+  },
+  {
+    id: "astavakra-gita",
+    title: "Aṣṭāvakra Gītā",
+    pattern: /Aṣṭāvakra\s+G[īi]t[āa]/u,
+    about:
+      "A dialogue between the sage Aṣṭāvakra and King Janaka on the Self — among the most uncompromising texts of Advaita.",
+    locator: "chapter (roman), verse",
+  },
+  upanisad(
+    "brhadaranyaka",
+    "Bṛhadāraṇyaka",
+    "B[ṛr]+hadāraṇa?yaka",
+    "The Śukla Yajur Veda's",
+  ),
+  upanisad("chandogya", "Chāndogya", "C(?:h)?ā(?:n)?dogya", "The Sāma Veda's"),
+  upanisad("taittiriya", "Taittirīya", "Taittirīya", "The Kṛṣṇa Yajur Veda's"),
+  upanisad("katha", "Kaṭha", "Ka[ṭt]ha", "The Kṛṣṇa Yajur Veda's"),
+  upanisad(
+    "svetasvatara",
+    "Śvetāśvatara",
+    "Śvetāśvatara",
+    "The Kṛṣṇa Yajur Veda's",
+  ),
+  upanisad("mundaka", "Muṇḍaka", "Muṇḍaka", "The Atharva Veda's"),
+  upanisad(
+    "mahanarayana",
+    "Mahānārāyaṇa",
+    "Mahā\\s*Nārāya[ṇn]a",
+    "The Kṛṣṇa Yajur Veda's",
+  ),
+  upanisad("kena", "Kena", "Kena", "The Sāma Veda's"),
+  upanisad("mandukya", "Māṇḍūkya", "Māṇḍūkya", "The Atharva Veda's"),
+  upanisad("prasna", "Praśna", "Praśna", "The Atharva Veda's"),
+  upanisad("isa", "Īśa", "Īśā?", "The Śukla Yajur Veda's"),
+  upanisad("kaivalya", "Kaivalya", "Kaivalya", "The Atharva Veda's"),
+  {
+    id: "siva-sutra",
+    title: "Śiva Sūtra",
+    pattern: /Śiva\s+S[ūu]tra/u,
+    about:
+      "Vasugupta's seventy-seven aphorisms, the root text of Kashmir Śaivism, in three sections on the means to liberation.",
+    locator: "section (roman), aphorism",
+  },
+  {
+    id: "brahma-sutra",
+    title: "Brahma Sūtra",
+    pattern: /Brahma\s+S[ūu]tra/u,
+    about:
+      "Bādarāyaṇa's aphorisms summing up the Upaniṣads' teaching on the Brahman, the basis of every Vedānta school.",
+    locator: "chapter (roman), quarter, aphorism",
+  },
+  {
+    id: "yoga-sutra",
+    title: "Yoga Sūtra",
+    pattern: /Yoga\s+S[ūu]tra/u,
+    about:
+      "Patañjali's aphorisms on yoga: the stilling of the mind, in four chapters.",
+    locator: "chapter (roman), aphorism",
+  },
+  {
+    id: "linga-purana",
+    title: "Liṅga Purāṇa",
+    pattern: /Liṅga\s+Purāṇa/u,
+    about: "One of the eighteen major Purāṇas, devoted to Śiva.",
+    locator: "part (roman), chapter, verse",
+  },
+  {
+    id: "siva-purana",
+    title: "Śiva Purāṇa",
+    pattern: /Śiva\s+Purāṇa/u,
+    about: "One of the eighteen major Purāṇas, on Śiva's deeds and worship.",
+    locator: "book, chapter, verse",
+  },
+  {
+    id: "rg-veda",
+    title: "Ṛg Veda",
+    pattern: /(?:Rig|Ṛg)[\s-]Veda/u,
+    about:
+      "The oldest of the four Vedas: over a thousand hymns in ten books (maṇḍala).",
+    locator: "book (roman), hymn, verse",
+  },
+  {
+    id: "yajur-veda",
+    title: "Yajur Veda",
+    pattern: /Yajur\s+Veda/u,
+    about:
+      "The Veda of sacrificial formulas, recited by the officiating priest.",
+    locator: "book (roman), section, verse",
+  },
+  {
+    id: "atharva-veda",
+    title: "Atharva Veda",
+    pattern: /Atharva\s+Veda/u,
+    about:
+      "The fourth Veda: hymns and charms for daily life alongside philosophical hymns.",
+    locator: "book (roman), hymn, verse",
+  },
+  {
+    id: "spanda-karika",
+    title: "Spanda Kārikā",
+    pattern: /Spanda[\s-]kārik[āa]/iu,
+    about:
+      "Verses on spanda, the vibration of consciousness — a core text of Kashmir Śaivism.",
+    locator: "section (roman), verse",
+  },
+  {
+    id: "vijnana-bhairava",
+    title: "Vijñāna Bhairava",
+    pattern: /Vijñāna\s+Bhairava/u,
+    about:
+      "A Tantra of 112 meditation methods, taught by Bhairava to Bhairavī.",
+    locator: "verse",
+  },
+  {
+    id: "sivananda-lahari",
+    title: "Śivānanda Laharī",
+    pattern: /Śivā?nanda\s+Laharī/u,
+    about: "A hundred verses to Śiva attributed to Ādi Śaṅkara.",
+    locator: "verse",
+  },
+  {
+    id: "devi-mahatmyam",
+    title: "Devī Māhātmyam",
+    pattern: /Dev[iī]\s+Māhātmi?yam/u,
+    about:
+      "Seven hundred verses of the Mārkaṇḍeya Purāṇa on the Goddess's victories over the demons.",
+    locator: "chapter (roman), verse",
+  },
+];
@@ -0,0 +1,186 @@
+/**
+ * Parser for the Bhāskararāya source text (src/commentaries/bhaskaraya.txt),
+ * shared by the pipeline (convert-commentaries-to-json.js) and
+ * scripts/check-bhaskaraya.js.
+ */
+
+/**
+ * Heading of a Bhāskararāya section: "॥ N ॥" or "॥ N-M ॥" (Devanagari or
+ * Arabic numerals) at the start of a line, followed by the nāma(s) as he
+ * reads them.
+ */
+const HEADING = /^॥\s*([०-९]+|\d+)\s*(?:[-–]\s*([०-९]+|\d+)\s*)?॥\s*(.*)$/;
+
+/** Line that starts the optional English translation of a section. */
+const ENGLISH_MARKER = /^english\s*:\s*(.*)$/i;
+
+/** Long vowels (independent and signs) and their short forms. */
+const SHORT_VOWELS = /** @type {Record<string, string>} */ ({
+  आ: "अ",
+  ई: "इ",
+  ऊ: "उ",
+  ॠ: "ऋ",
+  ॡ: "ऌ",
+  "ा": "",
+  "ी": "ि",
+  "ू": "ु",
+  "ॄ": "ृ",
+  "ॣ": "ॢ",
+});
+
+/**
+ * @param {string} digits Devanagari or Arabic numerals
+ * @returns {number}
+ */
+function toNumber(digits) {
+  return Number(
+    digits.replace(/[०-९]/g, (d) => String((d.codePointAt(0) ?? 0) - 0x966)),
+  );
+}
+
+/**
+ * Reduce a name to what a heading must agree on, so
+ * "श्रीमत्-सिंहासनेश्वरी" and "श्रीमत्सिंहासनेश्वरी" compare equal, as do
+ * spellings that differ only in vowel length. Hyphens, spaces, daṇḍas,
+ * avagraha and joiners go; anusvāra, visarga and virāma stay, since they
+ * tell names apart.
+ * @param {string} name
+ * @returns {string}
+ */
+export function nameSkeleton(name) {
+  return name
+    .normalize("NFC")
+    .replace(/[^ऀ-ॿ]|[।॥ऽ]/g, "")
+    .replace(/[आईऊॠॡाीूॄॣ]/g, (v) => SHORT_VOWELS[v] ?? v);
+}
+
+/**
+ * @typedef {object} BhaskarayaSection
+ * @property {number} from First nāma number covered
+ * @property {number} to Last nāma number covered (same as `from` for one nāma)
+ * @property {string} heading The heading line as written
+ * @property {string[]} headwords Nāmas named in the heading
+ * @property {string[]} sanskrit
+ * @property {string[]} english
+ */
+
+/**
+ * @typedef {object} BhaskarayaCoverage
+ * @property {number[]} unmatched Nāma numbers with no section
+ * @property {string[]} mismatches Headings that don't agree with the canonical names
+ */
+
+/**
+ * Parse a Bhāskararāya source text: the Saubhāgya-bhāskara split into
+ * sections by nāma number, each with the Sanskrit commentary and an
+ * optional English translation after an "English:" line.
+ *
+ *   ॥ १ ॥ श्रीमाता
+ *   <Sanskrit commentary>
+ *   English:
+ *   <translation>
+ *
+ *   ॥ ४-५ ॥ चिदग्निकुण्डसम्भूता देवकार्यसमुद्यता
+ *   <one commentary on both nāmas>
+ *
+ * Entries are keyed by the canonical name at each number, so they resolve
+ * like the other sources. A section covering several nāmas is stored under
+ * each of them, led by its heading so the grouping stays visible. A heading
+ * whose number doesn't move past the previous section is body text (he
+ * quotes numbered verses).
+ * @param {string} text
+ * @param {string[]} names Canonical names, index + 1 = nāma number
+ * @returns {{ commentaries: Record<string, string>, coverage: BhaskarayaCoverage }}
+ */
+export function parseBhaskaraya(text, names) {
+  /** @type {BhaskarayaSection[]} */
+  const sections = [];
+  /** @type {BhaskarayaSection | null} */
+  let current = null;
+  let inEnglish = false;
+
+  for (const line of text.split("\n")) {
+    const trimmed = line.trim();
+    const heading = HEADING.exec(trimmed);
+    const from = heading ? toNumber(heading[1] ?? "") : NaN;
+    const to = heading?.[2] ? toNumber(heading[2]) : from;
+
+    if (
+      heading &&
+      from > (current?.to ?? 0) &&
+      to >= from &&
+      to <= names.length
+    ) {
+      current = {
+        from,
+        to,
+        heading: trimmed,
+        headwords: (heading[3] ?? "")
+          .split(/\s+/)
+          .filter((w) => /[ऀ-ॿ]/.test(w)),
+        sanskrit: [],
+        english: [],
+      };
+      sections.push(current);
+      inEnglish = false;
+      continue;
+    }
+    if (!current) continue;
+
+    const english = ENGLISH_MARKER.exec(trimmed);
+    if (english) {
+      inEnglish = true;
+      if (english[1]) current.english.push(english[1]);
+      continue;
+    }
+    (inEnglish ? current.english : current.sanskrit).push(trimmed);
+  }
+
+  /** @type {Record<string, string>} */
+  const commentaries = {};
+  /** @type {string[]} */
+  const mismatches = [];
+  const covered = new Set();
+
+  for (const section of sections) {
+    const expected = names.slice(section.from - 1, section.to);
+    const label =
+      section.from === section.to
+        ? `${section.from}`
+        : `${section.from}–${section.to}`;
+
+    if (section.headwords.length > 0) {
+      if (section.headwords.length !== expected.length) {
+        mismatches.push(
+          `॥ ${label} ॥ names ${section.headwords.length} nāmas for ${expected.length} numbers`,
+        );
+      } else {
+        section.headwords.forEach((word, i) => {
+          const canonical = expected[i] ?? "";
+          if (nameSkeleton(word) !== nameSkeleton(canonical)) {
+            mismatches.push(
+              `॥ ${label} ॥ ${word} ≠ ${section.from + i}. ${canonical}`,
+            );
+          }
+        });
+      }
+    }
+
+    const sanskrit = section.sanskrit.join("\n").trim();
+    const english = section.english.join("\n").trim();
+    const body = [sanskrit, english && `English: ${english}`]
+      .filter(Boolean)
+      .join("\n\n");
+    if (!body) continue;
+
+    const value =
+      section.from === section.to ? body : `${section.heading}\n${body}`;
+    expected.forEach((name, i) => {
+      commentaries[name] = value;
+      covered.add(section.from + i);
+    });
+  }
+
+  const unmatched = names.map((_, i) => i + 1).filter((n) => !covered.has(n));
+  return { commentaries, coverage: { unmatched, mismatches } };
+}
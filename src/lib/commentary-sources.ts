@@ -0,0 +1,62 @@
+/**
+ * Commentary sources, as declared in src/commentaries/manifest.json.
+ *
+ * The manifest is the one list of sources: the pipeline
+ * (convert-commentaries-to-json.js) parses each `file` into
+ * src/commentaries-json/<id>.json, and the pages load whatever it lists.
+ * Adding a translator means adding a text file and a manifest entry.
+ *
+ * Server-only — reads the generated JSON from disk.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import manifest from "@/commentaries/manifest.json";
+
+/**
+ * How the UI treats a source:
+ *   - breakdown  — root.txt arrow format, rendered with RootBreakdown
+ *   - gloss      — one-line meaning, used as the flashcard answer
+ *   - commentary — prose
+ */
+export type CommentaryRole = "breakdown" | "gloss" | "commentary";
+
+export type CommentarySource = {
+  id: string;
+  /** Display name, used for tabs and headings. */
+  name: string;
+  author: string;
+  period: string;
+  language: string;
+  /** Text file in src/commentaries. */
+  file: string;
+  /** Parser the pipeline runs over `file`. */
+  parser: string;
+  role: CommentaryRole;
+  licence: string;
+};
+
+export const COMMENTARY_SOURCES = manifest as CommentarySource[];
+
+/** The generated `<id>.json`, keyed by Devanagari name. */
+export function loadCommentary(id: string): Record<string, string> {
+  const filePath = path.join(process.cwd(), `src/commentaries-json/${id}.json`);
+  return JSON.parse(fs.readFileSync(filePath, "utf-8")) as Record<
+    string,
+    string
+  >;
+}
+
+/**
+ * Every manifest source with its entries, in manifest order. Sources with
+ * no entries yet (a text file still to be filled) are left out, so no page
+ * offers an empty tab for them.
+ */
+export function loadCommentarySources(): Array<
+  CommentarySource & { entries: Record<string, string> }
+> {
+  return COMMENTARY_SOURCES.map((source) => ({
+    ...source,
+    entries: loadCommentary(source.id),
+  })).filter((source) => Object.keys(source.entries).length > 0);
+}
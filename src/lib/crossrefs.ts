@@ -0,0 +1,115 @@
+/**
+ * How the nāmas relate to each other, from src/constants/crossrefs.json —
+ * generated by scripts/build-crossrefs.js (part of the pipeline) from the
+ * commentaries' "nāma N" references and the dhātus in root.txt.
+ *
+ * Server-only — reads the generated JSON from disk.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+import { COMMENTARY_SOURCES } from "./commentary-sources";
+import { loadNamaNames } from "./namas";
+
+/** What the referring sentence says: a parallel, a contrast, or a pointer. */
+export type Relation = "compare" | "opposite" | "see";
+
+type Graph = {
+  links: Array<{
+    from: number;
+    to: number;
+    source: string;
+    relation: Relation;
+    sentence: string;
+  }>;
+  roots: Array<{
+    root: string;
+    iast: string;
+    namas: Array<{ number: number; lines: string[] }>;
+  }>;
+};
+
+/** A reference between two nāmas, seen from one of them. */
+export type CommentaryLink = {
+  number: number;
+  name: string;
+  relation: Relation;
+  /** Display name of the commentary making the reference. */
+  source: string;
+  sentence: string;
+};
+
+/** A dhātu this nāma shares with a few others. */
+export type RootLink = {
+  root: string;
+  /** This nāma's root.txt lines on the dhātu. */
+  lines: string[];
+  namas: Array<{ number: number; name: string; lines: string[] }>;
+};
+
+export type Related = {
+  /** References this nāma's commentaries make. */
+  outgoing: CommentaryLink[];
+  /** References to this nāma from other nāmas' commentaries. */
+  incoming: CommentaryLink[];
+  roots: RootLink[];
+};
+
+let cache: Map<number, Related> | null = null;
+
+function empty(): Related {
+  return { outgoing: [], incoming: [], roots: [] };
+}
+
+/** Every nāma with a related nāma, keyed by number. */
+export function loadRelated(): Map<number, Related> {
+  if (!cache) {
+    const filePath = path.join(process.cwd(), "src/constants/crossrefs.json");
+    const graph = JSON.parse(fs.readFileSync(filePath, "utf-8")) as Graph;
+    const names = loadNamaNames();
+    const sourceNames = new Map(COMMENTARY_SOURCES.map((s) => [s.id, s.name]));
+    const related = new Map<number, Related>();
+    const entry = (n: number) => {
+      const found = related.get(n) ?? empty();
+      related.set(n, found);
+      return found;
+    };
+
+    for (const link of graph.links) {
+      const shared = {
+        relation: link.relation,
+        source: sourceNames.get(link.source) ?? link.source,
+        sentence: link.sentence,
+      };
+      entry(link.from).outgoing.push({
+        number: link.to,
+        name: names[link.to - 1] ?? "",
+        ...shared,
+      });
+      entry(link.to).incoming.push({
+        number: link.from,
+        name: names[link.from - 1] ?? "",
+        ...shared,
+      });
+    }
+
+    for (const { root, namas } of graph.roots) {
+      for (const own of namas) {
+        entry(own.number).roots.push({
+          root,
+          lines: own.lines,
+          namas: namas
+            .filter((n) => n.number !== own.number)
+            .map((n) => ({ ...n, name: names[n.number - 1] ?? "" })),
+        });
+      }
+    }
+    cache = related;
+  }
+  return cache;
+}
+
+/** Incoming and outgoing references and shared dhātus for one nāma. */
+export function relatedNamas(nama: number): Related {
+  return loadRelated().get(nama) ?? empty();
+}
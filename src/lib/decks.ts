@@ -0,0 +1,116 @@
+/**
+ * Study decks: named slices of the stotra — a chapter of CHAPTERS, a range
+ * of nāmas, the nāmas built on one dhātu, or a hand-picked list — each with
+ * its own daily limits and queue. A deck only chooses which cards to study;
+ * card state is shared, so a nāma learned in one deck is known in all.
+ *
+ * Nāma cards belong to a deck by the nāma they ask for, verse cards when
+ * the verse carries any of the deck's nāmas.
+ */
+
+import { CHAPTERS } from "@/constants/themes";
+import { type Card, askedNama, isVerseMode } from "./srs";
+
+export type DeckScope =
+  /** A chapter of CHAPTERS, by index. */
+  | { kind: "chapter"; chapter: number }
+  /** Nāmas from–to, inclusive. */
+  | { kind: "range"; from: number; to: number }
+  /** Nāmas built on a dhātu, written as in roots.json (e.g. "भा"). */
+  | { kind: "root"; root: string }
+  | { kind: "list"; namas: number[] };
+
+export type Deck = {
+  id: string;
+  name: string;
+  scope: DeckScope;
+  /** New cards introduced per day from this deck. */
+  dailyNew: number;
+  /** Cap on reviews per day in this deck. */
+  dailyMaxReviews: number;
+};
+
+/** What deck membership needs to know about the stotra. */
+export type StotraIndex = {
+  /** Dhātus behind each nāma (roots.json). */
+  rootsOf: Record<number, string[]>;
+  /** Nāmas each verse carries; index + 1 = verse number. */
+  verseNamas: number[][];
+};
+
+export type DeckMembers = { namas: Set<number>; verses: Set<number> };
+
+const NAMA_COUNT = 1000;
+
+/** The nāmas a scope selects, in stotra order. */
+export function scopeNamas(scope: DeckScope, index: StotraIndex): number[] {
+  const all = Array.from({ length: NAMA_COUNT }, (_, i) => i + 1);
+  switch (scope.kind) {
+    case "chapter": {
+      const range = CHAPTERS[scope.chapter]?.range;
+      return range ? all.filter((n) => n >= range[0] && n <= range[1]) : [];
+    }
+    case "range":
+      return all.filter((n) => n >= scope.from && n <= scope.to);
+    case "root":
+      return all.filter((n) => index.rootsOf[n]?.includes(scope.root));
+    case "list": {
+      const picked = new Set(scope.namas);
+      return all.filter((n) => picked.has(n));
+    }
+  }
+}
+
+/** The nāmas and verses whose cards a deck studies. */
+export function deckMembers(deck: Deck, index: StotraIndex): DeckMembers {
+  const namas = new Set(scopeNamas(deck.scope, index));
+  const verses = new Set<number>();
+  index.verseNamas.forEach((inVerse, i) => {
+    if (inVerse.some((n) => namas.has(n))) verses.add(i + 1);
+  });
+  return { namas, verses };
+}
+
+export function inDeck(
+  card: Pick<Card, "mode" | "nama">,
+  members: DeckMembers,
+): boolean {
+  return isVerseMode(card.mode)
+    ? members.verses.has(card.nama)
+    : members.namas.has(askedNama(card));
+}
+
+/** A name for a deck of this scope, until the learner gives it one. */
+export function scopeLabel(scope: DeckScope): string {
+  switch (scope.kind) {
+    case "chapter": {
+      const chapter = CHAPTERS[scope.chapter];
+      return chapter
+        ? `Chapter ${scope.chapter + 1}: ${chapter.title}`
+        : `Chapter ${scope.chapter + 1}`;
+    }
+    case "range":
+      return `Nāmas ${scope.from}–${scope.to}`;
+    case "root":
+      return `√${scope.root}`;
+    case "list":
+      return `${scope.namas.length} hand-picked nāma${scope.namas.length === 1 ? "" : "s"}`;
+  }
+}
+
+/**
+ * Nāma numbers from a typed list such as "12, 40–45 108": numbers and
+ * ranges separated by commas or spaces. Null if any part isn't one.
+ */
+export function parseNamaList(text: string): number[] | null {
+  const picked = new Set<number>();
+  for (const part of text.split(/[\s,]+/).filter(Boolean)) {
+    const m = /^(\d+)(?:[-–](\d+))?$/.exec(part);
+    if (!m) return null;
+    const from = Number(m[1]);
+    const to = m[2] ? Number(m[2]) : from;
+    if (from < 1 || to > NAMA_COUNT || from > to) return null;
+    for (let n = from; n <= to; n++) picked.add(n);
+  }
+  return [...picked].sort((a, b) => a - b);
+}
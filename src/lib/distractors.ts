@@ -0,0 +1,143 @@
+/**
+ * Wrong answers for the multiple-choice drills. A distractor is only
+ * useful if it could be confused with the answer, so candidates are drawn
+ * by likeness to it: a shared dhātu (roots.json, built from root.txt), the
+ * same theme group (CHAPTERS) and a neighbouring number in the stotra. A
+ * seeded shuffle orders them, so a card offers the same options until it
+ * is reviewed and different ones the next time.
+ */
+
+import { THEMES } from "@/constants/themes";
+
+/** Seeded PRNG (mulberry32) — deterministic per card and review. */
+function random(seed: number): () => number {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** A stable number for a string, to seed the shuffle from a card key. */
+export function seedOf(text: string): number {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+/** `items` in a seeded random order. */
+export function shuffled<T>(items: T[], seed: number): T[] {
+  const next = random(seed);
+  const out = [...items];
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(next() * (i + 1));
+    [out[i], out[j]] = [out[j]!, out[i]!];
+  }
+  return out;
+}
+
+const groupOf = (n: number) =>
+  THEMES.findIndex((g) => n >= g.range[0] && n <= g.range[1]);
+
+/** Within `span` places of each other in the stotra. */
+const near = (a: number, b: number, span: number) =>
+  a !== b && Math.abs(a - b) <= span;
+
+export type DistractorOptions = {
+  /** How many distractors to return. */
+  count: number;
+  seed: number;
+  /** Numbers that must not be offered (the prompt itself, names on show). */
+  exclude?: number[];
+  /**
+   * The option's text; candidates reading the same as the answer or as an
+   * earlier pick are skipped so no two options look alike.
+   */
+  label?: (n: number) => string;
+};
+
+/**
+ * Take candidates from `pool` one criterion at a time in turn, so the
+ * options mix the kinds of likeness; when every criterion runs dry the
+ * rest of the pool fills in. Order within a criterion is seeded random.
+ */
+function pick(
+  answer: number,
+  pool: number[],
+  criteria: Array<(n: number) => boolean>,
+  { count, seed, exclude = [], label }: DistractorOptions,
+): number[] {
+  const skip = new Set([answer, ...exclude]);
+  const candidates = shuffled(
+    pool.filter((n) => !skip.has(n)),
+    seed,
+  );
+  const seen = new Set(label ? [label(answer)] : []);
+  const picked: number[] = [];
+  const offer = (n: number) => {
+    if (picked.includes(n)) return false;
+    if (label) {
+      const text = label(n);
+      if (seen.has(text)) return false;
+      seen.add(text);
+    }
+    picked.push(n);
+    return true;
+  };
+
+  // One from each criterion in turn while any has candidates left…
+  const queues = criteria.map((test) => candidates.filter(test));
+  while (picked.length < count && queues.some((q) => q.length > 0)) {
+    for (const queue of queues) {
+      if (picked.length >= count) break;
+      let n = queue.shift();
+      while (n !== undefined && !offer(n)) n = queue.shift();
+    }
+  }
+  // …then anything else.
+  for (const n of candidates) {
+    if (picked.length >= count) break;
+    offer(n);
+  }
+  return picked;
+}
+
+/**
+ * Nāmas to offer alongside `answer`: ones sharing a dhātu, from the same
+ * theme group and from a few places either side. `rootsOf` maps a nāma
+ * number to the dhātus its breakdown names.
+ */
+export function namaDistractors(
+  answer: number,
+  rootsOf: Record<number, string[]>,
+  options: DistractorOptions,
+): number[] {
+  const group = groupOf(answer);
+  const roots = new Set(rootsOf[answer] ?? []);
+  const pool = Array.from({ length: 1000 }, (_, i) => i + 1);
+  return pick(
+    answer,
+    pool,
+    [
+      (n) => (rootsOf[n] ?? []).some((r) => roots.has(r)),
+      (n) => groupOf(n) === group,
+      (n) => near(answer, n, 5),
+    ],
+    options,
+  );
+}
+
+/** Verses to offer alongside `answer`: its neighbours first. */
+export function verseDistractors(
+  answer: number,
+  verseCount: number,
+  options: DistractorOptions,
+): number[] {
+  const pool = Array.from({ length: verseCount }, (_, i) => i + 1);
+  return pick(answer, pool, [(v) => near(answer, v, 3)], options);
+}
@@ -5,8 +5,15 @@
  *   - a short lede (the first 1-2 sentences, ≤ ~180 chars)
  *   - body paragraphs of roughly 3-5 sentences, with smart breaks at
  *     topic-shift cues (scripture references, transition words, asides).
+ *
+ * `annotateCommentary` then marks up what the text refers to — other
+ * nāmas, cited works, Sanskrit quotations — for the reader's links.
  */
 
+import { type Scripture, SCRIPTURES } from "@/constants/scriptures";
+import { findNamaRefs as findRefs } from "./nama-refs";
+import { splitSentences } from "./sentences";
+
 const TOPIC_SHIFT_CUES = [
   // Common scripture / source citations that usually begin a new thought
   /^(Bṛhadāraṇyaka|Chāndogya|Taittirīya|Śvetāśvatara|Kena|Praśna|Māṇḍūkya|Muṇḍaka|Kaṭha|Aitareya|Īśa)\b/,
@@ -23,32 +30,6 @@ const MAX_SENTENCES_PER_PARAGRAPH = 5;
 const MIN_SENTENCES_PER_PARAGRAPH = 2;
 const LEDE_MAX_CHARS = 180;
 
-/**
- * Split text into sentences. Uses a punctuation-then-capital lookahead and
- * avoids splitting common abbreviations (i.e., e.g., etc.).
- */
-function tokenizeSentences(text: string): string[] {
-  // Split on ". " (or "? " / "! ") when followed by an uppercase letter,
-  // a Devanagari char, or an opening quote/paren.
-  const raw = text.split(
-    /(?<=[.!?])\s+(?=[A-ZĀĪŪṚṢṬṆṂḤŚŔ"'(ऀ-ॿ])/u,
-  );
-  // Merge back false splits after common abbreviations.
-  const merged: string[] = [];
-  const abbr = /\b(i\.e|e\.g|etc|cf|viz|Sk|Mr|Dr|St|Mt|A\.D|B\.C|p|pp|vol|no|verse|verses)\.$/i;
-  for (const s of raw) {
-    const trimmed = s.trim();
-    if (!trimmed) continue;
-    const last = merged[merged.length - 1];
-    if (last && abbr.test(last)) {
-      merged[merged.length - 1] = `${last} ${trimmed}`;
-    } else {
-      merged.push(trimmed);
-    }
-  }
-  return merged;
-}
-
 /** Returns true if this sentence is a strong topic-shift cue (force new paragraph) */
 function isTopicShift(sentence: string): boolean {
   return TOPIC_SHIFT_CUES.some((re) => re.test(sentence));
@@ -60,7 +41,7 @@ function isTopicShift(sentence: string): boolean {
  * and falls back to a length cap of MAX_SENTENCES_PER_PARAGRAPH.
  */
 export function splitIntoParagraphs(text: string): string[] {
-  const sentences = tokenizeSentences(text);
+  const sentences = splitSentences(text);
   if (sentences.length === 0) return [];
 
   const paragraphs: string[][] = [[]];
@@ -89,7 +70,7 @@ export function splitIntoParagraphs(text: string): string[] {
  * already too long.
  */
 export function extractLede(text: string): { lede: string; body: string } {
-  const sentences = tokenizeSentences(text);
+  const sentences = splitSentences(text);
   if (sentences.length < 3) {
     // Not enough body to justify a lede separation
     return { lede: "", body: text };
@@ -113,3 +94,145 @@ export function extractLede(text: string): { lede: string; body: string } {
   const body = sentences.slice(consumed).join(" ").trim();
   return { lede, body };
 }
+
+/**
+ * A run of commentary text, marked with what it refers to:
+ *   - nama      — a reference to another nāma of this stotra ("see nāma 256")
+ *   - citation  — a work from SCRIPTURES, with its chapter/verse if given
+ *   - sanskrit  — a quotation in transliterated Sanskrit
+ */
+export type CommentarySpan =
+  | { kind: "text"; text: string }
+  | { kind: "nama"; text: string; nama: number }
+  | {
+      kind: "citation";
+      text: string;
+      work: Scripture;
+      locator: string | null;
+    }
+  | { kind: "sanskrit"; text: string };
+
+type Found = { start: number; end: number; span: CommentarySpan };
+
+// "(IV.iii.19)", "(verse 96)", "(7)", ". XIV.3" and "(V.4 to 9)" after a title.
+const LOCATOR =
+  /^(\s*\(\s*|\.\s+|\s+)((?:verse\s+)?(?:[IVXLC]+|\d+)(?:\.(?:[ivxlc]+|\d+))*(?:\s*(?:to|-|–)\s*\d+)?)(\s*\))?/u;
+
+// Quoted passages, and what follows "says" up to "which means".
+const QUOTED = /[“‘"]([^“”‘’"]{2,160})[”’"]/gu;
+const SAYS =
+  /\bsays,?\s+([\p{L}\s-]{2,120}?)\s+(?=which means|meaning|means)/gu;
+
+// A transliterated Sanskrit word: letters only, no capitals past the first.
+const IAST_WORD = /^[\p{Lu}]?[a-zāīūṛṝḷḹṅñṭḍṇśṣṃṁḥ-]+$/u;
+const IAST_DIACRITIC = /[āīūṛṝḷḹṅñṭḍṇśṣṃṁḥ]/u;
+const ENGLISH_WORDS = new Set(
+  "a an and are as at be by for from has have he her his i in is it its me my no not of on one or she so that the their them there they this to was we which who with you your".split(
+    " ",
+  ),
+);
+
+/** True for a phrase that reads as Sanskrit rather than English. */
+function isSanskrit(phrase: string, minWords: number): boolean {
+  const words = phrase
+    .trim()
+    .replace(/[.,;:!?]+$/, "")
+    .split(/\s+/);
+  return (
+    words.length >= minWords &&
+    words.every(
+      (w) => IAST_WORD.test(w) && !ENGLISH_WORDS.has(w.toLowerCase()),
+    ) &&
+    words.some((w) => IAST_DIACRITIC.test(w))
+  );
+}
+
+function findNamaRefs(text: string): Found[] {
+  return findRefs(text).map(({ start, end, nama }) => ({
+    start,
+    end,
+    span: { kind: "nama", text: text.slice(start, end), nama },
+  }));
+}
+
+function findCitations(text: string): Found[] {
+  const found: Found[] = [];
+  for (const work of SCRIPTURES) {
+    const pattern = new RegExp(work.pattern.source, `${work.pattern.flags}g`);
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      let end = start + match[0].length;
+      let locator: string | null = null;
+      const after = LOCATOR.exec(text.slice(end));
+      if (after) {
+        const [all, lead = "", loc = "", close] = after;
+        const paren = lead.includes("(");
+        // "(7)" and ". XIV.3" are locators, and " VI.19"; a bare " 7"
+        // isn't, nor an unclosed "(IV.8".
+        const usable = paren
+          ? !!close
+          : lead.trim() === "." || /^[IVXLC]+\./.test(loc);
+        if (usable) {
+          locator = loc;
+          end += paren ? all.length : lead.length + loc.length;
+        }
+      }
+      found.push({
+        start,
+        end,
+        span: { kind: "citation", text: text.slice(start, end), work, locator },
+      });
+    }
+  }
+  return found;
+}
+
+function findSanskrit(text: string): Found[] {
+  const found: Found[] = [];
+  for (const match of text.matchAll(QUOTED)) {
+    if (!match[1] || !isSanskrit(match[1], 2)) continue;
+    found.push({
+      start: match.index,
+      end: match.index + match[0].length,
+      span: { kind: "sanskrit", text: match[0] },
+    });
+  }
+  for (const match of text.matchAll(SAYS)) {
+    const phrase = match[1] ?? "";
+    if (!isSanskrit(phrase, 1)) continue;
+    const start = match.index + match[0].indexOf(phrase);
+    found.push({
+      start,
+      end: start + phrase.length,
+      span: { kind: "sanskrit", text: phrase },
+    });
+  }
+  return found;
+}
+
+/**
+ * Split commentary text into spans: references to other nāmas, citations
+ * of the works in SCRIPTURES, Sanskrit quotations, and the plain text
+ * between them. Joining the spans' text gives back `text`. Where
+ * detections overlap the earlier one wins — citations before nāmas before
+ * quotations when they start together.
+ */
+export function annotateCommentary(text: string): CommentarySpan[] {
+  const found = [
+    ...findCitations(text),
+    ...findNamaRefs(text),
+    ...findSanskrit(text),
+  ].sort((a, b) => a.start - b.start);
+
+  const spans: CommentarySpan[] = [];
+  let at = 0;
+  for (const f of found) {
+    if (f.start < at) continue;
+    if (f.start > at)
+      spans.push({ kind: "text", text: text.slice(at, f.start) });
+    spans.push(f.span);
+    at = f.end;
+  }
+  if (at < text.length) spans.push({ kind: "text", text: text.slice(at) });
+  return spans;
+}
@@ -0,0 +1,143 @@
+/**
+ * FSRS (Free Spaced Repetition Scheduler, version 5) memory model, which
+ * srs.ts wraps as a `Scheduler`. A card's memory is two numbers:
+ *   - stability  — days until recall probability falls to 90%
+ *   - difficulty — 1 (easy) to 10 (hard), how much each review helps
+ * and recall probability decays along a power curve from the last review.
+ * Scheduling at day granularity: same-day (short-term) steps are not
+ * modelled, so a lapse comes back the next day at the earliest.
+ *
+ * Formulas and default weights follow the published FSRS-5 algorithm
+ * (open-spaced-repetition/fsrs4anki wiki, "The Algorithm").
+ */
+
+/** Again, Hard, Good, Easy. */
+export type Rating = 1 | 2 | 3 | 4;
+
+export type MemoryState = {
+  /** Days until retrievability falls to 90%. */
+  stability: number;
+  /** 1..10. */
+  difficulty: number;
+};
+
+/** FSRS-5 default weights, w0..w18. */
+export const DEFAULT_WEIGHTS = [
+  0.40255, 1.18385, 3.173, 15.69105, 7.1949, 0.5345, 1.4604, 0.0046, 1.54575,
+  0.1192, 1.01925, 1.9395, 0.11, 0.29605, 2.2698, 0.2315, 2.9898, 0.51655,
+  0.6621,
+];
+
+/** The retention FSRS schedules for unless told otherwise. */
+export const DEFAULT_RETENTION = 0.9;
+
+const DECAY = -0.5;
+/** Chosen so that retrievability is exactly 0.9 after `stability` days. */
+const FACTOR = 19 / 81;
+const MIN_STABILITY = 0.01;
+
+const clamp = (x: number, lo: number, hi: number) =>
+  Math.min(hi, Math.max(lo, x));
+
+const clampDifficulty = (d: number) => clamp(d, 1, 10);
+
+/** Probability of recall `elapsedDays` after the last review. */
+export function retrievability(elapsedDays: number, stability: number): number {
+  return Math.pow(1 + (FACTOR * Math.max(0, elapsedDays)) / stability, DECAY);
+}
+
+/**
+ * Days until retrievability falls to `desiredRetention` — the interval to
+ * schedule. Unrounded.
+ */
+export function intervalFor(
+  stability: number,
+  desiredRetention: number = DEFAULT_RETENTION,
+): number {
+  return (stability / FACTOR) * (Math.pow(desiredRetention, 1 / DECAY) - 1);
+}
+
+function initialDifficulty(rating: Rating, w: number[]) {
+  return (w[4] ?? 0) - Math.exp((w[5] ?? 0) * (rating - 1)) + 1;
+}
+
+/** Memory after a card's first review. */
+export function initialState(
+  rating: Rating,
+  w: number[] = DEFAULT_WEIGHTS,
+): MemoryState {
+  return {
+    stability: Math.max(MIN_STABILITY, w[rating - 1] ?? 0),
+    difficulty: clampDifficulty(initialDifficulty(rating, w)),
+  };
+}
+
+/** Memory after reviewing a card `elapsedDays` after its last review. */
+export function nextState(
+  state: MemoryState,
+  rating: Rating,
+  elapsedDays: number,
+  w: number[] = DEFAULT_WEIGHTS,
+): MemoryState {
+  const { stability: s, difficulty: d } = state;
+  const r = retrievability(elapsedDays, s);
+  const at = (i: number) => w[i] ?? 0;
+
+  // Difficulty moves against the rating, damped near 10, and reverts a
+  // little towards the difficulty of a first "Good".
+  const delta = -at(6) * (rating - 3);
+  const damped = d + (delta * (10 - d)) / 9;
+  const difficulty = clampDifficulty(
+    at(7) * initialDifficulty(4, w) + (1 - at(7)) * damped,
+  );
+
+  let stability: number;
+  if (rating === 1) {
+    const forget =
+      at(11) *
+      Math.pow(d, -at(12)) *
+      (Math.pow(s + 1, at(13)) - 1) *
+      Math.exp(at(14) * (1 - r));
+    stability = Math.min(forget, s);
+  } else {
+    const hardPenalty = rating === 2 ? at(15) : 1;
+    const easyBonus = rating === 4 ? at(16) : 1;
+    stability =
+      s *
+      (1 +
+        Math.exp(at(8)) *
+          (11 - d) *
+          Math.pow(s, -at(9)) *
+          (Math.exp(at(10) * (1 - r)) - 1) *
+          hardPenalty *
+          easyBonus);
+  }
+  return { stability: Math.max(MIN_STABILITY, stability), difficulty };
+}
+
+/**
+ * Memory for a card so far scheduled by SM-2, so switching schedulers
+ * keeps its progress. Stability is set so the card comes due when SM-2
+ * had it due (SM-2 is taken to aim at `sm2Retention`); difficulty is read
+ * off the ease factor (`easeFactor`, 1.3 and up) by inverting the
+ * recall-stability formula (as fsrs-rs's `memory_state_from_sm2` does).
+ */
+export function stateFromSm2(
+  easeFactor: number,
+  interval: number,
+  sm2Retention: number = DEFAULT_RETENTION,
+  w: number[] = DEFAULT_WEIGHTS,
+): MemoryState {
+  const stability = Math.max(
+    MIN_STABILITY,
+    (Math.max(1, interval) * FACTOR) / (Math.pow(sm2Retention, 1 / DECAY) - 1),
+  );
+  const growth =
+    Math.exp(w[8] ?? 0) *
+    Math.pow(stability, -(w[9] ?? 0)) *
+    (Math.exp((1 - sm2Retention) * (w[10] ?? 0)) - 1);
+  return {
+    stability,
+    difficulty: clampDifficulty(11 - (easeFactor - 1) / growth),
+  };
+}
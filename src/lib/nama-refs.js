@@ -0,0 +1,58 @@
+/**
+ * References from commentary prose to other nāmas of the Sahasranāma —
+ * "nāma 249", "nāma-s 13 to 29", "compare 398" — shared by the commentary
+ * reader (annotateCommentary) and scripts/build-crossrefs.js.
+ */
+
+export const NAMA_COUNT = 1000;
+
+// "nāma 249", "nāma-s 41, 42, and 43", "nāmas 13 to 29", "compare 398":
+// each number is a reference.
+const NAMA_REF =
+  /(?<!\p{L})(?:[Nn]āma(?:-?s)?|(?:[Cc]ompare|[Cc]f\.)(?:\s+with)?)\s+\d{1,4}(?:\s*(?:,\s*and|,|and|&|or|to|till|-|–)\s*\d{1,4}(?!\.\d))*/gu;
+
+// "Lalitā Triśatī nāma 9", "Viṣṇu Sahasranāma (…) nāma 720", "nāma 140 in
+// Lalitā Triśatī": other stotras' nāmas, not references. "This
+// Sahasranāma" is this one.
+const OTHER_STOTRA =
+  /(?<!\bthis\s+)(Triśatī|Sahasranāma|Śatī)\S*(\s*\([^()]*\))?(\s+\p{L}+){0,2}\s*$/iu;
+const OTHER_STOTRA_AFTER =
+  /^\s+(of|in)\s+(?!this\b)(\p{L}+\s+)?(Triśatī|Sahasranāma|Śatī)/iu;
+
+/**
+ * @typedef {object} NamaRef
+ * @property {number} start Offset of the reference in the text
+ * @property {number} end
+ * @property {number} nama
+ */
+
+/**
+ * Every reference to a nāma in `text`, in order. The first number of a
+ * list keeps its lead word ("nāma 13"); the rest are the bare numbers.
+ * @param {string} text
+ * @returns {NamaRef[]}
+ */
+export function findNamaRefs(text) {
+  /** @type {NamaRef[]} */
+  const found = [];
+  for (const match of text.matchAll(NAMA_REF)) {
+    const after = match.index + match[0].length;
+    if (
+      OTHER_STOTRA.test(
+        text.slice(Math.max(0, match.index - 80), match.index),
+      ) ||
+      OTHER_STOTRA_AFTER.test(text.slice(after, after + 40))
+    )
+      continue;
+    let first = true;
+    for (const num of match[0].matchAll(/\d+/g)) {
+      const nama = Number(num[0]);
+      const start = match.index + (first ? 0 : num.index);
+      const end = match.index + num.index + num[0].length;
+      first = false;
+      if (nama < 1 || nama > NAMA_COUNT) continue;
+      found.push({ start, end, nama });
+    }
+  }
+  return found;
+}
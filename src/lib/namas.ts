@@ -0,0 +1,38 @@
+/**
+ * The canonical nāma table, src/constants/namas.json — generated and checked
+ * by scripts/build-namas.js (part of the pipeline).
+ *
+ * Server-only — reads the generated JSON from disk.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export type Nama = {
+  number: number;
+  /** Canonical Devanagari — the key every commentary JSON uses. */
+  name: string;
+  /** Other known spellings (verse spelling, dashless and "/" forms). */
+  variants: string[];
+  verse: number;
+  /** 1-based position among the nāmas of its verse. */
+  position: number;
+  /** The verse word(s) carrying the name, as printed in sanskrit.txt. */
+  sandhiForm: string;
+};
+
+let cache: Nama[] | null = null;
+
+/** All 1000 nāmas in order; index + 1 = nāma number. */
+export function loadNamas(): Nama[] {
+  if (!cache) {
+    const filePath = path.join(process.cwd(), "src/constants/namas.json");
+    cache = JSON.parse(fs.readFileSync(filePath, "utf-8")) as Nama[];
+  }
+  return cache;
+}
+
+/** Canonical names in order; index + 1 = nāma number. */
+export function loadNamaNames(): string[] {
+  return loadNamas().map((n) => n.name);
+}
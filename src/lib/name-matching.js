@@ -0,0 +1,187 @@
+/**
+ * Matching verse words from sanskrit.txt to the names used as keys in the
+ * commentary JSON files. The verse text joins names with sandhi, spells some
+ * of them differently from the commentaries and occasionally fuses two names
+ * into one word, so an exact lookup isn't enough — the sandhi rules
+ * themselves live in sandhi.js.
+ */
+
+import { foldSpelling, foldVowelLength, splitPadas } from "./sandhi.js";
+
+/**
+ * @typedef {{ word: string, isWord: boolean, breakdownComponents?: string[] }} ParsedWord
+ */
+
+/**
+ * Parse a verse line into words, preserving dashes within compound words
+ * Also handles square bracket breakdowns: word [component1 + component2 + component3](number)
+ * @param {string} line
+ * @returns {ParsedWord[]}
+ */
+export function parseWordsFromLine(line) {
+  /** @type {ParsedWord[]} */
+  const result = [];
+
+  // First, extract and remove square bracket breakdowns: word [component1 + component2](number) or word [component1 + component2]
+  // Only process if brackets come AFTER a word (not before it on the line)
+  // Pattern: word (with possible hyphen) followed by space, then brackets
+  const breakdownPattern = /(\S+)\s+\[([^\]]+)\](?:\s*\(\d+\))?/g;
+  /** @type {Map<string, string[]>} */
+  const breakdowns = new Map(); // Map from word to components
+
+  let processedLine = line;
+  const matches = Array.from(line.matchAll(breakdownPattern));
+
+  for (const match of matches) {
+    const fullMatch = match[0]; // e.g., "महाबुद्धिर्महासिद्धिर्महायोगेश्वरेश्वरी [महाबुद्धिः + महासिद्धिः + महायोगेश्वरेश्वरी](55)"
+    const wordBeforeBrackets = match[1]; // e.g., "महाबुद्धिर्महासिद्धिर्महायोगेश्वरेश्वरी" or "चितिस्तत्पद-लक्ष्यार्था"
+    const componentsStr = match[2]; // e.g., "महाबुद्धिः + महासिद्धिः + महायोगेश्वरेश्वरी"
+
+    if (!fullMatch || !wordBeforeBrackets || !componentsStr) continue;
+
+    // Clean the word (remove trailing punctuation like ।)
+    const word = wordBeforeBrackets.replace(/[।॥]*$/, "");
+    if (word) {
+      const components = componentsStr
+        .split(/\s*\+\s*/)
+        .map((c) => c.trim())
+        .filter(Boolean);
+      breakdowns.set(word, components);
+    }
+
+    // Remove the breakdown pattern from the line (keep the word, remove brackets and number)
+    processedLine = processedLine.replace(fullMatch, wordBeforeBrackets);
+  }
+
+  // Split by verse numbers (॥ १॥ etc) to preserve them
+  const parts = processedLine.split(/(॥\s*[०-९\d]+\s*॥)/);
+
+  for (const part of parts) {
+    if (!part?.trim()) continue;
+
+    // If it's a verse number, add as non-clickable
+    if (/॥\s*[०-९\d]+\s*॥/.test(part)) {
+      result.push({ word: part, isWord: false });
+      continue;
+    }
+
+    // Split by spaces to get words (dashes within words are preserved)
+    const words = part.split(/\s+/).filter((w) => w?.trim());
+
+    // Track whether we are inside parens — words inside (...) are alternate readings,
+    // not actual verse words, so they should render as non-clickable text.
+    let parenDepth = 0;
+
+    for (let j = 0; j < words.length; j++) {
+      const word = words[j];
+      if (!word) continue;
+
+      const opens = (word.match(/\(/g) ?? []).length;
+      const closes = (word.match(/\)/g) ?? []).length;
+      const wasInsideParens = parenDepth > 0;
+      parenDepth += opens - closes;
+      if (parenDepth < 0) parenDepth = 0;
+      const insideParens =
+        wasInsideParens || opens > 0 || word.includes(")");
+
+      if (insideParens) {
+        result.push({ word, isWord: false });
+        if (j < words.length - 1) {
+          result.push({ word: " ", isWord: false });
+        }
+        continue;
+      }
+
+      // Remove trailing punctuation like । but keep it separate
+      const match = /^(.+?)([।]*)$/.exec(word);
+      if (match) {
+        const mainWord = match[1];
+        const punctuation = match[2];
+
+        if (mainWord && mainWord.length >= 1) {
+          // Check if this word has breakdown components
+          const components = breakdowns.get(mainWord);
+          if (components) {
+            result.push({
+              word: mainWord,
+              isWord: true,
+              breakdownComponents: components,
+            });
+          } else {
+            result.push({ word: mainWord, isWord: true });
+          }
+        }
+
+        if (punctuation) {
+          result.push({ word: punctuation, isWord: false });
+        }
+      }
+
+      // Add space between words (except after last word in part)
+      if (j < words.length - 1) {
+        result.push({ word: " ", isWord: false });
+      }
+    }
+  }
+
+  return result;
+}
+
+// Build the folded-key indexes lazily per commentary source so we only
+// compute them once per source rather than re-walking every lookup.
+/** @type {WeakMap<Record<string, string>, { spelling: Map<string, string>, loose: Map<string, string> }>} */
+const indexCache = new WeakMap();
+
+/**
+ * @param {Record<string, string>} source
+ * @returns {{ spelling: Map<string, string>, loose: Map<string, string> }}
+ */
+function getIndex(source) {
+  let index = indexCache.get(source);
+  if (!index) {
+    index = { spelling: new Map(), loose: new Map() };
+    for (const key of Object.keys(source)) {
+      index.spelling.set(foldSpelling(key), key);
+      index.loose.set(foldVowelLength(key), key);
+    }
+    indexCache.set(source, index);
+  }
+  return index;
+}
+
+/**
+ * Resolve a verse word to the commentary keys it stands for: an exact key,
+ * then the same name spelled differently (dashes, anusvāra, avagraha), then
+ * a sandhi split into several names. Differences in vowel length are only
+ * forgiven as a last resort. Returns one key for a plain
+ * match, several when the word joins multiple names, and null when nothing
+ * matches.
+ * @param {string} name
+ * @param {Record<string, string>} commentarySource
+ * @returns {string[] | null}
+ */
+export function resolveNameKeys(name, commentarySource) {
+  if (commentarySource[name]) {
+    return [name];
+  }
+
+  const index = getIndex(commentarySource);
+  /** @param {string} pada */
+  const lookup = (pada) =>
+    commentarySource[pada] ? pada : index.spelling.get(foldSpelling(pada));
+
+  const spelled = lookup(name);
+  if (spelled) {
+    return [spelled];
+  }
+
+  const padas = splitPadas(name, lookup);
+  if (padas) {
+    return padas;
+  }
+
+  /** @param {string} pada */
+  const looseLookup = (pada) =>
+    lookup(pada) ?? index.loose.get(foldVowelLength(pada));
+  return splitPadas(name, looseLookup);
+}
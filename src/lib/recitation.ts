@@ -0,0 +1,49 @@
+/**
+ * Recitation audio and its timing maps, src/constants/recitation.json.
+ *
+ * Audio lives under public/ (e.g. public/audio/recitation.mp3 is served as
+ * "/audio/recitation.mp3"). A track is either one long recording of many
+ * verses or a single verse's file; either way its timing map gives each
+ * nāma's start and end in seconds from the start of that file.
+ *
+ * Server-only — reads the JSON and checks the audio files from disk.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export type NamaTiming = {
+  number: number;
+  /** Seconds from the start of the track. */
+  start: number;
+  end: number;
+};
+
+export type RecitationTrack = {
+  id: string;
+  /** URL path of the audio file under public/. */
+  src: string;
+  /** Who is reciting, shown next to the player. */
+  reciter?: string;
+  /** Timings in playback order. */
+  namas: NamaTiming[];
+};
+
+export type Recitation = { tracks: RecitationTrack[] };
+
+/**
+ * Tracks whose audio file is present in public/. A timing map checked in
+ * without its (often uncommitted) audio is skipped rather than offered as a
+ * player that can't play.
+ */
+export function loadRecitation(): Recitation {
+  const filePath = path.join(process.cwd(), "src/constants/recitation.json");
+  const { tracks } = JSON.parse(
+    fs.readFileSync(filePath, "utf-8"),
+  ) as Recitation;
+  return {
+    tracks: tracks.filter((track) =>
+      fs.existsSync(path.join(process.cwd(), "public", track.src)),
+    ),
+  };
+}
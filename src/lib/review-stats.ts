@@ -0,0 +1,184 @@
+/**
+ * Numbers for the practice stats page, worked out from the review log and
+ * the cards in `Progress`: a calendar of reviews per day, retention per
+ * drill, the due-card forecast, the nāmas lapsed most and lapses per
+ * chapter of the stotra.
+ *
+ * A review "recalls" the card when it's rated Hard or better. Retention
+ * only counts reviews of cards already learned (a first look at a new card
+ * isn't a test of memory).
+ */
+
+import { CHAPTERS } from "@/constants/themes";
+import {
+  type CardKey,
+  type Mode,
+  addDays,
+  askedNama,
+  isVerseMode,
+  todayIso,
+} from "./srs";
+import type { Progress, ReviewLogEntry } from "./srs-storage";
+
+function parseKey(key: CardKey): { mode: Mode; n: number } {
+  const at = key.lastIndexOf(":");
+  return { mode: key.slice(0, at) as Mode, n: Number(key.slice(at + 1)) };
+}
+
+const recalled = (e: ReviewLogEntry) => e.quality >= 3;
+
+/** A review of a card that had been learned before. */
+const isRecallTest = (e: ReviewLogEntry) => e.intervalBefore > 0;
+
+export type HeatmapDay = { date: string; reviews: number };
+
+/**
+ * Reviews per calendar day for the last `weeks` weeks, as whole weeks
+ * (Sunday first) ending with the one containing `now`. Days after `now`
+ * are left out of the last week.
+ */
+export function reviewHeatmap(
+  log: ReviewLogEntry[],
+  now: Date = new Date(),
+  weeks = 26,
+): HeatmapDay[][] {
+  const perDay = new Map<string, number>();
+  for (const e of log) {
+    const day = todayIso(new Date(e.at));
+    perDay.set(day, (perDay.get(day) ?? 0) + 1);
+  }
+
+  const start = new Date(now);
+  start.setDate(start.getDate() - start.getDay() - 7 * (weeks - 1));
+  const today = todayIso(now);
+  const grid: HeatmapDay[][] = [];
+  for (let w = 0; w < weeks; w++) {
+    const week: HeatmapDay[] = [];
+    for (let d = 0; d < 7; d++) {
+      const day = new Date(start);
+      day.setDate(start.getDate() + w * 7 + d);
+      const date = todayIso(day);
+      if (date > today) break;
+      week.push({ date, reviews: perDay.get(date) ?? 0 });
+    }
+    grid.push(week);
+  }
+  return grid;
+}
+
+export type Retention = {
+  /** Reviews of learned cards. */
+  reviews: number;
+  recalled: number;
+};
+
+/** Retention of learned cards per drill, for drills with any such reviews. */
+export function retentionByMode(
+  log: ReviewLogEntry[],
+): Partial<Record<Mode, Retention>> {
+  const out: Partial<Record<Mode, Retention>> = {};
+  for (const e of log) {
+    if (!isRecallTest(e)) continue;
+    const { mode } = parseKey(e.card);
+    const r = (out[mode] ??= { reviews: 0, recalled: 0 });
+    r.reviews++;
+    if (recalled(e)) r.recalled++;
+  }
+  return out;
+}
+
+/** Retention of learned cards across all drills. */
+export function overallRetention(log: ReviewLogEntry[]): Retention {
+  const tests = log.filter(isRecallTest);
+  return { reviews: tests.length, recalled: tests.filter(recalled).length };
+}
+
+/**
+ * Cards of the active drills coming due on each of the next `days` days,
+ * today first. Overdue cards count as due today.
+ */
+export function dueForecast(
+  progress: Progress,
+  now: Date = new Date(),
+  days = 30,
+): { date: string; due: number }[] {
+  const today = todayIso(now);
+  const forecast = Array.from({ length: days }, (_, i) => ({
+    date: i === 0 ? today : addDays(today, i),
+    due: 0,
+  }));
+  const index = new Map(forecast.map((f, i) => [f.date, i]));
+  for (const key in progress.cards) {
+    const c = progress.cards[key as CardKey];
+    if (!c || c.reps + c.lapses === 0) continue;
+    if (!progress.settings.modes.includes(c.mode)) continue;
+    const i = c.due <= today ? 0 : index.get(c.due);
+    const slot = i === undefined ? undefined : forecast[i];
+    if (slot) slot.due++;
+  }
+  return forecast;
+}
+
+export type HardNama = {
+  nama: number;
+  lapses: number;
+  /** Lowest ease among the nāma's cards — lower has been harder. */
+  ef: number;
+};
+
+/**
+ * The nāmas lapsed most across the nāma drills (a previous → next card
+ * counts for the nāma asked for), ties broken by lower ease.
+ */
+export function hardestNamas(progress: Progress, limit = 10): HardNama[] {
+  const byNama = new Map<number, HardNama>();
+  for (const key in progress.cards) {
+    const c = progress.cards[key as CardKey];
+    if (!c || c.lapses === 0 || isVerseMode(c.mode)) continue;
+    const nama = askedNama(c);
+    const entry = byNama.get(nama) ?? { nama, lapses: 0, ef: c.ef };
+    entry.lapses += c.lapses;
+    entry.ef = Math.min(entry.ef, c.ef);
+    byNama.set(nama, entry);
+  }
+  return [...byNama.values()]
+    .sort((a, b) => b.lapses - a.lapses || a.ef - b.ef || a.nama - b.nama)
+    .slice(0, limit);
+}
+
+export type ChapterLapses = {
+  title: string;
+  range: [number, number];
+  reviews: number;
+  lapses: number;
+};
+
+/**
+ * Reviews of learned cards and lapses among them per chapter (CHAPTERS),
+ * first looks left out as in `retentionByMode`. A verse card belongs to
+ * the chapter of its first nāma; `verseFirstNama` maps verse number to it.
+ */
+export function lapsesByChapter(
+  log: ReviewLogEntry[],
+  verseFirstNama: Record<number, number>,
+): ChapterLapses[] {
+  const out: ChapterLapses[] = CHAPTERS.map((c) => ({
+    title: c.title,
+    range: c.range,
+    reviews: 0,
+    lapses: 0,
+  }));
+  for (const e of log) {
+    if (!isRecallTest(e)) continue;
+    const { mode, n } = parseKey(e.card);
+    const nama = isVerseMode(mode)
+      ? verseFirstNama[n]
+      : askedNama({ mode, nama: n });
+    if (nama === undefined) continue;
+    const chapter = out.find((c) => nama >= c.range[0] && nama <= c.range[1]);
+    if (!chapter) continue;
+    chapter.reviews++;
+    if (!recalled(e)) chapter.lapses++;
+  }
+  return out;
+}
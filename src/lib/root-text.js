@@ -0,0 +1,108 @@
+/**
+ * Parser for root.txt entries, shared by the UI and the scripts.
+ *
+ * An entry (as stored in root.json) looks like:
+ *   उद्यत्_भानु_सहस्र_आभा
+ *   उद्यत् -> rising + ascending + emerging [√उद् + √यम्]
+ *   भानु -> sun + light + ray + luminary [√भा]
+ *   कामेश्वर -> काम_ईश्वर
+ *
+ * Line 1 is the top-level split with underscores. Every other line maps a part
+ * either to English glosses (optionally tagged with dhātus) or to a further
+ * underscore split.
+ */
+
+/**
+ * @typedef {{ topLevel: string, lookup: Map<string, string> }} ParsedRootText
+ * @typedef {{ meanings: string[], roots: string[] }} Gloss
+ */
+
+/**
+ * Parse an entry into its top-level split and a part → breakdown lookup.
+ * Lines without " -> " are ignored.
+ * @param {string} text
+ * @returns {ParsedRootText | null}
+ */
+export function parseRootText(text) {
+  const lines = text.split("\n").filter((l) => l.trim());
+  if (lines.length === 0) return null;
+
+  const topLevel = (lines[0] ?? "").trim();
+  /** @type {Map<string, string>} */
+  const lookup = new Map();
+
+  for (const line of lines.slice(1)) {
+    const arrowIdx = line.indexOf(" -> ");
+    if (arrowIdx !== -1) {
+      const key = line.substring(0, arrowIdx).trim();
+      const value = line.substring(arrowIdx + 4).trim();
+      lookup.set(key, value);
+    }
+  }
+
+  return { topLevel, lookup };
+}
+
+/**
+ * True when a breakdown value is a further split ("काम_ईश्वर") rather than
+ * a gloss.
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isCompound(value) {
+  return value.includes("_");
+}
+
+/**
+ * Split a leaf gloss "sun + light [√भा]" into its meanings and dhātus.
+ * @param {string} value
+ * @returns {Gloss}
+ */
+export function parseGloss(value) {
+  const rootMatch = /\s*\[([^\]]*)\]\s*$/.exec(value);
+  const meaningText = rootMatch ? value.slice(0, rootMatch.index) : value;
+  const roots = rootMatch
+    ? Array.from(
+        (rootMatch[1] ?? "").matchAll(/√([^\s+,\]]+)/g),
+        (m) => m[1] ?? "",
+      ).filter(Boolean)
+    : [];
+  const meanings = meaningText
+    .split("+")
+    .map((m) => m.trim())
+    .filter(Boolean);
+  return { meanings, roots };
+}
+
+/**
+ * Every leaf part of an entry with its gloss, in source order. Compound
+ * parts are expanded; each leaf appears once even if several compounds
+ * share it.
+ * @param {string} text
+ * @returns {Array<{ part: string } & Gloss>}
+ */
+export function rootTextLeaves(text) {
+  const parsed = parseRootText(text);
+  if (!parsed) return [];
+  const { topLevel, lookup } = parsed;
+
+  /** @type {Array<{ part: string } & Gloss>} */
+  const leaves = [];
+  /** @type {Set<string>} */
+  const seen = new Set();
+
+  /** @param {string} part */
+  const walk = (part) => {
+    if (seen.has(part)) return;
+    seen.add(part);
+    const value = lookup.get(part);
+    if (!value) return;
+    if (isCompound(value)) {
+      value.split("_").forEach(walk);
+    } else {
+      leaves.push({ part, ...parseGloss(value) });
+    }
+  };
+  topLevel.split("_").forEach(walk);
+  return leaves;
+}
@@ -0,0 +1,40 @@
+/**
+ * The dhātu index — src/constants/roots.json, generated from root.txt by
+ * scripts/build-root-index.js (part of the pipeline).
+ *
+ * Server-only — reads the generated JSON from disk.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export type RootEntry = {
+  /** The dhātu in Devanagari, without √. */
+  root: string;
+  iast: string;
+  glosses: string[];
+  /** Nāmas built on it, by number. */
+  namas: number[];
+  /** The root.txt parts that lead to it, with their meanings. */
+  components: Array<{ part: string; meanings: string[]; namas: number[] }>;
+};
+
+let cache: RootEntry[] | null = null;
+
+/** Every dhātu, in the order roots.json lists them. */
+export function loadRoots(): RootEntry[] {
+  if (!cache) {
+    const filePath = path.join(process.cwd(), "src/constants/roots.json");
+    cache = JSON.parse(fs.readFileSync(filePath, "utf-8")) as RootEntry[];
+  }
+  return cache;
+}
+
+/** The dhātus behind each nāma, keyed by nāma number. */
+export function loadRootsOf(): Record<number, string[]> {
+  const rootsOf: Record<number, string[]> = {};
+  for (const { root, namas } of loadRoots()) {
+    for (const n of namas) (rootsOf[n] ??= []).push(root);
+  }
+  return rootsOf;
+}
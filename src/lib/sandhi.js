@@ -0,0 +1,468 @@
+/**
+ * Rule-based sandhi for matching verse words to the nāmas they carry.
+ *
+ * Rules run on a phoneme string in SLP1 (one ASCII letter per Sanskrit
+ * sound: A = ā, I = ī, f = ṛ, E = ai, O = au, S = ś, z = ṣ, M = anusvāra,
+ * H = visarga, ' = avagraha), so "a + i → e" is a plain string rule rather
+ * than a juggle of vowel signs and virāmas.
+ *
+ *   - `joinPadas` applies sandhi forwards: निरुपाधिः + निरीश्वरा →
+ *     निरुपाधिर्निरीश्वरा.
+ *   - `splitCandidates` runs the same rules backwards, listing every
+ *     (left, right) split of a token the rules allow, left in pausa form.
+ *   - `splitPadas` splits a token completely into padas a lookup accepts.
+ *   - `foldSpelling` folds orthographic variants only (anusvāra vs nasal,
+ *     avagraha, doubled consonants after r) — vowels are never touched.
+ *     `foldVowelLength` is the explicitly lossy fallback for source typos.
+ *
+ * Covered: vowel sandhi (savarṇa, guṇa, vṛddhi, yaṇ, ayādi), visarga
+ * sandhi, the common consonant sandhi (voicing, nasalisation, t/n
+ * assimilation) and anusvāra for final m.
+ */
+
+/** @type {Record<string, string>} */
+const CONSONANTS = {
+  "क": "k", "ख": "K", "ग": "g", "घ": "G", "ङ": "N",
+  "च": "c", "छ": "C", "ज": "j", "झ": "J", "ञ": "Y",
+  "ट": "w", "ठ": "W", "ड": "q", "ढ": "Q", "ण": "R",
+  "त": "t", "थ": "T", "द": "d", "ध": "D", "न": "n",
+  "प": "p", "फ": "P", "ब": "b", "भ": "B", "म": "m",
+  "य": "y", "र": "r", "ल": "l", "ळ": "L", "व": "v",
+  "श": "S", "ष": "z", "स": "s", "ह": "h",
+};
+
+/** @type {Record<string, string>} */
+const VOWELS = {
+  "अ": "a", "आ": "A", "इ": "i", "ई": "I", "उ": "u", "ऊ": "U",
+  "ऋ": "f", "ॠ": "F", "ऌ": "x", "ए": "e", "ऐ": "E", "ओ": "o", "औ": "O",
+};
+
+/** @type {Record<string, string>} */
+const VOWEL_SIGNS = {
+  "ा": "A", "ि": "i", "ी": "I", "ु": "u", "ू": "U", "ृ": "f",
+  "ॄ": "F", "ॢ": "x", "े": "e", "ै": "E", "ो": "o", "ौ": "O",
+};
+
+const VIRAMA = "्";
+
+/** @param {Record<string, string>} table */
+const invert = (table) =>
+  Object.fromEntries(Object.entries(table).map(([k, v]) => [v, k]));
+
+const CONSONANT_LETTERS = invert(CONSONANTS);
+const VOWEL_LETTERS = invert(VOWELS);
+const VOWEL_SIGN_LETTERS = invert(VOWEL_SIGNS);
+
+const VOWEL = "aAiIuUfFxeEoO";
+const VOICED = "gGNjJYqQRdDnbBmyrlvhL";
+const LONG = /** @type {Record<string, string>} */ ({ a: "A", i: "I", u: "U", f: "F" });
+const SHORT = /** @type {Record<string, string>} */ ({ A: "a", I: "i", U: "u", F: "f" });
+
+/** Stop → the nasal of its class, for anusvāra folding. */
+const CLASS_NASAL = /** @type {Record<string, string>} */ ({
+  k: "N", K: "N", g: "N", G: "N",
+  c: "Y", C: "Y", j: "Y", J: "Y",
+  w: "R", W: "R", q: "R", Q: "R",
+  t: "n", T: "n", d: "n", D: "n",
+  p: "m", P: "m", b: "m", B: "m",
+});
+
+/** @param {string} ch */
+const isVowel = (ch) => ch !== "" && VOWEL.includes(ch);
+/** @param {string} ch */
+const isConsonant = (ch) => ch !== "" && ch in CONSONANT_LETTERS;
+/** @param {string} ch */
+const isVoiced = (ch) => isVowel(ch) || (ch !== "" && VOICED.includes(ch));
+/** @param {string} v */
+const savarna = (v) => SHORT[v] ?? v;
+
+/**
+ * Devanagari → SLP1. Dashes, spaces, punctuation and anything else that
+ * isn't a Sanskrit sound are dropped; ॐ reads as "oM".
+ * @param {string} text
+ * @returns {string}
+ */
+export function toPhonemes(text) {
+  const chars = Array.from(text.normalize("NFD"));
+  let out = "";
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i] ?? "";
+    const consonant = CONSONANTS[ch];
+    if (consonant) {
+      out += consonant;
+      let j = i + 1;
+      if (chars[j] === "़") j++;
+      const next = chars[j] ?? "";
+      if (next === VIRAMA) {
+        i = j;
+      } else if (VOWEL_SIGNS[next]) {
+        out += VOWEL_SIGNS[next];
+        i = j;
+      } else {
+        out += "a";
+        i = j - 1;
+      }
+    } else if (VOWELS[ch]) {
+      out += VOWELS[ch];
+    } else if (ch === "ं" || ch === "ँ") {
+      out += "M";
+    } else if (ch === "ः") {
+      out += "H";
+    } else if (ch === "ऽ") {
+      out += "'";
+    } else if (ch === "ॐ") {
+      out += "oM";
+    }
+  }
+  return out;
+}
+
+/**
+ * SLP1 → Devanagari.
+ * @param {string} phonemes
+ * @returns {string}
+ */
+export function fromPhonemes(phonemes) {
+  let out = "";
+  for (let i = 0; i < phonemes.length; i++) {
+    const ch = phonemes[i] ?? "";
+    if (isConsonant(ch)) {
+      out += CONSONANT_LETTERS[ch];
+      const next = phonemes[i + 1] ?? "";
+      if (next === "a") {
+        i++;
+      } else if (isVowel(next)) {
+        out += VOWEL_SIGN_LETTERS[next];
+        i++;
+      } else {
+        out += VIRAMA;
+      }
+    } else if (isVowel(ch)) {
+      out += VOWEL_LETTERS[ch];
+    } else if (ch === "M") {
+      out += "ं";
+    } else if (ch === "H") {
+      out += "ः";
+    } else if (ch === "'") {
+      out += "ऽ";
+    }
+  }
+  return out;
+}
+
+/**
+ * Surface forms of a left final `x` (a vowel, vowel + visarga, or
+ * consonant) meeting a right initial `y`. Only forms that change something
+ * are listed; plain concatenation is always allowed too.
+ * @param {string} x
+ * @param {string} y
+ * @returns {string[]}
+ */
+function junction(x, y) {
+  // Vowel sandhi
+  if (isVowel(x) && isVowel(y)) {
+    const a = savarna(x);
+    const b = savarna(y);
+    if (a === b && LONG[a]) {
+      const long = LONG[a] ?? "";
+      // ā + a is often printed with an avagraha: सर्वारुणाऽनवद्याङ्गी
+      return a === "a" ? [long, `${long}'`, `${long}''`] : [long];
+    }
+    if (a === "a") {
+      if (b === "i") return ["e"];
+      if (b === "u") return ["o"];
+      if (b === "f") return ["ar"];
+      if (b === "x") return ["al"];
+      if (b === "e" || b === "E") return ["E"];
+      if (b === "o" || b === "O") return ["O"];
+    }
+    if (a === "i") return [`y${y}`];
+    if (a === "u") return [`v${y}`];
+    if (a === "f") return [`r${y}`];
+    // e/o + a keeps the e/o at a word boundary (शिवोऽहम्), ayādi inside one
+    if (x === "e") return y === "a" ? ["e'", "e", "aya"] : [`a${y}`, `ay${y}`];
+    if (x === "o") return y === "a" ? ["o'", "o", "ava"] : [`a${y}`, `av${y}`];
+    if (x === "E") return [`A${y}`, `Ay${y}`];
+    if (x === "O") return [`Av${y}`];
+    return [];
+  }
+
+  // Visarga sandhi: x is vowel + H
+  if (x.length === 2 && x[1] === "H") {
+    const v = x[0] ?? "";
+    if (y === "c" || y === "C") return [`${v}S${y}`];
+    if (y === "w" || y === "W") return [`${v}z${y}`];
+    if (y === "t" || y === "T") return [`${v}s${y}`];
+    if (y === "S" || y === "z" || y === "s") return [`${v}${y}${y}`];
+    if (!isVoiced(y)) return [];
+    if (v === "a") {
+      if (y === "a") return ["o'", "o"];
+      if (isVowel(y)) return [`a${y}`];
+      return [`o${y}`];
+    }
+    if (v === "A") return [`A${y}`];
+    if (y === "r") return [`${LONG[v] ?? v}r`];
+    return [`${v}r${y}`];
+  }
+
+  // Consonant sandhi
+  if (x === "t" || x === "d") {
+    if (y === "c" || y === "C") return [`c${y}`];
+    if (y === "j" || y === "J") return [`j${y}`];
+    if (y === "w" || y === "W") return [`w${y}`];
+    if (y === "q" || y === "Q") return [`q${y}`];
+    if (y === "l") return ["ll"];
+    if (y === "S") return ["cC", "cS"];
+    if (y === "h") return ["dD"];
+    if (y === "n" || y === "m") return [`n${y}`, `d${y}`];
+    if (isVoiced(y)) return [`d${y}`];
+    return [`t${y}`];
+  }
+  if (x === "k" || x === "g") {
+    if (y === "n" || y === "m") return [`N${y}`, `g${y}`];
+    if (isVoiced(y)) return [`g${y}`];
+    return [`k${y}`];
+  }
+  if (x === "w" || x === "q") {
+    if (y === "n" || y === "m") return [`R${y}`, `q${y}`];
+    if (isVoiced(y)) return [`q${y}`];
+    return [`w${y}`];
+  }
+  if (x === "p" || x === "b") {
+    if (y === "n" || y === "m") return [`m${y}`, `b${y}`];
+    if (isVoiced(y)) return [`b${y}`];
+    return [`p${y}`];
+  }
+  if (x === "m") {
+    if (isConsonant(y)) return [`M${y}`, `${CLASS_NASAL[y] ?? "M"}${y}`];
+    return [];
+  }
+  if (x === "n") {
+    if (y === "c" || y === "C") return [`MS${y}`];
+    if (y === "t" || y === "T") return [`Ms${y}`];
+    if (y === "w" || y === "W") return [`Mz${y}`];
+    if (y === "j" || y === "J") return [`Y${y}`];
+    if (y === "q" || y === "Q") return [`R${y}`];
+    if (y === "S") return ["YS", "YC"];
+    if (y === "l") return ["Ml"];
+    return [];
+  }
+  return [];
+}
+
+/** Left finals the rules know, for building the reverse table. */
+const FINALS = [
+  ...VOWEL,
+  ...Array.from(VOWEL, (v) => `${v}H`),
+  "t", "d", "k", "g", "w", "q", "p", "b", "m", "n",
+];
+
+/** Right initials: every vowel and consonant. */
+const INITIALS = [...VOWEL, ...Object.keys(CONSONANT_LETTERS)];
+
+/**
+ * Surface → the (left final, right initial) pairs that produce it.
+ * @type {Map<string, Array<[string, string]>>}
+ */
+const REVERSE = new Map();
+for (const x of FINALS) {
+  for (const y of INITIALS) {
+    for (const surface of junction(x, y)) {
+      const pairs = REVERSE.get(surface) ?? [];
+      if (!pairs.some(([a, b]) => a === x && b === y)) pairs.push([x, y]);
+      REVERSE.set(surface, pairs);
+    }
+  }
+}
+const MAX_SURFACE = Math.max(...Array.from(REVERSE.keys(), (k) => k.length));
+
+/**
+ * Join two padas with sandhi. Returns every surface form the rules allow
+ * (the first is the usual one), or the plain concatenation when no rule
+ * applies at the junction.
+ * @param {string} left
+ * @param {string} right
+ * @returns {string[]}
+ */
+export function joinPadas(left, right) {
+  const l = toPhonemes(left);
+  const r = toPhonemes(right);
+  /** @type {string[]} */
+  const forms = [];
+  const y = r[0] ?? "";
+  for (const size of [2, 1]) {
+    const x = l.slice(-size);
+    if (x.length !== size || !FINALS.includes(x)) continue;
+    for (const surface of junction(x, y)) {
+      forms.push(fromPhonemes(l.slice(0, -size) + surface + r.slice(1)));
+    }
+  }
+  if (forms.length === 0) forms.push(fromPhonemes(l + r));
+  return [...new Set(forms)];
+}
+
+/**
+ * Phoneme-level split candidates, plain splits included.
+ * @param {string} p
+ * @returns {Array<[string, string]>}
+ */
+function phonemeSplits(p) {
+  /** @type {Array<[string, string]>} */
+  const splits = [];
+  for (let i = 1; i < p.length; i++) {
+    const plainLeft = p.slice(0, i);
+    const plainRight = p.slice(i);
+    // Anusvāra and visarga end a syllable; avagraha only comes from sandhi.
+    if (!"HM'".includes(plainRight[0] ?? "") && !plainLeft.endsWith("'")) {
+      splits.push([plainLeft, plainRight]);
+    }
+    for (let size = 1; size <= MAX_SURFACE && i + size <= p.length; size++) {
+      const pairs = REVERSE.get(p.slice(i, i + size));
+      if (!pairs) continue;
+      for (const [x, y] of pairs) {
+        const right = y + p.slice(i + size);
+        if (p.slice(0, i).length > 0 && right.length > 1) {
+          splits.push([p.slice(0, i) + x, right]);
+        }
+      }
+    }
+  }
+  return splits;
+}
+
+/**
+ * Every (left, right) split of a token that plain concatenation or a
+ * reversed sandhi rule explains. Left padas come back in pausa form
+ * (निरुपाधिर्निरीश्वरा → ["निरुपाधिः", "निरीश्वरा"] among others).
+ * @param {string} token
+ * @returns {Array<[string, string]>}
+ */
+export function splitCandidates(token) {
+  return phonemeSplits(toPhonemes(token)).map(([l, r]) => [
+    fromPhonemes(l),
+    fromPhonemes(r),
+  ]);
+}
+
+/**
+ * Pausa forms of a word whose ends were changed by its neighbours in the
+ * verse: a final ो/र्/द्… restored to ः/त्… and a leading avagraha to अ.
+ * The word itself comes first.
+ * @param {string} word
+ * @returns {string[]}
+ */
+export function pausaForms(word) {
+  return phonemePausaForms(toPhonemes(word)).map(fromPhonemes);
+}
+
+/**
+ * @param {string} p
+ * @returns {string[]}
+ */
+function phonemePausaForms(p) {
+  const starts = p.startsWith("'") ? [`a${p.slice(1)}`, `A${p.slice(1)}`] : [p];
+  /** @type {string[]} */
+  const forms = [];
+  for (const s of starts) {
+    forms.push(s);
+    const last = s.at(-1) ?? "";
+    const body = s.slice(0, -1);
+    if (last === "o") forms.push(`${body}aH`);
+    if (last === "a" || last === "A") forms.push(`${s}H`);
+    if (last === "r" && isVowel(body.at(-1) ?? "")) forms.push(`${body}H`);
+    if ((last === "S" || last === "s" || last === "z") && isVowel(body.at(-1) ?? "")) {
+      forms.push(`${body}H`);
+    }
+    if (last === "d") forms.push(`${body}t`);
+    if (last === "g") forms.push(`${body}k`);
+    if (last === "M") forms.push(`${body}m`);
+  }
+  return [...new Set(forms)];
+}
+
+/**
+ * Split a token into padas that `lookup` accepts, preferring the whole
+ * token, then the longest first pada. The last pada may carry its
+ * neighbour's sandhi (see `pausaForms`). Returns the lookup results in
+ * order, or null when no complete split exists.
+ * @template T
+ * @param {string} token
+ * @param {(pada: string) => T | null | undefined} lookup
+ * @returns {T[] | null}
+ */
+export function splitPadas(token, lookup) {
+  /** @type {Map<string, T[] | null>} */
+  const memo = new Map();
+  /** @param {string} p */
+  const find = (p) => {
+    for (const form of phonemePausaForms(p)) {
+      const hit = lookup(fromPhonemes(form));
+      if (hit !== null && hit !== undefined) return hit;
+    }
+    return null;
+  };
+
+  /**
+   * @param {string} p
+   * @returns {T[] | null}
+   */
+  const search = (p) => {
+    const cached = memo.get(p);
+    if (cached !== undefined) return cached;
+    memo.set(p, null);
+
+    const whole = find(p);
+    if (whole !== null) {
+      memo.set(p, [whole]);
+      return [whole];
+    }
+    const splits = phonemeSplits(p).sort((a, b) => b[0].length - a[0].length);
+    for (const [left, right] of splits) {
+      const hit = lookup(fromPhonemes(left));
+      if (hit === null || hit === undefined) continue;
+      const rest = search(right);
+      if (rest) {
+        const result = [hit, ...rest];
+        memo.set(p, result);
+        return result;
+      }
+    }
+    return null;
+  };
+
+  return search(toPhonemes(token));
+}
+
+/**
+ * Fold spellings that differ only in orthography, so both sides of a
+ * comparison read the same: anusvāra vs the class nasal (कङ्कण / कंकण),
+ * final म् vs ं, avagraha, a consonant doubled after र (कीर्त्ति / कीर्ति),
+ * dashes and spaces. Vowels are left alone.
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldSpelling(text) {
+  const p = toPhonemes(text)
+    .replace(/'/g, "")
+    .replace(/r([kKgGcCjJwWqQtTdDpPbBmnyvlSzs])\1/g, "r$1")
+    .replace(/[NYRnm](?=[kKgGcCjJwWqQtTdDpPbB])/g, (nasal, offset, s) => {
+      const next = s[offset + 1] ?? "";
+      return CLASS_NASAL[next] === nasal ? "M" : nasal;
+    })
+    .replace(/m$/, "M");
+  return p;
+}
+
+/**
+ * `foldSpelling` with long and short vowels merged (ै and ौ with े and ो
+ * too). Lossy — only for matching against sources with vowel-length typos,
+ * after everything else has failed.
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldVowelLength(text) {
+  return foldSpelling(text)
+    .replace(/[AIUF]/g, (v) => SHORT[v] ?? v)
+    .replace(/E/g, "e")
+    .replace(/O/g, "o");
+}
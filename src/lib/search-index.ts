@@ -0,0 +1,95 @@
+import { CHAPTERS } from "@/constants/themes";
+import {
+  type CommentaryRole,
+  loadCommentarySources,
+} from "@/lib/commentary-sources";
+import { loadNamas } from "@/lib/namas";
+import { rootTextLeaves } from "@/lib/root-text";
+import type { SearchDoc } from "@/lib/search";
+import { toIAST } from "@/lib/transliterate";
+
+/** Field order within a nāma doc: short gloss first, long prose last. */
+const ROLE_ORDER: CommentaryRole[] = ["gloss", "breakdown", "commentary"];
+
+/** Every dhātu cited in a root.txt entry, in source order. */
+const extractRoots = (rootText: string) => [
+  ...new Set(rootTextLeaves(rootText).flatMap((leaf) => leaf.roots)),
+];
+
+/**
+ * Assemble the search documents: one per nāma (name plus every manifest
+ * source) and one per theme chapter and sub-theme.
+ */
+export function buildSearchIndex(): SearchDoc[] {
+  const sources = loadCommentarySources().sort(
+    (a, b) => ROLE_ORDER.indexOf(a.role) - ROLE_ORDER.indexOf(b.role),
+  );
+  const root = sources.find((s) => s.role === "breakdown")?.entries ?? {};
+
+  const namaDocs = loadNamas().map(({ number, name, variants }): SearchDoc => {
+    const rootText = root[name] ?? "";
+    const fields = [
+      {
+        id: "name",
+        label: "Nāma",
+        text: [name, toIAST(name), ...variants].join(" · "),
+      },
+      ...sources.map((source) => ({
+        id: source.id,
+        label: source.name,
+        text:
+          source.role === "commentary"
+            ? (source.entries[name] ?? "").replace(/\s+/g, " ").trim()
+            : (source.entries[name] ?? ""),
+      })),
+    ].filter((f) => f.text);
+    return {
+      kind: "nama",
+      href: `/nama/${number}`,
+      title: name,
+      range: [number, number],
+      roots: extractRoots(rootText),
+      fields,
+    };
+  });
+
+  const themeDocs = CHAPTERS.flatMap((chapter, ci): SearchDoc[] => {
+    const href = `/themes#chapter-${ci + 1}`;
+    const chapterDoc: SearchDoc = {
+      kind: "theme",
+      href,
+      title: chapter.title,
+      range: chapter.range,
+      roots: [],
+      fields: [
+        {
+          id: "theme",
+          label: "Theme",
+          text: `${chapter.title} — ${chapter.summary}`,
+        },
+        ...(chapter.anchor
+          ? [{ id: "anchor", label: "V. Ravi", text: chapter.anchor }]
+          : []),
+      ],
+    };
+    const groupDocs = chapter.groups.map(
+      (group): SearchDoc => ({
+        kind: "theme",
+        href,
+        title: group.title,
+        range: group.range,
+        roots: [],
+        fields: [
+          {
+            id: "theme",
+            label: chapter.title,
+            text: `${group.title} — ${group.summary}`,
+          },
+        ],
+      }),
+    );
+    return [chapterDoc, ...groupDocs];
+  });
+
+  return [...namaDocs, ...themeDocs];
+}
@@ -0,0 +1,259 @@
+/**
+ * Full-text search over the prebuilt index served at /search-index.json.
+ *
+ * Query syntax (terms are ANDed):
+ *   कामेश्वर      Devanagari — matched as written and via its IAST spelling
+ *   kamesvara    Latin — diacritics and case are ignored (Kāmeśvara, kāmeśvara)
+ *   √भा / √bha   dhātu filter — nāmas whose root breakdown uses that root
+ *   1-100        range filter — nāmas (or theme sections) within 1..100
+ */
+
+import { toIAST } from "@/lib/transliterate";
+
+export type SearchField = {
+  /** Section id on the target page, used as the link fragment. */
+  id: string;
+  label: string;
+  text: string;
+};
+
+export type SearchDoc = {
+  kind: "nama" | "theme";
+  href: string;
+  /** Nāma in Devanagari, or the theme section's title. */
+  title: string;
+  /** Inclusive nāma range; [n, n] for a single nāma. */
+  range: [number, number];
+  /** Dhātus (Devanagari, without √) used in the root breakdown. */
+  roots: string[];
+  fields: SearchField[];
+};
+
+export type ParsedQuery = {
+  terms: string[];
+  roots: string[];
+  range: [number, number] | null;
+};
+
+export type SnippetPart = { text: string; hit: boolean };
+
+export type SearchResult = {
+  doc: SearchDoc;
+  score: number;
+  snippets: Array<{ field: SearchField; parts: SnippetPart[] }>;
+};
+
+const DEVANAGARI = /[\u0900-\u097f]/;
+
+/** Relative weight of a hit in each field when ranking results. */
+const FIELD_WEIGHTS: Record<string, number> = {
+  name: 10,
+  sanskritdocuments: 5,
+  root: 3,
+  theme: 2,
+  anchor: 2,
+  vravi: 1,
+};
+
+const SNIPPET_RADIUS = 70;
+const MAX_SNIPPETS = 3;
+
+/**
+ * Fold text for comparison: lower-case, strip Latin diacritics and joiners.
+ * Returns the folded string plus, for each folded character, the index of
+ * the source character it came from — so hits can be highlighted in the
+ * original text.
+ */
+export function fold(text: string): { folded: string; map: number[] } {
+  let folded = "";
+  const map: number[] = [];
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i]!;
+    if (ch < "\u0080") {
+      folded += ch.toLowerCase();
+      map.push(i);
+      continue;
+    }
+    const out = ch
+      .normalize("NFD")
+      .replace(/[\u0300-\u036f\u200c\u200d]/g, "")
+      .toLowerCase();
+    for (const c of out) {
+      folded += c;
+      map.push(i);
+    }
+  }
+  return { folded, map };
+}
+
+const foldKey = (s: string) => fold(s).folded;
+
+export function parseQuery(query: string): ParsedQuery {
+  const parsed: ParsedQuery = { terms: [], roots: [], range: null };
+  for (const token of query.trim().split(/\s+/)) {
+    if (!token) continue;
+    const range = /^(\d+)\s*[-–—]\s*(\d+)$/.exec(token);
+    if (range) {
+      const a = Number(range[1]);
+      const b = Number(range[2]);
+      parsed.range = [Math.min(a, b), Math.max(a, b)];
+    } else if (token.startsWith("√")) {
+      const root = token.slice(1);
+      if (root) parsed.roots.push(root);
+    } else {
+      parsed.terms.push(token);
+    }
+  }
+  return parsed;
+}
+
+/** Folded patterns a single query term may match. */
+function termPatterns(term: string): string[] {
+  if (!DEVANAGARI.test(term)) return [foldKey(term)];
+  // Commentaries quote Sanskrit in IAST as often as in Devanagari.
+  return [foldKey(term), foldKey(toIAST(term))];
+}
+
+/** Both scripts compare equal once reduced to folded IAST. */
+const rootKey = (root: string) =>
+  foldKey(DEVANAGARI.test(root) ? toIAST(root) : root);
+
+type FoldedField = { field: SearchField; folded: string; map: number[] };
+
+/**
+ * Precompute folded text for every field. Folding 1000 commentaries is the
+ * expensive part of a search, so do it once per loaded index.
+ */
+export function prepareIndex(docs: SearchDoc[]) {
+  return docs.map((doc) => ({
+    doc,
+    rootKeys: doc.roots.map(rootKey),
+    fields: doc.fields.map(
+      (field): FoldedField => ({ field, ...fold(field.text) }),
+    ),
+  }));
+}
+
+export type PreparedIndex = ReturnType<typeof prepareIndex>;
+
+function findAll(haystack: string, needle: string): number[] {
+  const hits: number[] = [];
+  if (!needle) return hits;
+  let i = haystack.indexOf(needle);
+  while (i !== -1) {
+    hits.push(i);
+    i = haystack.indexOf(needle, i + needle.length);
+  }
+  return hits;
+}
+
+/** Cut a window around the first hit and split it into marked parts. */
+function buildSnippet(
+  { field, map }: FoldedField,
+  hits: Array<[number, number]>,
+): SnippetPart[] {
+  const spans = hits
+    .map(([start, len]): [number, number] => [
+      map[start]!,
+      map[start + len - 1]! + 1,
+    ])
+    .sort((a, b) => a[0] - b[0]);
+  const text = field.text;
+  const first = spans[0]!;
+
+  let from = Math.max(0, first[0] - SNIPPET_RADIUS);
+  let to = Math.min(text.length, first[1] + SNIPPET_RADIUS);
+  if (from > 0) {
+    const space = text.indexOf(" ", from);
+    if (space !== -1 && space < first[0]) from = space + 1;
+  }
+  if (to < text.length) {
+    const space = text.lastIndexOf(" ", to);
+    if (space > first[1]) to = space;
+  }
+
+  const parts: SnippetPart[] = [];
+  if (from > 0) parts.push({ text: "…", hit: false });
+  let cursor = from;
+  for (const [s, e] of spans) {
+    if (e <= cursor || s >= to) continue;
+    const start = Math.max(s, cursor);
+    if (start > cursor)
+      parts.push({ text: text.slice(cursor, start), hit: false });
+    const end = Math.min(e, to);
+    parts.push({ text: text.slice(start, end), hit: true });
+    cursor = end;
+  }
+  if (cursor < to) parts.push({ text: text.slice(cursor, to), hit: false });
+  if (to < text.length) parts.push({ text: "…", hit: false });
+  return parts;
+}
+
+export function search(index: PreparedIndex, query: string): SearchResult[] {
+  const { terms, roots, range } = parseQuery(query);
+  if (terms.length === 0 && roots.length === 0 && !range) return [];
+
+  const patterns = terms.map(termPatterns);
+  const wantedRoots = roots.map(rootKey);
+  const results: SearchResult[] = [];
+
+  for (const { doc, rootKeys, fields } of index) {
+    if (range && (doc.range[1] < range[0] || doc.range[0] > range[1])) continue;
+    if (!wantedRoots.every((r) => rootKeys.includes(r))) continue;
+
+    // Highlight the matched dhātus inside the root breakdown.
+    const rootNeedles = doc.roots
+      .filter((_, i) => wantedRoots.includes(rootKeys[i]!))
+      .map((r) => foldKey(`√${r}`));
+
+    let score = 0;
+    const matchedTerms = new Set<number>();
+    const hitsByField = new Map<FoldedField, Array<[number, number]>>();
+
+    for (const f of fields) {
+      const hits: Array<[number, number]> = [];
+      patterns.forEach((alternatives, ti) => {
+        for (const p of alternatives) {
+          const found = findAll(f.folded, p);
+          if (found.length === 0) continue;
+          matchedTerms.add(ti);
+          for (const at of found) hits.push([at, p.length]);
+          score += (FIELD_WEIGHTS[f.field.id] ?? 1) * Math.min(found.length, 3);
+        }
+      });
+      if (f.field.id === "root") {
+        for (const needle of rootNeedles) {
+          for (const at of findAll(f.folded, needle))
+            hits.push([at, needle.length]);
+        }
+      }
+      if (hits.length > 0) hitsByField.set(f, hits);
+    }
+
+    if (matchedTerms.size < patterns.length) continue;
+
+    const snippets = [...hitsByField]
+      .slice(0, MAX_SNIPPETS)
+      .map(([f, hits]) => ({ field: f.field, parts: buildSnippet(f, hits) }));
+    // Filter-only queries have nothing to highlight; show the gloss instead.
+    const gloss = doc.fields.find((f) => f.id !== "name");
+    if (snippets.length === 0 && gloss) {
+      const text = gloss.text.slice(0, SNIPPET_RADIUS * 2);
+      snippets.push({
+        field: gloss,
+        parts: [
+          {
+            text: text.length < gloss.text.length ? `${text}…` : text,
+            hit: false,
+          },
+        ],
+      });
+    }
+
+    results.push({ doc, score, snippets });
+  }
+
+  return results.sort(
+    (a, b) => b.score - a.score || a.doc.range[0] - b.doc.range[0],
+  );
+}
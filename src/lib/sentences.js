@@ -0,0 +1,36 @@
+/**
+ * Sentence splitting for commentary prose, shared by the reader's
+ * paragraphing (src/lib/format-commentary.ts) and
+ * scripts/build-crossrefs.js, which quotes the sentence making each
+ * reference.
+ */
+
+// Abbreviations whose full stop doesn't end a sentence.
+const ABBREVIATION =
+  /\b(i\.e|e\.g|etc|cf|viz|Sk|Mr|Dr|St|Mt|A\.D|B\.C|p|pp|vol|no|verse|verses)\.$/i;
+
+/**
+ * Split text into sentences. Uses a punctuation-then-capital lookahead and
+ * avoids splitting common abbreviations (i.e., e.g., etc.).
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+  // Split on ". " (or "? " / "! ") when followed by an uppercase letter,
+  // a Devanagari char, or an opening quote/paren.
+  const raw = text.split(/(?<=[.!?])\s+(?=[A-ZĀĪŪṚṢṬṆṂḤŚŔ"'(ऀ-ॿ])/u);
+  // Merge back false splits after common abbreviations.
+  /** @type {string[]} */
+  const merged = [];
+  for (const s of raw) {
+    const trimmed = s.trim();
+    if (!trimmed) continue;
+    const last = merged[merged.length - 1];
+    if (last && ABBREVIATION.test(last)) {
+      merged[merged.length - 1] = `${last} ${trimmed}`;
+    } else {
+      merged.push(trimmed);
+    }
+  }
+  return merged;
+}
@@ -0,0 +1,122 @@
+/**
+ * The practice deck's IndexedDB database, for what outgrows localStorage:
+ * the review log, which gains an entry with every review, and the backup
+ * snapshots taken before a saved deck is migrated or reset.
+ *
+ * Every function rejects when IndexedDB is unavailable (some private
+ * modes) or a write fails; srs-storage.ts decides what to do about it.
+ */
+
+import type { ReviewLogEntry } from "./srs-storage";
+
+const DB_NAME = "lsn-srs";
+const DB_VERSION = 1;
+const LOG = "log";
+const BACKUPS = "backups";
+
+/** Snapshots kept; the oldest go first. */
+const MAX_BACKUPS = 5;
+
+/** A saved deck exactly as it was stored, kept in case a change goes wrong. */
+export type Backup = {
+  id: number;
+  /** ISO timestamp. */
+  takenAt: string;
+  /** What prompted it, e.g. "before upgrading from version 1". */
+  reason: string;
+  /** The stored deck, verbatim: usually JSON, importable as a deck. */
+  data: string;
+};
+
+let db: Promise<IDBDatabase> | null = null;
+
+function openDb(): Promise<IDBDatabase> {
+  db ??= new Promise<IDBDatabase>((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      // Auto-increment keys keep the log in the order it was written.
+      request.result.createObjectStore(LOG, { autoIncrement: true });
+      request.result.createObjectStore(BACKUPS, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error ?? new Error("IndexedDB"));
+  }).catch((err: unknown) => {
+    db = null;
+    throw err;
+  });
+  return db;
+}
+
+/** Run `work` in one transaction; resolves once it has committed. */
+async function transact<T>(
+  store: string,
+  mode: IDBTransactionMode,
+  work: (store: IDBObjectStore) => IDBRequest<T> | void,
+): Promise<T | undefined> {
+  const tx = (await openDb()).transaction(store, mode);
+  const request = work(tx.objectStore(store));
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error ?? new Error("IndexedDB write failed"));
+    tx.onabort = () => reject(tx.error ?? new Error("IndexedDB write aborted"));
+  });
+}
+
+/** The whole review log, oldest first. */
+export async function readLog(): Promise<ReviewLogEntry[]> {
+  const entries = await transact(
+    LOG,
+    "readonly",
+    (s) => s.getAll() as IDBRequest<ReviewLogEntry[]>,
+  );
+  return entries ?? [];
+}
+
+/** Add reviews to the end of the log. */
+export async function appendLog(entries: ReviewLogEntry[]): Promise<void> {
+  if (entries.length === 0) return;
+  await transact(LOG, "readwrite", (s) => {
+    for (const e of entries) s.add(e);
+  });
+}
+
+/** Replace the whole log, e.g. after a merge reordered it. */
+export async function replaceLog(entries: ReviewLogEntry[]): Promise<void> {
+  await transact(LOG, "readwrite", (s) => {
+    s.clear();
+    for (const e of entries) s.add(e);
+  });
+}
+
+/** Save a snapshot, dropping the oldest beyond MAX_BACKUPS. */
+export async function addBackup(
+  backup: Omit<Backup, "id" | "takenAt">,
+): Promise<void> {
+  await transact(BACKUPS, "readwrite", (s) => {
+    s.add({ ...backup, takenAt: new Date().toISOString() });
+    const keys = s.getAllKeys();
+    keys.onsuccess = () => {
+      const stale = keys.result.length - MAX_BACKUPS;
+      for (const key of keys.result.slice(0, Math.max(0, stale))) {
+        s.delete(key);
+      }
+    };
+  });
+}
+
+/** The kept snapshots, newest first. */
+export async function listBackups(): Promise<Backup[]> {
+  const backups = await transact(
+    BACKUPS,
+    "readonly",
+    (s) => s.getAll() as IDBRequest<Backup[]>,
+  );
+  return (backups ?? []).reverse();
+}
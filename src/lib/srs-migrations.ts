@@ -0,0 +1,115 @@
+/**
+ * Versions of a saved practice deck, and the steps between them.
+ *
+ * A deck says which version saved it; loading (and importing, and
+ * syncing) runs it through each step from there to `CURRENT_VERSION` in
+ * order. Each step takes a deck from version n to n + 1 and fills in what
+ * n + 1 needs as it stood when n + 1 shipped — never from today's defaults
+ * — so a deck saved years ago migrates the same way it would have then.
+ *
+ * Adding a version: write the step, append it to `MIGRATIONS`, bump
+ * `CURRENT_VERSION`, and add a fixture saved by the old version to
+ * scripts/check-migrations.js.
+ */
+
+/** A deck as saved, before it's known to be a `Progress`. */
+export type SavedDeck = Record<string, unknown>;
+
+/** The version decks are saved at now. */
+export const CURRENT_VERSION = 2;
+
+/** Stands in for dates a deck never recorded; the day counters roll over. */
+const NEVER = "1970-01-01";
+
+function record(value: unknown): Record<string, unknown> {
+  return value && typeof value === "object" && !Array.isArray(value)
+    ? (value as Record<string, unknown>)
+    : {};
+}
+
+/**
+ * v1 → v2. Version 1 decks gained fields as features arrived — the review
+ * log, the scheduler, sync, study decks — and had the missing ones patched
+ * in on every load. Version 2 decks have them all. From v2 the browser
+ * keeps the review log in IndexedDB rather than inline (see
+ * srs-storage.ts); exported and synced decks still carry it.
+ */
+function v1ToV2(deck: SavedDeck): SavedDeck {
+  const settings = record(deck.settings);
+  const stats = record(deck.stats);
+  return {
+    ...deck,
+    version: 2,
+    cards: record(deck.cards),
+    settings: {
+      modes: ["numberToNama"],
+      dailyNew: 10,
+      dailyMaxReviews: 80,
+      multipleChoice: false,
+      scheduler: "sm2",
+      desiredRetention: 0.9,
+      syncDeck: null,
+      activeDeck: null,
+      ...settings,
+    },
+    stats: {
+      totalReviews: 0,
+      totalLapses: 0,
+      streakDays: 0,
+      reviewsToday: 0,
+      reviewsTodayDate: NEVER,
+      newToday: 0,
+      newTodayDate: NEVER,
+      deckReviewsToday: {},
+      deckNewToday: {},
+      ...stats,
+    },
+    log: Array.isArray(deck.log) ? deck.log : [],
+    decks: Array.isArray(deck.decks) ? deck.decks : [],
+  };
+}
+
+/** `MIGRATIONS[n - 1]` takes a deck from version n to n + 1. */
+export const MIGRATIONS: Array<(deck: SavedDeck) => SavedDeck> = [v1ToV2];
+
+/**
+ * The version a saved deck says it was saved at, or null if it doesn't
+ * say (it isn't a deck).
+ */
+export function savedVersion(data: unknown): number | null {
+  const version = record(data).version;
+  return typeof version === "number" &&
+    Number.isInteger(version) &&
+    version >= 1
+    ? version
+    : null;
+}
+
+/**
+ * Bring a saved deck up to `CURRENT_VERSION`, returning it with the
+ * version it was saved at. The input is left as it was. Throws if `data`
+ * isn't a saved deck, or was saved by a newer version of the site than
+ * this one.
+ */
+export function migrateProgress(data: unknown): {
+  deck: SavedDeck;
+  from: number;
+} {
+  const version = savedVersion(data);
+  if (version === null) {
+    throw new Error("Not a practice deck — version: missing or not a number");
+  }
+  if (version > CURRENT_VERSION) {
+    throw new Error(
+      `Saved by a newer version of the site (deck version ${version}; this page reads up to ${CURRENT_VERSION}) — reload to update`,
+    );
+  }
+
+  let deck = record(data);
+  for (let v = version; v < CURRENT_VERSION; v++) {
+    const step = MIGRATIONS[v - 1];
+    if (!step) throw new Error(`No migration from deck version ${v}`);
+    deck = step(deck);
+  }
+  return { deck, from: version };
+}
@@ -1,18 +1,33 @@
+import { type Deck, type DeckMembers, inDeck } from "./decks";
+import { addBackup, appendLog, readLog, replaceLog } from "./srs-db";
+import {
+  CURRENT_VERSION,
+  migrateProgress,
+  savedVersion,
+} from "./srs-migrations";
 import {
   type Card,
   type CardKey,
   type Mode,
+  type Scheduler,
+  type SchedulerId,
   ALL_MODES,
   cardKey,
   createCard,
+  createFsrs,
+  daysBetween,
   isDue,
   isNew,
-  isValidNama,
+  isValidPrompt,
+  promptCount,
   review,
+  sm2,
   todayIso,
   type Quality,
+  type VerseShape,
 } from "./srs";
 
+// Named before decks were versioned; the version is inside the record.
 const STORAGE_KEY = "lsn-srs-v1";
 
 export type Settings = {
@@ -21,6 +36,15 @@ export type Settings = {
   dailyNew: number;
   /** Cap on total reviews per session. */
   dailyMaxReviews: number;
+  /** Ask cards as multiple choice, graded from the pick. */
+  multipleChoice: boolean;
+  scheduler: SchedulerId;
+  /** Recall probability FSRS schedules for (0.7–0.97). */
+  desiredRetention: number;
+  /** Sync code shared with the learner's other devices, if syncing. */
+  syncDeck: string | null;
+  /** Id of the deck being studied; null studies the whole stotra. */
+  activeDeck: string | null;
 };
 
 export type Stats = {
@@ -35,19 +59,46 @@ export type Stats = {
   /** New cards introduced today. */
   newToday: number;
   newTodayDate: string;
+  /** Per deck id: reviews today, counted on reviewsTodayDate. */
+  deckReviewsToday: Record<string, number>;
+  /** Per deck id: new cards today, counted on newTodayDate. */
+  deckNewToday: Record<string, number>;
+};
+
+/** One review, as `applyReview` recorded it. */
+export type ReviewLogEntry = {
+  card: CardKey;
+  quality: Quality;
+  /** When the rating was given (ISO timestamp). */
+  at: string;
+  /** Days since the card's previous review; 0 for a new card. */
+  elapsedDays: number;
+  /** Time from seeing the prompt to rating it, when the UI measured it. */
+  durationMs?: number;
+  intervalBefore: number;
+  intervalAfter: number;
 };
 
 export type Progress = {
-  version: 1;
+  version: typeof CURRENT_VERSION;
   cards: Partial<Record<CardKey, Card>>;
   settings: Settings;
   stats: Stats;
+  /** Every review, oldest first. */
+  log: ReviewLogEntry[];
+  /** The learner's study decks, in the order they were made. */
+  decks: Deck[];
 };
 
 const DEFAULT_SETTINGS: Settings = {
   modes: ["numberToNama"],
   dailyNew: 10,
   dailyMaxReviews: 80,
+  multipleChoice: false,
+  scheduler: "sm2",
+  desiredRetention: 0.9,
+  syncDeck: null,
+  activeDeck: null,
 };
 
 const DEFAULT_STATS: Stats = {
@@ -58,43 +109,198 @@ const DEFAULT_STATS: Stats = {
   reviewsTodayDate: todayIso(),
   newToday: 0,
   newTodayDate: todayIso(),
+  deckReviewsToday: {},
+  deckNewToday: {},
 };
 
 export function emptyProgress(): Progress {
   return {
-    version: 1,
+    version: CURRENT_VERSION,
     cards: {},
     settings: { ...DEFAULT_SETTINGS },
     stats: { ...DEFAULT_STATS },
+    log: [],
+    decks: [],
   };
 }
 
-export function loadProgress(): Progress {
-  if (typeof window === "undefined") return emptyProgress();
+/** A loaded deck, and anything the learner should know about the load. */
+export type LoadResult = {
+  progress: Progress;
+  warning: string | null;
+};
+
+/**
+ * The stored record. Since version 2 the review log lives in IndexedDB and
+ * the record carries it only where IndexedDB is unavailable, or until a
+ * version 1 deck's log has been moved across.
+ */
+type StoredProgress = Omit<Progress, "log"> & { log?: ReviewLogEntry[] };
+
+/** Where the review log is saved: IndexedDB, or inline in the record. */
+let logStore: "db" | "inline" = "inline";
+/** The log as last written to IndexedDB, so saves only append reviews. */
+let savedLog: ReviewLogEntry[] = [];
+/** Set when the stored deck must not be overwritten; saves fail with it. */
+let blocked: string | null = null;
+/** Saves run one at a time, in order. */
+let saving: Promise<unknown> = Promise.resolve();
+
+/** A readable reason for a failed localStorage or IndexedDB write. */
+function storageError(err: unknown): Error {
+  if (err instanceof DOMException) {
+    if (err.name === "QuotaExceededError") {
+      return new Error("the browser's storage for this site is full");
+    }
+    if (err.name === "SecurityError") {
+      return new Error("this browser isn't letting the site store data");
+    }
+  }
+  return err instanceof Error ? err : new Error(String(err));
+}
+
+/** Snapshot the stored deck; false if no snapshot could be taken. */
+async function backup(data: string, reason: string): Promise<boolean> {
   try {
-    const raw = window.localStorage.getItem(STORAGE_KEY);
-    if (!raw) return emptyProgress();
-    const parsed = JSON.parse(raw) as Progress;
-    if (parsed.version !== 1) return emptyProgress();
-    // Patch missing keys for forward-compat
-    return {
-      version: 1,
-      cards: parsed.cards ?? {},
-      settings: { ...DEFAULT_SETTINGS, ...parsed.settings },
-      stats: { ...DEFAULT_STATS, ...parsed.stats },
-    };
+    await addBackup({ reason, data });
+    return true;
   } catch {
-    return emptyProgress();
+    return false;
   }
 }
 
-export function saveProgress(p: Progress): void {
-  if (typeof window === "undefined") return;
+/**
+ * Load the deck from this browser. A deck saved by an older version is
+ * backed up, migrated (srs-migrations.ts) and saved back; one that can't be
+ * read is backed up and practice starts afresh, with a warning either way
+ * when something needs the learner's attention. Never rejects.
+ */
+export async function loadProgress(): Promise<LoadResult> {
+  if (typeof window === "undefined") {
+    return { progress: emptyProgress(), warning: null };
+  }
+  let raw: string | null;
+  try {
+    raw = window.localStorage.getItem(STORAGE_KEY);
+  } catch (err) {
+    return {
+      progress: emptyProgress(),
+      warning: `Progress can't be saved: ${storageError(err).message}.`,
+    };
+  }
+
+  let stored: StoredProgress | null = null;
+  let from: number = CURRENT_VERSION;
+  let warning: string | null = null;
+  if (raw) {
+    let data: unknown = null;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      // Unreadable; handled below.
+    }
+    const version = savedVersion(data);
+    if (version !== null && version > CURRENT_VERSION) {
+      // Opened in a stale copy of the site: leave the newer deck alone.
+      blocked = `Your deck was saved by a newer version of the site — reload to update`;
+      return {
+        progress: emptyProgress(),
+        warning: `${blocked}. Until then your reviews aren't shown or saved here.`,
+      };
+    }
+    if (version !== null) {
+      const migrated = migrateProgress(data);
+      stored = migrated.deck as unknown as StoredProgress;
+      from = migrated.from;
+    } else {
+      const kept = await backup(raw, "unreadable, replaced by a new deck");
+      warning = kept
+        ? "Your saved deck couldn't be read, so practice starts afresh. The old copy is kept under Settings → Backups."
+        : "Your saved deck couldn't be read, so practice starts afresh.";
+    }
+  }
+  if (stored && from < CURRENT_VERSION) {
+    const kept = await backup(
+      raw ?? "",
+      `before upgrading from version ${from}`,
+    );
+    if (!kept) {
+      warning =
+        "Your deck was upgraded for this version of the site without a backup (this browser has no IndexedDB). Export it from Settings to keep a copy.";
+    }
+  }
+
+  let log = stored?.log ?? [];
   try {
-    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(p));
+    const inDb = await readLog();
+    if (stored?.log) {
+      // A log still in the record moves to IndexedDB, joining any reviews
+      // already there.
+      const seen = new Set(inDb.map((e) => `${e.card}@${e.at}`));
+      log = [...inDb, ...log.filter((e) => !seen.has(`${e.card}@${e.at}`))];
+      log.sort((a, b) => (a.at < b.at ? -1 : a.at > b.at ? 1 : 0));
+      await replaceLog(log);
+    } else {
+      log = inDb;
+    }
+    logStore = "db";
   } catch {
-    // quota or private mode — swallow
+    logStore = "inline";
   }
+  savedLog = logStore === "db" ? log : [];
+
+  const progress: Progress = {
+    version: CURRENT_VERSION,
+    cards: stored?.cards ?? {},
+    // Patch missing keys for forward-compat
+    settings: { ...DEFAULT_SETTINGS, ...stored?.settings },
+    stats: { ...DEFAULT_STATS, ...stored?.stats },
+    log,
+    decks: stored?.decks ?? [],
+  };
+  if (from < CURRENT_VERSION || (stored?.log && logStore === "db")) {
+    await saveProgress(progress).catch((err: unknown) => {
+      warning ??= `Progress can't be saved: ${storageError(err).message}.`;
+    });
+  }
+  return { progress, warning };
+}
+
+/**
+ * Save the deck: new reviews are appended to the log in IndexedDB, then
+ * the rest is written to localStorage. Rejects with a readable reason when
+ * either write fails (storage full, storage turned off); the next save
+ * tries again.
+ */
+export function saveProgress(p: Progress): Promise<void> {
+  if (typeof window === "undefined") return Promise.resolve();
+  const run = saving
+    .catch(() => undefined)
+    .then(async () => {
+      if (blocked) throw new Error(blocked);
+      let record: StoredProgress = p;
+      if (logStore === "db") {
+        const appended =
+          p.log.length >= savedLog.length &&
+          savedLog.every((e, i) => p.log[i] === e);
+        if (appended) await appendLog(p.log.slice(savedLog.length));
+        else await replaceLog(p.log);
+        savedLog = p.log;
+        record = { ...p, log: undefined }; // left out of the JSON
+      }
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+    })
+    .catch((err: unknown) => {
+      throw storageError(err);
+    });
+  saving = run;
+  return run;
+}
+
+/** Start over with an empty deck, keeping a backup of the current one. */
+export async function resetProgress(p: Progress): Promise<void> {
+  await backup(JSON.stringify(p), "before resetting the deck");
+  await saveProgress(emptyProgress());
 }
 
 /** Roll over the per-day counters when the calendar day changes. */
@@ -102,23 +308,60 @@ function rollDailyCounters(stats: Stats, now: Date): Stats {
   const today = todayIso(now);
   let s = stats;
   if (s.reviewsTodayDate !== today) {
-    s = { ...s, reviewsToday: 0, reviewsTodayDate: today };
+    s = {
+      ...s,
+      reviewsToday: 0,
+      reviewsTodayDate: today,
+      deckReviewsToday: {},
+    };
   }
   if (s.newTodayDate !== today) {
-    s = { ...s, newToday: 0, newTodayDate: today };
+    s = { ...s, newToday: 0, newTodayDate: today, deckNewToday: {} };
   }
   return s;
 }
 
+/** The deck being studied, or null for the whole stotra. */
+export function activeDeck(progress: Progress): Deck | null {
+  const id = progress.settings.activeDeck;
+  return progress.decks.find((d) => d.id === id) ?? null;
+}
+
+/**
+ * Daily limits and today's counts so far: the active deck's, or the
+ * settings' for the whole stotra.
+ */
+function dailyBudget(progress: Progress, now: Date) {
+  const stats = rollDailyCounters(progress.stats, now);
+  const deck = activeDeck(progress);
+  if (!deck) {
+    return {
+      maxNew: progress.settings.dailyNew - stats.newToday,
+      maxReviews: progress.settings.dailyMaxReviews - stats.reviewsToday,
+    };
+  }
+  return {
+    maxNew: deck.dailyNew - (stats.deckNewToday[deck.id] ?? 0),
+    maxReviews:
+      deck.dailyMaxReviews - (stats.deckReviewsToday[deck.id] ?? 0),
+  };
+}
+
 /**
  * Build today's review queue: due cards first (in due-order), then up to
- * `dailyNew` brand-new cards drawn in nāma order so order is preserved.
+ * `dailyNew` brand-new cards drawn in stotra order so order is preserved.
+ * `verses` describes each verse, for the verse modes; cards a verse can't
+ * be asked in are left out. With a deck active, pass its `members`: only
+ * its cards are queued, within its own limits.
  */
 export function buildQueue(
   progress: Progress,
+  verses: VerseShape[],
   now: Date = new Date(),
+  members: DeckMembers | null = null,
 ): Card[] {
   const { settings, cards } = progress;
+  const budget = dailyBudget(progress, now);
   const dueCards: Card[] = [];
   const knownKeys = new Set<string>();
 
@@ -126,6 +369,8 @@ export function buildQueue(
     const c = cards[key as CardKey];
     if (!c) continue;
     knownKeys.add(key);
+    if (members && !inDeck(c, members)) continue;
+    if (!isValidPrompt(c.mode, c.nama, verses)) continue;
     if (settings.modes.includes(c.mode) && isDue(c, now)) {
       dueCards.push(c);
     }
@@ -137,42 +382,53 @@ export function buildQueue(
     return a.nama - b.nama;
   });
 
-  // Build new-card candidates in nāma order (1..1000) for each enabled mode.
+  // Build new-card candidates in stotra order for each enabled mode.
   // Interleave modes so the user sees variety, but PRIORITIZE order: nāma 1
-  // before nāma 2 across all modes.
-  const newCandidates: Card[] = [];
-  const maxNew = Math.max(
-    0,
-    settings.dailyNew - progress.stats.newToday,
-  );
-  outer: for (let n = 1; n <= 1000; n++) {
-    for (const mode of settings.modes) {
-      if (!isValidNama(mode, n)) continue;
-      const key = cardKey(mode, n);
-      if (knownKeys.has(key)) continue;
-      newCandidates.push(createCard(mode, n, now));
-      if (newCandidates.length >= maxNew) break outer;
+  // before nāma 2 across all modes, and a verse's cards alongside its
+  // nāmas — candidates are merged by how far through the stotra they fall.
+  const maxNew = Math.max(0, budget.maxNew);
+  const fresh: { card: Card; at: number }[] = [];
+  for (const mode of settings.modes) {
+    const total = promptCount(mode, verses);
+    let taken = 0;
+    for (let n = 1; n <= total && taken < maxNew; n++) {
+      if (!isValidPrompt(mode, n, verses)) continue;
+      if (knownKeys.has(cardKey(mode, n))) continue;
+      if (members && !inDeck({ mode, nama: n }, members)) continue;
+      fresh.push({ card: createCard(mode, n, now), at: (n - 1) / total });
+      taken++;
     }
   }
+  // Stable sort: ties keep the order of settings.modes.
+  fresh.sort((a, b) => a.at - b.at);
+  const newCandidates = fresh.slice(0, maxNew).map((f) => f.card);
 
-  const remainingCap = Math.max(
-    0,
-    settings.dailyMaxReviews - progress.stats.reviewsToday,
-  );
+  const remainingCap = Math.max(0, budget.maxReviews);
 
   // Cap total session size at remaining daily cap.
   const queue = [...dueCards, ...newCandidates];
   return queue.slice(0, remainingCap);
 }
 
-/** Apply a review and persist it. Returns the updated progress. */
+/** The scheduler the settings select. */
+export function schedulerFor(settings: Settings): Scheduler {
+  return settings.scheduler === "fsrs"
+    ? createFsrs(settings.desiredRetention)
+    : sm2;
+}
+
+/**
+ * Apply a review and record it in the log. Returns the updated progress.
+ * `durationMs` is how long the card was on screen before the rating.
+ */
 export function applyReview(
   progress: Progress,
   card: Card,
   quality: Quality,
   now: Date = new Date(),
+  durationMs?: number,
 ): Progress {
-  const reviewed = review(card, quality, now);
+  const reviewed = review(card, quality, now, schedulerFor(progress.settings));
   const key = cardKey(card.mode, card.nama);
   const wasNew = isNew(card);
   const wasLapse = quality < 3;
@@ -186,6 +442,19 @@ export function applyReview(
     newToday: stats.newToday + (wasNew ? 1 : 0),
     lastSessionDate: todayIso(now),
   };
+  const deck = activeDeck(progress);
+  if (deck) {
+    stats.deckReviewsToday = {
+      ...stats.deckReviewsToday,
+      [deck.id]: (stats.deckReviewsToday[deck.id] ?? 0) + 1,
+    };
+    if (wasNew) {
+      stats.deckNewToday = {
+        ...stats.deckNewToday,
+        [deck.id]: (stats.deckNewToday[deck.id] ?? 0) + 1,
+      };
+    }
+  }
 
   // Streak: if the previous session date is exactly yesterday, increment;
   // if it's today, keep; otherwise reset to 1.
@@ -198,15 +467,30 @@ export function applyReview(
       prev === todayIso(yesterday) ? progress.stats.streakDays + 1 : 1;
   }
 
+  const entry: ReviewLogEntry = {
+    card: key,
+    quality,
+    at: now.toISOString(),
+    elapsedDays: card.lastReview ? daysBetween(card.lastReview, today) : 0,
+    intervalBefore: card.interval,
+    intervalAfter: reviewed.interval,
+  };
+  if (durationMs !== undefined) entry.durationMs = Math.round(durationMs);
+
   return {
     ...progress,
     stats,
     cards: { ...progress.cards, [key]: reviewed },
+    log: [...progress.log, entry],
   };
 }
 
-/** Summary numbers for the dashboard. */
-export function counts(progress: Progress, now: Date = new Date()) {
+/** Summary numbers for the dashboard, for the active deck's `members`. */
+export function counts(
+  progress: Progress,
+  now: Date = new Date(),
+  members: DeckMembers | null = null,
+) {
   let due = 0;
   let learning = 0;
   let mature = 0;
@@ -214,6 +498,7 @@ export function counts(progress: Progress, now: Date = new Date()) {
     const c = progress.cards[key as CardKey];
     if (!c) continue;
     if (!progress.settings.modes.includes(c.mode)) continue;
+    if (members && !inDeck(c, members)) continue;
     if (isDue(c, now)) due++;
     if (c.reps > 0 && c.interval < 21) learning++;
     if (c.interval >= 21) mature++;
@@ -0,0 +1,306 @@
+/**
+ * Moving a practice deck between browsers: validating an imported or
+ * synced `Progress`, and merging two copies of the same deck.
+ *
+ * Merging is per card — whichever copy reviewed the card last wins — and
+ * the review logs are unioned, so reviews done on a phone and a laptop
+ * since their last sync all survive. Decks are unioned by id. Settings are
+ * per device and stay as they are locally.
+ */
+
+import { z } from "zod";
+import type { Deck } from "./decks";
+import { type Card, type CardKey, type Mode, ALL_MODES, cardKey } from "./srs";
+import { CURRENT_VERSION, migrateProgress } from "./srs-migrations";
+import {
+  type Progress,
+  type ReviewLogEntry,
+  type Stats,
+  emptyProgress,
+} from "./srs-storage";
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, "expected YYYY-MM-DD");
+const count = z.number().int().nonnegative();
+const mode = z.enum(ALL_MODES as [Mode, ...Mode[]]);
+const quality = z.union([
+  z.literal(0),
+  z.literal(3),
+  z.literal(4),
+  z.literal(5),
+]);
+
+const cardSchema = z.object({
+  mode,
+  nama: z.number().int().positive(),
+  ef: z.number().min(1.3),
+  interval: count,
+  reps: count,
+  lapses: count,
+  due: isoDate,
+  lastReview: isoDate.optional(),
+  stability: z.number().positive().optional(),
+  difficulty: z.number().min(1).max(10).optional(),
+});
+
+const logEntrySchema = z.object({
+  card: z.string().regex(/^[A-Za-z]+:\d+$/, "expected mode:number"),
+  quality,
+  at: z.string().datetime(),
+  elapsedDays: count,
+  durationMs: count.optional(),
+  intervalBefore: count,
+  intervalAfter: count,
+});
+
+const deckSchema = z.object({
+  id: z.string().min(1),
+  name: z.string(),
+  scope: z.discriminatedUnion("kind", [
+    z.object({ kind: z.literal("chapter"), chapter: count }),
+    z.object({
+      kind: z.literal("range"),
+      from: z.number().int().positive(),
+      to: z.number().int().positive(),
+    }),
+    z.object({ kind: z.literal("root"), root: z.string().min(1) }),
+    z.object({
+      kind: z.literal("list"),
+      namas: z.array(z.number().int().positive()),
+    }),
+  ]),
+  dailyNew: count,
+  dailyMaxReviews: count,
+});
+
+// Checked after migrating to the current version. Settings and stats fill
+// in from the defaults, as loadProgress does.
+const progressSchema = z.object({
+  version: z.literal(CURRENT_VERSION),
+  cards: z.record(cardSchema),
+  settings: z
+    .object({
+      modes: z.array(mode),
+      dailyNew: count,
+      dailyMaxReviews: count,
+      multipleChoice: z.boolean(),
+      scheduler: z.enum(["sm2", "fsrs"]),
+      desiredRetention: z.number().min(0.7).max(0.97),
+      syncDeck: z.string().nullable(),
+      activeDeck: z.string().nullable(),
+    })
+    .partial()
+    .optional(),
+  stats: z
+    .object({
+      totalReviews: count,
+      totalLapses: count,
+      streakDays: count,
+      lastSessionDate: isoDate,
+      reviewsToday: count,
+      reviewsTodayDate: isoDate,
+      newToday: count,
+      newTodayDate: isoDate,
+      deckReviewsToday: z.record(count),
+      deckNewToday: z.record(count),
+    })
+    .partial()
+    .optional(),
+  log: z.array(logEntrySchema).optional(),
+  decks: z.array(deckSchema).optional(),
+});
+
+/**
+ * Check that `data` is a practice deck and return it as `Progress`,
+ * migrated if an older version of the site saved it (backups and old
+ * exports). Throws an Error naming the first problem found.
+ */
+export function parseProgress(data: unknown): Progress {
+  const result = progressSchema.safeParse(migrateProgress(data).deck);
+  if (!result.success) {
+    const issue = result.error.issues[0];
+    const where = issue?.path.length ? issue.path.join(".") : "file";
+    throw new Error(`Not a practice deck — ${where}: ${issue?.message}`);
+  }
+  const parsed = result.data;
+
+  const cards: Partial<Record<CardKey, Card>> = {};
+  for (const [key, card] of Object.entries(parsed.cards)) {
+    if (key !== cardKey(card.mode, card.nama)) {
+      throw new Error(
+        `Not a practice deck — card "${key}" is filed under the wrong key`,
+      );
+    }
+    cards[key] = card;
+  }
+
+  const empty = emptyProgress();
+  return {
+    version: CURRENT_VERSION,
+    cards,
+    settings: { ...empty.settings, ...parsed.settings },
+    stats: { ...empty.stats, ...parsed.stats },
+    log: (parsed.log ?? []) as ReviewLogEntry[],
+    decks: parsed.decks ?? [],
+  };
+}
+
+/** When each card was last reviewed according to a log. */
+function lastReviewed(log: ReviewLogEntry[]): Map<string, string> {
+  const last = new Map<string, string>();
+  for (const e of log) {
+    const seen = last.get(e.card);
+    if (!seen || e.at > seen) last.set(e.card, e.at);
+  }
+  return last;
+}
+
+/**
+ * The copy of a card reviewed more recently: by review date, then by the
+ * logs' timestamps for same-day reviews. A tie keeps `a`.
+ */
+function newer(
+  a: Card,
+  b: Card,
+  aLast: string | undefined,
+  bLast: string | undefined,
+): Card {
+  const aDay = a.lastReview ?? "";
+  const bDay = b.lastReview ?? "";
+  if (aDay !== bDay) return bDay > aDay ? b : a;
+  return (bLast ?? "") > (aLast ?? "") ? b : a;
+}
+
+/** Both logs, each review once, oldest first. */
+function unionLogs(a: ReviewLogEntry[], b: ReviewLogEntry[]): ReviewLogEntry[] {
+  const byId = new Map<string, ReviewLogEntry>();
+  for (const e of [...a, ...b]) byId.set(`${e.card}@${e.at}`, e);
+  return [...byId.values()].sort((x, y) =>
+    x.at < y.at ? -1 : x.at > y.at ? 1 : 0,
+  );
+}
+
+/**
+ * Counters from either copy. Totals can't be summed (both copies count
+ * reviews from before they diverged), so they're the larger of the two and
+ * of what the merged log shows; the streak and daily counters follow the
+ * copy that practised last.
+ */
+function mergeStats(a: Stats, b: Stats, log: ReviewLogEntry[]): Stats {
+  const later = (b.lastSessionDate ?? "") > (a.lastSessionDate ?? "") ? b : a;
+  const daily = (
+    date: "reviewsTodayDate" | "newTodayDate",
+    n: "reviewsToday" | "newToday",
+  ) =>
+    a[date] === b[date]
+      ? Math.max(a[n], b[n])
+      : a[date] > b[date]
+        ? a[n]
+        : b[n];
+  const perDeck = (
+    date: "reviewsTodayDate" | "newTodayDate",
+    n: "deckReviewsToday" | "deckNewToday",
+  ) => {
+    if (a[date] !== b[date]) return a[date] > b[date] ? a[n] : b[n];
+    const merged = { ...a[n] };
+    for (const [id, v] of Object.entries(b[n])) {
+      merged[id] = Math.max(merged[id] ?? 0, v);
+    }
+    return merged;
+  };
+  return {
+    ...later,
+    totalReviews: Math.max(a.totalReviews, b.totalReviews, log.length),
+    totalLapses: Math.max(
+      a.totalLapses,
+      b.totalLapses,
+      log.filter((e) => e.quality < 3).length,
+    ),
+    streakDays:
+      a.lastSessionDate === b.lastSessionDate
+        ? Math.max(a.streakDays, b.streakDays)
+        : later.streakDays,
+    reviewsToday: daily("reviewsTodayDate", "reviewsToday"),
+    reviewsTodayDate:
+      a.reviewsTodayDate > b.reviewsTodayDate
+        ? a.reviewsTodayDate
+        : b.reviewsTodayDate,
+    newToday: daily("newTodayDate", "newToday"),
+    newTodayDate:
+      a.newTodayDate > b.newTodayDate ? a.newTodayDate : b.newTodayDate,
+    deckReviewsToday: perDeck("reviewsTodayDate", "deckReviewsToday"),
+    deckNewToday: perDeck("newTodayDate", "deckNewToday"),
+  };
+}
+
+/**
+ * Decks from both copies, `local`'s first. A deck both have keeps its
+ * local form. (A deck deleted on one device returns from the other's copy
+ * until it is deleted there too.)
+ */
+function unionDecks(a: Deck[], b: Deck[]): Deck[] {
+  const ids = new Set(a.map((d) => d.id));
+  return [...a, ...b.filter((d) => !ids.has(d.id))];
+}
+
+/**
+ * Merge `incoming` (an import, or the synced copy) into `local`: per card
+ * the newest review wins, logs and decks are unioned and `local`'s
+ * settings are kept.
+ */
+export function mergeProgress(local: Progress, incoming: Progress): Progress {
+  const localLast = lastReviewed(local.log);
+  const incomingLast = lastReviewed(incoming.log);
+
+  const cards = { ...local.cards };
+  for (const key of Object.keys(incoming.cards) as CardKey[]) {
+    const theirs = incoming.cards[key];
+    if (!theirs) continue;
+    const ours = cards[key];
+    cards[key] = ours
+      ? newer(ours, theirs, localLast.get(key), incomingLast.get(key))
+      : theirs;
+  }
+
+  const log = unionLogs(local.log, incoming.log);
+  return {
+    version: CURRENT_VERSION,
+    cards,
+    settings: local.settings,
+    stats: mergeStats(local.stats, incoming.stats, log),
+    log,
+    decks: unionDecks(local.decks, incoming.decks),
+  };
+}
+
+/** A fresh random sync code, to share between a learner's devices. */
+export function newSyncDeck(): string {
+  return crypto.randomUUID();
+}
+
+/** Sync codes the server accepts: letters, digits and dashes. */
+export const SYNC_DECK_PATTERN = /^[A-Za-z0-9-]{8,64}$/;
+
+/**
+ * Send `progress` to the sync server under `deck` and return the server's
+ * copy, which has every device's reviews merged in. Throws on a network or
+ * server error.
+ */
+export async function syncProgress(
+  progress: Progress,
+  deck: string,
+): Promise<Progress> {
+  const res = await fetch(`/api/sync/${encodeURIComponent(deck)}`, {
+    method: "PUT",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(progress),
+  });
+  const body = (await res.json().catch(() => null)) as unknown;
+  if (!res.ok) {
+    const message =
+      body && typeof body === "object" && "error" in body
+        ? String(body.error)
+        : `HTTP ${res.status}`;
+    throw new Error(`Sync failed: ${message}`);
+  }
+  return parseProgress(body);
+}
@@ -1,5 +1,7 @@
 /**
- * SM-2 spaced repetition scheduler (Anki's classic algorithm).
+ * Spaced repetition scheduling: SM-2 (Anki's classic algorithm) by default,
+ * or FSRS (see fsrs.ts), chosen in settings. Both sit behind `Scheduler`
+ * and share the `Card` shape, so switching keeps every card's progress.
  *
  * Quality scale (Anki-style, mapped from the four buttons we show):
  *   0  = Again (forgot; lapse — reset interval, drop ease)
@@ -11,25 +13,80 @@
  * Cepeda 2008 (distributed practice). SM-2 codifies the spacing function.
  */
 
-export type Mode = "numberToNama" | "namaToMeaning" | "previousToNext";
+import {
+  DEFAULT_RETENTION,
+  initialState,
+  intervalFor,
+  nextState,
+  stateFromSm2,
+} from "./fsrs";
+
+export type Mode =
+  | "numberToNama"
+  | "namaToMeaning"
+  | "meaningToNama"
+  | "previousToNext"
+  | "typedRecall"
+  | "verseRecite"
+  | "halfVerse"
+  | "verseCloze";
 
 export const ALL_MODES: Mode[] = [
   "numberToNama",
   "namaToMeaning",
+  "meaningToNama",
   "previousToNext",
+  "typedRecall",
+  "verseRecite",
+  "halfVerse",
+  "verseCloze",
 ];
 
 export const MODE_LABELS: Record<Mode, string> = {
   numberToNama: "Number → Nāma",
   namaToMeaning: "Nāma → Meaning",
+  meaningToNama: "Meaning → Nāma",
   previousToNext: "Previous → Next",
+  typedRecall: "Type the Nāma",
+  verseRecite: "Verse → Recite",
+  halfVerse: "First half → Second half",
+  verseCloze: "Verse cloze",
 };
 
+/**
+ * Modes that can be asked as multiple choice instead. Typed recall is
+ * already graded from the answer itself.
+ */
+export function hasChoiceVariant(mode: Mode): boolean {
+  return mode !== "typedRecall";
+}
+
+/** Modes with one card per verse rather than per nāma. */
+export function isVerseMode(mode: Mode): boolean {
+  return mode === "verseRecite" || mode === "halfVerse" || mode === "verseCloze";
+}
+
+/** Modes graded from what the learner types rather than self-rated. */
+export function isAutoGraded(mode: Mode): boolean {
+  return mode === "typedRecall";
+}
+
 export type Quality = 0 | 3 | 4 | 5;
 
+/**
+ * Quality for a multiple-choice answer. Picking the name out of a line-up
+ * is recognition, not recall, so a right pick is Good rather than Easy.
+ */
+export function choiceQuality(correct: boolean): Quality {
+  return correct ? 4 : 0;
+}
+
 export type Card = {
   mode: Mode;
-  /** nāma number (1..1000) that the PROMPT references. */
+  /**
+   * Number the PROMPT references: a nāma (1..1000), or for verse modes a
+   * verse (1..number of verses).
+   */
   nama: number;
   /** Ease factor (Anki default 2.5; floor 1.3). */
   ef: number;
@@ -43,6 +100,12 @@ export type Card = {
   due: string;
   /** ISO date string of last review, if any. */
   lastReview?: string;
+  /**
+   * FSRS memory state. Set by FSRS reviews only; a card without it is
+   * migrated from ef / interval the first time FSRS schedules it.
+   */
+  stability?: number;
+  difficulty?: number;
 };
 
 export type CardKey = `${Mode}:${number}`;
@@ -77,14 +140,40 @@ export function createCard(mode: Mode, nama: number, now: Date = new Date()): Ca
   };
 }
 
-/** Apply a single review with the given quality rating. Returns a new Card. */
-export function review(card: Card, quality: Quality, now: Date = new Date()): Card {
+export type SchedulerId = "sm2" | "fsrs";
+
+export const SCHEDULER_LABELS: Record<SchedulerId, string> = {
+  sm2: "SM-2",
+  fsrs: "FSRS",
+};
+
+/** Turns a review into the card's next interval and due date. */
+export type Scheduler = {
+  id: SchedulerId;
+  /** Apply a single review with the given quality rating. Returns a new Card. */
+  review: (card: Card, quality: Quality, now: Date) => Card;
+};
+
+/** Whole days from one ISO date to another. */
+export function daysBetween(from: string, to: string): number {
+  const ms =
+    new Date(to + "T00:00:00").getTime() - new Date(from + "T00:00:00").getTime();
+  return Math.max(0, Math.round(ms / 86_400_000));
+}
+
+/** SM-2. */
+export const sm2: Scheduler = { id: "sm2", review: reviewSm2 };
+
+function reviewSm2(card: Card, quality: Quality, now: Date): Card {
   const today = todayIso(now);
+  // SM-2 doesn't keep the FSRS memory up to date; clear it so a later
+  // switch to FSRS migrates afresh from this review's ef / interval.
+  const base: Card = { ...card, stability: undefined, difficulty: undefined };
 
   if (quality < 3) {
     // Lapse: reset to short re-learning interval, drop ease.
     return {
-      ...card,
+      ...base,
       reps: 0,
       interval: 1,
       lapses: card.lapses + 1,
@@ -112,7 +201,7 @@ export function review(card: Card, quality: Quality, now: Date = new Date()): Ca
   }
 
   return {
-    ...card,
+    ...base,
     reps,
     interval: newInterval,
     ef: newEf,
@@ -121,6 +210,79 @@ export function review(card: Card, quality: Quality, now: Date = new Date()): Ca
   };
 }
 
+/** FSRS ratings for our qualities: Again, Hard, Good, Easy. */
+const FSRS_RATING = { 0: 1, 3: 2, 4: 3, 5: 4 } as const;
+
+/** Longest interval FSRS will schedule, in days. */
+const MAX_INTERVAL = 36500;
+
+/**
+ * The card's FSRS memory: its own, or migrated from its SM-2 ease and
+ * interval. Null for a card never reviewed.
+ */
+export function fsrsMemory(
+  card: Card,
+): { stability: number; difficulty: number } | null {
+  if (card.stability !== undefined && card.difficulty !== undefined) {
+    return { stability: card.stability, difficulty: card.difficulty };
+  }
+  if (isNew(card)) return null;
+  return stateFromSm2(card.ef, card.interval);
+}
+
+/**
+ * FSRS, scheduling each card for when its recall probability falls to
+ * `desiredRetention` (0.9 = remember 90% of cards when they come due).
+ * `reps` / `lapses` keep their SM-2 meaning so counts stay comparable, and
+ * `ef` is left as it was for a switch back to SM-2.
+ */
+export function createFsrs(
+  desiredRetention: number = DEFAULT_RETENTION,
+): Scheduler {
+  return {
+    id: "fsrs",
+    review(card, quality, now) {
+      const today = todayIso(now);
+      const rating = FSRS_RATING[quality];
+      const memory = fsrsMemory(card);
+      const elapsed = card.lastReview
+        ? daysBetween(card.lastReview, today)
+        : card.interval;
+      const { stability, difficulty } = memory
+        ? nextState(memory, rating, elapsed)
+        : initialState(rating);
+      const interval = Math.min(
+        MAX_INTERVAL,
+        Math.max(1, Math.round(intervalFor(stability, desiredRetention))),
+      );
+      const lapse = quality < 3;
+      return {
+        ...card,
+        reps: lapse ? 0 : card.reps + 1,
+        lapses: card.lapses + (lapse ? 1 : 0),
+        interval,
+        stability,
+        difficulty,
+        due: addDays(today, interval),
+        lastReview: today,
+      };
+    },
+  };
+}
+
+/**
+ * Apply a single review with the given quality rating. Returns a new Card.
+ * Scheduled by SM-2 unless another scheduler is given.
+ */
+export function review(
+  card: Card,
+  quality: Quality,
+  now: Date = new Date(),
+  scheduler: Scheduler = sm2,
+): Card {
+  return scheduler.review(card, quality, now);
+}
+
 export function isDue(card: Card, now: Date = new Date()): boolean {
   return card.due <= todayIso(now);
 }
@@ -129,8 +291,37 @@ export function isNew(card: Card): boolean {
   return card.reps === 0 && card.lapses === 0;
 }
 
-/** Whether this nāma is a valid prompt for the given mode. */
-export function isValidNama(mode: Mode, nama: number): boolean {
-  if (mode === "previousToNext") return nama >= 1 && nama <= 999;
-  return nama >= 1 && nama <= 1000;
+/** The nāma a nāma-drill card tests: its own, or the next one. */
+export function askedNama(card: Pick<Card, "mode" | "nama">): number {
+  return card.mode === "previousToNext" ? card.nama + 1 : card.nama;
+}
+
+/** What the verse modes need to know of each verse. */
+export type VerseShape = {
+  /** Lines in the verse. */
+  lines: number;
+  /** Distinct nāmas the verse carries. */
+  namas: number;
+};
+
+/** Prompts a mode draws from: nāmas 1..1000, or the verses. */
+export function promptCount(mode: Mode, verses: VerseShape[]): number {
+  return isVerseMode(mode) ? verses.length : 1000;
+}
+
+/**
+ * Whether nāma / verse `n` is a valid prompt for the given mode.
+ * `verses` describes each verse in order (index + 1 = verse number); a
+ * verse needs its second half to be asked for it, and a nāma to blank out
+ * for a cloze.
+ */
+export function isValidPrompt(
+  mode: Mode,
+  n: number,
+  verses: VerseShape[],
+): boolean {
+  if (mode === "previousToNext") return n >= 1 && n <= 999;
+  if (mode === "halfVerse") return (verses[n - 1]?.lines ?? 0) >= 2;
+  if (mode === "verseCloze") return (verses[n - 1]?.namas ?? 0) > 0;
+  return n >= 1 && n <= promptCount(mode, verses);
 }
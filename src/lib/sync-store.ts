@@ -0,0 +1,79 @@
+/**
+ * The sync server's store: one JSON file per synced deck, named by its
+ * sync code, under SYNC_DIR (default .data/sync, gitignored). Enough for a
+ * self-hosted server shared by a handful of devices.
+ *
+ * Server-only — reads and writes deck files on disk.
+ */
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { env } from "@/env";
+import { type Progress } from "./srs-storage";
+import { mergeProgress, parseProgress } from "./srs-sync";
+
+function syncDir(): string {
+  return env.SYNC_DIR ?? path.join(process.cwd(), ".data/sync");
+}
+
+function deckPath(deck: string): string {
+  return path.join(syncDir(), `${deck}.json`);
+}
+
+/**
+ * The stored copy of a deck, or null if nothing has been synced to it. A
+ * file that no longer parses (a truncated write, a hand edit) is moved
+ * aside as `<code>.json.corrupt-<time>` and the deck read as empty, so the
+ * next device to sync starts it again from its own copy instead of every
+ * sync failing.
+ */
+export async function readDeck(deck: string): Promise<Progress | null> {
+  const file = deckPath(deck);
+  let raw: string;
+  try {
+    raw = await fs.readFile(file, "utf-8");
+  } catch (err) {
+    if ((err as NodeJS.ErrnoException).code === "ENOENT") return null;
+    throw err;
+  }
+  try {
+    return parseProgress(JSON.parse(raw));
+  } catch (err) {
+    const aside = `${file}.corrupt-${Date.now()}`;
+    // A concurrent read may have moved it already.
+    await fs.rename(file, aside).catch(() => undefined);
+    const message = err instanceof Error ? err.message : String(err);
+    console.warn(
+      `Sync deck ${deck} unreadable (${message}); moved to ${aside}`,
+    );
+    return null;
+  }
+}
+
+// Merges into the same deck run one after another, so two devices syncing
+// at once can't overwrite each other's reviews.
+const pending = new Map<string, Promise<unknown>>();
+
+/**
+ * Merge a device's copy into the stored deck and save the result, which is
+ * returned. The file is replaced atomically.
+ */
+export function mergeDeck(deck: string, incoming: Progress): Promise<Progress> {
+  const run = (pending.get(deck) ?? Promise.resolve())
+    .catch(() => undefined)
+    .then(async () => {
+      const stored = await readDeck(deck);
+      const merged = stored ? mergeProgress(stored, incoming) : incoming;
+      const file = deckPath(deck);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(merged));
+      await fs.rename(tmp, file);
+      return merged;
+    });
+  pending.set(deck, run);
+  void run.finally(() => {
+    if (pending.get(deck) === run) pending.delete(deck);
+  });
+  return run;
+}
@@ -0,0 +1,541 @@
+/**
+ * Devanagari → Roman transliteration: the IAST the pipeline writes into
+ * the name pages and the root index, and the scripts the app's script
+ * selector offers.
+ *
+ * Supported output schemes:
+ *   - `iast`   — International Alphabet of Sanskrit Transliteration (default)
+ *   - `hk`     — Harvard-Kyoto (ASCII, case-sensitive)
+ *   - `itrans` — ITRANS 5.3 (ASCII)
+ *
+ * Handles the inherent vowel, virāma, anusvāra, candrabindu, visarga,
+ * avagraha, conjuncts (क्ष → kṣa, ज्ञ → jña fall out of the virāma rule),
+ * nukta consonants (precomposed or base + ़) and the Vedic svara marks.
+ *
+ * `toScript` additionally renders Devanagari in the regional Brahmic scripts
+ * offered by the script selector (Telugu, Kannada, Malayalam, Bengali and
+ * Tamil with Grantha letters), and `fromIAST` reads typed IAST back into
+ * Devanagari.
+ */
+
+/** @typedef {"iast" | "hk" | "itrans"} RomanScheme */
+
+/**
+ * @typedef {object} TransliterateOptions
+ * @property {"strip" | "keep"} [accents] What to do with Vedic svara marks
+ *   (॑ and ॒). `strip` (default) drops them; `keep` emits the scheme's accent
+ *   notation — combining marks in IAST, `\'` / `\_` in ITRANS. Harvard-Kyoto
+ *   has no accent notation, so they are always dropped there.
+ */
+
+/** @type {RomanScheme[]} */
+export const ROMAN_SCHEMES = ["iast", "hk", "itrans"];
+
+/**
+ * Per-character tables, one column per scheme: [iast, hk, itrans].
+ * @typedef {[string, string, string]} Row
+ */
+
+/** @type {Record<string, Row>} */
+const CONSONANTS = {
+  "क": ["k", "k", "k"],
+  "ख": ["kh", "kh", "kh"],
+  "ग": ["g", "g", "g"],
+  "घ": ["gh", "gh", "gh"],
+  "ङ": ["ṅ", "G", "~N"],
+  "च": ["c", "c", "ch"],
+  "छ": ["ch", "ch", "Ch"],
+  "ज": ["j", "j", "j"],
+  "झ": ["jh", "jh", "jh"],
+  "ञ": ["ñ", "J", "~n"],
+  "ट": ["ṭ", "T", "T"],
+  "ठ": ["ṭh", "Th", "Th"],
+  "ड": ["ḍ", "D", "D"],
+  "ढ": ["ḍh", "Dh", "Dh"],
+  "ण": ["ṇ", "N", "N"],
+  "त": ["t", "t", "t"],
+  "थ": ["th", "th", "th"],
+  "द": ["d", "d", "d"],
+  "ध": ["dh", "dh", "dh"],
+  "न": ["n", "n", "n"],
+  "प": ["p", "p", "p"],
+  "फ": ["ph", "ph", "ph"],
+  "ब": ["b", "b", "b"],
+  "भ": ["bh", "bh", "bh"],
+  "म": ["m", "m", "m"],
+  "य": ["y", "y", "y"],
+  "र": ["r", "r", "r"],
+  "ल": ["l", "l", "l"],
+  "ळ": ["ḷ", "L", "L"],
+  "व": ["v", "v", "v"],
+  "श": ["ś", "z", "sh"],
+  "ष": ["ṣ", "S", "Sh"],
+  "स": ["s", "s", "s"],
+  "ह": ["h", "h", "h"],
+};
+
+/**
+ * Consonant + nukta (़). Harvard-Kyoto has no nukta letters; we borrow the
+ * ITRANS spellings there so the information isn't silently lost.
+ * @type {Record<string, Row>}
+ */
+const NUKTA_CONSONANTS = {
+  "क": ["q", "q", "q"],
+  "ख": ["k\u035fh", "K", "K"],
+  "ग": ["ġ", "G", "G"],
+  "ज": ["z", "z", "z"],
+  "ड": ["ṛ", ".D", ".D"],
+  "ढ": ["ṛh", ".Dh", ".Dh"],
+  "फ": ["f", "f", "f"],
+  "य": ["ẏ", "Y", "Y"],
+};
+
+/** @type {Record<string, Row>} */
+const INDEPENDENT_VOWELS = {
+  "अ": ["a", "a", "a"],
+  "आ": ["ā", "A", "A"],
+  "इ": ["i", "i", "i"],
+  "ई": ["ī", "I", "I"],
+  "उ": ["u", "u", "u"],
+  "ऊ": ["ū", "U", "U"],
+  "ऋ": ["ṛ", "R", "RRi"],
+  "ॠ": ["ṝ", "RR", "RRI"],
+  "ऌ": ["ḷ", "lR", "LLi"],
+  "ॡ": ["ḹ", "lRR", "LLI"],
+  "ए": ["e", "e", "e"],
+  "ऐ": ["ai", "ai", "ai"],
+  "ओ": ["o", "o", "o"],
+  "औ": ["au", "au", "au"],
+};
+
+/** Dependent vowel signs (mātrās). @type {Record<string, Row>} */
+const VOWEL_SIGNS = {
+  "ा": ["ā", "A", "A"],
+  "ि": ["i", "i", "i"],
+  "ी": ["ī", "I", "I"],
+  "ु": ["u", "u", "u"],
+  "ू": ["ū", "U", "U"],
+  "ृ": ["ṛ", "R", "RRi"],
+  "ॄ": ["ṝ", "RR", "RRI"],
+  "ॢ": ["ḷ", "lR", "LLi"],
+  "ॣ": ["ḹ", "lRR", "LLI"],
+  "े": ["e", "e", "e"],
+  "ै": ["ai", "ai", "ai"],
+  "ो": ["o", "o", "o"],
+  "ौ": ["au", "au", "au"],
+};
+
+/** @type {Record<string, Row>} */
+const MARKS = {
+  "ं": ["ṃ", "M", "M"],
+  "ँ": ["m\u0310", "~", ".N"],
+  "ः": ["ḥ", "H", "H"],
+  "ऽ": ["'", "'", ".a"],
+  "ॐ": ["oṃ", "OM", "OM"],
+  "।": ["|", "|", "|"],
+  "॥": ["||", "||", "||"],
+};
+
+/** Vedic svara marks → [iast, hk, itrans] when `accents: "keep"`. @type {Record<string, Row>} */
+const ACCENTS = {
+  "॑": ["\u0301", "", "\\'"],
+  "॒": ["\u0331", "", "\\_"],
+};
+
+const VIRAMA = "्";
+const NUKTA = "़";
+const DIGIT_ZERO = 0x0966;
+
+/** @param {RomanScheme} scheme */
+function column(scheme) {
+  return scheme === "hk" ? 1 : scheme === "itrans" ? 2 : 0;
+}
+
+/**
+ * @param {string} ch
+ * @returns {boolean}
+ */
+function isAccent(ch) {
+  return ch === "॑" || ch === "॒" || /[\u1cd0-\u1cff\ua8e0-\ua8f1]/.test(ch);
+}
+
+/**
+ * Zero-width (non-)joiner.
+ * @param {string} ch
+ * @returns {boolean}
+ */
+function isJoiner(ch) {
+  return ch === "\u200c" || ch === "\u200d";
+}
+
+/**
+ * Transliterate Devanagari text into a Roman scheme. Anything that isn't
+ * Devanagari (Latin, punctuation, whitespace, hyphens) passes through as-is.
+ * @param {string} text
+ * @param {RomanScheme} [scheme]
+ * @param {TransliterateOptions} [options]
+ * @returns {string}
+ */
+export function transliterate(text, scheme = "iast", options = {}) {
+  const col = column(scheme);
+  const keepAccents = options.accents === "keep";
+  // NFD splits precomposed nukta letters (क़ → क + ़) so one code path
+  // handles both spellings.
+  const chars = Array.from(text.normalize("NFD"));
+  let out = "";
+
+  /** @param {string} ch */
+  const accent = (ch) => (keepAccents ? (ACCENTS[ch]?.[col] ?? "") : "");
+
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i] ?? "";
+
+    const consonant = CONSONANTS[ch];
+    if (consonant) {
+      let roman = consonant[col];
+      let j = i + 1;
+      if (chars[j] === NUKTA) {
+        roman = NUKTA_CONSONANTS[ch]?.[col] ?? roman;
+        j++;
+      }
+      // Svara marks sit on the syllable; collect them so they land after
+      // the vowel rather than between consonant and vowel. A joiner there
+      // (श‍ृ) only shapes the glyph.
+      let pendingAccent = "";
+      while (
+        j < chars.length &&
+        (isAccent(chars[j] ?? "") || isJoiner(chars[j] ?? ""))
+      ) {
+        pendingAccent += accent(chars[j] ?? "");
+        j++;
+      }
+      const next = chars[j] ?? "";
+      if (next === VIRAMA) {
+        out += roman + pendingAccent;
+        i = j;
+        continue;
+      }
+      const sign = VOWEL_SIGNS[next];
+      if (sign) {
+        out += roman + sign[col] + pendingAccent;
+        i = j;
+        continue;
+      }
+      out += roman + "a" + pendingAccent;
+      i = j - 1;
+      continue;
+    }
+
+    const vowel = INDEPENDENT_VOWELS[ch] ?? VOWEL_SIGNS[ch];
+    if (vowel) {
+      out += vowel[col];
+      continue;
+    }
+
+    const mark = MARKS[ch];
+    if (mark) {
+      out += mark[col];
+      continue;
+    }
+
+    if (isAccent(ch)) {
+      out += accent(ch);
+      continue;
+    }
+
+    const code = ch.codePointAt(0) ?? 0;
+    if (code >= DIGIT_ZERO && code <= DIGIT_ZERO + 9) {
+      out += String(code - DIGIT_ZERO);
+      continue;
+    }
+
+    // Stray virāma / nukta, zero-width (non-)joiners: nothing to emit.
+    if (ch === VIRAMA || ch === NUKTA || isJoiner(ch)) {
+      continue;
+    }
+
+    out += ch;
+  }
+
+  return out;
+}
+
+/**
+ * @param {string} text
+ * @param {TransliterateOptions} [options]
+ */
+export function toIAST(text, options) {
+  return transliterate(text, "iast", options);
+}
+
+/**
+ * @param {string} text
+ * @param {TransliterateOptions} [options]
+ */
+export function toHarvardKyoto(text, options) {
+  return transliterate(text, "hk", options);
+}
+
+/**
+ * @param {string} text
+ * @param {TransliterateOptions} [options]
+ */
+export function toITRANS(text, options) {
+  return transliterate(text, "itrans", options);
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// IAST → Devanagari
+// ─────────────────────────────────────────────────────────────────────────────
+
+/** @param {Record<string, Row>} table */
+const iastColumn = (table) =>
+  Object.fromEntries(Object.entries(table).map(([deva, row]) => [row[0], deva]));
+
+// Nukta letters, except ड़ / ढ़: their IAST ṛ / ṛh reads as the vowel ऋ.
+const IAST_NUKTA_CONSONANTS = Object.fromEntries(
+  Object.entries(NUKTA_CONSONANTS)
+    .filter(([deva]) => deva !== "ड" && deva !== "ढ")
+    .map(([deva, row]) => [row[0], deva + NUKTA]),
+);
+const IAST_CONSONANTS = { ...iastColumn(CONSONANTS), ...IAST_NUKTA_CONSONANTS };
+const IAST_VOWELS = iastColumn(INDEPENDENT_VOWELS);
+const IAST_VOWEL_SIGNS = { ...iastColumn(VOWEL_SIGNS), a: "" };
+const IAST_MARKS = /** @type {Record<string, string>} */ ({ "ṃ": "ं", "ṁ": "ं", "ḥ": "ः", "'": "ऽ", "’": "ऽ" });
+
+/** Spellings that NFC leaves decomposed: ISO 15919 vowels, combining dots. */
+const IAST_SPELLINGS = /** @type {Array<[RegExp, string]>} */ ([
+  [/r̥̄/g, "ṝ"],
+  [/r̥/g, "ṛ"],
+  [/l̥̄/g, "ḹ"],
+  [/l̥/g, "ḷ"],
+]);
+
+/**
+ * Read IAST (typed or pasted, any case) back into Devanagari — the inverse
+ * of `toIAST` for plain Sanskrit. Letters are matched longest first, so
+ * "ai" is ऐ and "kh" is ख as IAST intends. Anything that isn't IAST
+ * (spaces, dashes, digits) passes through.
+ * @param {string} text
+ * @returns {string}
+ */
+export function fromIAST(text) {
+  let s = text.normalize("NFC").toLowerCase();
+  for (const [pattern, letter] of IAST_SPELLINGS) s = s.replace(pattern, letter);
+  const chars = Array.from(s);
+
+  /**
+   * Longest IAST letter at `i` found in `table`, as [letter, length].
+   * @param {Record<string, string>} table
+   * @param {number} i
+   * @returns {[string, number] | null}
+   */
+  const match = (table, i) => {
+    // Three for k͟h (k + combining macron below + h).
+    for (let len = 3; len >= 1; len--) {
+      const key = chars.slice(i, i + len).join("");
+      const letter = table[key];
+      if (key.length > 0 && letter !== undefined) return [letter, len];
+    }
+    return null;
+  };
+
+  let out = "";
+  for (let i = 0; i < chars.length; ) {
+    const consonant = match(IAST_CONSONANTS, i);
+    if (consonant) {
+      out += consonant[0];
+      i += consonant[1];
+      const sign = match(IAST_VOWEL_SIGNS, i);
+      if (sign) {
+        out += sign[0];
+        i += sign[1];
+      } else {
+        out += VIRAMA;
+      }
+      continue;
+    }
+    const vowel = match(IAST_VOWELS, i) ?? match(IAST_MARKS, i);
+    if (vowel) {
+      out += vowel[0];
+      i += vowel[1];
+      continue;
+    }
+    out += chars[i];
+    i++;
+  }
+  return out;
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Brahmic scripts
+// ─────────────────────────────────────────────────────────────────────────────
+
+/**
+ * @typedef {"devanagari" | "iast" | "telugu" | "kannada" | "tamilGrantha" | "malayalam" | "bengali"} Script
+ */
+
+/** Display scripts in selector order, labelled in their own script. */
+export const SCRIPTS = /** @type {const} */ ([
+  { id: "devanagari", label: "देवनागरी" },
+  { id: "iast", label: "IAST" },
+  { id: "telugu", label: "తెలుగు" },
+  { id: "kannada", label: "ಕನ್ನಡ" },
+  { id: "tamilGrantha", label: "தமிழ் (Grantha)" },
+  { id: "malayalam", label: "മലയാളം" },
+  { id: "bengali", label: "বাংলা" },
+]);
+
+/**
+ * Telugu, Kannada, Malayalam and Bengali follow the ISCII layout, so each
+ * Devanagari code point maps to the same offset in the target block. The
+ * exceptions are letters a block doesn't have and the praṇava, which every
+ * script writes with its own vowel + anusvāra.
+ * @type {Record<string, { base: number, overrides: Record<string, string> }>}
+ */
+const OFFSET_SCRIPTS = {
+  telugu: { base: 0x0c00, overrides: { "ॐ": "ఓం", "़": "" } },
+  kannada: { base: 0x0c80, overrides: { "ॐ": "ಓಂ" } },
+  malayalam: { base: 0x0d00, overrides: { "ॐ": "ഓം", "़": "" } },
+  bengali: {
+    base: 0x0980,
+    // Bengali writes va with the ba letter and has no separate ḷa.
+    overrides: { "ॐ": "ওঁ", "व": "ব", "ळ": "ল" },
+  },
+};
+
+/**
+ * Code points that are shared across Indic scripts (dandas, svara marks) and
+ * must not be shifted into the target block.
+ * @param {number} code
+ */
+function isSharedMark(code) {
+  return code === 0x0964 || code === 0x0965 || (code >= 0x0951 && code <= 0x0954);
+}
+
+/**
+ * @param {string} text
+ * @param {{ base: number, overrides: Record<string, string> }} target
+ * @returns {string}
+ */
+function shiftBlock(text, target) {
+  let out = "";
+  for (const ch of text.normalize("NFD")) {
+    const override = target.overrides[ch];
+    if (override !== undefined) {
+      out += override;
+      continue;
+    }
+    const code = ch.codePointAt(0) ?? 0;
+    if (code >= 0x0900 && code <= 0x097f && !isSharedMark(code)) {
+      out += String.fromCodePoint(target.base + (code - 0x0900));
+    } else {
+      out += ch;
+    }
+  }
+  return out;
+}
+
+/**
+ * Tamil lacks the voiced and aspirated stops. The usual convention for
+ * Sanskrit in Tamil script uses the Grantha letters (ஜ ஶ ஷ ஸ ஹ) and marks
+ * the missing stops with a superscript 2/3/4 after the syllable: ध → த⁴,
+ * धा → தா⁴.
+ * @type {Record<string, [string, string]>}
+ */
+const TAMIL_CONSONANTS = {
+  "क": ["க", ""], "ख": ["க", "²"], "ग": ["க", "³"], "घ": ["க", "⁴"], "ङ": ["ங", ""],
+  "च": ["ச", ""], "छ": ["ச", "²"], "ज": ["ஜ", ""], "झ": ["ஜ", "²"], "ञ": ["ஞ", ""],
+  "ट": ["ட", ""], "ठ": ["ட", "²"], "ड": ["ட", "³"], "ढ": ["ட", "⁴"], "ण": ["ண", ""],
+  "त": ["த", ""], "थ": ["த", "²"], "द": ["த", "³"], "ध": ["த", "⁴"], "न": ["ந", ""],
+  "प": ["ப", ""], "फ": ["ப", "²"], "ब": ["ப", "³"], "भ": ["ப", "⁴"], "म": ["ம", ""],
+  "य": ["ய", ""], "र": ["ர", ""], "ल": ["ல", ""], "ळ": ["ள", ""], "व": ["வ", ""],
+  "श": ["ஶ", ""], "ष": ["ஷ", ""], "स": ["ஸ", ""], "ह": ["ஹ", ""],
+};
+
+/** @type {Record<string, string>} */
+const TAMIL_VOWELS = {
+  "अ": "அ", "आ": "ஆ", "इ": "இ", "ई": "ஈ", "उ": "உ", "ऊ": "ஊ",
+  "ऋ": "ரு'", "ॠ": "ரூ'", "ऌ": "லு'", "ॡ": "லூ'",
+  "ए": "ஏ", "ऐ": "ஐ", "ओ": "ஓ", "औ": "ஔ",
+};
+
+/** @type {Record<string, string>} */
+const TAMIL_VOWEL_SIGNS = {
+  "ा": "ா", "ि": "ி", "ी": "ீ", "ु": "ு", "ू": "ூ",
+  "ृ": "்ரு'", "ॄ": "்ரூ'", "ॢ": "்லு'", "ॣ": "்லூ'",
+  "े": "ே", "ै": "ை", "ो": "ோ", "ौ": "ௌ",
+};
+
+/** @type {Record<string, string>} */
+const TAMIL_MARKS = {
+  "ं": "ம்", "ँ": "ம்", "ः": "ஃ", "ऽ": "'", "ॐ": "ஓம்",
+};
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function toTamilGrantha(text) {
+  const chars = Array.from(text.normalize("NFD"));
+  let out = "";
+  for (let i = 0; i < chars.length; i++) {
+    const ch = chars[i] ?? "";
+    const consonant = TAMIL_CONSONANTS[ch];
+    if (consonant) {
+      const [letter, superscript] = consonant;
+      let j = i + 1;
+      if (chars[j] === NUKTA) j++;
+      const next = chars[j] ?? "";
+      if (next === VIRAMA) {
+        out += letter + "்" + superscript;
+        i = j;
+      } else if (TAMIL_VOWEL_SIGNS[next]) {
+        out += letter + TAMIL_VOWEL_SIGNS[next] + superscript;
+        i = j;
+      } else {
+        out += letter + superscript;
+        i = j - 1;
+      }
+      continue;
+    }
+    const replacement = TAMIL_VOWELS[ch] ?? TAMIL_MARKS[ch];
+    if (replacement !== undefined) {
+      out += replacement;
+      continue;
+    }
+    const code = ch.codePointAt(0) ?? 0;
+    if (code >= DIGIT_ZERO && code <= DIGIT_ZERO + 9) {
+      out += String(code - DIGIT_ZERO);
+      continue;
+    }
+    if (ch === VIRAMA || ch === NUKTA || isAccent(ch)) continue;
+    out += ch;
+  }
+  return out;
+}
+
+/**
+ * Render Devanagari text in the given display script. Devanagari is returned
+ * unchanged, `iast` goes through `toIAST`, everything else is a Brahmic
+ * script. Only the rendering changes — callers should keep matching and
+ * lookups on the original Devanagari.
+ * @param {string} text
+ * @param {Script} script
+ * @returns {string}
+ */
+export function toScript(text, script) {
+  if (script === "devanagari") return text;
+  if (script === "iast") return toIAST(text);
+  if (script === "tamilGrantha") return toTamilGrantha(text);
+  const target = OFFSET_SCRIPTS[script];
+  return target ? shiftBlock(text, target) : text;
+}
+
+/**
+ * @param {unknown} value
+ * @returns {value is Script}
+ */
+export function isScript(value) {
+  return SCRIPTS.some((s) => s.id === value);
+}
@@ -0,0 +1,345 @@
+/**
+ * Auto-grading for the typed-recall drill: compare what the learner typed
+ * (Devanagari or IAST) with the nāma and turn the difference into a
+ * `Quality`.
+ *
+ * Both sides are compared as SLP1 phonemes, and the differences
+ * `foldSpelling` treats as orthography (anusvāra vs class nasal, avagraha,
+ * doubled consonants after r) cost nothing. A sandhi ending typed from the verse
+ * (…र्, …ो for …ः) is read back to pausa before comparing. What's left is
+ * an edit-distance alignment in which a diacritic slip — ā typed as a, ṣ as
+ * s, a dropped ḥ — costs a fraction of a real mistake, and a character that
+ * is no letter at all costs an extra letter. The result is reported per
+ * syllable of the nāma so the card can show exactly which ones were wrong.
+ */
+
+import { fromPhonemes, pausaForms, toPhonemes } from "./sandhi";
+import { fromIAST } from "./transliterate";
+import type { Quality } from "./srs";
+
+export type SyllableStatus = "ok" | "slip" | "wrong";
+
+export type SyllableMark = {
+  /** The nāma's syllable, in Devanagari. */
+  text: string;
+  status: SyllableStatus;
+  /** What was typed in its place (Devanagari), when it wasn't right. */
+  typed?: string;
+};
+
+export type RecallGrade = {
+  quality: Quality;
+  syllables: SyllableMark[];
+  /** Syllables with a real mistake (wrong, missing or with extra letters). */
+  wrong: number;
+  /** Syllables off only by a diacritic. */
+  slips: number;
+};
+
+/** Avagraha only marks an elided a; typed or not, it's the same word. */
+const phonemes = (text: string) => toPhonemes(text).replace(/'/g, "");
+
+/** Phonemes that differ only by a diacritic fold to the same letter. */
+const PLAIN: Record<string, string> = {
+  A: "a",
+  I: "i",
+  U: "u",
+  F: "r",
+  f: "r",
+  S: "s",
+  z: "s",
+  w: "t",
+  W: "T",
+  q: "d",
+  Q: "D",
+  R: "n",
+  N: "n",
+  Y: "n",
+  M: "m",
+  L: "l",
+};
+
+const SLIP_COST = 0.25;
+
+/**
+ * Stands in for a typed character that is no letter of the name — a digit,
+ * punctuation, Latin mixed into Devanagari — so it costs an extra letter
+ * rather than disappearing in `toPhonemes`. It never matches a phoneme.
+ */
+const STRAY = "#";
+
+/** Runs of characters that aren't Devanagari letters, signs or separators. */
+const STRAY_RUN = /[^\u0900-\u0963\u0971-\u097f\s\u200c\u200d-]+/u;
+
+/**
+ * Names shorter than this (in syllables) must be typed without a real
+ * mistake to pass; in श्रीमाता one wrong syllable is a third of the name.
+ */
+const MIN_TOLERANT_SYLLABLES = 5;
+
+const VOWEL = /[aAiIuUfFxeEoO]/;
+
+const plain = (p: string) => PLAIN[p] ?? p;
+
+/** Anusvāra written for a nasal, or the other way round (कुण्ड / कुंड). */
+const isNasalSpelling = (a: string, b: string) =>
+  (a === "M" && "NYRnm".includes(b)) || (b === "M" && "NYRnm".includes(a));
+
+/** Cost of reading the expected phoneme `e` where `t` was typed. */
+function substitution(e: string, t: string): number {
+  if (e === t || isNasalSpelling(e, t)) return 0;
+  return plain(e) === plain(t) ? SLIP_COST : 1;
+}
+
+/** A consonant doubled after r (कीर्त्ति / कीर्ति) is spelling, not a letter. */
+const isDoubling = (p: string, i: number) =>
+  i >= 2 && p[i] !== STRAY && p[i] === p[i - 1] && p[i - 2] === "r";
+
+/** Leaving out a visarga is a slip; leaving out anything else isn't. */
+const deletion = (expected: string, i: number) =>
+  isDoubling(expected, i) ? 0 : expected[i] === "H" ? SLIP_COST : 1;
+
+const insertion = (typed: string, j: number) => (isDoubling(typed, j) ? 0 : 1);
+
+/**
+ * The nāma's phonemes as syllables: each syllable ends on its vowel plus
+ * any anusvāra / visarga; a final consonant joins the last syllable.
+ * Returns the syllable index of every phoneme.
+ */
+function syllableOf(phonemes: string): { index: number[]; count: number } {
+  const index: number[] = [];
+  let current = 0;
+  let closed = false;
+  for (const p of phonemes) {
+    if (closed && p !== "M" && p !== "H") {
+      current++;
+      closed = false;
+    }
+    index.push(current);
+    if (VOWEL.test(p)) closed = true;
+  }
+  // Trailing consonants belong to the last vowel's syllable.
+  let last = phonemes.length - 1;
+  while (last >= 0 && !VOWEL.test(phonemes[last] ?? "")) last--;
+  const lastSyllable = last >= 0 ? (index[last] ?? 0) : 0;
+  for (let i = last + 1; i < index.length; i++) index[i] = lastSyllable;
+  return { index, count: index.length > 0 ? lastSyllable + 1 : 0 };
+}
+
+type Op =
+  | { kind: "match" | "slip" | "sub"; e: number; t: number }
+  | { kind: "del"; e: number; cost: number }
+  | { kind: "ins"; t: number; cost: number };
+
+/** Cheapest alignment of `typed` against `expected`, as edit operations. */
+function align(expected: string, typed: string): { cost: number; ops: Op[] } {
+  const n = expected.length;
+  const m = typed.length;
+  const d: number[][] = Array.from({ length: n + 1 }, () =>
+    new Array<number>(m + 1).fill(0),
+  );
+  const at = (i: number, j: number) => d[i]?.[j] ?? 0;
+  const set = (i: number, j: number, value: number) => {
+    const row = d[i];
+    if (row) row[j] = value;
+  };
+  const e = (i: number) => expected[i] ?? "";
+  const t = (j: number) => typed[j] ?? "";
+
+  for (let i = 1; i <= n; i++)
+    set(i, 0, at(i - 1, 0) + deletion(expected, i - 1));
+  for (let j = 1; j <= m; j++)
+    set(0, j, at(0, j - 1) + insertion(typed, j - 1));
+  for (let i = 1; i <= n; i++) {
+    for (let j = 1; j <= m; j++) {
+      set(
+        i,
+        j,
+        Math.min(
+          at(i - 1, j - 1) + substitution(e(i - 1), t(j - 1)),
+          at(i - 1, j) + deletion(expected, i - 1),
+          at(i, j - 1) + insertion(typed, j - 1),
+        ),
+      );
+    }
+  }
+
+  const ops: Op[] = [];
+  let i = n;
+  let j = m;
+  while (i > 0 || j > 0) {
+    const here = at(i, j);
+    if (i > 0 && j > 0) {
+      const cost = substitution(e(i - 1), t(j - 1));
+      if (here === at(i - 1, j - 1) + cost) {
+        const kind = cost === 0 ? "match" : cost < 1 ? "slip" : "sub";
+        ops.push({ kind, e: i - 1, t: j - 1 });
+        i--;
+        j--;
+        continue;
+      }
+    }
+    if (i > 0 && here === at(i - 1, j) + deletion(expected, i - 1)) {
+      ops.push({ kind: "del", e: i - 1, cost: deletion(expected, i - 1) });
+      i--;
+      continue;
+    }
+    ops.push({ kind: "ins", t: j - 1, cost: insertion(typed, j - 1) });
+    j--;
+  }
+  return { cost: at(n, m), ops: ops.reverse() };
+}
+
+/** Compare typed phonemes with one accepted form of the nāma. */
+function gradeAgainst(
+  expected: string,
+  typed: string,
+): RecallGrade & { cost: number } {
+  const { cost, ops } = align(expected, typed);
+  const { index, count } = syllableOf(expected);
+
+  const status = new Array<SyllableStatus>(count).fill("ok");
+  const typedIn = new Array<string>(count).fill("");
+  // Syllables something was typed against; a wrong one that isn't was
+  // left out altogether.
+  const attempted = new Array<boolean>(count).fill(false);
+  const mark = (syllable: number, s: SyllableStatus) => {
+    if (s === "wrong" || status[syllable] === "ok") status[syllable] = s;
+  };
+
+  // Extra letters count against the syllable they were typed in: the one
+  // being spelled, or the first when nothing has been matched yet.
+  let syllable = 0;
+  for (const op of ops) {
+    if (op.kind === "ins") {
+      if (count === 0 || op.cost === 0) continue;
+      mark(syllable, "wrong");
+      typedIn[syllable] += typed[op.t] ?? "";
+      continue;
+    }
+    syllable = index[op.e] ?? 0;
+    if (op.kind === "sub") mark(syllable, "wrong");
+    if (op.kind === "slip") mark(syllable, "slip");
+    if (op.kind === "del") {
+      if (op.cost > 0) mark(syllable, op.cost < 1 ? "slip" : "wrong");
+      continue;
+    }
+    attempted[syllable] = true;
+    typedIn[syllable] += typed[op.t] ?? "";
+  }
+
+  const syllables: SyllableMark[] = [];
+  for (let s = 0; s < count; s++) {
+    const text = [...expected].filter((_, k) => index[k] === s).join("");
+    const syllableMark: SyllableMark = {
+      text: fromPhonemes(text),
+      status: status[s] ?? "ok",
+    };
+    if (status[s] !== "ok") syllableMark.typed = fromPhonemes(typedIn[s] ?? "");
+    syllables.push(syllableMark);
+  }
+
+  const wrong = status.filter((s) => s === "wrong").length;
+  const slips = status.filter((s) => s === "slip").length;
+  const missing = status.filter(
+    (s, k) => s === "wrong" && !attempted[k] && !typedIn[k],
+  ).length;
+  return {
+    quality: toQuality(wrong, slips, missing, count),
+    syllables,
+    wrong,
+    slips,
+    cost,
+  };
+}
+
+/**
+ * Exact → Easy; diacritic slips only → Good; a syllable or two wrong (about
+ * one in seven, and none in a name under `MIN_TOLERANT_SYLLABLES`) → Hard;
+ * anything more, or a syllable left out (`missing`: wrong syllables nothing
+ * was typed for), → Again.
+ */
+function toQuality(
+  wrong: number,
+  slips: number,
+  missing: number,
+  syllables: number,
+): Quality {
+  if (wrong === 0) return slips === 0 ? 5 : 4;
+  if (missing > 0) return 0;
+  const allowed =
+    syllables < MIN_TOLERANT_SYLLABLES
+      ? 0
+      : Math.max(1, Math.round(syllables / 7));
+  return wrong <= allowed ? 3 : 0;
+}
+
+/**
+ * Typed input (Devanagari or IAST) as Devanagari. Plain-ASCII input gets
+ * the usual keyboard stand-ins: "sh" for ś/ṣ and doubled vowels for long
+ * ones ("aa" for ā, "ii" for ī, "uu" for ū). Anything else that isn't
+ * IAST or Devanagari is left as typed.
+ */
+export function typedToDevanagari(input: string): string {
+  if (/[ऀ-ॿ]/.test(input)) return input;
+  const roman = /^[ -~]*$/.test(input)
+    ? input
+        .replace(/sh/gi, "ś")
+        .replace(/aa/gi, "ā")
+        .replace(/ii/gi, "ī")
+        .replace(/uu/gi, "ū")
+    : input;
+  return fromIAST(roman);
+}
+
+/**
+ * The phonemes of typed input, one string per pausa reading of its ending
+ * (see `pausaForms`), with a `STRAY` for every character that isn't part
+ * of a Devanagari word, where it was typed.
+ */
+function typedPhonemes(input: string): string[] {
+  const parts = typedToDevanagari(input)
+    .trim()
+    .split(new RegExp(`(${STRAY_RUN.source})`, "u"));
+  let clean = "";
+  const strays: number[] = [];
+  parts.forEach((part, i) => {
+    // split() puts the captured stray runs at the odd indices.
+    if (i % 2 === 0) clean += part;
+    else strays.push(...Array.from(part, () => phonemes(clean).length));
+  });
+  const end = phonemes(clean).length;
+  return pausaForms(clean.trim()).map((form) => {
+    const p = phonemes(form);
+    // A pausa reading only changes the ending; strays typed after it stay
+    // after it.
+    let out = "";
+    let at = 0;
+    for (const offset of strays) {
+      const cut = offset >= end ? p.length : offset;
+      out += p.slice(at, cut) + STRAY;
+      at = cut;
+    }
+    return out + p.slice(at);
+  });
+}
+
+/**
+ * Grade `input` against a nāma. `accepted` lists the spellings that count
+ * as right — the canonical name first, then its variants; the closest one
+ * is reported.
+ */
+export function gradeRecall(input: string, accepted: string[]): RecallGrade {
+  const typedForms = typedPhonemes(input);
+  let best: (RecallGrade & { cost: number }) | null = null;
+  for (const form of accepted) {
+    const expected = phonemes(form);
+    for (const typed of typedForms) {
+      const grade = gradeAgainst(expected, typed);
+      if (!best || grade.cost < best.cost) best = grade;
+    }
+  }
+  if (!best) return { quality: 0, syllables: [], wrong: 0, slips: 0 };
+  const { quality, syllables, wrong, slips } = best;
+  return { quality, syllables, wrong, slips };
+}
@@ -0,0 +1,52 @@
+/**
+ * The verses of sanskrit.txt, tokenised with each word's nāmas resolved —
+ * src/constants/verses.json, generated and checked by scripts/build-verses.js
+ * (part of the pipeline).
+ *
+ * Server-only — reads the generated JSON from disk.
+ */
+
+import fs from "node:fs";
+import path from "node:path";
+
+export type VerseToken = {
+  /** As printed: a word, a space, punctuation or a verse-number marker. */
+  text: string;
+  /** Whether the token is a verse word (alternate readings are not). */
+  isWord: boolean;
+  /** Nāma numbers the word carries, in order. */
+  namas?: number[];
+  /** The verse's own split of the word, from a "[a + b]" breakdown. */
+  components?: string[];
+};
+
+export type Verse = {
+  /** 1-indexed, matching the "(N)" marker that ends most verses. */
+  number: number;
+  /** As printed in sanskrit.txt. */
+  lines: string[];
+  /** Tokens of each line. */
+  tokens: VerseToken[][];
+};
+
+type VerseData = { verses: Verse[]; closingLine: string | null };
+
+let cache: VerseData | null = null;
+
+function loadVerseData(): VerseData {
+  if (!cache) {
+    const filePath = path.join(process.cwd(), "src/constants/verses.json");
+    cache = JSON.parse(fs.readFileSync(filePath, "utf-8")) as VerseData;
+  }
+  return cache;
+}
+
+/** All verses in order; index + 1 = verse number. */
+export function loadVerses(): Verse[] {
+  return loadVerseData().verses;
+}
+
+/** The closing "एवं श्रीललिता…" line, which belongs to no verse. */
+export function loadClosingLine(): string | null {
+  return loadVerseData().closingLine;
+}
@@ -0,0 +1,70 @@
+/**
+ * V. Ravi's commentary arranged for the reader at /vravi: one entry per
+ * nāma, paged by the theme chapters (src/constants/themes.ts), with an
+ * index of where each work in SCRIPTURES is cited.
+ *
+ * Server-only — reads the generated JSON from disk.
+ */
+
+import { CHAPTERS } from "@/constants/themes";
+import { loadCommentary } from "./commentary-sources";
+import { annotateCommentary } from "./format-commentary";
+import { loadNamaNames } from "./namas";
+
+export type VraviEntry = {
+  number: number;
+  name: string;
+  /** The commentary on one line, as the formatters expect. */
+  text: string;
+};
+
+let entries: VraviEntry[] | null = null;
+
+/** Every nāma with its commentary (empty where V. Ravi has none). */
+export function loadVraviEntries(): VraviEntry[] {
+  if (!entries) {
+    const commentary = loadCommentary("vravi");
+    entries = loadNamaNames().map((name, i) => ({
+      number: i + 1,
+      name,
+      text: (commentary[name] ?? "").replace(/\s+/g, " ").trim(),
+    }));
+  }
+  return entries;
+}
+
+/** The 1-based chapter a nāma falls in. */
+export function chapterOf(nama: number): number {
+  return (
+    CHAPTERS.findIndex((c) => nama >= c.range[0] && nama <= c.range[1]) + 1
+  );
+}
+
+/** A nāma's entry in the reader. */
+export function readerHref(nama: number): string {
+  return `/vravi/${chapterOf(nama)}#name-${nama}`;
+}
+
+export type Citing = { number: number; locator: string | null };
+
+let citations: Map<string, Citing[]> | null = null;
+
+/** Per work id, each entry citing it (once per passage), in nāma order. */
+export function citationIndex(): Map<string, Citing[]> {
+  if (!citations) {
+    citations = new Map();
+    for (const entry of loadVraviEntries()) {
+      const seen = new Set<string>();
+      for (const span of annotateCommentary(entry.text)) {
+        if (span.kind !== "citation") continue;
+        const key = `${span.work.id}@${span.locator}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const list = citations.get(span.work.id) ?? [];
+        list.push({ number: entry.number, locator: span.locator });
+        citations.set(span.work.id, list);
+      }
+    }
+  }
+  return citations;
+}